@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+/**
+ * Mithril AI IDE - dlemma
+ * Command line entry point for the headless agent pipeline. Prints the run
+ * transcript on stderr and the resulting diff on stdout, so the output can be
+ * piped into `git apply` or compared in prompt regression tests.
+ */
+
+const path = require('path');
+const os = require('os');
+
+const USAGE = `Usage: dlemma [options] <request>
+       echo "<request>" | dlemma [options] -
+
+Runs intent detection, todo planning and the agent tool loop against a
+workspace folder, then prints the diff of every file that changed.
+
+Options:
+  -w, --workspace <dir>    Workspace folder (default: current directory)
+  -m, --model <name>       Model for every role (default: $DLEMMA_MODEL, else the first available model)
+      --intent-model <name>  Model for intent detection and planning
+      --tool-model <name>    Model that drives the tool loop
+      --max-steps <n>      Tool calls per task (default: 8)
+      --no-plan            Run the request as one task without todo planning
+      --preset <name>      Sampling preset: balanced, precise-code, creative or deterministic
+      --seed <n>           Seed for the deterministic preset (default: 42)
+  -y, --yes                Run commands the command policy would ask about
+      --no-commands        Refuse every shell command
+      --config-dir <dir>   App data folder with provider and command policy settings
+                           (default: the desktop app's data folder)
+      --json               Print one JSON object with transcript, changes and diff
+  -v, --verbose            Show internal logging on stderr
+  -h, --help               Show this help
+
+Exit status: 0 when the run completed, 1 on errors, 2 on bad usage,
+3 when the agent stopped without finishing.`;
+
+// Where Electron keeps app.getPath('userData') for this app
+function defaultConfigDir() {
+  const appName = require('../package.json').name;
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Application Support', appName);
+  }
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), appName);
+  }
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), appName);
+}
+
+function parseArgs(argv) {
+  const options = { plan: true, commands: 'policy', json: false, verbose: false };
+  const positional = [];
+  const valueFlags = {
+    '-w': 'workspace', '--workspace': 'workspace',
+    '-m': 'model', '--model': 'model',
+    '--intent-model': 'intentModel',
+    '--tool-model': 'toolModel',
+    '--max-steps': 'maxSteps',
+    '--preset': 'preset',
+    '--seed': 'seed',
+    '--config-dir': 'configDir'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (valueFlags[arg]) {
+      if (i + 1 >= argv.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      options[valueFlags[arg]] = argv[++i];
+    } else if (arg === '--no-plan') {
+      options.plan = false;
+    } else if (arg === '-y' || arg === '--yes') {
+      options.commands = 'approve';
+    } else if (arg === '--no-commands') {
+      options.commands = 'deny';
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '-v' || arg === '--verbose') {
+      options.verbose = true;
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  if (options.maxSteps !== undefined) {
+    options.maxSteps = parseInt(options.maxSteps, 10);
+    if (!(options.maxSteps > 0)) {
+      throw new Error('--max-steps must be a positive number');
+    }
+  }
+  if (options.seed !== undefined && Number.isNaN(parseInt(options.seed, 10))) {
+    throw new Error('--seed must be a number');
+  }
+  if (options.preset !== undefined) {
+    const IDEGenerationPresets = require('../src/generation-presets');
+    options.sampling = IDEGenerationPresets.optionsFor(options.preset, options.seed !== undefined ? parseInt(options.seed, 10) : undefined);
+    if (!options.sampling) {
+      throw new Error(`Unknown preset: ${options.preset} (expected ${Object.keys(IDEGenerationPresets.presets).join(', ')})`);
+    }
+  }
+  options.request = positional.join(' ');
+  return options;
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { data += chunk; });
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
+}
+
+// One transcript line per event, on stderr so stdout stays a clean diff
+function printEvent(entry) {
+  const indent = (text) => String(text).split('\n').map(line => `    ${line}`).join('\n');
+  switch (entry.type) {
+    case 'request':
+      process.stderr.write(`> ${entry.text}\n`);
+      break;
+    case 'intent':
+      process.stderr.write(`intent: ${entry.tool}${entry.needsPlan ? ' (planned)' : ''}${entry.intent ? ` - ${entry.intent}` : ''}\n`);
+      break;
+    case 'plan':
+      process.stderr.write(`plan:\n${entry.steps.map((step, index) => `  ${index + 1}. [${step.tool}] ${step.content}`).join('\n')}\n`);
+      break;
+    case 'step':
+      process.stderr.write(`\nstep ${entry.index}/${entry.total}: ${entry.content}\n`);
+      break;
+    case 'tool':
+      process.stderr.write(`  ${entry.tool} ${JSON.stringify(entry.args).substring(0, 200)}\n`);
+      break;
+    case 'observation':
+      process.stderr.write(`${indent(entry.text.split('\n').slice(0, 8).join('\n'))}\n`);
+      break;
+    case 'note':
+      process.stderr.write(`  ! ${entry.text}\n`);
+      break;
+    case 'answer':
+      process.stderr.write(`\n${entry.text}\n`);
+      break;
+  }
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    process.stderr.write(`dlemma: ${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  let request = options.request;
+  if (request === '-' || (!request && !process.stdin.isTTY)) {
+    request = (await readStdin()).trim();
+  }
+  if (!request) {
+    process.stderr.write(`dlemma: no request given\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  // The shared modules log progress with console.log; keep stdout for results
+  const log = console.log;
+  console.log = options.verbose ? (...args) => console.error(...args) : () => {};
+  console.warn = options.verbose ? console.warn : () => {};
+  console.error = options.verbose ? console.error : () => {};
+
+  const HeadlessAgent = require('../src/headless-agent');
+  const agent = new HeadlessAgent({
+    root: options.workspace || process.cwd(),
+    model: options.model || process.env.DLEMMA_MODEL,
+    intentModel: options.intentModel,
+    toolModel: options.toolModel,
+    maxSteps: options.maxSteps,
+    plan: options.plan,
+    sampling: options.sampling,
+    commands: options.commands,
+    configDir: options.configDir || defaultConfigDir(),
+    onEvent: options.json ? () => {} : printEvent
+  });
+
+  try {
+    await agent.init();
+    const result = await agent.run(request);
+
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    } else if (result.diff) {
+      process.stdout.write(`${result.diff}\n`);
+    } else {
+      process.stderr.write('(no files changed)\n');
+    }
+    return result.completed ? 0 : 3;
+  } catch (error) {
+    process.stderr.write(`dlemma: ${error.message}\n`);
+    if (options.verbose) {
+      process.stderr.write(`${error.stack}\n`);
+    }
+    return 1;
+  } finally {
+    await agent.dispose();
+    console.log = log;
+  }
+}
+
+main().then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Ollama Server - Development Script
+ * Serves recorded /api/generate, /api/tags and streaming NDJSON responses from
+ * fixture files, so the IDE and dlemma can run without a live Ollama. With
+ * --record it proxies to a real Ollama instead and saves what it returns.
+ *
+ *   node scripts/mock-ollama.js [--port 11435] [--fixtures fixtures/ollama] [--delay 20] [--workspace ~/project]
+ *   node scripts/mock-ollama.js --record [--upstream http://localhost:11434]
+ */
+
+const http = require('http');
+const path = require('path');
+const OllamaFixtures = require('../src/ollama-fixtures');
+
+const DEFAULTS = {
+  port: 11435,
+  fixtures: path.join(__dirname, '..', 'fixtures', 'ollama'),
+  upstream: 'http://localhost:11434',
+  delay: 0,
+  record: false,
+  workspace: null
+};
+
+function readRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create (but don't start) the mock server
+ * @param {Object} options - { fixtures, record, upstream, delay, workspace }
+ * @returns {http.Server} with the fixture store attached as server.fixtures
+ */
+function createMockServer(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const fixtures = new OllamaFixtures(path.resolve(settings.fixtures), settings.record ? 'record' : 'replay');
+  fixtures.setWorkspace(settings.workspace);
+
+  // Replay a fixture, one NDJSON line at a time for streams
+  const replay = async (res, fixture) => {
+    const status = fixture.response?.status || 200;
+    const chunks = fixture.response?.chunks;
+    res.writeHead(status, { 'Content-Type': fixtures.responseType(fixture) });
+
+    if (!Array.isArray(chunks)) {
+      res.end(fixtures.responseText(fixture));
+      return;
+    }
+    for (const chunk of chunks) {
+      res.write(`${JSON.stringify(chunk)}\n`);
+      if (settings.delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, settings.delay));
+      }
+    }
+    res.end();
+  };
+
+  // Forward to the real server; the fixture store saves the response on the way
+  const proxy = async (req, res, body) => {
+    const response = await fixtures.fetch(`${settings.upstream.replace(/\/+$/, '')}${req.url}`, {
+      method: req.method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body || undefined
+    });
+    res.writeHead(response.status, { 'Content-Type': response.headers.get('content-type') || 'application/json' });
+    const reader = response.body.getReader();
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      res.write(Buffer.from(value));
+    }
+    res.end();
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    try {
+      const body = await readRequestBody(req);
+      if (settings.record) {
+        await proxy(req, res, body);
+        console.log(`📼 ${req.method} ${pathname} -> recorded`);
+        return;
+      }
+
+      const parsed = body ? JSON.parse(body) : null;
+      const fixture = await fixtures.find(req.method, pathname, parsed);
+      if (fixture) {
+        console.log(`📼 ${req.method} ${pathname} -> ${fixture.file}`);
+        await replay(res, fixture);
+        return;
+      }
+
+      // Endpoints the IDE polls get a sensible answer without a fixture
+      const fallback = await fixtures.fallback(req.method, pathname);
+      if (fallback) {
+        sendJson(res, fallback.status, fallback.body);
+        return;
+      }
+
+      const key = fixtures.requestKey(req.method, pathname, parsed);
+      console.warn(`⚠️ ${req.method} ${pathname} -> no fixture (key ${key.substring(0, 12)})`);
+      sendJson(res, 404, { error: `no fixture for ${req.method} ${pathname}`, key });
+    } catch (error) {
+      console.error(`❌ ${req.method} ${pathname}:`, error.message);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: error.message });
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  server.fixtures = fixtures;
+  return server;
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--record') {
+      options.record = true;
+    } else if (['--port', '--fixtures', '--upstream', '--delay', '--workspace'].includes(arg) && i + 1 < argv.length) {
+      options[arg.substring(2)] = argv[++i];
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  if (options.port !== undefined) options.port = parseInt(options.port, 10);
+  if (options.delay !== undefined) options.delay = parseInt(options.delay, 10) || 0;
+  return options;
+}
+
+// Export for use as module
+module.exports = createMockServer;
+
+// Run if called directly
+if (require.main === module) {
+  let options;
+  try {
+    options = { ...DEFAULTS, ...parseArgs(process.argv.slice(2)) };
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(2);
+  }
+
+  const server = createMockServer(options);
+  server.listen(options.port, '127.0.0.1', () => {
+    console.log(`🧪 Mock Ollama listening on http://127.0.0.1:${options.port}`);
+    console.log(options.record
+      ? `📼 Recording responses from ${options.upstream} to ${server.fixtures.dir}`
+      : `📼 Replaying fixtures from ${server.fixtures.dir}`);
+  });
+
+  const shutdown = async () => {
+    server.close();
+    await server.fixtures.flush();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
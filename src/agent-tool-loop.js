@@ -0,0 +1,615 @@
+/**
+ * Mithril AI IDE - Agent Tool Loop
+ * Lets the model call workspace tools repeatedly (read, edit, run, run tasks, read terminal, search, list)
+ * and feeds every result back until it signals completion or the step budget runs out.
+ * The headless agent (dlemma CLI) runs the same loop with its own invoke in place of IPC.
+ */
+
+// ipcRenderer is already imported in ide-core.js which loads before this file
+
+class AgentToolLoop {
+  /**
+   * @param {Object} ideCore - IDECore, or the headless agent's stand-in for it
+   * @param {Object} [options]
+   * @param {Function} [options.invoke] - (channel, ...args) handling the main-process channels; ipcRenderer.invoke by default
+   * @param {Function} [options.onEvent] - Called with ('tool' | 'observation' | 'note', data) as the run progresses
+   * @param {number} [options.maxSteps] - Tool calls per run instead of the saved setting
+   * @param {number} [options.commandTimeoutMs] - How long run_command may take (default two minutes)
+   */
+  constructor(ideCore, options = {}) {
+    this.ideCore = ideCore;
+    this.invoke = options.invoke || ((channel, ...args) => ipcRenderer.invoke(channel, ...args));
+    this.onEvent = options.onEvent || (() => {});
+    this.tools = new Map();
+    this.maxSteps = options.maxSteps ||
+      (typeof localStorage !== 'undefined' && parseInt(localStorage.getItem('agent-max-steps'))) || 8;
+    this.maxObservationLength = 6000; // chars of tool output fed back per step
+    this.commandTimeoutMs = options.commandTimeoutMs || 120000;
+    this.isRunning = false;
+    this.isCanceled = false;
+
+    this.setupTools();
+    console.log('🤖 Agent tool loop initialized with tools:', Array.from(this.tools.keys()));
+  }
+
+  // Register the tools the model may call
+  setupTools() {
+    this.tools.set('read_file', {
+      description: 'Read a file from the workspace. Returns the content with line numbers.',
+      args: '{ "path": "relative/path", "startLine": 1, "endLine": 200 }',
+      execute: (args) => this.readFile(args)
+    });
+
+    this.tools.set('edit_file', {
+      description: 'Edit or create a file. Either pass "find" and "replace" to replace one exact snippet, or pass "content" to write the whole file.',
+      args: '{ "path": "relative/path", "find": "exact old text", "replace": "new text" } or { "path": "relative/path", "content": "full file content" }',
+      execute: (args) => this.editFile(args)
+    });
+
+    // Commands get no input and are stopped at the timeout, so a prompt or a server can't stall the run
+    this.tools.set('run_command', {
+      description: () => `Run a shell command in the workspace folder and return its exit code and output. The command gets no input and is stopped after ${Math.round(this.commandTimeoutMs / 1000)} seconds, so pass flags such as --yes instead of answering prompts.` +
+        (this.tools.has('run_task') ? ' Start dev servers and watchers with run_task and "wait": false instead.' : ''),
+      args: '{ "command": "npm test" }',
+      execute: (args) => this.runCommand(args)
+    });
+
+    this.tools.set('list_tasks', {
+      description: 'List the workspace tasks (package.json scripts, Makefile targets, pyproject.toml scripts, tasks.json) with their commands and last result.',
+      args: '{}',
+      execute: () => this.listTasks()
+    });
+
+    // The description names the tasks, so it is built when the prompt is
+    this.tools.set('run_task', {
+      description: () => `Run a workspace task in its own terminal and return its exit code and output. With "wait": false it returns right away (for servers and watchers). Tasks: ${this.describeTaskIds()}`,
+      args: '{ "task": "npm:test", "wait": true }',
+      execute: (args) => this.runTask(args)
+    });
+
+    this.tools.set('stop_task', {
+      description: 'Stop a running workspace task.',
+      args: '{ "task": "npm:dev" }',
+      execute: (args) => this.stopTask(args)
+    });
+
+    this.tools.set('read_terminal', {
+      description: 'Read terminal output. Without "lines" it returns the last command run in any terminal with its exit code and output; with "lines" it returns that many of the newest lines. "terminal" is "output" for the IDE output panel or a terminal id.',
+      args: '{ "lines": 100, "terminal": "output" }',
+      execute: (args) => this.readTerminal(args)
+    });
+
+    this.tools.set('search', {
+      description: 'Search all workspace files for a text or regular expression. Returns matching lines with file and line number.',
+      args: '{ "query": "functionName", "regex": false }',
+      execute: (args) => this.search(args)
+    });
+
+    this.tools.set('list_dir', {
+      description: 'List the files and folders in a workspace directory.',
+      args: '{ "path": "." }',
+      execute: (args) => this.listDir(args)
+    });
+
+    this.tools.set('finish', {
+      description: 'Call when the task is done. "answer" is shown to the user as your final reply.',
+      args: '{ "answer": "what was done" }',
+      execute: (args) => String(args.answer || 'Done.')
+    });
+  }
+
+  setMaxSteps(steps) {
+    const value = parseInt(steps);
+    if (value > 0) {
+      this.maxSteps = value;
+      localStorage.setItem('agent-max-steps', String(value));
+      console.log('💾 Saved agent step budget:', value);
+    }
+  }
+
+  cancel() {
+    this.isCanceled = true;
+  }
+
+  /**
+   * Run the agent loop for a user request
+   * @param {string} userMessage - The user's request
+   * @returns {Promise<Object>} { answer, steps, completed }
+   */
+  async run(userMessage) {
+    console.log('🤖 ==================== AGENT LOOP START ====================');
+    console.log('🤖 Request:', userMessage);
+
+    let model = this.ideCore.models.tool || this.ideCore.selectedModel;
+    if (!model) {
+      throw new Error('No model selected');
+    }
+
+    // Images pasted with the request go with every call, since each call carries the whole run
+    let images = [];
+    if (this.ideCore.chatImages) {
+      ({ model, images } = this.ideCore.chatImages.prepare(model, this.ideCore.messageImages));
+    }
+
+    this.isRunning = true;
+    this.isCanceled = false;
+    const steps = [];
+    const transcript = this.createTranscript(userMessage);
+
+    try {
+      for (let stepNumber = 1; stepNumber <= this.maxSteps; stepNumber++) {
+        if (this.isCanceled) {
+          this.appendTranscriptNote(transcript, '🛑 Stopped');
+          return { answer: 'Agent run was cancelled.', steps, completed: false };
+        }
+
+        this.setTranscriptStatus(transcript, `Step ${stepNumber}/${this.maxSteps}: thinking...`);
+        const prompt = this.buildPrompt(userMessage, steps);
+        const raw = await this.callModel(model, prompt, images);
+        const call = this.parseToolCall(raw);
+
+        if (!call) {
+          // The model answered in prose instead of a tool call - treat it as the final answer
+          console.warn('🤖 No tool call found in model output, finishing');
+          this.appendTranscriptNote(transcript, '⚠️ Model replied without a tool call');
+          return this.complete(transcript, userMessage, steps, raw.trim() || 'No response generated');
+        }
+
+        console.log(`🤖 Step ${stepNumber} tool call:`, call);
+
+        if (call.tool === 'finish') {
+          return this.complete(transcript, userMessage, steps, String(call.args.answer || 'Done.'));
+        }
+
+        this.onEvent('tool', call);
+        const stepElement = this.appendTranscriptStep(transcript, stepNumber, call);
+        const observation = await this.executeTool(call);
+        steps.push({ ...call, observation });
+        this.onEvent('observation', { tool: call.tool, text: observation });
+        this.setStepResult(stepElement, observation);
+      }
+
+      this.appendTranscriptNote(transcript, `⏱️ Step budget of ${this.maxSteps} reached`);
+      const answer = `I stopped after ${this.maxSteps} steps without finishing. ` +
+        'You can raise the agent step budget in settings or ask me to continue.';
+      return this.complete(transcript, userMessage, steps, answer, false);
+    } finally {
+      this.isRunning = false;
+      this.setTranscriptStatus(transcript, '');
+      console.log('🤖 ==================== AGENT LOOP END ====================');
+    }
+  }
+
+  complete(transcript, userMessage, steps, answer, completed = true) {
+    this.ideCore.addChatMessage('ai', answer);
+    this.ideCore.storeInMemory({
+      timestamp: new Date().toISOString(),
+      userMessage,
+      intent: { intent: 'Agent run', tool: 'agent_loop' },
+      result: steps.map(step => ({ tool: step.tool, args: step.args })),
+      summary: answer,
+      context: this.ideCore.getCurrentContext()
+    });
+    return { answer, steps, completed };
+  }
+
+  buildPrompt(userMessage, steps) {
+    const context = this.ideCore.getCurrentContext();
+    const toolList = Array.from(this.tools.entries())
+      .map(([name, tool]) => `- ${name}: ${typeof tool.description === 'function' ? tool.description() : tool.description}\n  args: ${tool.args}`)
+      .join('\n');
+
+    let contextInfo = `- Workspace folder: ${context.workingFolder || 'None'}
+- Current file open: ${context.currentFilePath || 'None'}`;
+    if (context.hasSelection && context.selectedTextInfo) {
+      contextInfo += `
+- Selected text (lines ${context.selectedTextInfo.startLine}-${context.selectedTextInfo.endLine}):
+${context.selectedTextInfo.text.substring(0, 1500)}`;
+    }
+    if (this.ideCore.chatCodeChunks.length > 0) {
+      contextInfo += '\n' + this.ideCore.chatCodeChunks.map((chunk, index) =>
+        `- Code chunk ${index + 1} from ${chunk.fileName} (lines ${chunk.startLine}-${chunk.endLine}):\n${chunk.text}`
+      ).join('\n');
+    }
+
+    const history = steps.map((step, index) =>
+      `STEP ${index + 1}
+CALL: ${JSON.stringify({ tool: step.tool, args: step.args })}
+RESULT:
+${step.observation}`
+    ).join('\n\n');
+
+    return `You are a coding agent inside an IDE. Complete the user's request by calling tools one at a time.
+
+CONTEXT:
+${contextInfo}
+
+TOOLS:
+${toolList}
+
+RULES:
+- Reply with exactly ONE JSON object and nothing else: { "thought": "short reasoning", "tool": "tool_name", "args": { ... } }
+- Paths are relative to the workspace folder.
+- Read a file before editing it. Prefer find/replace edits for small changes.
+- After each call you will see its RESULT. Use it to decide the next call.
+- When the request is fully done, call "finish" with a short answer for the user.
+
+USER REQUEST:
+${userMessage}
+
+${history ? `PREVIOUS STEPS:\n${history}\n\n` : ''}Next JSON tool call:`;
+  }
+
+  async callModel(model, prompt, images = []) {
+    const result = await this.invoke('ollama:generate', {
+      model,
+      prompt,
+      ...this.ideCore.getRoleOptions('coder'),
+      ...(images.length > 0 ? { images } : {})
+    });
+    return result?.response || '';
+  }
+
+  /**
+   * Pull the first JSON object out of a model reply and normalize it to { tool, args }
+   */
+  parseToolCall(raw) {
+    const text = (raw || '').replace(/```json|```/g, '');
+    const start = text.indexOf('{');
+    if (start === -1) return null;
+
+    // Walk to the matching closing brace, ignoring braces inside strings
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+      if (ch === '"') inString = true;
+      else if (ch === '{') depth++;
+      else if (ch === '}' && --depth === 0) {
+        try {
+          const parsed = JSON.parse(text.slice(start, i + 1));
+          const tool = String(parsed.tool || parsed.name || '').trim();
+          if (!this.tools.has(tool)) return null;
+          return {
+            tool,
+            args: parsed.args || parsed.arguments || parsed.parameters || {},
+            thought: parsed.thought || ''
+          };
+        } catch (error) {
+          console.warn('🤖 Failed to parse tool call JSON:', error.message);
+          return null;
+        }
+      }
+    }
+    return null;
+  }
+
+  async executeTool(call) {
+    const tool = this.tools.get(call.tool);
+    try {
+      const result = await tool.execute(call.args || {});
+      return this.truncate(String(result));
+    } catch (error) {
+      console.error(`❌ Tool ${call.tool} failed:`, error);
+      return `ERROR: ${error.message}`;
+    }
+  }
+
+  truncate(text) {
+    if (text.length <= this.maxObservationLength) return text;
+    return text.substring(0, this.maxObservationLength) + `\n... [truncated ${text.length - this.maxObservationLength} chars]`;
+  }
+
+  // Resolve a tool path inside the workspace, refusing anything that escapes it
+  resolvePath(relativePath) {
+    const nodePath = require('path');
+    const root = this.ideCore.currentFolder;
+    if (!root) {
+      throw new Error('No workspace folder is open');
+    }
+    const resolved = nodePath.resolve(root, relativePath || '.');
+    const relative = nodePath.relative(root, resolved);
+    if (relative.startsWith('..') || nodePath.isAbsolute(relative)) {
+      throw new Error(`Path is outside the workspace: ${relativePath}`);
+    }
+    return resolved;
+  }
+
+  async readFile(args) {
+    const filePath = this.resolvePath(args.path);
+    const result = await this.invoke('fs:readFile', filePath);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const lines = result.content.split('\n');
+    const start = Math.max(1, parseInt(args.startLine) || 1);
+    const end = Math.min(lines.length, parseInt(args.endLine) || lines.length);
+    const numbered = lines.slice(start - 1, end).map((line, index) => `${start + index}: ${line}`);
+    return `${args.path} (lines ${start}-${end} of ${lines.length})\n${numbered.join('\n')}`;
+  }
+
+  async editFile(args) {
+    const filePath = this.resolvePath(args.path);
+    const existing = await this.invoke('fs:readFile', filePath);
+    let newContent;
+
+    if (typeof args.find === 'string' && args.find.length > 0) {
+      if (!existing.success) {
+        throw new Error(`Cannot apply find/replace, file not found: ${args.path}`);
+      }
+      const occurrences = existing.content.split(args.find).length - 1;
+      if (occurrences === 0) {
+        throw new Error('The "find" text was not found in the file. Read the file and copy the text exactly.');
+      }
+      if (occurrences > 1) {
+        throw new Error(`The "find" text appears ${occurrences} times. Include more surrounding lines so it is unique.`);
+      }
+      newContent = existing.content.replace(args.find, () => String(args.replace ?? ''));
+    } else if (typeof args.content === 'string') {
+      newContent = args.content;
+    } else {
+      throw new Error('edit_file needs either "find"/"replace" or "content"');
+    }
+
+    let reviewNote = '';
+    if (this.ideCore.diffReview) {
+      const review = await this.ideCore.diffReview.review({
+        filePath,
+        title: existing.success ? 'Review Agent Edit' : 'Review New File',
+        original: existing.success ? existing.content : '',
+        proposed: newContent
+      });
+      if (!review.applied && review.total > 0) {
+        return `The user rejected this edit to ${args.path}. The file was not changed.`;
+      }
+      if (review.accepted < review.total) {
+        newContent = review.content;
+        reviewNote = ` The user accepted only ${review.accepted} of ${review.total} changed hunks; read the file before editing it again.`;
+      }
+    }
+
+    await this.invoke('fs:createDirectory', require('path').dirname(filePath));
+    const writeResult = await this.invoke('fs:writeFile', filePath, newContent);
+    if (!writeResult.success) {
+      throw new Error(writeResult.error);
+    }
+
+    await this.refreshOpenFile(filePath, newContent);
+    if (!existing.success) {
+      this.ideCore.loadFileTree?.();
+    }
+
+    const lineCount = newContent.split('\n').length;
+    return existing.success
+      ? `Updated ${args.path} (${lineCount} lines).${reviewNote}`
+      : `Created ${args.path} (${lineCount} lines).${reviewNote}`;
+  }
+
+  // Keep an open editor tab in sync with a file the agent changed on disk
+  async refreshOpenFile(filePath, content) {
+    const aiManager = this.ideCore.ideAIManager;
+    const fileInfo = aiManager?.openFiles?.get(filePath);
+    if (!fileInfo) return;
+
+    fileInfo.content = content;
+    fileInfo.isDirty = false;
+    if (aiManager.currentFile === filePath && aiManager.editor) {
+      const cursor = aiManager.editor.getCursor();
+      aiManager.isAIEditing = true;
+      aiManager.editor.setValue(content);
+      aiManager.editor.setCursor(cursor);
+      aiManager.isAIEditing = false;
+    }
+    aiManager.updateTabDirtyState?.(filePath, false);
+  }
+
+  async runCommand(args) {
+    const command = String(args.command || '').trim();
+    if (!command) {
+      throw new Error('run_command needs a "command"');
+    }
+    const cwd = this.resolvePath('.');
+    const result = await this.invoke('bash:execute', command, { cwd, source: 'agent', timeoutMs: this.commandTimeoutMs });
+    if (result.denied) {
+      return `${result.error}. Do not retry this command; choose another approach or ask the user.`;
+    }
+    if (result.timedOut) {
+      const hint = this.tools.has('run_task') ? ' If it is a server or watcher, start it with run_task and "wait": false.' : '';
+      const output = [result.output, result.error].filter(Boolean).join('\n');
+      return `${output}\nThe command did not finish and was stopped.${hint}`;
+    }
+    const output = [result.output, result.error].filter(Boolean).join('\n');
+    return `exit code: ${result.code}\n${output || '(no output)'}`;
+  }
+
+  describeTaskIds() {
+    const tasks = this.ideCore.tasks?.tasks || [];
+    return tasks.length > 0 ? tasks.map(task => task.id).join(', ') : 'call list_tasks to see them';
+  }
+
+  async listTasks() {
+    const panel = this.ideCore.tasks;
+    const tasks = panel ? await panel.getTasks() : [];
+    if (tasks.length === 0) {
+      return 'The workspace defines no tasks';
+    }
+    return tasks.map(task => {
+      const run = panel.runs.get(task.id);
+      const last = run ? (run.status === 'running' ? ' [running]' : ` [last run: exit code ${run.exitCode}]`) : '';
+      return `${task.id}: ${task.command}${last}`;
+    }).join('\n');
+  }
+
+  async runTask(args) {
+    const taskId = String(args.task || '').trim();
+    if (!taskId) {
+      throw new Error('run_task needs a "task"');
+    }
+    const panel = this.ideCore.tasks;
+    if (!panel) {
+      throw new Error('Tasks are not available');
+    }
+
+    const started = await panel.run(taskId, { source: 'agent' });
+    if (!started.success) {
+      if (started.denied) {
+        return `${started.error}. Do not retry this task; choose another approach or ask the user.`;
+      }
+      throw new Error(started.error);
+    }
+    const note = started.alreadyRunning ? ' (it was already running)' : '';
+    if (args.wait === false) {
+      return `task ${taskId} started in terminal ${started.run.terminalId}${note}`;
+    }
+
+    const result = await this.invoke('tasks:wait', taskId);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    const status = result.run.status === 'running'
+      ? 'still running after 2 minutes'
+      : `exit code ${result.run.exitCode}`;
+    return `task ${taskId}${note}\nstatus: ${status}\noutput${result.truncated ? ' (last part)' : ''}:\n${result.output || '(no output)'}`;
+  }
+
+  async stopTask(args) {
+    const taskId = String(args.task || '').trim();
+    const result = await this.invoke('tasks:stop', taskId);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return `task ${taskId} stopped`;
+  }
+
+  async readTerminal(args) {
+    const terminalId = args.terminal ? String(args.terminal) : null;
+    if (args.lines) {
+      const lines = Math.min(Math.max(parseInt(args.lines) || 100, 1), 500);
+      const result = await this.invoke('terminal:getOutput', terminalId, { lines });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return result.output ? `terminal ${result.terminalId}:\n${result.output}` : 'The terminal has no output yet';
+    }
+
+    const result = await this.invoke('terminal:getLastCommand', terminalId);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.command
+      ? `terminal ${result.terminalId}\n${this.formatTerminalCommand(result.command)}`
+      : 'No command has run in a terminal yet';
+  }
+
+  // Shared with the terminal's explain/fix actions
+  formatTerminalCommand(last) {
+    const status = last.running
+      ? 'still running'
+      : (last.exitCode === null ? 'exit code unknown' : `exit code ${last.exitCode}`);
+    return `command: ${last.command}\nstatus: ${status}\noutput${last.truncated ? ' (last part)' : ''}:\n${last.output || '(no output)'}`;
+  }
+
+  async search(args) {
+    const query = String(args.query || '');
+    if (!query) {
+      throw new Error('search needs a "query"');
+    }
+    const result = await this.invoke('fs:searchText', this.resolvePath('.'), query, {
+      regex: !!args.regex,
+      maxResults: 50
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (result.matches.length === 0) {
+      return `No matches for "${query}"`;
+    }
+    const nodePath = require('path');
+    return result.matches
+      .map(match => `${nodePath.relative(this.ideCore.currentFolder, match.path)}:${match.line}: ${match.text}`)
+      .join('\n') + (result.truncated ? '\n... more matches not shown' : '');
+  }
+
+  async listDir(args) {
+    const dirPath = this.resolvePath(args.path);
+    const entries = await this.invoke('fs:readDirectory', dirPath);
+    if (!entries.length) {
+      return `${args.path || '.'} is empty or does not exist`;
+    }
+    return entries
+      .sort((a, b) => (b.isDirectory - a.isDirectory) || a.name.localeCompare(b.name))
+      .map(entry => entry.isDirectory ? `${entry.name}/` : entry.name)
+      .join('\n');
+  }
+
+  // Transcript UI - one chat message that grows as the agent works
+  createTranscript(userMessage) {
+    const messageDiv = this.ideCore.addChatMessage('ai', '');
+    const content = messageDiv?.querySelector('.message-content');
+    if (!content) return null;
+
+    messageDiv.classList.add('agent-transcript');
+    content.innerHTML = `
+      <div class="agent-transcript-header">Agent run</div>
+      <div class="agent-steps"></div>
+      <div class="agent-status"></div>
+    `;
+    return content;
+  }
+
+  appendTranscriptStep(transcript, stepNumber, call) {
+    if (!transcript) return null;
+    const argsPreview = call.args.path || call.args.command || call.args.query || '';
+    const step = document.createElement('details');
+    step.className = 'agent-step';
+    step.innerHTML = `
+      <summary>
+        <span class="agent-step-number">${stepNumber}</span>
+        <span class="agent-step-tool">${this.ideCore.escapeHtml(call.tool)}</span>
+        <span class="agent-step-args">${this.ideCore.escapeHtml(String(argsPreview))}</span>
+      </summary>
+      ${call.thought ? `<div class="agent-step-thought">${this.ideCore.escapeHtml(call.thought)}</div>` : ''}
+      <pre class="agent-step-result">running...</pre>
+    `;
+    transcript.querySelector('.agent-steps').appendChild(step);
+    return step;
+  }
+
+  setStepResult(stepElement, observation) {
+    if (!stepElement) return;
+    const pre = stepElement.querySelector('.agent-step-result');
+    pre.textContent = observation.length > 2000 ? observation.substring(0, 2000) + '\n...' : observation;
+    if (observation.startsWith('ERROR:')) {
+      stepElement.classList.add('agent-step-error');
+    }
+  }
+
+  appendTranscriptNote(transcript, note) {
+    this.onEvent('note', { text: note });
+    if (!transcript) return;
+    const div = document.createElement('div');
+    div.className = 'agent-note';
+    div.textContent = note;
+    transcript.querySelector('.agent-steps').appendChild(div);
+  }
+
+  setTranscriptStatus(transcript, status) {
+    if (!transcript) return;
+    transcript.querySelector('.agent-status').textContent = status;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AgentToolLoop;
+} else {
+  window.AgentToolLoop = AgentToolLoop;
+}
@@ -0,0 +1,489 @@
+/**
+ * Mithril AI IDE - Changeset Review
+ * Asks the model for a changeset spanning several files, shows every file in
+ * one review dialog, applies the accepted files all-or-nothing and records the
+ * result as a single undoable history entry
+ */
+
+// ipcRenderer is already imported in ide-core.js which loads before this file
+
+class IDEChangesetReview {
+  constructor(ideCore) {
+    this.ideCore = ideCore;
+    this.maxListedFiles = 300;
+    this.maxFileChars = 20000; // larger files are listed but not sent in full
+    this.maxContextChars = 60000;
+    this.activeModal = null;
+
+    console.log('🗂️ Changeset review initialized');
+  }
+
+  /**
+   * Generate, review and apply a multi-file change for a chat request
+   * @returns {Promise<string>} Outcome summary for synthesis
+   */
+  async run(userMessage) {
+    const root = this.ideCore.currentFolder;
+    if (!root) {
+      this.ideCore.addChatMessage('ai', '❌ Open a folder before asking for project-wide changes.');
+      return 'No workspace folder is open';
+    }
+
+    this.ideCore.ideAIManager?.showNotification('Planning changes across files...', 'info');
+
+    const files = await this.listWorkspaceFiles(root);
+    const context = await this.buildFileContext(root, files, userMessage);
+    const response = await this.ideCore.generateWithModel(
+      this.ideCore.models.tool || this.ideCore.selectedModel,
+      this.buildPrompt(userMessage, files, context),
+      this.getSystemPrompt(),
+      { role: 'coder' }
+    );
+
+    const parsed = this.parseChangeset(response);
+    if (parsed.changes.length === 0) {
+      this.ideCore.addChatMessage('ai', '⚠️ The model did not propose any file changes.');
+      return 'No changes proposed';
+    }
+
+    const changes = await this.resolveChanges(root, parsed.changes);
+    if (changes.length === 0) {
+      this.ideCore.addChatMessage('ai', 'ℹ️ The proposed changes match the current files; nothing to apply.');
+      return 'No effective changes';
+    }
+
+    const selected = await this.review({ title: parsed.summary || userMessage, changes });
+    if (!selected || selected.length === 0) {
+      this.ideCore.addChatMessage('ai', '🚫 Changeset discarded. No files were changed.');
+      return 'Changeset rejected by user';
+    }
+
+    return await this.apply(root, parsed.summary || userMessage, selected);
+  }
+
+  getSystemPrompt() {
+    return `You are a code editor that changes several files at once. Reply with a changeset in exactly this format and nothing else:
+
+SUMMARY: one line describing the change
+
+=== MODIFY relative/path/to/file.ext
+<complete new file content>
+=== END
+
+=== CREATE relative/path/to/new-file.ext
+<complete file content>
+=== END
+
+=== RENAME old/path.ext -> new/path.ext
+<complete new content, or leave empty to move the file unchanged>
+=== END
+
+=== DELETE relative/path/to/file.ext
+=== END
+
+Rules:
+- Paths are relative to the workspace root
+- MODIFY and CREATE blocks contain the COMPLETE file, never a diff or an excerpt
+- Only include files that actually change
+- No markdown code fences and no explanations outside the blocks`;
+  }
+
+  buildPrompt(userMessage, files, context) {
+    return `WORKSPACE FILES:
+${files.join('\n')}${files.length >= this.maxListedFiles ? '\n... (list truncated)' : ''}
+
+CURRENT FILE CONTENTS:
+${context || '(none loaded)'}
+
+USER REQUEST: ${userMessage}`;
+  }
+
+  // Relative paths of workspace files, skipping hidden folders and node_modules
+  async listWorkspaceFiles(root) {
+    const files = [];
+    const walk = async (dir, depth) => {
+      if (depth > 6 || files.length >= this.maxListedFiles) return;
+      const entries = await ipcRenderer.invoke('fs:readDirectory', dir);
+      for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        if (files.length >= this.maxListedFiles) return;
+        if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+        if (entry.isDirectory) {
+          await walk(entry.path, depth + 1);
+        } else {
+          files.push(this.relativePath(root, entry.path));
+        }
+      }
+    };
+    await walk(root, 0);
+    return files;
+  }
+
+  relativePath(root, filePath) {
+    const nodePath = require('path');
+    return nodePath.relative(root, filePath).split(nodePath.sep).join('/');
+  }
+
+  /**
+   * Full contents of the files the change most likely touches: open tabs,
+   * files named in the request and the best semantic search hits
+   */
+  async buildFileContext(root, files, userMessage) {
+    const candidates = new Set();
+
+    for (const filePath of this.ideCore.ideAIManager?.openFiles?.keys() || []) {
+      const fileInfo = this.ideCore.ideAIManager.openFiles.get(filePath);
+      if (!fileInfo.readOnly && !fileInfo.isNew && filePath.startsWith(root)) {
+        candidates.add(this.relativePath(root, filePath));
+      }
+    }
+
+    const message = userMessage.toLowerCase();
+    files.forEach(file => {
+      if (message.includes(file.toLowerCase()) || message.includes(pathUtils.basename(file).toLowerCase())) {
+        candidates.add(file);
+      }
+    });
+
+    try {
+      const hits = await this.ideCore.semanticSearch?.search(userMessage, { topK: 8 }) || [];
+      hits.forEach(hit => candidates.add(hit.relPath));
+    } catch (error) {
+      console.warn('⚠️ Semantic search skipped for changeset:', error.message);
+    }
+
+    const sections = [];
+    let used = 0;
+    for (const relPath of candidates) {
+      const result = await ipcRenderer.invoke('fs:readFile', pathUtils.join(root, relPath));
+      if (!result.success) continue;
+      if (result.content.length > this.maxFileChars || used + result.content.length > this.maxContextChars) {
+        sections.push(`--- ${relPath} (too large to include)`);
+        continue;
+      }
+      used += result.content.length;
+      sections.push(`--- ${relPath}\n${result.content}`);
+    }
+    return sections.join('\n\n');
+  }
+
+  /**
+   * Parse the block format from getSystemPrompt
+   * @returns {Object} { summary, changes: [{ action, path, newPath?, content? }] }
+   */
+  parseChangeset(text) {
+    const summaryMatch = text.match(/^SUMMARY:\s*(.+)$/m);
+    const changes = [];
+    let current = null;
+
+    const clean = (p) => p.trim().replace(/^[`'"]+|[`'"]+$/g, '').replace(/^\.\//, '');
+
+    for (const line of text.split('\n')) {
+      const header = line.match(/^===\s*(CREATE|MODIFY|RENAME|DELETE)\s+(.+?)\s*$/i);
+      if (header) {
+        if (current) changes.push(current);
+        const action = header[1].toLowerCase();
+        current = { action, lines: [] };
+        if (action === 'rename') {
+          const [from, to] = header[2].split(/\s*->\s*/);
+          current.path = clean(from || '');
+          current.newPath = clean(to || '');
+        } else {
+          current.path = clean(header[2]);
+        }
+        continue;
+      }
+
+      if (/^===\s*END\s*$/i.test(line)) {
+        if (current) changes.push(current);
+        current = null;
+        continue;
+      }
+
+      current?.lines.push(line);
+    }
+    if (current) changes.push(current);
+
+    return {
+      summary: summaryMatch ? summaryMatch[1].trim() : '',
+      changes: changes
+        .filter(change => change.path && (change.action !== 'rename' || change.newPath))
+        .map(({ lines, ...change }) => {
+          // Models sometimes wrap the content in a code fence anyway
+          if (lines.length >= 2 && /^```/.test(lines[0]) && /^```\s*$/.test(lines[lines.length - 1])) {
+            lines = lines.slice(1, -1);
+          }
+          const content = lines.join('\n');
+          if (change.action === 'create' || change.action === 'modify') {
+            change.content = content.endsWith('\n') ? content : `${content}\n`;
+          } else if (change.action === 'rename' && content.trim()) {
+            change.content = content.endsWith('\n') ? content : `${content}\n`;
+          }
+          return change;
+        })
+    };
+  }
+
+  // Attach current file contents and hashes, and fix up actions that don't match the disk
+  async resolveChanges(root, changes) {
+    const resolved = [];
+    for (const change of changes) {
+      const current = await ipcRenderer.invoke('fs:readFile', pathUtils.join(root, change.path));
+      const before = current.success ? current.content : null;
+      let action = change.action;
+
+      if (action === 'modify' && before === null) action = 'create';
+      if (action === 'create' && before !== null) action = 'modify';
+      if ((action === 'delete' || action === 'rename') && before === null) {
+        console.warn(`⚠️ Skipping ${action} of missing file ${change.path}`);
+        continue;
+      }
+      if (action === 'modify' && before === change.content) continue;
+
+      resolved.push({ ...change, action, before });
+    }
+
+    // Hashes of the bytes on disk: `before` is decoded text, which can't be
+    // compared with a binary file when the changeset is applied
+    const snapshot = await ipcRenderer.invoke('changeset:snapshot', root, resolved.map(change => change.path));
+    if (!snapshot.success) {
+      throw new Error(snapshot.error);
+    }
+    resolved.forEach(change => { change.expectedHash = snapshot.hashes[change.path] ?? undefined; });
+    return resolved;
+  }
+
+  /**
+   * Show all files of a changeset in one dialog; each file can be left out
+   * @returns {Promise<Array|null>} the changes to apply, or null if cancelled
+   */
+  async review({ title, changes }) {
+    if (!this.ideCore.diffReview?.reviewEnabled) {
+      return changes;
+    }
+
+    if (this.activeModal) {
+      this.activeModal.cancel();
+    }
+
+    return new Promise((resolve) => this.showModal(title, changes, resolve));
+  }
+
+  showModal(title, changes, resolve) {
+    const escape = (text) => this.ideCore.escapeHtml(text || '');
+    const diffReview = this.ideCore.diffReview;
+
+    const files = changes.map((change, index) => {
+      const before = change.action === 'create' ? '' : change.before;
+      const after = change.action === 'delete' ? '' : (change.content ?? change.before);
+      const hunks = before === after ? [] : diffReview.buildHunks(diffReview.splitLines(before), diffReview.splitLines(after));
+      return {
+        index,
+        change,
+        hunks,
+        added: hunks.reduce((sum, hunk) => sum + hunk.added.length, 0),
+        removed: hunks.reduce((sum, hunk) => sum + hunk.removed.length, 0)
+      };
+    });
+
+    const renderHunk = (hunk) => {
+      const row = (cls, sign, text) =>
+        `<div class="diff-line ${cls}"><span class="diff-sign">${sign}</span><span class="diff-text">${escape(text) || ' '}</span></div>`;
+      return `
+        <div class="diff-hunk-body">
+          ${hunk.contextBefore.map(line => row('diff-context', ' ', line)).join('')}
+          ${hunk.lines.map(op => op.type === 'delete' ? row('diff-delete', '-', op.line) : row('diff-insert', '+', op.line)).join('')}
+          ${hunk.contextAfter.map(line => row('diff-context', ' ', line)).join('')}
+        </div>
+      `;
+    };
+
+    const modal = document.createElement('div');
+    modal.className = 'diff-review-modal';
+    modal.innerHTML = `
+      <div class="diff-review-content">
+        <div class="diff-review-header">
+          <h3>
+            <i data-lucide="files"></i>
+            ${escape(title)}
+          </h3>
+          <span class="diff-review-stats">${files.length} file${files.length === 1 ? '' : 's'}</span>
+        </div>
+        <div class="diff-review-body">
+          ${files.map(file => `
+            <div class="changeset-file" data-index="${file.index}">
+              <div class="changeset-file-header">
+                <input type="checkbox" class="changeset-file-toggle" checked>
+                <span class="changeset-action ${file.change.action}">${file.change.action}</span>
+                <span class="changeset-path">${escape(file.change.path)}${file.change.newPath ? ` → ${escape(file.change.newPath)}` : ''}</span>
+                <span class="diff-review-stats">
+                  <span class="diff-stat-add">+${file.added}</span>
+                  <span class="diff-stat-del">−${file.removed}</span>
+                </span>
+              </div>
+              <div class="changeset-file-diff">
+                ${file.hunks.length ? file.hunks.map(renderHunk).join('') : '<div class="changeset-no-diff">Content unchanged</div>'}
+              </div>
+            </div>
+          `).join('')}
+        </div>
+        <div class="diff-review-actions">
+          <span class="changeset-note">Selected files are applied together; if any write fails, none are kept.</span>
+          <span class="diff-review-spacer"></span>
+          <button class="diff-review-btn diff-cancel">Discard</button>
+          <button class="diff-review-btn primary diff-apply">Apply Changeset</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    if (window.lucide) {
+      lucide.createIcons();
+    }
+
+    const close = (result) => {
+      document.removeEventListener('keydown', keyHandler);
+      modal.remove();
+      if (this.activeModal?.modal === modal) {
+        this.activeModal = null;
+      }
+      resolve(result);
+    };
+
+    const cancel = () => close(null);
+    const apply = () => {
+      const selected = [...modal.querySelectorAll('.changeset-file')]
+        .filter(el => el.querySelector('.changeset-file-toggle').checked)
+        .map(el => changes[parseInt(el.dataset.index)]);
+      close(selected);
+    };
+
+    const keyHandler = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        cancel();
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        apply();
+      }
+    };
+
+    modal.querySelectorAll('.changeset-file-toggle').forEach(toggle => {
+      toggle.addEventListener('change', () => {
+        toggle.closest('.changeset-file').classList.toggle('excluded', !toggle.checked);
+      });
+    });
+    modal.querySelectorAll('.changeset-file-header').forEach(header => {
+      header.addEventListener('click', (e) => {
+        if (e.target.classList.contains('changeset-file-toggle')) return;
+        header.parentElement.classList.toggle('collapsed');
+      });
+    });
+    modal.querySelector('.diff-cancel').addEventListener('click', cancel);
+    modal.querySelector('.diff-apply').addEventListener('click', apply);
+    document.addEventListener('keydown', keyHandler);
+
+    this.activeModal = { modal, cancel };
+  }
+
+  async apply(root, title, changes) {
+    const result = await ipcRenderer.invoke('changeset:apply', root, changes.map(change => ({
+      action: change.action,
+      path: change.path,
+      newPath: change.newPath,
+      content: change.content,
+      expectedHash: change.expectedHash
+    })));
+
+    if (!result.success) {
+      this.ideCore.addChatMessage('ai', `❌ Changeset not applied: ${result.error}`);
+      return `Changeset failed: ${result.error}`;
+    }
+
+    await this.syncOpenFiles(root, changes);
+    await this.ideCore.loadFileTree?.();
+
+    const entry = this.ideCore.ideAIManager?.addToHistory('changeset', {
+      title,
+      root,
+      changes: changes.map(({ action, path, newPath }) => ({ action, path, newPath })),
+      inverse: result.inverse,
+      undone: false
+    });
+
+    this.showResultMessage(title, changes, entry);
+    return `Applied changeset "${title}" to ${changes.length} file${changes.length === 1 ? '' : 's'}`;
+  }
+
+  showResultMessage(title, changes, entry) {
+    const lines = changes.map(change => change.action === 'rename'
+      ? `- rename \`${change.path}\` → \`${change.newPath}\``
+      : `- ${change.action} \`${change.path}\``);
+    const messageDiv = this.ideCore.addChatMessage('ai', `✅ **${title}**\n\n${lines.join('\n')}`);
+    const content = messageDiv?.querySelector('.message-content');
+    if (!content || !entry) return;
+
+    const undoBtn = document.createElement('button');
+    undoBtn.className = 'changeset-undo-btn';
+    undoBtn.textContent = 'Undo changeset';
+    undoBtn.addEventListener('click', async () => {
+      undoBtn.disabled = true;
+      const undone = await this.ideCore.ideAIManager.undoChangeset(entry.id);
+      undoBtn.textContent = undone ? 'Changeset undone' : 'Undo changeset';
+      undoBtn.disabled = undone;
+    });
+    content.appendChild(undoBtn);
+  }
+
+  /**
+   * Apply a history entry's inverse changes
+   * @returns {Promise<boolean>} true if the files were restored
+   */
+  async revert(data) {
+    const result = await ipcRenderer.invoke('changeset:apply', data.root, data.inverse);
+    if (!result.success) {
+      this.ideCore.ideAIManager?.showNotification(`Cannot undo changeset: ${result.error}`, 'error');
+      return false;
+    }
+
+    await this.syncOpenFiles(data.root, data.inverse);
+    await this.ideCore.loadFileTree?.();
+    return true;
+  }
+
+  // Undo changes carry the previous file contents as bytes
+  textOf(content) {
+    return typeof content === 'string' ? content : new TextDecoder().decode(content);
+  }
+
+  // Keep open tabs in line with what the changeset did on disk
+  async syncOpenFiles(root, changes) {
+    const aiManager = this.ideCore.ideAIManager;
+    if (!aiManager) return;
+
+    for (const change of changes) {
+      const filePath = pathUtils.join(root, change.path);
+      if (change.action === 'delete') {
+        if (aiManager.hasOpenFile(filePath)) {
+          aiManager.performFileClose(filePath);
+        }
+      } else if (change.action === 'rename') {
+        const newPath = pathUtils.join(root, change.newPath);
+        if (aiManager.hasOpenFile(filePath)) {
+          aiManager.updateFileTab(filePath, newPath, pathUtils.basename(newPath));
+          if (change.content !== undefined) {
+            aiManager.reloadOpenFile(newPath, this.textOf(change.content));
+          }
+        }
+      } else {
+        aiManager.reloadOpenFile(filePath, this.textOf(change.content ?? ''));
+      }
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IDEChangesetReview;
+} else {
+  window.IDEChangesetReview = IDEChangesetReview;
+}
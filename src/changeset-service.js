@@ -0,0 +1,251 @@
+/**
+ * Mithril AI IDE - Changeset Service
+ * Applies a multi-file changeset (create, modify, rename, delete) as one unit:
+ * every change is checked first, and if any write fails the files already
+ * touched are restored to their previous contents. Previous contents are kept
+ * as Buffers with the file mode, so binaries and executables survive an undo.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const ACTIONS = ['create', 'modify', 'rename', 'delete'];
+
+class ChangesetService {
+  // Resolve a changeset path inside the workspace, refusing anything that escapes it
+  resolvePath(root, relativePath) {
+    if (!relativePath) {
+      throw new Error('Changeset entry is missing a path');
+    }
+    const resolved = path.resolve(root, relativePath);
+    const relative = path.relative(root, resolved);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Path is outside the workspace: ${relativePath}`);
+    }
+    return resolved;
+  }
+
+  async readState(filePath) {
+    try {
+      const [content, stat] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+      return { exists: true, content, mode: stat.mode };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { exists: false, content: null, mode: null };
+      }
+      throw error;
+    }
+  }
+
+  // `expected` is text the model or user wrote, or the bytes an inverse change recorded
+  matches(content, expected) {
+    return content.equals(Buffer.from(expected));
+  }
+
+  hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Hashes of the files as they are when a changeset is reviewed. The renderer
+   * only sees files decoded as UTF-8, so it sends these back as `expectedHash`
+   * rather than text that can't round-trip to the bytes of a binary file.
+   * @returns {Promise<Object>} relative path -> sha256, or null for a missing file
+   */
+  async snapshot(root, relativePaths) {
+    const hashes = {};
+    for (const relativePath of relativePaths) {
+      const state = await this.readState(this.resolvePath(root, relativePath));
+      hashes[relativePath] = state.exists ? this.hash(state.content) : null;
+    }
+    return hashes;
+  }
+
+  async writeFile(filePath, content, mode) {
+    await fs.writeFile(filePath, content ?? '', 'utf8');
+    if (mode) {
+      await fs.chmod(filePath, mode);
+    }
+  }
+
+  /**
+   * Check every change against the files on disk before anything is written.
+   * A change may carry `expected` (the content the user reviewed) or
+   * `expectedHash` (its sha256 from snapshot); if the file has changed since,
+   * the whole changeset is refused.
+   * @returns {Promise<Array>} resolved changes with the current file states
+   */
+  async prepare(root, changes) {
+    if (!root) {
+      throw new Error('No workspace folder is open');
+    }
+    if (!Array.isArray(changes) || changes.length === 0) {
+      throw new Error('Changeset is empty');
+    }
+
+    const prepared = [];
+    const conflicts = [];
+    const touched = new Set();
+
+    for (const change of changes) {
+      if (!ACTIONS.includes(change.action)) {
+        throw new Error(`Unknown changeset action: ${change.action}`);
+      }
+
+      const filePath = this.resolvePath(root, change.path);
+      const targetPath = change.action === 'rename' ? this.resolvePath(root, change.newPath) : filePath;
+      for (const p of new Set([filePath, targetPath])) {
+        if (touched.has(p)) {
+          throw new Error(`Changeset touches ${path.relative(root, p)} more than once`);
+        }
+        touched.add(p);
+      }
+
+      const source = await this.readState(filePath);
+      const target = targetPath === filePath ? source : await this.readState(targetPath);
+      const label = path.relative(root, filePath);
+
+      if (change.action === 'create' && source.exists) {
+        conflicts.push(`${label} already exists`);
+      } else if (change.action !== 'create' && !source.exists) {
+        conflicts.push(`${label} does not exist`);
+      } else if (change.action === 'rename' && target.exists) {
+        conflicts.push(`${path.relative(root, targetPath)} already exists`);
+      } else if (change.expected !== undefined && change.expected !== null && !this.matches(source.content, change.expected)) {
+        conflicts.push(`${label} changed since the changeset was reviewed`);
+      } else if (change.expectedHash && source.exists && this.hash(source.content) !== change.expectedHash) {
+        conflicts.push(`${label} changed since the changeset was reviewed`);
+      }
+
+      prepared.push({ ...change, filePath, targetPath, before: source.content, mode: source.mode ?? change.mode });
+    }
+
+    if (conflicts.length > 0) {
+      const error = new Error(`Changeset conflicts: ${conflicts.join('; ')}`);
+      error.conflicts = conflicts;
+      throw error;
+    }
+
+    return prepared;
+  }
+
+  /**
+   * Apply a changeset atomically
+   * @param {string} root - Workspace folder; all paths are relative to it
+   * @param {Array} changes - [{ action, path, newPath?, content?, expected?, expectedHash?, mode? }];
+   *   a rename without content moves the file as it is, mode sets a created file's permissions
+   * @returns {Promise<Object>} { applied, inverse } where inverse undoes the changeset
+   */
+  async apply(root, changes) {
+    const prepared = await this.prepare(root, changes);
+    const undoLog = []; // { filePath, content, mode } - content null means the file did not exist
+    const createdDirs = [];
+
+    const ensureDir = async (filePath) => {
+      const created = await fs.mkdir(path.dirname(filePath), { recursive: true });
+      if (created) createdDirs.push(created);
+    };
+
+    try {
+      for (const change of prepared) {
+        if (change.action === 'create' || change.action === 'modify') {
+          undoLog.push({ filePath: change.filePath, content: change.before, mode: change.mode });
+          await ensureDir(change.filePath);
+          await this.writeFile(change.filePath, change.content, change.action === 'create' ? change.mode : null);
+        } else if (change.action === 'delete') {
+          undoLog.push({ filePath: change.filePath, content: change.before, mode: change.mode });
+          await fs.unlink(change.filePath);
+        } else {
+          undoLog.push({ filePath: change.filePath, content: change.before, mode: change.mode });
+          undoLog.push({ filePath: change.targetPath, content: null });
+          await ensureDir(change.targetPath);
+          if (change.content === undefined || change.content === null) {
+            await fs.rename(change.filePath, change.targetPath);
+          } else {
+            await this.writeFile(change.targetPath, change.content, change.mode);
+            await fs.unlink(change.filePath);
+          }
+        }
+      }
+    } catch (error) {
+      await this.rollback(undoLog, createdDirs);
+      throw new Error(`Changeset failed and was rolled back: ${error.message}`);
+    }
+
+    // Don't leave behind folders that deletes and renames emptied
+    for (const change of prepared) {
+      if (change.action === 'delete' || change.action === 'rename') {
+        await this.removeEmptyParents(path.resolve(root), change.filePath);
+      }
+    }
+
+    return {
+      applied: prepared.map(change => ({
+        action: change.action,
+        path: change.filePath,
+        newPath: change.action === 'rename' ? change.targetPath : undefined
+      })),
+      inverse: this.invert(root, prepared)
+    };
+  }
+
+  async removeEmptyParents(root, filePath) {
+    let dir = path.dirname(filePath);
+    while (dir !== root && dir.startsWith(root + path.sep)) {
+      try {
+        await fs.rmdir(dir); // fails unless the folder is empty
+      } catch {
+        return;
+      }
+      dir = path.dirname(dir);
+    }
+  }
+
+  // Restore every touched file, newest first; failures here are logged, not thrown
+  async rollback(undoLog, createdDirs) {
+    for (const entry of [...undoLog].reverse()) {
+      try {
+        if (entry.content === null) {
+          await fs.rm(entry.filePath, { force: true });
+        } else {
+          await this.writeFile(entry.filePath, entry.content, entry.mode);
+        }
+      } catch (error) {
+        console.error('❌ Changeset rollback failed for', entry.filePath, error.message);
+      }
+    }
+    for (const dir of createdDirs.reverse()) {
+      await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  // Changes that undo a prepared changeset, in reverse order
+  invert(root, prepared) {
+    const rel = (filePath) => path.relative(root, filePath);
+
+    return [...prepared].reverse().map(change => {
+      switch (change.action) {
+        case 'create':
+          return { action: 'delete', path: rel(change.filePath), expected: change.content ?? '' };
+        case 'modify':
+          return { action: 'modify', path: rel(change.filePath), content: change.before, expected: change.content ?? '' };
+        case 'delete':
+          return { action: 'create', path: rel(change.filePath), content: change.before, mode: change.mode };
+        default:
+          if (change.content === undefined || change.content === null) {
+            return { action: 'rename', path: rel(change.targetPath), newPath: rel(change.filePath), expectedHash: this.hash(change.before) };
+          }
+          return {
+            action: 'rename',
+            path: rel(change.targetPath),
+            newPath: rel(change.filePath),
+            content: change.before,
+            expected: change.content
+          };
+      }
+    });
+  }
+}
+
+module.exports = ChangesetService;
@@ -0,0 +1,202 @@
+/**
+ * Mithril AI IDE - Chat Images
+ * Images pasted or dropped into the chat (UI mockups, error screenshots) are
+ * held as attachments until the message is sent, then go to the model as
+ * base64 `images`. Only vision-capable models can read them, so the answer
+ * switches to an installed vision model when the role's model is text-only.
+ * Small thumbnails are kept with the message in session memory.
+ */
+
+// ipcRenderer is already imported in ide-core.js which loads before this file
+
+const MAX_CHAT_IMAGE_BYTES = 20 * 1024 * 1024;
+const MAX_CHAT_IMAGES = 4;
+const THUMBNAIL_SIZE = 160;
+
+// Model names that ship a vision encoder; Ollama also reports it in details.families
+const VISION_MODEL_PATTERN = /llava|vision|moondream|minicpm-v|qwen2\.?5?-?vl|gemma3|granite3\.2-vision|mistral-small3\.1|llama4/i;
+const VISION_FAMILIES = ['clip', 'mllama'];
+
+class IDEChatImages {
+  constructor(ideCore) {
+    this.ideCore = ideCore;
+    this.pending = []; // { id, name, mimeType, data (base64), thumbnail (data URL) }
+    this.warnedModels = new Set();
+
+    console.log('🖼️ Chat images initialized');
+  }
+
+  init() {
+    const chatInput = document.getElementById('chat-input');
+    const chatPanel = document.querySelector('.chat-input-area');
+
+    chatInput?.addEventListener('paste', (e) => {
+      const files = Array.from(e.clipboardData?.files || []).filter(file => file.type.startsWith('image/'));
+      if (files.length === 0) return;
+      e.preventDefault();
+      files.forEach(file => this.add(file));
+    });
+
+    chatPanel?.addEventListener('dragover', (e) => {
+      if (!Array.from(e.dataTransfer?.items || []).some(item => item.type.startsWith('image/'))) return;
+      e.preventDefault();
+      chatPanel.classList.add('drag-over');
+    });
+    chatPanel?.addEventListener('dragleave', () => chatPanel.classList.remove('drag-over'));
+    chatPanel?.addEventListener('drop', (e) => {
+      chatPanel.classList.remove('drag-over');
+      const files = Array.from(e.dataTransfer?.files || []).filter(file => file.type.startsWith('image/'));
+      if (files.length === 0) return;
+      e.preventDefault();
+      files.forEach(file => this.add(file));
+    });
+  }
+
+  async add(file) {
+    const notify = (message, type) => this.ideCore.ideAIManager?.showNotification(message, type);
+    if (this.pending.length >= MAX_CHAT_IMAGES) {
+      notify(`At most ${MAX_CHAT_IMAGES} images per message`, 'warning');
+      return;
+    }
+    if (file.size > MAX_CHAT_IMAGE_BYTES) {
+      notify(`${file.name || 'Image'} is larger than ${MAX_CHAT_IMAGE_BYTES / (1024 * 1024)} MB`, 'error');
+      return;
+    }
+
+    try {
+      const dataUrl = await this.readAsDataUrl(file);
+      const image = {
+        id: `img_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+        name: file.name || 'pasted-image.png',
+        mimeType: file.type,
+        data: dataUrl.substring(dataUrl.indexOf(',') + 1),
+        thumbnail: await this.createThumbnail(dataUrl)
+      };
+      this.pending.push(image);
+      this.renderPending();
+      console.log(`🖼️ Image attached: ${image.name} (${Math.round(file.size / 1024)} KB)`);
+    } catch (error) {
+      console.error('❌ Failed to attach image:', error);
+      notify(`Could not read image: ${error.message}`, 'error');
+    }
+  }
+
+  readAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error || new Error('Read failed'));
+      reader.readAsDataURL(file);
+    });
+  }
+
+  createThumbnail(dataUrl) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(img.width, img.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.width * scale));
+        canvas.height = Math.max(1, Math.round(img.height * scale));
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        resolve(canvas.toDataURL('image/jpeg', 0.7));
+      };
+      img.onerror = () => reject(new Error('Unsupported image format'));
+      img.src = dataUrl;
+    });
+  }
+
+  remove(id) {
+    this.pending = this.pending.filter(image => image.id !== id);
+    this.renderPending();
+  }
+
+  clear() {
+    this.pending = [];
+    this.renderPending();
+  }
+
+  hasPending() {
+    return this.pending.length > 0;
+  }
+
+  // Hand the attachments to the message being sent and empty the strip
+  take() {
+    const images = this.pending;
+    this.pending = [];
+    this.warnedModels.clear();
+    this.renderPending();
+    return images;
+  }
+
+  renderPending() {
+    const area = document.getElementById('chat-image-attachments');
+    const container = document.getElementById('chat-image-container');
+    if (!area || !container) return;
+
+    area.style.display = this.pending.length > 0 ? 'block' : 'none';
+    container.innerHTML = this.pending.map(image => `
+      <div class="chat-image-card" data-image-id="${image.id}" title="${this.ideCore.escapeHtml(image.name).replace(/"/g, '&quot;')}">
+        <img src="${image.thumbnail}" alt="">
+        <button class="chunk-card-remove" title="Remove image">×</button>
+      </div>
+    `).join('');
+    container.querySelectorAll('.chat-image-card').forEach(card => {
+      card.querySelector('.chunk-card-remove').addEventListener('click', () => this.remove(card.dataset.imageId));
+    });
+  }
+
+  // Thumbnail strip shown inside a chat message
+  renderThumbnails(images = []) {
+    if (images.length === 0) return '';
+    const escape = (value) => this.ideCore.escapeHtml(value || '').replace(/"/g, '&quot;');
+    return `<div class="chat-message-images">${images.map(image =>
+      `<img class="chat-message-image" src="${escape(image.thumbnail)}" alt="${escape(image.name)}" title="${escape(image.name)}">`
+    ).join('')}</div>`;
+  }
+
+  isVisionModel(name) {
+    if (!name) return false;
+    const info = this.ideCore.availableModels.find(model => model.name === name);
+    const families = info?.details?.families || [];
+    return families.some(family => VISION_FAMILIES.includes(family)) || VISION_MODEL_PATTERN.test(name);
+  }
+
+  /**
+   * Model to send images to: the requested one when it has vision, otherwise
+   * the first installed vision model
+   * @returns {string|null} null when no installed model can read images
+   */
+  resolveVisionModel(model) {
+    if (this.isVisionModel(model)) return model;
+
+    const fallback = this.ideCore.availableModels.map(m => m.name).find(name => this.isVisionModel(name));
+    if (!this.warnedModels.has(model)) {
+      this.warnedModels.add(model);
+      this.ideCore.ideAIManager?.showNotification(fallback
+        ? `${model} can't read images, using ${fallback} for this message`
+        : `${model} can't read images and no vision model is installed (try: ollama pull llava)`,
+        fallback ? 'info' : 'warning');
+    }
+    return fallback || null;
+  }
+
+  /**
+   * Model and base64 payload for a call that should see the message's images
+   * @returns {Object} { model, images } - images is empty when no installed model can read them
+   */
+  prepare(model, images) {
+    if (!images || images.length === 0) return { model, images: [] };
+    const visionModel = this.resolveVisionModel(model);
+    return visionModel
+      ? { model: visionModel, images: images.map(image => image.data) }
+      : { model, images: [] };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IDEChatImages;
+} else {
+  window.IDEChatImages = IDEChatImages;
+}
@@ -0,0 +1,325 @@
+/**
+ * Mithril AI IDE - Checkpoint Store
+ * Workspace snapshots taken before AI actions and todo runs. File contents are
+ * stored once by hash under the app data directory; each checkpoint is a
+ * manifest of path -> hash, so unchanged files cost nothing to snapshot again
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Generated or vendored folders that are never snapshotted
+const IGNORED_DIRS = new Set(['node_modules', '.git', '.hg', '.svn', '__pycache__', '.venv', 'venv', '.next', 'dist', 'build', 'coverage']);
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+const MAX_FILES = 5000;
+const MAX_CHECKPOINTS = 50;
+
+class CheckpointStore {
+  constructor(storageDir) {
+    this.storageDir = storageDir;
+    this.hashCache = new Map(); // absolute path -> { size, mtimeMs, hash }
+    console.log('📸 Checkpoint store initialized at', storageDir);
+  }
+
+  workspaceDir(root) {
+    const key = crypto.createHash('sha1').update(path.resolve(root)).digest('hex').substring(0, 16);
+    return path.join(this.storageDir, key);
+  }
+
+  objectPath(root, hash) {
+    if (!/^[a-f0-9]{64}$/.test(hash)) {
+      throw new Error('Invalid object hash');
+    }
+    return path.join(this.workspaceDir(root), 'objects', hash.substring(0, 2), hash.substring(2));
+  }
+
+  async readIndex(root) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.workspaceDir(root), 'index.json'), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('⚠️ Could not read checkpoint index:', error.message);
+      }
+      return { root: path.resolve(root), checkpoints: [] };
+    }
+  }
+
+  async writeIndex(root, index) {
+    const dir = this.workspaceDir(root);
+    await fs.mkdir(dir, { recursive: true });
+    const indexPath = path.join(dir, 'index.json');
+    await fs.writeFile(`${indexPath}.tmp`, JSON.stringify(index), 'utf8');
+    await fs.rename(`${indexPath}.tmp`, indexPath);
+  }
+
+  async hashFile(abs, stats) {
+    const cached = this.hashCache.get(abs);
+    if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+      return cached.hash;
+    }
+    const hash = crypto.createHash('sha256').update(await fs.readFile(abs)).digest('hex');
+    this.hashCache.set(abs, { size: stats.size, mtimeMs: stats.mtimeMs, hash });
+    return hash;
+  }
+
+  /**
+   * Hash every workspace file, reusing hashes of files whose size and mtime
+   * haven't changed since the last scan. Files over MAX_FILE_SIZE are listed
+   * in skipped; truncated means the walk stopped at MAX_FILES.
+   * @returns {Promise<Object>} { files: { relPath: { hash, abs } }, skipped: [relPath], truncated }
+   */
+  async scan(root) {
+    const files = {};
+    const skipped = [];
+    let count = 0;
+    let truncated = false;
+    const relative = (abs) => path.relative(root, abs).split(path.sep).join('/');
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+
+      for (const entry of entries) {
+        if (count >= MAX_FILES) {
+          truncated = true;
+          return;
+        }
+        const abs = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!IGNORED_DIRS.has(entry.name)) {
+            await walk(abs);
+          }
+          continue;
+        }
+        if (!entry.isFile()) continue;
+
+        const stats = await fs.stat(abs);
+        if (stats.size > MAX_FILE_SIZE) {
+          skipped.push(relative(abs));
+          continue;
+        }
+
+        files[relative(abs)] = { hash: await this.hashFile(abs, stats), abs };
+        count++;
+      }
+    };
+
+    await walk(path.resolve(root));
+    return { files, skipped, truncated };
+  }
+
+  async storeObject(root, hash, abs) {
+    const target = this.objectPath(root, hash);
+    try {
+      await fs.access(target);
+      return; // already stored
+    } catch (error) {
+      // not stored yet
+    }
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.copyFile(abs, `${target}.tmp`);
+    await fs.rename(`${target}.tmp`, target);
+  }
+
+  /**
+   * Snapshot the workspace
+   * @returns {Promise<Object>} checkpoint summary { id, label, source, createdAt, fileCount }
+   */
+  async create(root, options = {}) {
+    if (!root) {
+      throw new Error('No workspace folder is open');
+    }
+
+    const { files, skipped, truncated } = await this.scan(root);
+    const manifest = {};
+    for (const [relPath, file] of Object.entries(files)) {
+      await this.storeObject(root, file.hash, file.abs);
+      manifest[relPath] = file.hash;
+    }
+
+    const index = await this.readIndex(root);
+    const checkpoint = {
+      id: `cp_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+      label: options.label || 'Checkpoint',
+      source: options.source || 'manual',
+      createdAt: new Date().toISOString(),
+      truncated,
+      skipped, // files too large to snapshot; restore leaves them alone
+      files: manifest
+    };
+    index.checkpoints.push(checkpoint);
+
+    const removed = index.checkpoints.splice(0, Math.max(0, index.checkpoints.length - MAX_CHECKPOINTS));
+    await this.writeIndex(root, index);
+    if (removed.length > 0) {
+      await this.collectGarbage(root, index);
+    }
+
+    return this.summarize(checkpoint);
+  }
+
+  summarize(checkpoint) {
+    const { files, skipped, ...summary } = checkpoint;
+    return { ...summary, fileCount: Object.keys(files).length, skippedCount: skipped?.length || 0 };
+  }
+
+  /**
+   * Whether the checkpoint saw a file that isn't in its manifest, so the file
+   * can be treated as created since. Truncated checkpoints, and ones from
+   * before skipped files were recorded, never saw everything.
+   */
+  captured(checkpoint, relPath) {
+    return !checkpoint.truncated && Array.isArray(checkpoint.skipped) && !checkpoint.skipped.includes(relPath);
+  }
+
+  async list(root) {
+    if (!root) return [];
+    const index = await this.readIndex(root);
+    return index.checkpoints.map(checkpoint => this.summarize(checkpoint)).reverse();
+  }
+
+  async get(root, id) {
+    const index = await this.readIndex(root);
+    const checkpoint = index.checkpoints.find(cp => cp.id === id);
+    if (!checkpoint) {
+      throw new Error(`Checkpoint not found: ${id}`);
+    }
+    return checkpoint;
+  }
+
+  /**
+   * Files that differ between a checkpoint and the workspace now.
+   * "added" files were created after the checkpoint and are removed on restore.
+   * "untracked" files are missing from a checkpoint that couldn't capture
+   * them (too large, or past the file limit); restore leaves them alone.
+   * @returns {Promise<Array>} [{ path, status: 'modified' | 'deleted' | 'added' | 'untracked' }]
+   */
+  async diff(root, id) {
+    const checkpoint = await this.get(root, id);
+    const { files } = await this.scan(root);
+    const changes = [];
+
+    for (const [relPath, hash] of Object.entries(checkpoint.files)) {
+      // The scan skips large files and stops at MAX_FILES, so look before calling one deleted
+      const current = files[relPath]?.hash ?? await this.currentHash(root, relPath);
+      if (current === null) {
+        changes.push({ path: relPath, status: 'deleted' });
+      } else if (current !== hash) {
+        changes.push({ path: relPath, status: 'modified' });
+      }
+    }
+    for (const relPath of Object.keys(files)) {
+      if (!(relPath in checkpoint.files)) {
+        changes.push({ path: relPath, status: this.captured(checkpoint, relPath) ? 'added' : 'untracked' });
+      }
+    }
+
+    return changes.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  async currentHash(root, relPath) {
+    const abs = this.resolvePath(root, relPath);
+    try {
+      const stats = await fs.stat(abs);
+      return stats.isFile() ? await this.hashFile(abs, stats) : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Checkpoint and current text of one file; null means the file doesn't exist on that side
+  async fileContents(root, id, relPath) {
+    const checkpoint = await this.get(root, id);
+    const hash = checkpoint.files[relPath];
+    const before = hash ? await fs.readFile(this.objectPath(root, hash), 'utf8') : null;
+    let after = null;
+    try {
+      after = await fs.readFile(this.resolvePath(root, relPath), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return { before, after };
+  }
+
+  resolvePath(root, relPath) {
+    const resolved = path.resolve(root, relPath);
+    const relative = path.relative(path.resolve(root), resolved);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Path is outside the workspace: ${relPath}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Put files back the way they were at a checkpoint. A "Before restore"
+   * checkpoint is taken first so the restore itself can be undone.
+   * @param {Object} options - { paths } limits the restore to some files
+   * @returns {Promise<Object>} { restored: [{ path, status }], backup }
+   */
+  async restore(root, id, options = {}) {
+    const checkpoint = await this.get(root, id);
+    let changes = (await this.diff(root, id)).filter(change => change.status !== 'untracked');
+    if (Array.isArray(options.paths)) {
+      const wanted = new Set(options.paths);
+      changes = changes.filter(change => wanted.has(change.path));
+    }
+    if (changes.length === 0) {
+      return { restored: [], backup: null };
+    }
+
+    const backup = await this.create(root, { label: `Before restoring "${checkpoint.label}"`, source: 'restore' });
+
+    for (const change of changes) {
+      const abs = this.resolvePath(root, change.path);
+      if (change.status === 'added') {
+        await fs.rm(abs, { force: true });
+      } else {
+        await fs.mkdir(path.dirname(abs), { recursive: true });
+        await fs.copyFile(this.objectPath(root, checkpoint.files[change.path]), abs);
+      }
+      this.hashCache.delete(abs);
+    }
+
+    return { restored: changes, backup };
+  }
+
+  async delete(root, id) {
+    const index = await this.readIndex(root);
+    const before = index.checkpoints.length;
+    index.checkpoints = index.checkpoints.filter(cp => cp.id !== id);
+    if (index.checkpoints.length === before) return false;
+
+    await this.writeIndex(root, index);
+    await this.collectGarbage(root, index);
+    return true;
+  }
+
+  // Remove stored contents no remaining checkpoint refers to
+  async collectGarbage(root, index) {
+    const live = new Set(index.checkpoints.flatMap(cp => Object.values(cp.files)));
+    const objectsDir = path.join(this.workspaceDir(root), 'objects');
+    let prefixes = [];
+    try {
+      prefixes = await fs.readdir(objectsDir);
+    } catch (error) {
+      return;
+    }
+
+    for (const prefix of prefixes) {
+      const dir = path.join(objectsDir, prefix);
+      for (const name of await fs.readdir(dir)) {
+        if (!live.has(prefix + name)) {
+          await fs.rm(path.join(dir, name), { force: true });
+        }
+      }
+    }
+  }
+}
+
+module.exports = CheckpointStore;
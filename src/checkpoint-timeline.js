@@ -0,0 +1,280 @@
+/**
+ * Mithril AI IDE - Checkpoint Timeline
+ * Takes a workspace checkpoint before AI actions, agent runs and todo runs,
+ * and shows them as a sidebar timeline where each checkpoint can be diffed
+ * against the current files and restored in full or per file
+ */
+
+// ipcRenderer is already imported in ide-core.js which loads before this file
+
+// Intents that only read the workspace don't need a checkpoint
+const READ_ONLY_TOOLS = ['chat_response', 'read_file', 'analyze_code', 'explain_code'];
+
+class IDECheckpoints {
+  constructor(ideCore) {
+    this.ideCore = ideCore;
+    this.checkpoints = [];
+    this.expanded = new Map(); // checkpoint id -> changes since that checkpoint
+    this.isRefreshing = false;
+
+    console.log('📸 Checkpoints initialized');
+  }
+
+  init() {
+    document.getElementById('checkpoint-create-btn')?.addEventListener('click', async () => {
+      const label = await this.ideCore.showInputDialog('Create Checkpoint', 'Checkpoint name:', 'Manual checkpoint');
+      if (label === null || label === undefined) return;
+      const checkpoint = await this.create(label.trim() || 'Manual checkpoint', 'manual');
+      if (checkpoint) {
+        this.notify('Checkpoint created', 'success');
+      }
+    });
+    document.getElementById('checkpoint-refresh-btn')?.addEventListener('click', () => this.refresh());
+  }
+
+  // Called when the Checkpoints view becomes visible
+  onShow() {
+    this.refresh();
+  }
+
+  isVisible() {
+    return document.getElementById('checkpoints-view')?.classList.contains('active');
+  }
+
+  shouldCheckpoint(tool) {
+    return !READ_ONLY_TOOLS.includes(tool);
+  }
+
+  /**
+   * Snapshot the workspace. Never throws: a failed checkpoint is logged and
+   * the action it guards goes ahead.
+   * @returns {Promise<Object|null>} checkpoint summary
+   */
+  async create(label, source) {
+    const root = this.ideCore.currentFolder;
+    if (!root) return null;
+
+    const result = await ipcRenderer.invoke('checkpoints:create', root, {
+      label: label.length > 80 ? `${label.substring(0, 77)}...` : label,
+      source
+    });
+    if (!result.success) {
+      console.warn('⚠️ Checkpoint failed:', result.error);
+      return null;
+    }
+
+    console.log(`📸 Checkpoint "${result.checkpoint.label}" (${result.checkpoint.fileCount} files)`);
+    if (this.isVisible()) {
+      this.refresh();
+    }
+    return result.checkpoint;
+  }
+
+  async refresh() {
+    if (this.isRefreshing) return;
+    this.isRefreshing = true;
+    try {
+      const result = await ipcRenderer.invoke('checkpoints:list', this.ideCore.currentFolder);
+      this.checkpoints = result.checkpoints || [];
+      this.expanded.clear();
+      this.render();
+    } finally {
+      this.isRefreshing = false;
+    }
+  }
+
+  render() {
+    const container = document.getElementById('checkpoint-list');
+    if (!container) return;
+
+    if (!this.ideCore.currentFolder) {
+      container.innerHTML = '<div class="scm-empty">No folder open</div>';
+      return;
+    }
+    if (this.checkpoints.length === 0) {
+      container.innerHTML = '<div class="scm-empty">No checkpoints yet. One is taken automatically before each AI change.</div>';
+      return;
+    }
+
+    const escape = (text) => this.ideCore.escapeHtml(text || '');
+    container.innerHTML = this.checkpoints.map(checkpoint => `
+      <div class="checkpoint-item ${this.expanded.has(checkpoint.id) ? 'expanded' : ''}" data-id="${checkpoint.id}">
+        <div class="checkpoint-header" title="${escape(checkpoint.label).replace(/"/g, '&quot;')}">
+          <span class="checkpoint-dot source-${escape(checkpoint.source)}"></span>
+          <div class="checkpoint-info">
+            <span class="checkpoint-label">${escape(checkpoint.label)}</span>
+            <span class="checkpoint-meta">${this.formatTime(checkpoint.createdAt)} · ${escape(checkpoint.source)} · ${checkpoint.fileCount} files${checkpoint.truncated || checkpoint.skippedCount ? ' (partial)' : ''}</span>
+          </div>
+        </div>
+        <div class="checkpoint-details">${this.renderDetails(checkpoint)}</div>
+      </div>
+    `).join('');
+
+    if (window.lucide) {
+      lucide.createIcons();
+    }
+
+    container.querySelectorAll('.checkpoint-item').forEach(item => {
+      const checkpoint = this.checkpoints.find(cp => cp.id === item.dataset.id);
+      item.querySelector('.checkpoint-header').addEventListener('click', () => this.toggle(checkpoint));
+
+      item.querySelectorAll('.checkpoint-file').forEach(row => {
+        row.addEventListener('click', () => this.openDiff(checkpoint, row.dataset.path));
+        row.querySelector('.checkpoint-file-restore')?.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.restore(checkpoint, [row.dataset.path]);
+        });
+      });
+      item.querySelector('.checkpoint-restore-all')?.addEventListener('click', () => this.restore(checkpoint));
+      item.querySelector('.checkpoint-delete')?.addEventListener('click', () => this.remove(checkpoint));
+    });
+  }
+
+  renderDetails(checkpoint) {
+    const changes = this.expanded.get(checkpoint.id);
+    if (!changes) return '';
+
+    const escape = (text) => this.ideCore.escapeHtml(text || '');
+    const letters = { modified: 'M', deleted: 'D', added: 'A', untracked: 'U' };
+    const titles = {
+      modified: 'Changed since this checkpoint',
+      deleted: 'Deleted since this checkpoint (restore recreates it)',
+      added: 'Created since this checkpoint (restore removes it)',
+      untracked: 'Not captured by this checkpoint (restore leaves it alone)'
+    };
+    const restorable = changes.filter(change => change.status !== 'untracked');
+
+    return `
+      ${changes.length === 0 ? '<div class="scm-empty">Workspace matches this checkpoint</div>' : changes.map(change => `
+        <div class="scm-file checkpoint-file" data-path="${escape(change.path).replace(/"/g, '&quot;')}" title="${titles[change.status]}">
+          <span class="scm-file-name">${escape(pathUtils.basename(change.path))}</span>
+          <span class="scm-file-dir">${escape(change.path.includes('/') ? pathUtils.dirname(change.path) : '')}</span>
+          ${change.status === 'untracked' ? '' : `
+            <button class="scm-file-action checkpoint-file-restore" title="Restore this file">
+              <i data-lucide="undo-2"></i>
+            </button>
+          `}
+          <span class="scm-file-status status-${letters[change.status]}">${letters[change.status]}</span>
+        </div>
+      `).join('')}
+      <div class="checkpoint-actions">
+        <button class="scm-btn checkpoint-delete">Delete</button>
+        <button class="scm-btn primary checkpoint-restore-all" ${restorable.length === 0 ? 'disabled' : ''}>Restore All</button>
+      </div>
+    `;
+  }
+
+  formatTime(iso) {
+    const date = new Date(iso);
+    const today = new Date().toDateString() === date.toDateString();
+    return today ? date.toLocaleTimeString() : date.toLocaleString();
+  }
+
+  notify(message, type = 'info') {
+    this.ideCore.ideAIManager?.showNotification(message, type);
+  }
+
+  async toggle(checkpoint) {
+    if (this.expanded.has(checkpoint.id)) {
+      this.expanded.delete(checkpoint.id);
+      this.render();
+      return;
+    }
+
+    const result = await ipcRenderer.invoke('checkpoints:diff', this.ideCore.currentFolder, checkpoint.id);
+    if (!result.success) {
+      this.notify(`Could not compare checkpoint: ${result.error}`, 'error');
+      return;
+    }
+    this.expanded.set(checkpoint.id, result.changes);
+    this.render();
+  }
+
+  async openDiff(checkpoint, relPath) {
+    const result = await ipcRenderer.invoke('checkpoints:fileContents', this.ideCore.currentFolder, checkpoint.id, relPath);
+    if (!result.success) {
+      this.notify(`Could not read checkpoint file: ${result.error}`, 'error');
+      return;
+    }
+
+    await this.ideCore.ideAIManager?.openReadOnlyDocument(
+      `checkpoint:${checkpoint.id}:${relPath}`,
+      `${pathUtils.basename(relPath)} (checkpoint)`,
+      this.ideCore.diffReview?.formatUnifiedDiff(relPath, result.before, result.after, { before: 'checkpoint', after: 'workspace' }) || 'No differences',
+      'diff'
+    );
+  }
+
+  /**
+   * Restore a checkpoint, or only some of its files
+   */
+  async restore(checkpoint, paths) {
+    const changes = (this.expanded.get(checkpoint.id) || []).filter(change => change.status !== 'untracked');
+    const affected = paths ? changes.filter(change => paths.includes(change.path)) : changes;
+    const removed = affected.filter(change => change.status === 'added').length;
+
+    const confirmed = await this.ideCore.ideAIManager?.showCustomConfirmDialog(
+      'Restore Checkpoint',
+      `Restore ${affected.length} file${affected.length === 1 ? '' : 's'} to "${checkpoint.label}"?` +
+        (removed ? `\n\n${removed} file${removed === 1 ? '' : 's'} created since then will be deleted.` : '') +
+        '\n\nA checkpoint of the current state is taken first, so this can be undone.',
+      'Restore',
+      'Cancel'
+    );
+    if (!confirmed) return;
+
+    const root = this.ideCore.currentFolder;
+    const result = await ipcRenderer.invoke('checkpoints:restore', root, checkpoint.id, { paths });
+    if (!result.success) {
+      this.notify(`Restore failed: ${result.error}`, 'error');
+      return;
+    }
+
+    await this.syncOpenFiles(root, result.restored);
+    await this.ideCore.loadFileTree?.();
+
+    this.ideCore.ideAIManager?.addToHistory('checkpoint_restored', {
+      checkpointId: checkpoint.id,
+      label: checkpoint.label,
+      files: result.restored.map(change => change.path),
+      backupId: result.backup?.id
+    });
+    this.notify(`Restored ${result.restored.length} file${result.restored.length === 1 ? '' : 's'}`, 'success');
+    await this.refresh();
+  }
+
+  // Reload or close editor tabs for files the restore rewrote or removed
+  async syncOpenFiles(root, restored) {
+    const aiManager = this.ideCore.ideAIManager;
+    if (!aiManager) return;
+
+    for (const change of restored) {
+      const filePath = pathUtils.join(root, change.path);
+      if (!aiManager.hasOpenFile(filePath)) continue;
+
+      if (change.status === 'added') {
+        aiManager.performFileClose(filePath);
+        continue;
+      }
+      const read = await ipcRenderer.invoke('fs:readFile', filePath);
+      if (read.success) {
+        aiManager.reloadOpenFile(filePath, read.content);
+      }
+    }
+  }
+
+  async remove(checkpoint) {
+    const result = await ipcRenderer.invoke('checkpoints:delete', this.ideCore.currentFolder, checkpoint.id);
+    if (!result.success) {
+      this.notify(`Could not delete checkpoint${result.error ? `: ${result.error}` : ''}`, 'error');
+    }
+    await this.refresh();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IDECheckpoints;
+} else {
+  window.IDECheckpoints = IDECheckpoints;
+}
@@ -0,0 +1,252 @@
+/**
+ * Mithril AI IDE - Command Approval
+ * Renderer side of the command policy: confirmation dialog for "ask" commands,
+ * policy settings and the command audit log viewer
+ */
+
+// ipcRenderer is already imported in ide-core.js which loads before this file
+
+class CommandApproval {
+  constructor(ideCore) {
+    this.ideCore = ideCore;
+    this.queue = []; // approval requests waiting behind the open dialog
+    this.activeRequest = null;
+    this.modal = null;
+
+    ipcRenderer.on('commandPolicy:approvalRequest', (event, request) => {
+      this.queue.push(request);
+      this.showNext();
+    });
+
+    console.log('🛡️ Command approval initialized');
+  }
+
+  init() {
+    const defaultSelect = document.getElementById('command-default-action');
+    defaultSelect?.addEventListener('change', async (e) => {
+      await ipcRenderer.invoke('commandPolicy:saveConfig', { defaultAction: e.target.value });
+    });
+
+    document.getElementById('command-audit-btn')?.addEventListener('click', () => this.showAuditLog());
+    this.renderSettings();
+  }
+
+  async setWorkspace(folder) {
+    await ipcRenderer.invoke('commandPolicy:setWorkspace', folder);
+    this.renderSettings();
+  }
+
+  /**
+   * Check a command the renderer is about to run itself. Commands that go through
+   * bash:execute are checked in the main process and don't need this.
+   * @returns {Promise<Object>} { approved, decision, reasons }
+   */
+  async authorize(command, options = {}) {
+    return await ipcRenderer.invoke('commandPolicy:authorize', command, {
+      cwd: options.cwd || this.ideCore.currentFolder,
+      source: options.source
+    });
+  }
+
+  async record(entry) {
+    await ipcRenderer.invoke('commandPolicy:record', { root: this.ideCore.currentFolder, ...entry });
+  }
+
+  showNext() {
+    if (this.activeRequest || this.queue.length === 0) return;
+    this.activeRequest = this.queue.shift();
+    this.showDialog(this.activeRequest);
+  }
+
+  showDialog(request) {
+    const escape = (text) => this.ideCore.escapeHtml(text || '');
+    const modal = document.createElement('div');
+    modal.className = 'command-approval-modal';
+    modal.innerHTML = `
+      <div class="command-approval-content">
+        <div class="command-approval-header">
+          <h3>
+            <i data-lucide="shield-alert"></i>
+            Run this command?
+          </h3>
+          ${request.source ? `<span class="command-approval-source">${escape(request.source)}</span>` : ''}
+        </div>
+        <div class="command-approval-body">
+          <pre class="command-approval-command">${escape(request.command)}</pre>
+          <div class="command-approval-cwd"><span>cwd</span> ${escape(request.cwd || '(default)')}</div>
+          ${request.env ? Object.entries(request.env).map(([name, value]) => `
+            <div class="command-approval-cwd"><span>env</span> ${escape(`${name}=${value}`)}</div>
+          `).join('') : ''}
+          <ul class="command-approval-reasons">
+            ${(request.reasons || []).filter(reason => reason.action !== 'allow').map(reason => `
+              <li class="${reason.action}"><code>${escape(reason.segment)}</code> — ${escape(reason.description)}</li>
+            `).join('')}
+          </ul>
+          ${request.root ? `
+            <label class="command-approval-remember">
+              <input type="checkbox" class="command-remember-toggle">
+              Remember for this workspace: commands starting with
+            </label>
+            <input type="text" class="command-remember-prefix" value="${escape(request.command).replace(/"/g, '&quot;')}" disabled>
+          ` : ''}
+        </div>
+        <div class="command-approval-footer">
+          <button class="command-btn command-deny">Deny</button>
+          <button class="command-btn primary command-allow">Allow</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    this.modal = modal;
+
+    if (window.lucide) {
+      lucide.createIcons();
+    }
+
+    const rememberToggle = modal.querySelector('.command-remember-toggle');
+    const rememberPrefix = modal.querySelector('.command-remember-prefix');
+    rememberToggle?.addEventListener('change', () => {
+      rememberPrefix.disabled = !rememberToggle.checked;
+    });
+
+    const answer = (approved) => {
+      const remember = !!rememberToggle?.checked;
+      this.respond(request.id, {
+        approved,
+        remember,
+        rememberPrefix: remember ? rememberPrefix.value.trim() || request.command : undefined
+      });
+    };
+
+    modal.querySelector('.command-allow').addEventListener('click', () => answer(true));
+    modal.querySelector('.command-deny').addEventListener('click', () => answer(false));
+
+    this.keyHandler = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        answer(false);
+      }
+    };
+    document.addEventListener('keydown', this.keyHandler);
+
+    modal.querySelector('.command-deny').focus();
+  }
+
+  async respond(id, answer) {
+    if (this.keyHandler) {
+      document.removeEventListener('keydown', this.keyHandler);
+      this.keyHandler = null;
+    }
+    this.modal?.remove();
+    this.modal = null;
+    this.activeRequest = null;
+
+    await ipcRenderer.invoke('commandPolicy:respond', id, answer);
+    if (answer.remember) {
+      this.renderSettings();
+    }
+    this.showNext();
+  }
+
+  async renderSettings() {
+    const container = document.getElementById('command-workspace-rules');
+    const defaultSelect = document.getElementById('command-default-action');
+    if (!container && !defaultSelect) return;
+
+    const config = await ipcRenderer.invoke('commandPolicy:getConfig');
+    if (defaultSelect) {
+      defaultSelect.value = config.defaultAction;
+    }
+    if (!container) return;
+
+    if (!config.workspaceRoot) {
+      container.innerHTML = '<div class="provider-empty">Open a folder to manage its remembered commands</div>';
+      return;
+    }
+    if (config.workspaceRules.length === 0) {
+      container.innerHTML = '<div class="provider-empty">No remembered commands for this workspace</div>';
+      return;
+    }
+
+    const escape = (text) => this.ideCore.escapeHtml(text || '');
+    container.innerHTML = config.workspaceRules.map((rule, index) => `
+      <div class="command-rule-row" data-index="${index}">
+        <span class="command-rule-action ${rule.action}">${rule.action}</span>
+        <code class="command-rule-prefix">${escape(rule.prefix || rule.path || 'network')}</code>
+        <button class="provider-remove" title="Forget this rule"><i data-lucide="x"></i></button>
+      </div>
+    `).join('');
+
+    if (window.lucide) {
+      lucide.createIcons();
+    }
+
+    container.querySelectorAll('.provider-remove').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        const index = parseInt(e.target.closest('.command-rule-row').dataset.index);
+        const workspaceRules = config.workspaceRules.filter((rule, i) => i !== index);
+        await ipcRenderer.invoke('commandPolicy:saveConfig', { workspaceRules });
+        this.renderSettings();
+      });
+    });
+  }
+
+  async showAuditLog() {
+    const entries = await ipcRenderer.invoke('commandPolicy:readAudit', 200);
+    const escape = (text) => this.ideCore.escapeHtml(text == null ? '' : String(text));
+
+    const modal = document.createElement('div');
+    modal.className = 'command-approval-modal';
+    modal.innerHTML = `
+      <div class="command-approval-content command-audit-content">
+        <div class="command-approval-header">
+          <h3>
+            <i data-lucide="scroll-text"></i>
+            Command Audit Log
+          </h3>
+          <button class="memory-browser-close" title="Close">×</button>
+        </div>
+        <div class="command-audit-list">
+          ${entries.length === 0 ? '<div class="memory-empty">No commands recorded yet</div>' : entries.map(entry => `
+            <div class="command-audit-entry ${entry.executed ? 'executed' : 'blocked'}">
+              <div class="command-audit-meta">
+                <span>${new Date(entry.timestamp).toLocaleString()}</span>
+                <span>${escape(entry.source)}</span>
+                <span>${entry.executed ? `exit ${escape(entry.exitCode ?? '?')}` : 'blocked'}</span>
+                <span>${escape(entry.decision)}${entry.decidedBy === 'user' ? ' (user)' : ''}</span>
+              </div>
+              <code>${escape(entry.command)}</code>
+              <div class="command-audit-cwd">${escape(entry.cwd)}</div>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    if (window.lucide) {
+      lucide.createIcons();
+    }
+
+    const close = () => {
+      document.removeEventListener('keydown', escHandler);
+      modal.remove();
+    };
+    const escHandler = (e) => {
+      if (e.key === 'Escape') close();
+    };
+    document.addEventListener('keydown', escHandler);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) close();
+    });
+    modal.querySelector('.memory-browser-close').addEventListener('click', close);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CommandApproval;
+} else {
+  window.CommandApproval = CommandApproval;
+}
@@ -28,10 +28,29 @@ class CommandExecutor {
       
       // Use the existing terminal manager to execute command
       if (this.ideCore.ideTerminalManager && this.ideCore.ideTerminalManager.executeCommand) {
+        // The terminal manager spawns from the renderer, so check the command policy here
+        const authorization = await this.ideCore.commandApproval?.authorize(command, { source: 'run_command' });
+        if (!authorization) {
+          return `🛡️ Command not run, the command policy is unavailable: ${command}`;
+        }
+        if (!authorization.approved) {
+          return authorization.decision === 'deny'
+            ? `🛡️ Command blocked by policy: ${command}`
+            : `🛡️ Command not approved: ${command}`;
+        }
+
         try {
           // Execute command in terminal
           console.log('🖥️ Executing via terminal manager:', command);
           await this.ideCore.ideTerminalManager.executeCommand(command);
+          this.ideCore.commandApproval?.record({
+            command,
+            cwd: this.ideCore.currentFolder,
+            source: 'run_command',
+            decision: authorization.decision,
+            decidedBy: authorization.decidedBy,
+            executed: true
+          });
           return `✅ Successfully executed command: ${command}`;
         } catch (terminalError) {
           console.error('🖥️ Terminal manager error:', terminalError);
@@ -0,0 +1,404 @@
+/**
+ * Mithril AI IDE - Command Policy
+ * Decides whether a model-issued shell command may run: allow/deny/ask rules
+ * matched by command prefix, path and network use, per-workspace remembered
+ * decisions and an append-only audit log of every command
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const DECISION_RANK = { allow: 0, ask: 1, deny: 2 };
+
+// Built-in rules; user and workspace rules are checked first
+const DEFAULT_RULES = [
+  { action: 'deny', prefix: 'rm -rf /', description: 'Delete from filesystem root' },
+  { action: 'deny', prefix: 'rm -rf ~', description: 'Delete home directory' },
+  { action: 'deny', prefix: 'mkfs', description: 'Format a filesystem' },
+  { action: 'deny', prefix: 'fdisk', description: 'Partition a disk' },
+  { action: 'deny', prefix: 'format', description: 'Format a drive' },
+  { action: 'deny', prefix: 'del /s /q', description: 'Recursive delete' },
+  { action: 'deny', prefix: 'shutdown', description: 'Shut down the machine' },
+  { action: 'deny', prefix: 'reboot', description: 'Reboot the machine' },
+  { action: 'ask', prefix: 'sudo', description: 'Runs with elevated privileges' },
+  { action: 'ask', prefix: 'dd', description: 'Raw disk copy' },
+  { action: 'ask', prefix: 'rm', description: 'Deletes files' },
+  { action: 'ask', path: '/etc', description: 'Touches system configuration' },
+  { action: 'ask', path: '~/.ssh', description: 'Touches SSH keys' },
+  { action: 'ask', network: true, description: 'Uses the network' },
+  { action: 'allow', prefix: 'ls', description: 'List files' },
+  { action: 'allow', prefix: 'pwd', description: 'Print working directory' },
+  { action: 'allow', prefix: 'cat', description: 'Print a file' },
+  { action: 'allow', prefix: 'echo', description: 'Print text' },
+  { action: 'allow', prefix: 'git status', description: 'Read-only git' },
+  { action: 'allow', prefix: 'git diff', description: 'Read-only git' },
+  { action: 'allow', prefix: 'git log', description: 'Read-only git' },
+  { action: 'allow', prefix: 'npm test', description: 'Run tests' },
+  { action: 'allow', prefix: 'npm run', description: 'Run a package script' },
+  { action: 'allow', prefix: 'node --version', description: 'Version check' },
+  { action: 'allow', prefix: 'python --version', description: 'Version check' },
+  { action: 'allow', prefix: 'python3 --version', description: 'Version check' }
+];
+
+// Programs (or program + subcommand) that reach the network
+const NETWORK_PREFIXES = [
+  'curl', 'wget', 'ssh', 'scp', 'sftp', 'rsync', 'ftp', 'nc', 'telnet',
+  'git clone', 'git fetch', 'git pull', 'git push', 'git submodule update',
+  'npm install', 'npm i', 'npm ci', 'npm publish', 'npx', 'yarn add', 'yarn install', 'pnpm add', 'pnpm install',
+  'pip install', 'pip3 install', 'conda install', 'brew install', 'apt install', 'apt-get install',
+  'docker pull', 'docker push', 'go get', 'cargo install'
+];
+
+// Shell constructs that run or write more than the segments show; commands
+// using them always need confirmation, even when every segment is allowed
+const SHELL_CONSTRUCTS = [
+  { pattern: /\$\(|`/, description: 'Runs a command substitution' },
+  { pattern: /[<>]\(/, description: 'Runs a process substitution' },
+  { pattern: /[<>](?!\()/, description: 'Redirects input or output' }
+];
+
+// Redirections that neither read nor write a file: "2>&1", ">/dev/null"
+const HARMLESS_REDIRECTIONS = /\d*>&\d+|(?:\d*|&)>>?\s*\/dev\/null\b/g;
+
+class CommandPolicy {
+  constructor(storageDir) {
+    this.storageDir = storageDir;
+    this.configPath = path.join(storageDir, 'command-policy.json');
+    this.auditPath = path.join(storageDir, 'command-audit.log');
+    this.webContents = null;
+    this.workspaceRoot = null;
+
+    // { defaultAction, rules: [], workspaces: { root: [rules] } }
+    this.config = { defaultAction: 'ask', rules: [], workspaces: {} };
+    this.pendingApprovals = new Map(); // requestId -> resolve
+    this.nextRequestId = 1;
+
+    console.log('🛡️ Command policy initialized');
+  }
+
+  setRenderer(webContents) {
+    this.webContents = webContents;
+  }
+
+  setWorkspace(root) {
+    this.workspaceRoot = root || null;
+  }
+
+  async load() {
+    try {
+      const saved = JSON.parse(await fs.readFile(this.configPath, 'utf8'));
+      this.config = {
+        defaultAction: DECISION_RANK[saved.defaultAction] !== undefined ? saved.defaultAction : 'ask',
+        rules: Array.isArray(saved.rules) ? saved.rules : [],
+        workspaces: saved.workspaces || {}
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('⚠️ Failed to load command policy:', error.message);
+      }
+    }
+  }
+
+  async save() {
+    await fs.mkdir(this.storageDir, { recursive: true });
+    await fs.writeFile(this.configPath, JSON.stringify(this.config, null, 2), 'utf8');
+  }
+
+  getConfig() {
+    return {
+      defaultAction: this.config.defaultAction,
+      rules: this.config.rules,
+      workspaceRules: this.workspaceRules(this.workspaceRoot),
+      defaultRules: DEFAULT_RULES,
+      workspaceRoot: this.workspaceRoot
+    };
+  }
+
+  async saveConfig(config = {}) {
+    if (config.defaultAction && DECISION_RANK[config.defaultAction] !== undefined) {
+      this.config.defaultAction = config.defaultAction;
+    }
+    if (Array.isArray(config.rules)) {
+      this.config.rules = config.rules.filter(rule => this.isValidRule(rule));
+    }
+    if (Array.isArray(config.workspaceRules) && this.workspaceRoot) {
+      this.config.workspaces[this.workspaceRoot] = config.workspaceRules.filter(rule => this.isValidRule(rule));
+    }
+    await this.save();
+    return this.getConfig();
+  }
+
+  isValidRule(rule) {
+    return rule && DECISION_RANK[rule.action] !== undefined &&
+      (typeof rule.prefix === 'string' || typeof rule.path === 'string' || rule.network === true);
+  }
+
+  workspaceRules(root) {
+    return (root && this.config.workspaces[root]) || [];
+  }
+
+  async rememberForWorkspace(root, rule) {
+    if (!root || !this.isValidRule(rule)) return false;
+    const rules = this.workspaceRules(root).filter(existing => existing.prefix !== rule.prefix);
+    rules.unshift({ ...rule, createdAt: new Date().toISOString() });
+    this.config.workspaces[root] = rules;
+    await this.save();
+    return true;
+  }
+
+  // Split on shell operators so "ls && rm -rf /" is judged by its worst part;
+  // a lone "&" runs its left side in the background and separates commands too
+  splitSegments(command) {
+    return command
+      .split(/&&|\|\||;|\||(?<![<>&])&(?![>&])|\n/)
+      .map(segment => segment.trim().replace(/^\(+|\)+$/g, '').trim())
+      .filter(Boolean);
+  }
+
+  // Commands inside $(...), `...`, <(...) and >(...), judged like the others
+  substitutedCommands(command) {
+    const commands = [];
+    for (const match of command.matchAll(/\$\(([^()]*)\)|`([^`]*)`|[<>]\(([^()]*)\)/g)) {
+      commands.push(match[1] ?? match[2] ?? match[3]);
+    }
+    return commands;
+  }
+
+  // Descriptions of the SHELL_CONSTRUCTS a command uses
+  shellConstructs(command) {
+    const stripped = command.replace(HARMLESS_REDIRECTIONS, '');
+    return SHELL_CONSTRUCTS
+      .filter(construct => construct.pattern.test(stripped))
+      .map(construct => construct.description);
+  }
+
+  /**
+   * How a command is launched can run code the command text doesn't show:
+   * variables such as BASH_ENV, NODE_OPTIONS or LD_PRELOAD, or a working
+   * folder outside the workspace. Either needs confirmation.
+   * @returns {Array} ask reasons
+   */
+  launchConditions(options = {}) {
+    const reasons = [];
+    const env = Object.entries(options.env || {});
+    if (env.length > 0) {
+      reasons.push({
+        segment: env.map(([name, value]) => `${name}=${value}`).join(' '),
+        action: 'ask',
+        description: 'Sets environment variables',
+        source: 'default'
+      });
+    }
+    if (options.root && options.cwd) {
+      const relative = path.relative(path.resolve(options.root), path.resolve(options.cwd));
+      if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        reasons.push({ segment: options.cwd, action: 'ask', description: 'Runs outside the workspace', source: 'default' });
+      }
+    }
+    return reasons;
+  }
+
+  normalize(segment) {
+    return segment.replace(/\s+/g, ' ').trim();
+  }
+
+  // Prefixes match whole words, so "rm -rf /" does not cover "rm -rf /tmp/x"
+  matchesPrefix(segment, prefix) {
+    const normalizedPrefix = this.normalize(prefix);
+    return segment === normalizedPrefix || segment.startsWith(`${normalizedPrefix} `);
+  }
+
+  usesNetwork(segment) {
+    return NETWORK_PREFIXES.some(prefix => this.matchesPrefix(segment, prefix)) ||
+      /\bhttps?:\/\//.test(segment);
+  }
+
+  // Absolute paths a segment touches: its cwd plus any path-like arguments
+  touchedPaths(segment, cwd) {
+    const base = cwd || this.workspaceRoot || os.homedir();
+    const paths = [path.resolve(base)];
+    for (const token of segment.split(' ').slice(1)) {
+      const value = token.replace(/^['"]|['"]$/g, '').replace(/^-[^=]*=/, '');
+      if (/^(\/|~|\.\.?\/|[a-zA-Z]:\\)/.test(value)) {
+        paths.push(this.resolvePath(value, base));
+      }
+    }
+    return paths;
+  }
+
+  resolvePath(value, base) {
+    if (value === '~' || value.startsWith('~/')) {
+      return path.join(os.homedir(), value.substring(1));
+    }
+    return path.resolve(base, value);
+  }
+
+  matchesRule(rule, segment, cwd) {
+    if (typeof rule.prefix === 'string' && !this.matchesPrefix(segment, rule.prefix)) return false;
+    if (rule.network === true && !this.usesNetwork(segment)) return false;
+    if (typeof rule.path === 'string') {
+      const rulePath = this.resolvePath(rule.path, this.workspaceRoot || os.homedir());
+      const touched = this.touchedPaths(segment, cwd);
+      if (!touched.some(p => p === rulePath || p.startsWith(rulePath + path.sep))) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Evaluate a command against workspace, user and built-in rules in that order.
+   * Each segment takes the first matching rule; the strictest segment wins.
+   * Substitutions, redirections, environment overrides (options.env) and a
+   * cwd outside the workspace make the decision at least "ask".
+   * @returns {Object} { decision, reasons: [{ segment, action, description, source }] }
+   */
+  evaluate(command, options = {}) {
+    const root = options.root || this.workspaceRoot;
+    const cwd = options.cwd || root;
+    const layers = [
+      ['workspace', this.workspaceRules(root)],
+      ['user', this.config.rules],
+      ['default', DEFAULT_RULES]
+    ];
+
+    const text = command || '';
+    const segments = [text, ...this.substitutedCommands(text)]
+      .flatMap(part => this.splitSegments(part))
+      .map(segment => this.normalize(segment));
+    if (segments.length === 0) {
+      return { decision: 'deny', reasons: [{ segment: '', action: 'deny', description: 'Empty command', source: 'default' }] };
+    }
+
+    let decision = 'allow';
+    const reasons = [];
+    for (const description of this.shellConstructs(text)) {
+      reasons.push({ segment: this.normalize(text), action: 'ask', description, source: 'default' });
+      decision = 'ask';
+    }
+    for (const reason of this.launchConditions({ env: options.env, root, cwd })) {
+      reasons.push(reason);
+      decision = 'ask';
+    }
+    for (const segment of segments) {
+      let match = null;
+      for (const [source, rules] of layers) {
+        const rule = rules.find(candidate => this.matchesRule(candidate, segment, cwd));
+        if (rule) {
+          match = { segment, action: rule.action, description: rule.description || rule.prefix || rule.path || 'network', source };
+          break;
+        }
+      }
+      if (!match) {
+        match = { segment, action: this.config.defaultAction, description: 'No rule matched', source: 'default' };
+      }
+      reasons.push(match);
+      if (DECISION_RANK[match.action] > DECISION_RANK[decision]) {
+        decision = match.action;
+      }
+    }
+
+    return { decision, reasons };
+  }
+
+  /**
+   * Evaluate a command and, for "ask", wait for the user to answer the
+   * confirmation dialog in the renderer. Denials are written to the audit log.
+   * @returns {Promise<Object>} { approved, decision, reasons, remembered }
+   */
+  async authorize(command, options = {}) {
+    const root = options.root || this.workspaceRoot;
+    const cwd = options.cwd || root;
+    const evaluation = this.evaluate(command, { root, cwd, env: options.env });
+    let approved = evaluation.decision === 'allow';
+    let decidedBy = 'policy';
+    let remembered = false;
+
+    if (evaluation.decision === 'ask') {
+      const answer = await this.requestApproval({ command, cwd, root, env: options.env, source: options.source, reasons: evaluation.reasons });
+      approved = !!answer.approved;
+      decidedBy = 'user';
+      if (answer.remember && root) {
+        remembered = await this.rememberForWorkspace(root, {
+          action: approved ? 'allow' : 'deny',
+          prefix: answer.rememberPrefix || command,
+          description: 'Remembered from confirmation'
+        });
+      }
+    }
+
+    if (!approved) {
+      await this.audit({ command, cwd, root, source: options.source, decision: evaluation.decision, decidedBy, executed: false });
+    }
+
+    return { approved, decision: evaluation.decision, decidedBy, reasons: evaluation.reasons, remembered };
+  }
+
+  requestApproval(request) {
+    if (!this.webContents || this.webContents.isDestroyed()) {
+      return Promise.resolve({ approved: false });
+    }
+
+    const id = this.nextRequestId++;
+    return new Promise((resolve) => {
+      this.pendingApprovals.set(id, resolve);
+      this.webContents.send('commandPolicy:approvalRequest', { id, ...request });
+    });
+  }
+
+  respond(id, answer = {}) {
+    const resolve = this.pendingApprovals.get(id);
+    if (!resolve) return false;
+    this.pendingApprovals.delete(id);
+    resolve(answer);
+    return true;
+  }
+
+  // Reject anything still waiting, e.g. when the window goes away
+  cancelPending() {
+    for (const resolve of this.pendingApprovals.values()) {
+      resolve({ approved: false });
+    }
+    this.pendingApprovals.clear();
+  }
+
+  /**
+   * Append one JSON line to the audit log
+   */
+  async audit(entry) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry });
+    try {
+      await fs.mkdir(this.storageDir, { recursive: true });
+      await fs.appendFile(this.auditPath, line + '\n', 'utf8');
+    } catch (error) {
+      console.error('❌ Failed to write command audit log:', error.message);
+    }
+  }
+
+  /**
+   * Most recent audit entries, newest first
+   */
+  async readAudit(limit = 200) {
+    let content;
+    try {
+      content = await fs.readFile(this.auditPath, 'utf8');
+    } catch (error) {
+      return [];
+    }
+
+    return content
+      .split('\n')
+      .filter(Boolean)
+      .slice(-limit)
+      .reverse()
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+}
+
+module.exports = CommandPolicy;
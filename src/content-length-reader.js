@@ -0,0 +1,58 @@
+/**
+ * Mithril AI IDE - Content-Length Reader
+ * Splits a byte stream framed with Content-Length headers, as used by the
+ * Language Server and Debug Adapter protocols, into JSON messages
+ */
+
+class ContentLengthReader {
+  /**
+   * @param {Function} onMessage - Called with each parsed message
+   * @param {string} label - Protocol name for warnings about unparseable bodies
+   */
+  constructor(onMessage, label = 'JSON-RPC') {
+    this.onMessage = onMessage;
+    this.label = label;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  // Header plus body for one outgoing message
+  static frame(message) {
+    const body = JSON.stringify(message);
+    return `Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`;
+  }
+
+  push(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (true) {
+      const headerEnd = this.buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+
+      const header = this.buffer.slice(0, headerEnd).toString('ascii');
+      const match = header.match(/Content-Length: *(\d+)/i);
+      if (!match) {
+        // Unframed output; drop it and resync on the next header
+        this.buffer = this.buffer.slice(headerEnd + 4);
+        continue;
+      }
+
+      const length = parseInt(match[1]);
+      const bodyStart = headerEnd + 4;
+      if (this.buffer.length < bodyStart + length) return;
+
+      const body = this.buffer.slice(bodyStart, bodyStart + length).toString('utf8');
+      this.buffer = this.buffer.slice(bodyStart + length);
+
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        console.warn(`⚠️ Bad ${this.label} message:`, error.message);
+        continue;
+      }
+      this.onMessage(message);
+    }
+  }
+}
+
+module.exports = ContentLengthReader;
@@ -0,0 +1,629 @@
+/**
+ * Mithril AI IDE - Debug Adapters
+ * Minimal Debug Adapter Protocol client: launches the debug adapter for the
+ * file being debugged (js-debug for Node, debugpy for Python), forwards
+ * breakpoints and stepping commands, and reports where the program paused,
+ * with its call stack and variables, to the renderer
+ */
+
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+const fs = require('fs');
+const ContentLengthReader = require('./content-length-reader');
+
+// Adapters with localBin are looked up in the workspace's node_modules/.bin first, then on PATH
+const ADAPTER_CONFIGS = {
+  node: {
+    name: 'js-debug',
+    command: 'js-debug-adapter',
+    localBin: true,
+    // js-debug's DAP server listens on a port and asks for a second session per debugged process
+    args: ['0', '127.0.0.1'],
+    transport: 'tcp',
+    extensions: ['.js', '.mjs', '.cjs'],
+    installHint: 'Install the DAP server from vscode-js-debug (js-debug-dap) and put js-debug-adapter on PATH',
+    launch: (program, cwd) => ({
+      type: 'pwa-node',
+      request: 'launch',
+      name: path.basename(program),
+      program,
+      cwd,
+      console: 'internalConsole',
+      outputCapture: 'std'
+    })
+  },
+  python: {
+    name: 'debugpy',
+    command: process.platform === 'darwin' ? 'python3' : 'python',
+    args: ['-m', 'debugpy.adapter'],
+    transport: 'stdio',
+    extensions: ['.py'],
+    installHint: 'Install it with: pip install debugpy',
+    launch: (program, cwd) => ({
+      type: 'python',
+      request: 'launch',
+      name: path.basename(program),
+      program,
+      cwd,
+      console: 'internalConsole',
+      justMyCode: true
+    })
+  }
+};
+
+const DAP_REQUEST_TIMEOUT = 15000;
+const DAP_LAUNCH_TIMEOUT = 30000;
+const MAX_STACK_FRAMES = 50;
+const MAX_VARIABLES = 100;
+
+/**
+ * DAP messages over a stream pair (adapter stdio or a socket), with the same
+ * Content-Length framing as LSP
+ */
+class DapConnection {
+  constructor(readable, writable, handlers) {
+    this.writable = writable;
+    this.handlers = handlers; // { onEvent(event, body), onRequest(command, args) }
+    this.nextSeq = 1;
+    this.pending = new Map(); // request seq -> { resolve, reject, timer, command }
+    this.reader = new ContentLengthReader(message => this.dispatch(message), 'DAP');
+    this.capabilities = {};
+
+    readable.on('data', (chunk) => this.reader.push(chunk));
+  }
+
+  async dispatch(message) {
+    if (message.type === 'request') {
+      // Reverse request from the adapter
+      const response = { type: 'response', request_seq: message.seq, command: message.command, success: true };
+      try {
+        response.body = (await this.handlers.onRequest(message.command, message.arguments || {})) || {};
+      } catch (error) {
+        response.success = false;
+        response.message = error.message;
+      }
+      this.write(response);
+    } else if (message.type === 'response') {
+      const pending = this.pending.get(message.request_seq);
+      if (!pending) return;
+      this.pending.delete(message.request_seq);
+      clearTimeout(pending.timer);
+      if (message.success) {
+        pending.resolve(message.body || {});
+      } else {
+        pending.reject(new Error(message.body?.error?.format || message.message || `${pending.command} failed`));
+      }
+    } else if (message.type === 'event') {
+      this.handlers.onEvent(message.event, message.body || {});
+    }
+  }
+
+  write(message) {
+    if (!this.writable.writable) return;
+    this.writable.write(ContentLengthReader.frame({ seq: this.nextSeq++, ...message }));
+  }
+
+  request(command, args, timeout = DAP_REQUEST_TIMEOUT) {
+    const seq = this.nextSeq;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(seq);
+        reject(new Error(`${command} timed out`));
+      }, timeout);
+      this.pending.set(seq, { resolve, reject, timer, command });
+      this.write({ type: 'request', command, arguments: args });
+    });
+  }
+
+  rejectAll(reason) {
+    for (const pending of this.pending.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error(reason));
+    }
+    this.pending.clear();
+  }
+}
+
+class DebugSessionManager {
+  constructor() {
+    this.webContents = null;
+    this.session = null; // one debug session at a time
+    this.nextSessionId = 1;
+  }
+
+  setRenderer(webContents) {
+    this.webContents = webContents;
+  }
+
+  send(channel, payload) {
+    if (this.webContents && !this.webContents.isDestroyed()) {
+      this.webContents.send(channel, payload);
+    }
+  }
+
+  adapterFor(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    for (const [adapterKey, config] of Object.entries(ADAPTER_CONFIGS)) {
+      if (config.extensions.includes(ext)) {
+        return { adapterKey, config };
+      }
+    }
+    return null;
+  }
+
+  resolveCommand(config, root) {
+    if (!config.localBin) return config.command;
+    const binName = process.platform === 'win32' ? `${config.command}.cmd` : config.command;
+    const local = root ? path.join(root, 'node_modules', '.bin', binName) : null;
+    if (local && fs.existsSync(local)) {
+      return local;
+    }
+    return binName;
+  }
+
+  /**
+   * Start debugging a file, ending any session that is still running
+   * @param {Object} options - { program, cwd, root, breakpoints: { [path]: [line, ...] } } with 1-based lines
+   * @returns {Promise<Object>} { success, session } or { success: false, error }
+   */
+  async start({ program, cwd, root, breakpoints = {} }) {
+    const adapter = this.adapterFor(program);
+    if (!adapter) {
+      return { success: false, error: `No debugger for ${path.extname(program) || 'this file'} files` };
+    }
+    await this.stop();
+
+    const session = {
+      id: this.nextSessionId++,
+      adapterKey: adapter.adapterKey,
+      name: adapter.config.name,
+      program,
+      cwd: cwd || path.dirname(program),
+      root: root || null,
+      state: 'starting',
+      breakpoints: new Map(Object.entries(breakpoints)),
+      process: null,
+      rootConnection: null,
+      children: [], // js-debug's per-process sessions
+      connection: null, // the session stepping commands go to
+      threadId: null,
+      pauseCount: 0, // a newer pause or resume makes a paused-state load stale
+      reason: null,
+      description: null,
+      frames: [],
+      scopes: [],
+      exitCode: null
+    };
+    this.session = session;
+    this.sendState(session);
+    console.log(`🐞 Debugging ${program} with ${session.name}`);
+
+    try {
+      await this.launchAdapter(session, adapter.config);
+      await this.configure(session, session.connection, 'launch', adapter.config.launch(program, session.cwd));
+      if (session.state === 'starting') {
+        session.state = 'running';
+        this.sendState(session);
+      }
+      return { success: true, session: this.describe(session) };
+    } catch (error) {
+      console.warn(`⚠️ ${session.name} could not start:`, error.message);
+      await this.endSession(session);
+      return { success: false, error: error.message };
+    }
+  }
+
+  launchAdapter(session, config) {
+    return new Promise((resolve, reject) => {
+      const command = this.resolveCommand(config, session.root);
+      const child = spawn(command, config.args, {
+        cwd: session.cwd,
+        shell: process.platform === 'win32',
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+      session.process = child;
+
+      let stderr = '';
+      let settled = false;
+      let launchTimer = null;
+      const fail = (message) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(launchTimer);
+        reject(new Error(message));
+      };
+      const connect = (readable, writable) => {
+        const connection = this.createConnection(session, readable, writable);
+        session.rootConnection = connection;
+        session.connection = connection;
+        settled = true;
+        clearTimeout(launchTimer);
+        resolve();
+      };
+
+      child.on('error', (error) => {
+        const message = error.code === 'ENOENT' ? `${config.command} is not installed. ${config.installHint}` : error.message;
+        fail(message);
+        session.rootConnection?.rejectAll(message);
+      });
+      child.stdin.on('error', () => {}); // EPIPE once the adapter is gone; 'exit' reports it
+
+      child.stderr.on('data', (data) => {
+        stderr += data.toString();
+        console.log(`🐞 [${config.name}]`, data.toString().trim());
+      });
+
+      child.on('exit', (code) => {
+        const message = /No module named '?debugpy/.test(stderr)
+          ? `debugpy is not installed. ${config.installHint}`
+          : `${config.name} exited with code ${code}${stderr.trim() ? `: ${stderr.trim().split('\n').pop()}` : ''}`;
+        fail(message);
+        session.rootConnection?.rejectAll(message);
+        console.log(`🐞 ${config.name} exited with code ${code}`);
+        if (this.session === session) {
+          this.endSession(session);
+        }
+      });
+
+      if (config.transport === 'stdio') {
+        connect(child.stdout, child.stdin);
+        return;
+      }
+
+      // The server prints "Debug server listening at 127.0.0.1:PORT"; give up if it never does
+      launchTimer = setTimeout(() => {
+        fail(`${config.name} did not start listening within ${DAP_LAUNCH_TIMEOUT / 1000} seconds`);
+        this.endSession(session);
+      }, DAP_LAUNCH_TIMEOUT);
+
+      let stdout = '';
+      child.stdout.on('data', (data) => {
+        if (settled) return;
+        stdout += data.toString();
+        const match = stdout.match(/listening at ([^\s]+):(\d+)/i);
+        if (!match) return;
+
+        session.host = match[1].replace(/^\[|\]$/g, '');
+        session.port = parseInt(match[2]);
+        const socket = net.connect(session.port, session.host);
+        socket.once('connect', () => connect(socket, socket));
+        socket.on('error', (error) => {
+          fail(`Could not connect to ${config.name}: ${error.message}`);
+          session.rootConnection?.rejectAll(error.message);
+        });
+        session.socket = socket;
+      });
+    });
+  }
+
+  createConnection(session, readable, writable) {
+    const connection = new DapConnection(readable, writable, {
+      onEvent: (event, body) => this.handleEvent(session, connection, event, body),
+      onRequest: (command, args) => this.handleAdapterRequest(session, command, args)
+    });
+    return connection;
+  }
+
+  /**
+   * initialize, launch/attach, breakpoints and configurationDone. Adapters
+   * such as debugpy only answer the launch request after configurationDone.
+   */
+  async configure(session, connection, request, args) {
+    const initialized = new Promise(resolve => { connection.onInitialized = resolve; });
+    connection.capabilities = await connection.request('initialize', {
+      clientID: 'mithril',
+      clientName: 'Mithril AI IDE',
+      adapterID: session.adapterKey,
+      pathFormat: 'path',
+      linesStartAt1: true,
+      columnsStartAt1: true,
+      supportsVariableType: true,
+      supportsRunInTerminalRequest: false,
+      supportsStartDebuggingRequest: true,
+      locale: 'en'
+    });
+
+    const launched = connection.request(request, args, DAP_LAUNCH_TIMEOUT);
+    await Promise.race([initialized, launched.then(() => initialized)]);
+
+    for (const [filePath, lines] of session.breakpoints) {
+      await this.sendBreakpoints(connection, filePath, lines);
+    }
+    if (connection.capabilities.supportsConfigurationDoneRequest) {
+      await connection.request('configurationDone', {});
+    }
+    await launched;
+  }
+
+  handleEvent(session, connection, event, body) {
+    if (this.session !== session) return;
+
+    switch (event) {
+      case 'initialized':
+        connection.onInitialized?.();
+        break;
+      case 'output':
+        if (body.category !== 'telemetry' && body.output) {
+          this.send('debug:output', { category: body.category || 'console', output: body.output });
+        }
+        break;
+      case 'stopped':
+        session.connection = connection;
+        session.threadId = body.threadId || session.threadId;
+        session.reason = body.reason || 'pause';
+        session.description = body.text || body.description || null;
+        this.loadPausedState(session).catch(error => {
+          console.warn('⚠️ Could not read the paused state:', error.message);
+        });
+        break;
+      case 'continued':
+        if (session.connection === connection) {
+          this.markRunning(session);
+        }
+        break;
+      case 'exited':
+        session.exitCode = body.exitCode;
+        break;
+      case 'terminated':
+        if (connection === session.rootConnection) {
+          this.endSession(session);
+        } else {
+          session.children = session.children.filter(child => child !== connection);
+          connection.socket?.destroy();
+          if (session.connection === connection) {
+            session.connection = session.children[session.children.length - 1] || session.rootConnection;
+          }
+        }
+        break;
+    }
+  }
+
+  // Answer the adapter's reverse requests
+  handleAdapterRequest(session, command, args) {
+    switch (command) {
+      case 'startDebugging':
+        // Reply first; the child session connects once the adapter has our answer
+        setImmediate(() => this.startChildSession(session, args.request || 'launch', args.configuration || {}));
+        return {};
+      case 'runInTerminal':
+        throw new Error('runInTerminal is not supported');
+      default:
+        return {};
+    }
+  }
+
+  async startChildSession(session, request, configuration) {
+    if (this.session !== session || !session.port) return;
+    try {
+      const socket = net.connect(session.port, session.host);
+      await new Promise((resolve, reject) => {
+        socket.once('connect', resolve);
+        socket.once('error', reject);
+      });
+      const connection = this.createConnection(session, socket, socket);
+      connection.socket = socket;
+      socket.on('error', (error) => connection.rejectAll(error.message));
+      session.children.push(connection);
+      session.connection = connection;
+      await this.configure(session, connection, request, configuration);
+    } catch (error) {
+      console.warn('⚠️ Debug child session failed:', error.message);
+      this.send('debug:output', { category: 'stderr', output: `Debug session failed: ${error.message}\n` });
+    }
+  }
+
+  sendBreakpoints(connection, filePath, lines) {
+    return connection.request('setBreakpoints', {
+      source: { path: filePath, name: path.basename(filePath) },
+      breakpoints: lines.map(line => ({ line })),
+      sourceModified: false
+    });
+  }
+
+  /**
+   * Replace the breakpoints of a file; applied to the running session, and
+   * remembered for the next one by the renderer
+   * @returns {Promise<Object>} { success, breakpoints: [{ line, verified, message }] }
+   */
+  async setBreakpoints(filePath, lines) {
+    const session = this.session;
+    if (!session) {
+      return { success: true, breakpoints: lines.map(line => ({ line, verified: false })) };
+    }
+    session.breakpoints.set(filePath, lines);
+    if (!session.connection || session.state === 'starting') {
+      return { success: true, breakpoints: lines.map(line => ({ line, verified: false })) };
+    }
+
+    const connections = [session.rootConnection, ...session.children];
+    const results = await Promise.all(connections.map(connection =>
+      this.sendBreakpoints(connection, filePath, lines).catch(() => null)
+    ));
+    const result = results[connections.indexOf(session.connection)] || results.find(Boolean);
+    return {
+      success: true,
+      breakpoints: (result?.breakpoints || []).map((breakpoint, index) => ({
+        line: breakpoint.line || lines[index],
+        verified: !!breakpoint.verified,
+        message: breakpoint.message || null
+      }))
+    };
+  }
+
+  async loadPausedState(session) {
+    const connection = session.connection;
+    const pause = ++session.pauseCount;
+    if (!session.threadId) {
+      const { threads = [] } = await connection.request('threads', {});
+      session.threadId = threads[0]?.id || null;
+    }
+
+    const { stackFrames = [] } = await connection.request('stackTrace', {
+      threadId: session.threadId,
+      startFrame: 0,
+      levels: MAX_STACK_FRAMES
+    });
+    const frames = stackFrames.map(frame => ({
+      id: frame.id,
+      name: frame.name,
+      path: frame.source?.path || null,
+      source: frame.source?.name || null,
+      line: frame.line,
+      column: frame.column,
+      hint: frame.presentationHint || frame.source?.presentationHint || null
+    }));
+    const scopes = frames.length > 0 ? await this.scopes(frames[0].id) : [];
+    if (session.pauseCount !== pause || session.state === 'stopped') return;
+
+    session.state = 'paused';
+    session.frames = frames;
+    session.scopes = scopes;
+    console.log(`🐞 Paused (${session.reason}) at ${session.frames[0]?.path}:${session.frames[0]?.line}`);
+    this.sendState(session);
+  }
+
+  /**
+   * Scopes of a stack frame with the variables of the cheap ones filled in
+   */
+  async scopes(frameId) {
+    const connection = this.session?.connection;
+    if (!connection) return [];
+
+    const { scopes = [] } = await connection.request('scopes', { frameId });
+    return Promise.all(scopes.map(async scope => ({
+      name: scope.name,
+      variablesReference: scope.variablesReference,
+      expensive: !!scope.expensive,
+      variables: scope.expensive ? null : await this.variables(scope.variablesReference)
+    })));
+  }
+
+  async variables(variablesReference) {
+    const connection = this.session?.connection;
+    if (!connection || !variablesReference) return [];
+
+    const { variables = [] } = await connection.request('variables', { variablesReference });
+    return variables.slice(0, MAX_VARIABLES).map(variable => ({
+      name: variable.name,
+      value: variable.value,
+      type: variable.type || null,
+      variablesReference: variable.variablesReference || 0
+    }));
+  }
+
+  async evaluate(expression, frameId, context = 'watch') {
+    const connection = this.session?.connection;
+    if (!connection || this.session.state !== 'paused') {
+      throw new Error('The debugger is not paused');
+    }
+    const result = await connection.request('evaluate', { expression, frameId, context });
+    return {
+      value: result.result,
+      type: result.type || null,
+      variablesReference: result.variablesReference || 0
+    };
+  }
+
+  /**
+   * continue, next, stepIn, stepOut or pause
+   */
+  async command(name) {
+    const session = this.session;
+    if (!session || !session.connection || session.state === 'starting') {
+      return { success: false, error: 'No debug session' };
+    }
+    if (!['continue', 'next', 'stepIn', 'stepOut', 'pause'].includes(name)) {
+      return { success: false, error: `Unknown debug command: ${name}` };
+    }
+
+    // Marked before the request: the next stopped event can arrive ahead of its response
+    if (name !== 'pause') {
+      this.markRunning(session);
+    }
+    try {
+      await session.connection.request(name, { threadId: session.threadId });
+      return { success: true };
+    } catch (error) {
+      if (name !== 'pause' && this.session === session) {
+        this.loadPausedState(session).catch(() => null);
+      }
+      return { success: false, error: error.message };
+    }
+  }
+
+  markRunning(session) {
+    session.pauseCount++;
+    if (session.state === 'stopped' || session.state === 'running') return;
+    session.state = 'running';
+    session.frames = [];
+    session.scopes = [];
+    session.reason = null;
+    session.description = null;
+    this.sendState(session);
+  }
+
+  describe(session) {
+    return {
+      id: session.id,
+      adapter: session.name,
+      program: session.program,
+      state: session.state,
+      reason: session.reason,
+      description: session.description,
+      threadId: session.threadId,
+      frames: session.frames,
+      scopes: session.scopes,
+      exitCode: session.exitCode
+    };
+  }
+
+  sendState(session) {
+    this.send('debug:state', this.describe(session));
+  }
+
+  getStatus() {
+    return this.session ? this.describe(this.session) : null;
+  }
+
+  // Ends the session and the adapter; the debuggee goes with it
+  async endSession(session) {
+    if (session.state === 'stopped') return;
+    session.state = 'stopped';
+    if (this.session === session) {
+      this.session = null;
+    }
+
+    const child = session.process;
+    const running = child && child.exitCode === null && child.signalCode === null;
+    const connections = [...session.children, session.rootConnection].filter(Boolean);
+    if (running) {
+      await Promise.all(connections.map(connection =>
+        connection.request('disconnect', { terminateDebuggee: true }, 3000).catch(() => null)
+      ));
+    }
+    connections.forEach(connection => {
+      connection.rejectAll('Debug session ended');
+      connection.socket?.destroy();
+    });
+    session.socket?.destroy();
+
+    if (running && child.pid) {
+      child.kill();
+    }
+
+    session.frames = [];
+    session.scopes = [];
+    console.log(`🐞 Debug session ${session.id} ended`);
+    this.sendState(session);
+  }
+
+  async stop() {
+    if (this.session) {
+      await this.endSession(this.session);
+    }
+    return { success: true };
+  }
+}
+
+module.exports = DebugSessionManager;
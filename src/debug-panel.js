@@ -0,0 +1,562 @@
+/**
+ * Mithril AI IDE - Debugger
+ * Run and Debug view for the Debug Adapter Protocol client in the main process
+ * (src/debug-adapters.js): breakpoints in the editor gutter, step/continue,
+ * call stack, variables and watch expressions, and the paused state as a
+ * report for the chat model
+ */
+
+// ipcRenderer is already imported in ide-core.js which loads before this file
+
+const DEBUG_BREAKPOINTS_KEY = 'debug-breakpoints';
+const DEBUG_WATCHES_KEY = 'debug-watches';
+const DEBUGGABLE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.py'];
+const DEBUG_GUTTER = 'debug-breakpoint-gutter';
+
+class IDEDebugger {
+  constructor(ideCore) {
+    this.ideCore = ideCore;
+    this.session = null; // last debug:state of the running session
+    this.selectedFrameId = null;
+    this.frameScopes = []; // scopes of the selected frame
+    this.children = new Map(); // variablesReference -> expanded variables
+    this.watchValues = new Map(); // expression -> { value } or { error }
+    this.editor = null; // editor instance the breakpoints are drawn in
+    this.editorPath = null;
+    this.markedLines = []; // line handles with a breakpoint marker, to follow edits
+    this.pausedLine = null; // line handle highlighted as the paused position
+    this.syncTimer = null;
+
+    // Lines are 1-based, as the debug adapters count them
+    this.breakpoints = new Map(Object.entries(this.readStorage(DEBUG_BREAKPOINTS_KEY, {})));
+    this.watches = this.readStorage(DEBUG_WATCHES_KEY, []);
+
+    ipcRenderer.on('debug:state', (event, session) => this.onState(session));
+    ipcRenderer.on('debug:output', (event, output) => this.onOutput(output));
+
+    console.log('🐞 Debugger initialized');
+  }
+
+  init() {
+    const actions = {
+      'debug-start-btn': () => this.start(),
+      'debug-ask-ai-btn': () => this.ideCore.explainDebugState(),
+      'debug-continue-btn': () => this.command('continue'),
+      'debug-pause-btn': () => this.command('pause'),
+      'debug-step-over-btn': () => this.command('next'),
+      'debug-step-in-btn': () => this.command('stepIn'),
+      'debug-step-out-btn': () => this.command('stepOut'),
+      'debug-stop-btn': () => this.stop(),
+      'debug-add-watch-btn': () => this.addWatch()
+    };
+    for (const [id, action] of Object.entries(actions)) {
+      document.getElementById(id)?.addEventListener('click', action);
+    }
+
+    // Capture phase so the editor's own F11 (fullscreen) doesn't fire while stepping
+    document.addEventListener('keydown', (e) => this.handleShortcut(e), true);
+    this.render();
+  }
+
+  // Called when the Run and Debug view becomes visible
+  onShow() {
+    this.render();
+  }
+
+  isVisible() {
+    return document.getElementById('debug-view')?.classList.contains('active');
+  }
+
+  isPaused() {
+    return this.session?.state === 'paused';
+  }
+
+  readStorage(key, fallback) {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || fallback;
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  writeStorage(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+
+  canDebug(filePath) {
+    return !!filePath && DEBUGGABLE_EXTENSIONS.includes(require('path').extname(filePath).toLowerCase());
+  }
+
+  handleShortcut(e) {
+    let action = null;
+    if (e.key === 'F5' && e.shiftKey) {
+      action = this.session ? () => this.stop() : null;
+    } else if (e.key === 'F5' && this.isPaused()) {
+      action = () => this.command('continue');
+    } else if (e.key === 'F5' && !this.session && this.canDebug(this.ideCore.ideAIManager?.getCurrentFilePath())) {
+      action = () => this.start();
+    } else if (e.key === 'F10' && this.isPaused()) {
+      action = () => this.command('next');
+    } else if (e.key === 'F11' && this.isPaused()) {
+      action = () => this.command(e.shiftKey ? 'stepOut' : 'stepIn');
+    }
+    if (!action) return;
+    e.preventDefault();
+    e.stopPropagation();
+    action();
+  }
+
+  // Session
+
+  /**
+   * Debug a file (the current editor file by default) with the adapter for its language
+   */
+  async start(filePath) {
+    const aiManager = this.ideCore.ideAIManager;
+    const program = filePath || aiManager?.getCurrentFilePath();
+    if (!this.canDebug(program)) {
+      aiManager?.showNotification('Open a JavaScript or Python file to debug it', 'info');
+      return;
+    }
+    if (aiManager?.currentFile === program && aiManager.openFiles.get(program)?.isDirty) {
+      aiManager.saveCurrentFile();
+    }
+
+    const nodePath = require('path');
+    const terminal = this.ideCore.ideTerminalManager;
+    terminal?.showTerminal();
+    terminal?.appendOutput(`\n🐞 Debugging: ${nodePath.basename(program)}`);
+    this.ideCore.showSidebarView('debug');
+
+    const root = this.ideCore.currentFolder;
+    const result = await ipcRenderer.invoke('debug:start', {
+      program,
+      cwd: root || nodePath.dirname(program),
+      root,
+      breakpoints: Object.fromEntries(this.breakpoints)
+    });
+    if (!result.success) {
+      terminal?.appendOutput(`❌ ${result.error}`, 'stderr');
+      aiManager?.showNotification(`Could not start debugging: ${result.error}`, 'error');
+    }
+    return result;
+  }
+
+  async stop() {
+    await ipcRenderer.invoke('debug:stop');
+  }
+
+  async command(name) {
+    const result = await ipcRenderer.invoke('debug:command', name);
+    if (!result.success) {
+      this.ideCore.ideAIManager?.showNotification(`Debugger: ${result.error}`, 'warning');
+    }
+  }
+
+  onState(session) {
+    if (session.state === 'stopped') {
+      if (this.session) {
+        const exit = session.exitCode === null || session.exitCode === undefined ? '' : ` (exit code ${session.exitCode})`;
+        this.ideCore.ideTerminalManager?.appendOutput(`🐞 Debug session ended${exit}`);
+      }
+      this.session = null;
+    } else {
+      this.session = session;
+    }
+
+    this.children.clear();
+    if (this.isPaused()) {
+      // Start at the first frame with source, skipping internals
+      const frame = session.frames.find(f => f.path && f.hint !== 'deemphasize' && f.hint !== 'subtle') || session.frames[0];
+      this.selectedFrameId = frame?.id ?? null;
+      this.frameScopes = frame === session.frames[0] ? session.scopes : [];
+      if (frame && frame !== session.frames[0]) {
+        this.selectFrame(frame.id);
+        return;
+      }
+      this.evaluateWatches();
+      this.showFrame(frame);
+    } else {
+      this.selectedFrameId = null;
+      this.frameScopes = [];
+      this.watchValues.clear();
+      this.clearPausedLine();
+    }
+    this.render();
+  }
+
+  onOutput({ category, output }) {
+    const text = output.replace(/\n$/, '');
+    if (!text) return;
+    this.ideCore.ideTerminalManager?.appendOutput(text, category === 'stderr' ? 'stderr' : 'stdout');
+  }
+
+  async selectFrame(frameId) {
+    const frame = this.session?.frames.find(f => f.id === frameId);
+    if (!frame) return;
+
+    this.selectedFrameId = frameId;
+    this.children.clear();
+    const result = await ipcRenderer.invoke('debug:scopes', frameId);
+    this.frameScopes = result.scopes;
+    await this.evaluateWatches();
+    this.showFrame(frame);
+    this.render();
+  }
+
+  // Open the frame's file at its line and mark the line
+  async showFrame(frame) {
+    if (!frame?.path) return;
+
+    const current = this.ideCore.ideAIManager?.getCurrentFilePath();
+    if (current !== frame.path) {
+      await this.ideCore.openFile(frame.path);
+    }
+    const editor = this.ideCore.ideAIManager?.editor;
+    if (!editor || this.ideCore.ideAIManager.getCurrentFilePath() !== frame.path) return;
+
+    const target = { line: frame.line - 1, ch: Math.max(0, (frame.column || 1) - 1) };
+    editor.setCursor(target);
+    editor.scrollIntoView(target, 100);
+    this.showPausedLine();
+  }
+
+  selectedFrame() {
+    return this.session?.frames.find(f => f.id === this.selectedFrameId) || null;
+  }
+
+  showPausedLine() {
+    this.clearPausedLine();
+    const frame = this.selectedFrame();
+    const editor = this.editor;
+    if (!frame || !editor || frame.path !== this.editorPath || frame.line > editor.lineCount()) return;
+    this.pausedLine = editor.addLineClass(frame.line - 1, 'background', 'debug-paused-line');
+  }
+
+  clearPausedLine() {
+    if (this.pausedLine && this.editor) {
+      this.editor.removeLineClass(this.pausedLine, 'background', 'debug-paused-line');
+    }
+    this.pausedLine = null;
+  }
+
+  // Breakpoints
+
+  // Called for every new editor instance
+  attach(editor, fileInfo) {
+    this.editor = editor;
+    this.editorPath = fileInfo?.path && !fileInfo.path.startsWith('new:') ? fileInfo.path : null;
+    this.markedLines = [];
+    this.pausedLine = null;
+    if (!this.canDebug(this.editorPath)) return;
+
+    const gutters = editor.getOption('gutters') || [];
+    if (!gutters.includes(DEBUG_GUTTER)) {
+      editor.setOption('gutters', [DEBUG_GUTTER, ...gutters]);
+    }
+    editor.on('gutterClick', (cm, line, gutter) => {
+      if (gutter === DEBUG_GUTTER || gutter === 'CodeMirror-linenumbers') {
+        this.toggleBreakpoint(this.editorPath, line + 1);
+      }
+    });
+    // Markers move with their lines; keep the saved line numbers in step
+    editor.on('changes', () => {
+      if (this.editor === editor) this.followEdits();
+    });
+
+    this.renderGutter();
+    this.showPausedLine();
+  }
+
+  toggleBreakpoint(filePath, line) {
+    const lines = new Set(this.breakpoints.get(filePath) || []);
+    if (lines.has(line)) {
+      lines.delete(line);
+    } else {
+      lines.add(line);
+    }
+    this.setBreakpoints(filePath, [...lines]);
+    this.renderGutter();
+    this.render();
+  }
+
+  setBreakpoints(filePath, lines) {
+    if (lines.length === 0) {
+      this.breakpoints.delete(filePath);
+    } else {
+      this.breakpoints.set(filePath, lines.sort((a, b) => a - b));
+    }
+    this.writeStorage(DEBUG_BREAKPOINTS_KEY, Object.fromEntries(this.breakpoints));
+
+    if (this.session) {
+      ipcRenderer.invoke('debug:setBreakpoints', filePath, lines).then(result => {
+        const rejected = (result.breakpoints || []).find(breakpoint => breakpoint.message && !breakpoint.verified);
+        if (rejected) {
+          this.ideCore.ideAIManager?.showNotification(`Breakpoint on line ${rejected.line}: ${rejected.message}`, 'warning');
+        }
+      });
+    }
+  }
+
+  followEdits() {
+    if (this.markedLines.length === 0) return;
+    const lines = [...new Set(this.markedLines
+      .map(handle => this.editor.getLineNumber(handle))
+      .filter(line => line !== null)
+      .map(line => line + 1))];
+    const saved = this.breakpoints.get(this.editorPath) || [];
+    if (lines.length === saved.length && lines.every(line => saved.includes(line))) return;
+
+    // Edits come in bursts while typing
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => {
+      this.setBreakpoints(this.editorPath, lines);
+      this.render();
+    }, 500);
+    this.breakpoints.set(this.editorPath, lines);
+  }
+
+  renderGutter() {
+    const editor = this.editor;
+    if (!editor || !this.editorPath) return;
+
+    editor.clearGutter(DEBUG_GUTTER);
+    this.markedLines = [];
+    for (const line of this.breakpoints.get(this.editorPath) || []) {
+      if (line > editor.lineCount()) continue;
+      const marker = document.createElement('div');
+      marker.className = 'debug-breakpoint-marker';
+      marker.title = 'Breakpoint (click to remove)';
+      this.markedLines.push(editor.setGutterMarker(line - 1, DEBUG_GUTTER, marker));
+    }
+  }
+
+  // Watches
+
+  async addWatch() {
+    const expression = await this.ideCore.showInputDialog('Add Watch', 'Expression to evaluate while paused:');
+    if (!expression || !expression.trim()) return;
+    this.watches.push(expression.trim());
+    this.writeStorage(DEBUG_WATCHES_KEY, this.watches);
+    await this.evaluateWatches();
+    this.render();
+  }
+
+  removeWatch(index) {
+    this.watchValues.delete(this.watches[index]);
+    this.watches.splice(index, 1);
+    this.writeStorage(DEBUG_WATCHES_KEY, this.watches);
+    this.render();
+  }
+
+  async evaluateWatches() {
+    this.watchValues.clear();
+    if (!this.isPaused()) return;
+    await Promise.all(this.watches.map(async expression => {
+      const result = await ipcRenderer.invoke('debug:evaluate', expression, this.selectedFrameId, 'watch');
+      this.watchValues.set(expression, result.success ? { value: result.value } : { error: result.error });
+    }));
+    this.render();
+  }
+
+  async toggleVariable(variablesReference) {
+    if (this.children.has(variablesReference)) {
+      this.children.delete(variablesReference);
+    } else {
+      const result = await ipcRenderer.invoke('debug:variables', variablesReference);
+      this.children.set(variablesReference, result.variables);
+    }
+    this.render();
+  }
+
+  /**
+   * The paused state as text for the chat model: where it stopped, the call
+   * stack, the source around the line, the variables in scope and the watches
+   * @returns {Promise<string|null>} null when nothing is paused
+   */
+  async describePausedState() {
+    if (!this.isPaused()) return null;
+
+    const nodePath = require('path');
+    const session = this.session;
+    const frame = this.selectedFrame() || session.frames[0];
+    const location = (f) => f.path ? `${nodePath.relative(this.ideCore.currentFolder || '', f.path) || f.path}:${f.line}` : (f.source || 'unknown source');
+    const sections = [
+      `Program: ${session.program} (${session.adapter})`,
+      `Paused: ${session.reason}${session.description ? ` - ${session.description}` : ''}`,
+      `Call stack:\n${session.frames.slice(0, 20).map((f, i) => `  #${i} ${f.name} (${location(f)})${f.id === frame?.id ? '  <- selected' : ''}`).join('\n')}`
+    ];
+
+    if (frame?.path) {
+      try {
+        const lines = (await require('fs').promises.readFile(frame.path, 'utf8')).split('\n');
+        const start = Math.max(0, frame.line - 6);
+        const excerpt = lines.slice(start, frame.line + 4).map((text, i) => {
+          const number = start + i + 1;
+          return `${number === frame.line ? '>' : ' '} ${String(number).padStart(4)} | ${text}`;
+        });
+        sections.push(`Source around ${location(frame)}:\n${excerpt.join('\n')}`);
+      } catch (error) {
+        // Source not readable (internal module); the stack still helps
+      }
+    }
+
+    for (const scope of this.frameScopes) {
+      if (!scope.variables || scope.variables.length === 0) continue;
+      // Globals are mostly noise; keep them short
+      const variables = /global/i.test(scope.name) ? scope.variables.slice(0, 15) : scope.variables;
+      sections.push(`${scope.name}:\n${variables.map(v => `  ${v.name} = ${String(v.value).substring(0, 300)}${v.type ? ` (${v.type})` : ''}`).join('\n')}`);
+    }
+
+    if (this.watches.length > 0) {
+      sections.push(`Watch:\n${this.watches.map(expression => {
+        const watched = this.watchValues.get(expression);
+        return `  ${expression} = ${watched?.error ? `<error: ${watched.error}>` : (watched?.value ?? '<not evaluated>')}`;
+      }).join('\n')}`);
+    }
+
+    return sections.join('\n\n');
+  }
+
+  // Rendering
+
+  render() {
+    if (!document.getElementById('debug-view')) return;
+    const escape = (text) => this.ideCore.escapeHtml(String(text ?? ''));
+    const attr = (text) => escape(text).replace(/"/g, '&quot;');
+    const state = this.session?.state || 'idle';
+    const paused = state === 'paused';
+
+    document.getElementById('debug-toolbar')?.classList.toggle('active', !!this.session);
+    const toggle = (id, enabled) => {
+      const button = document.getElementById(id);
+      if (button) button.disabled = !enabled;
+    };
+    toggle('debug-continue-btn', paused);
+    toggle('debug-pause-btn', state === 'running');
+    toggle('debug-step-over-btn', paused);
+    toggle('debug-step-in-btn', paused);
+    toggle('debug-step-out-btn', paused);
+    toggle('debug-stop-btn', !!this.session);
+    toggle('debug-ask-ai-btn', paused);
+
+    const status = document.getElementById('debug-status');
+    if (status) {
+      const nodePath = require('path');
+      status.className = `debug-status state-${state}`;
+      status.textContent = !this.session
+        ? 'Not debugging. Open a JavaScript or Python file and press F5.'
+        : `${this.session.adapter} · ${nodePath.basename(this.session.program)} · ${paused ? `paused on ${this.session.reason}` : state}`;
+    }
+
+    const stack = document.getElementById('debug-call-stack');
+    if (stack) {
+      const frames = this.session?.frames || [];
+      stack.innerHTML = frames.length === 0
+        ? `<div class="debug-empty">${paused ? 'No stack frames' : 'Not paused'}</div>`
+        : frames.map(frame => `
+          <div class="debug-frame ${frame.id === this.selectedFrameId ? 'selected' : ''} ${frame.hint === 'deemphasize' || frame.hint === 'subtle' ? 'dimmed' : ''}" data-id="${frame.id}" title="${attr(frame.path || frame.source)}">
+            <span class="debug-frame-name">${escape(frame.name)}</span>
+            <span class="debug-frame-location">${escape(frame.source || (frame.path && require('path').basename(frame.path)) || '')}:${frame.line}</span>
+          </div>
+        `).join('');
+      stack.querySelectorAll('.debug-frame').forEach(item => {
+        item.addEventListener('click', () => this.selectFrame(Number(item.dataset.id)));
+      });
+    }
+
+    const variables = document.getElementById('debug-variables');
+    if (variables) {
+      variables.innerHTML = this.frameScopes.length === 0
+        ? `<div class="debug-empty">${paused ? 'No variables' : 'Not paused'}</div>`
+        : this.frameScopes.map(scope => {
+          // Expensive scopes (e.g. globals) are only fetched on request
+          const loaded = scope.variables || this.children.get(scope.variablesReference);
+          return `
+            <div class="debug-scope">${escape(scope.name)}</div>
+            ${loaded ? this.renderVariables(loaded, 1) : `
+              <div class="debug-variable depth-1 expandable" data-ref="${scope.variablesReference}">
+                <span class="debug-variable-toggle">▸</span>
+                <span class="debug-variable-name">Load variables</span>
+              </div>
+            `}
+          `;
+        }).join('');
+      variables.querySelectorAll('.debug-variable.expandable').forEach(item => {
+        item.addEventListener('click', () => this.toggleVariable(Number(item.dataset.ref)));
+      });
+    }
+
+    const watch = document.getElementById('debug-watch');
+    if (watch) {
+      watch.innerHTML = this.watches.length === 0
+        ? '<div class="debug-empty">No watch expressions</div>'
+        : this.watches.map((expression, index) => {
+          const watched = this.watchValues.get(expression);
+          const value = watched?.error ? watched.error : (watched ? watched.value : (paused ? '' : 'not paused'));
+          return `
+            <div class="debug-watch-item ${watched?.error ? 'error' : ''}">
+              <span class="debug-variable-name">${escape(expression)}</span>
+              <span class="debug-variable-value">${escape(value)}</span>
+              <button class="debug-watch-remove" data-index="${index}" title="Remove"><i data-lucide="x"></i></button>
+            </div>
+          `;
+        }).join('');
+      watch.querySelectorAll('.debug-watch-remove').forEach(button => {
+        button.addEventListener('click', () => this.removeWatch(Number(button.dataset.index)));
+      });
+    }
+
+    const breakpointList = document.getElementById('debug-breakpoints');
+    if (breakpointList) {
+      const nodePath = require('path');
+      const entries = [...this.breakpoints].flatMap(([filePath, lines]) => lines.map(line => ({ filePath, line })));
+      breakpointList.innerHTML = entries.length === 0
+        ? '<div class="debug-empty">Click the gutter next to a line number to add one</div>'
+        : entries.map(({ filePath, line }) => `
+          <div class="debug-breakpoint" data-path="${attr(filePath)}" data-line="${line}" title="${attr(filePath)}">
+            <span class="debug-breakpoint-dot"></span>
+            <span class="debug-frame-name">${escape(nodePath.basename(filePath))}</span>
+            <span class="debug-frame-location">${line}</span>
+            <button class="debug-watch-remove" title="Remove"><i data-lucide="x"></i></button>
+          </div>
+        `).join('');
+      breakpointList.querySelectorAll('.debug-breakpoint').forEach(item => {
+        const filePath = item.dataset.path;
+        const line = Number(item.dataset.line);
+        item.addEventListener('click', () => this.showFrame({ path: filePath, line }));
+        item.querySelector('.debug-watch-remove').addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.toggleBreakpoint(filePath, line);
+        });
+      });
+    }
+
+    if (window.lucide) {
+      lucide.createIcons();
+    }
+  }
+
+  renderVariables(variables, depth) {
+    const escape = (text) => this.ideCore.escapeHtml(String(text ?? ''));
+    return variables.map(variable => {
+      const expandable = variable.variablesReference > 0;
+      const expanded = this.children.get(variable.variablesReference);
+      return `
+        <div class="debug-variable depth-${Math.min(depth, 6)} ${expandable ? 'expandable' : ''}" ${expandable ? `data-ref="${variable.variablesReference}"` : ''} title="${escape(variable.type).replace(/"/g, '&quot;')}">
+          <span class="debug-variable-toggle">${expandable ? (expanded ? '▾' : '▸') : ''}</span>
+          <span class="debug-variable-name">${escape(variable.name)}</span>
+          <span class="debug-variable-value">${escape(variable.value)}</span>
+        </div>
+        ${expanded ? this.renderVariables(expanded, depth + 1) : ''}
+      `;
+    }).join('');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IDEDebugger;
+} else {
+  window.IDEDebugger = IDEDebugger;
+}
@@ -0,0 +1,534 @@
+/**
+ * Mithril AI IDE - Diff Review
+ * Shows AI-proposed file changes as a unified diff and lets the user accept or
+ * reject each hunk before anything is written to the editor or disk
+ */
+
+class IDEDiffReview {
+  constructor(ideCore) {
+    this.ideCore = ideCore;
+    this.contextLines = 3;
+    this.maxEditDistance = 4000; // give up on a minimal diff beyond this many edits
+    // localStorage is missing when the diff helpers run outside Electron (dlemma CLI)
+    this.reviewEnabled = typeof localStorage === 'undefined' || localStorage.getItem('review-ai-edits') !== 'false';
+    this.activeModal = null;
+
+    console.log('🔍 Diff review initialized');
+  }
+
+  setReviewEnabled(enabled) {
+    this.reviewEnabled = !!enabled;
+    localStorage.setItem('review-ai-edits', String(this.reviewEnabled));
+    console.log(`🔍 AI edit review ${this.reviewEnabled ? 'enabled' : 'disabled'}`);
+  }
+
+  /**
+   * Ask the user to review a proposed change.
+   * Resolves with { applied, content, accepted, total } where content is the
+   * original merged with the accepted hunks.
+   */
+  async review({ filePath, title, original, proposed }) {
+    const before = original ?? '';
+    const after = proposed ?? '';
+
+    if (before === after) {
+      return { applied: false, content: before, accepted: 0, total: 0 };
+    }
+
+    const hunks = this.buildHunks(this.splitLines(before), this.splitLines(after));
+
+    if (!this.reviewEnabled || hunks.length === 0) {
+      return { applied: true, content: after, accepted: hunks.length, total: hunks.length };
+    }
+
+    // Only one review at a time; a newer request replaces the open one
+    if (this.activeModal) {
+      this.activeModal.cancel();
+    }
+
+    return new Promise((resolve) => {
+      this.showModal({ filePath, title, before, after, hunks }, resolve);
+    });
+  }
+
+  splitLines(text) {
+    return text.split('\n');
+  }
+
+  /**
+   * The lines of `before` that differ from `after`, for editors that replace a
+   * line range: { startLine, endLine } (0-based, inclusive) and the text that
+   * replaces them. Insertions and deletions are widened by a neighbouring line
+   * so the range and its replacement are never empty.
+   */
+  changedRange(before, after) {
+    const a = this.splitLines(before);
+    const b = this.splitLines(after);
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+      start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+    while ((endA === start || endB === start) && (start > 0 || endA < a.length)) {
+      if (start > 0) {
+        start--;
+      } else {
+        endA++;
+        endB++;
+      }
+    }
+    return { startLine: start, endLine: Math.max(start, endA - 1), text: b.slice(start, endB).join('\n') };
+  }
+
+  // Line diff (Myers) returning a flat list of { type: 'equal' | 'delete' | 'insert', line }
+  diffLines(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+      start++;
+    }
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const ops = [];
+    for (let i = 0; i < start; i++) {
+      ops.push({ type: 'equal', line: a[i] });
+    }
+
+    ops.push(...this.myers(a.slice(start, endA), b.slice(start, endB)));
+
+    for (let i = endA; i < a.length; i++) {
+      ops.push({ type: 'equal', line: a[i] });
+    }
+
+    return ops;
+  }
+
+  /**
+   * Linear-space Myers: find the middle snake of the shortest edit script and
+   * recurse on either side, so memory stays proportional to the input rather
+   * than to the number of edits. Inputs more than maxEditDistance edits apart
+   * are shown as one replacement.
+   */
+  myers(a, b) {
+    const ops = [];
+    if (!this.diffRange(a, 0, a.length, b, 0, b.length, ops, this.maxEditDistance)) {
+      return [
+        ...a.map(line => ({ type: 'delete', line })),
+        ...b.map(line => ({ type: 'insert', line }))
+      ];
+    }
+
+    // Within each run of changes, deletions come before insertions
+    const ordered = [];
+    let inserts = [];
+    for (const op of ops) {
+      if (op.type === 'insert') {
+        inserts.push(op);
+        continue;
+      }
+      if (op.type === 'equal') {
+        inserts.forEach(insert => ordered.push(insert));
+        inserts = [];
+      }
+      ordered.push(op);
+    }
+    inserts.forEach(insert => ordered.push(insert));
+    return ordered;
+  }
+
+  // Append the edit script for a[aLo..aHi) -> b[bLo..bHi) to ops; false if it needs more than limit edits
+  diffRange(a, aLo, aHi, b, bLo, bHi, ops, limit = Infinity) {
+    const start = ops.length;
+    while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+      ops.push({ type: 'equal', line: a[aLo] });
+      aLo++;
+      bLo++;
+    }
+    let common = 0;
+    while (aHi - common > aLo && bHi - common > bLo && a[aHi - common - 1] === b[bHi - common - 1]) {
+      common++;
+    }
+    aHi -= common;
+    bHi -= common;
+
+    if (aLo === aHi || bLo === bHi) {
+      for (let i = aLo; i < aHi; i++) ops.push({ type: 'delete', line: a[i] });
+      for (let j = bLo; j < bHi; j++) ops.push({ type: 'insert', line: b[j] });
+    } else {
+      const snake = this.middleSnake(a, aLo, aHi, b, bLo, bHi, limit);
+      if (!snake) {
+        ops.length = start;
+        return false;
+      }
+      this.diffRange(a, aLo, aLo + snake.left[0], b, bLo, bLo + snake.left[1], ops);
+      snake.ops.forEach(op => ops.push(op));
+      this.diffRange(a, aLo + snake.right[0], aHi, b, bLo + snake.right[1], bHi, ops);
+    }
+
+    for (let i = aHi; i < aHi + common; i++) {
+      ops.push({ type: 'equal', line: a[i] });
+    }
+    return true;
+  }
+
+  /**
+   * Search forwards and backwards at once until the paths overlap. Returns the
+   * overlapping snake with the edit next to it, as ops, and the points before
+   * and after them (relative to aLo and bLo), or null past `limit` edits.
+   * Expects ranges that are non-empty and differ in their first and last lines.
+   */
+  middleSnake(a, aLo, aHi, b, bLo, bHi, limit) {
+    const n = aHi - aLo;
+    const m = bHi - bLo;
+    const delta = n - m;
+    const odd = (delta & 1) !== 0;
+    const max = Math.ceil((n + m) / 2);
+    const offset = max + 1;
+    const forward = new Int32Array(2 * max + 3);
+    const backward = new Int32Array(2 * max + 3);
+
+    for (let d = 0; d <= max && 2 * d - 1 <= limit; d++) {
+      for (let k = -d; k <= d; k += 2) {
+        const down = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]);
+        const px = down ? forward[offset + k + 1] : forward[offset + k - 1];
+        const py = px - (down ? k + 1 : k - 1);
+        let x = down ? px : px + 1;
+        let y = x - k;
+        const sx = x;
+        while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+          x++;
+          y++;
+        }
+        forward[offset + k] = x;
+
+        if (odd && d > 0 && k >= delta - (d - 1) && k <= delta + (d - 1) && x + backward[offset + delta - k] >= n) {
+          const ops = [down
+            ? { type: 'insert', line: b[bLo + py] }
+            : { type: 'delete', line: a[aLo + px] }];
+          for (let i = sx; i < x; i++) ops.push({ type: 'equal', line: a[aLo + i] });
+          return { left: [px, py], right: [x, y], ops };
+        }
+      }
+
+      // The backward search runs on both ranges reversed
+      for (let k = -d; k <= d; k += 2) {
+        const down = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]);
+        const px = down ? backward[offset + k + 1] : backward[offset + k - 1];
+        const py = px - (down ? k + 1 : k - 1);
+        let x = down ? px : px + 1;
+        let y = x - k;
+        const sx = x;
+        const sy = y;
+        while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+          x++;
+          y++;
+        }
+        backward[offset + k] = x;
+
+        if (!odd && d > 0 && delta - k >= -d && delta - k <= d && forward[offset + delta - k] + x >= n) {
+          const ops = [];
+          for (let i = n - x; i < n - sx; i++) ops.push({ type: 'equal', line: a[aLo + i] });
+          ops.push(down
+            ? { type: 'insert', line: b[bLo + m - sy] }
+            : { type: 'delete', line: a[aLo + n - sx] });
+          return { left: [n - x, m - y], right: [n - px, m - py], ops };
+        }
+      }
+    }
+    return null;
+  }
+
+  // Group changed lines into hunks, each with surrounding context for display
+  buildHunks(a, b) {
+    const ops = this.diffLines(a, b);
+    const hunks = [];
+    let oldLine = 0;
+    let newLine = 0;
+    let current = null;
+
+    ops.forEach((op, index) => {
+      if (op.type === 'equal') {
+        if (current) {
+          hunks.push(current);
+          current = null;
+        }
+        oldLine++;
+        newLine++;
+        return;
+      }
+
+      if (!current) {
+        current = {
+          index: hunks.length,
+          oldStart: oldLine,
+          newStart: newLine,
+          removed: [],
+          added: [],
+          opStart: index,
+          accepted: true
+        };
+      }
+
+      if (op.type === 'delete') {
+        current.removed.push(op.line);
+        oldLine++;
+      } else {
+        current.added.push(op.line);
+        newLine++;
+      }
+      current.opEnd = index;
+    });
+
+    if (current) {
+      hunks.push(current);
+    }
+
+    hunks.forEach(hunk => {
+      const beforeStart = Math.max(0, hunk.opStart - this.contextLines);
+      const afterEnd = Math.min(ops.length, hunk.opEnd + 1 + this.contextLines);
+      hunk.contextBefore = ops.slice(beforeStart, hunk.opStart).filter(op => op.type === 'equal').map(op => op.line);
+      hunk.contextAfter = ops.slice(hunk.opEnd + 1, afterEnd).filter(op => op.type === 'equal').map(op => op.line);
+      hunk.lines = ops.slice(hunk.opStart, hunk.opEnd + 1);
+    });
+
+    return hunks;
+  }
+
+  /**
+   * Unified diff text for one file, in the format `git apply` and `patch` accept.
+   * A null side means the file doesn't exist there.
+   * @param {Object} labels - { before, after } path prefixes for the ---/+++ lines
+   */
+  formatUnifiedDiff(relPath, before, after, labels = { before: 'a', after: 'b' }) {
+    if (before === after) return '';
+
+    // A trailing newline ends the last line rather than starting an empty one.
+    // A last line without one keeps a '\n' suffix (never part of a split line),
+    // so it only matches a line that also ends the file without a newline and a
+    // change of EOL alone shows as -line / +line
+    const toLines = (text) => {
+      if (!text) return [];
+      const lines = this.splitLines(text);
+      if (text.endsWith('\n')) {
+        lines.pop();
+      } else {
+        lines[lines.length - 1] += '\n';
+      }
+      return lines;
+    };
+    const oldLines = toLines(before);
+    const newLines = toLines(after);
+
+    const lines = [
+      `--- ${before === null ? '/dev/null' : `${labels.before}/${relPath}`}`,
+      `+++ ${after === null ? '/dev/null' : `${labels.after}/${relPath}`}`
+    ];
+    const noEolMarker = '\\ No newline at end of file';
+
+    // Review hunks may share context lines; patch tools need them merged
+    const groups = [];
+    this.buildHunks(oldLines, newLines).forEach(hunk => {
+      const last = groups[groups.length - 1];
+      const lastHunk = last?.[last.length - 1];
+      if (lastHunk && hunk.oldStart - hunk.contextBefore.length <= lastHunk.oldStart + lastHunk.removed.length + lastHunk.contextAfter.length) {
+        last.push(hunk);
+      } else {
+        groups.push([hunk]);
+      }
+    });
+
+    groups.forEach(group => {
+      const first = group[0];
+      const entries = first.contextBefore.map(line => [' ', line]);
+      group.forEach((hunk, index) => {
+        if (index > 0) {
+          const previous = group[index - 1];
+          oldLines.slice(previous.oldStart + previous.removed.length, hunk.oldStart).forEach(line => entries.push([' ', line]));
+        }
+        hunk.lines.forEach(op => entries.push([op.type === 'delete' ? '-' : '+', op.line]));
+      });
+      group[group.length - 1].contextAfter.forEach(line => entries.push([' ', line]));
+
+      const oldIndex = first.oldStart - first.contextBefore.length;
+      const newIndex = first.newStart - first.contextBefore.length;
+      const oldCount = entries.filter(([prefix]) => prefix !== '+').length;
+      const newCount = entries.filter(([prefix]) => prefix !== '-').length;
+      // An empty range is numbered by the line before it
+      lines.push(`@@ -${oldCount ? oldIndex + 1 : oldIndex},${oldCount} +${newCount ? newIndex + 1 : newIndex},${newCount} @@`);
+
+      entries.forEach(([prefix, line]) => {
+        if (line.endsWith('\n')) {
+          lines.push(`${prefix}${line.slice(0, -1)}`, noEolMarker);
+        } else {
+          lines.push(`${prefix}${line}`);
+        }
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  // Rebuild the file from the original, taking the new lines only for accepted hunks
+  mergeHunks(original, hunks) {
+    const lines = this.splitLines(original);
+    const result = [];
+    let cursor = 0;
+
+    hunks.forEach(hunk => {
+      result.push(...lines.slice(cursor, hunk.oldStart));
+      result.push(...(hunk.accepted ? hunk.added : hunk.removed));
+      cursor = hunk.oldStart + hunk.removed.length;
+    });
+
+    result.push(...lines.slice(cursor));
+    return result.join('\n');
+  }
+
+  renderHunk(hunk) {
+    const escape = (text) => this.ideCore.escapeHtml(text);
+    const oldStart = hunk.oldStart - hunk.contextBefore.length;
+    const newStart = hunk.newStart - hunk.contextBefore.length;
+    const oldCount = hunk.contextBefore.length + hunk.removed.length + hunk.contextAfter.length;
+    const newCount = hunk.contextBefore.length + hunk.added.length + hunk.contextAfter.length;
+    const header = `@@ -${oldStart + 1},${oldCount} +${newStart + 1},${newCount} @@`;
+
+    const row = (cls, sign, text) =>
+      `<div class="diff-line ${cls}"><span class="diff-sign">${sign}</span><span class="diff-text">${escape(text) || ' '}</span></div>`;
+
+    const body = [
+      ...hunk.contextBefore.map(line => row('diff-context', ' ', line)),
+      ...hunk.lines.map(op => op.type === 'delete' ? row('diff-delete', '-', op.line) : row('diff-insert', '+', op.line)),
+      ...hunk.contextAfter.map(line => row('diff-context', ' ', line))
+    ].join('');
+
+    return `
+      <div class="diff-hunk ${hunk.accepted ? 'accepted' : 'rejected'}" data-index="${hunk.index}">
+        <div class="diff-hunk-header">
+          <span class="diff-hunk-range">${header}</span>
+          <div class="diff-hunk-actions">
+            <button class="diff-hunk-btn diff-hunk-accept ${hunk.accepted ? 'active' : ''}">Accept</button>
+            <button class="diff-hunk-btn diff-hunk-reject ${hunk.accepted ? '' : 'active'}">Reject</button>
+          </div>
+        </div>
+        <div class="diff-hunk-body">${body}</div>
+      </div>
+    `;
+  }
+
+  showModal({ filePath, title, before, after, hunks }, resolve) {
+    const added = hunks.reduce((sum, hunk) => sum + hunk.added.length, 0);
+    const removed = hunks.reduce((sum, hunk) => sum + hunk.removed.length, 0);
+    const fileName = filePath ? pathUtils.basename(filePath) : 'Untitled';
+
+    const modal = document.createElement('div');
+    modal.className = 'diff-review-modal';
+    modal.innerHTML = `
+      <div class="diff-review-content">
+        <div class="diff-review-header">
+          <h3>
+            <i data-lucide="git-compare"></i>
+            ${this.ideCore.escapeHtml(title || 'Review AI Changes')}
+          </h3>
+          <span class="diff-review-file" title="${this.ideCore.escapeHtml(filePath || '')}">${this.ideCore.escapeHtml(fileName)}</span>
+          <span class="diff-review-stats">
+            <span class="diff-stat-add">+${added}</span>
+            <span class="diff-stat-del">−${removed}</span>
+            in ${hunks.length} hunk${hunks.length === 1 ? '' : 's'}
+          </span>
+        </div>
+        <div class="diff-review-body">
+          ${hunks.map(hunk => this.renderHunk(hunk)).join('')}
+        </div>
+        <div class="diff-review-actions">
+          <button class="diff-review-btn diff-reject-all">Reject All</button>
+          <button class="diff-review-btn diff-accept-all">Accept All</button>
+          <span class="diff-review-spacer"></span>
+          <button class="diff-review-btn diff-cancel">Cancel</button>
+          <button class="diff-review-btn primary diff-apply">Apply</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    if (window.lucide) {
+      lucide.createIcons();
+    }
+
+    const setAccepted = (hunk, accepted) => {
+      hunk.accepted = accepted;
+      const el = modal.querySelector(`.diff-hunk[data-index="${hunk.index}"]`);
+      if (!el) return;
+      el.classList.toggle('accepted', accepted);
+      el.classList.toggle('rejected', !accepted);
+      el.querySelector('.diff-hunk-accept').classList.toggle('active', accepted);
+      el.querySelector('.diff-hunk-reject').classList.toggle('active', !accepted);
+    };
+
+    const close = (result) => {
+      document.removeEventListener('keydown', keyHandler);
+      modal.remove();
+      if (this.activeModal?.modal === modal) {
+        this.activeModal = null;
+      }
+      resolve(result);
+    };
+
+    const cancel = () => close({ applied: false, content: before, accepted: 0, total: hunks.length });
+
+    const apply = () => {
+      const accepted = hunks.filter(hunk => hunk.accepted).length;
+      if (accepted === 0) {
+        cancel();
+        return;
+      }
+      close({
+        applied: true,
+        content: accepted === hunks.length ? after : this.mergeHunks(before, hunks),
+        accepted,
+        total: hunks.length
+      });
+    };
+
+    const keyHandler = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        cancel();
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        apply();
+      }
+    };
+
+    modal.querySelectorAll('.diff-hunk').forEach(el => {
+      const hunk = hunks[parseInt(el.dataset.index)];
+      el.querySelector('.diff-hunk-accept').addEventListener('click', () => setAccepted(hunk, true));
+      el.querySelector('.diff-hunk-reject').addEventListener('click', () => setAccepted(hunk, false));
+    });
+
+    modal.querySelector('.diff-accept-all').addEventListener('click', () => hunks.forEach(hunk => setAccepted(hunk, true)));
+    modal.querySelector('.diff-reject-all').addEventListener('click', () => hunks.forEach(hunk => setAccepted(hunk, false)));
+    modal.querySelector('.diff-cancel').addEventListener('click', cancel);
+    modal.querySelector('.diff-apply').addEventListener('click', apply);
+    document.addEventListener('keydown', keyHandler);
+
+    this.activeModal = { modal, cancel };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IDEDiffReview;
+} else {
+  window.IDEDiffReview = IDEDiffReview;
+}
@@ -0,0 +1,108 @@
+/**
+ * Mithril AI IDE - Generation Presets
+ * Named sampling presets (balanced, precise code, creative, deterministic)
+ * chosen in the chat header and applied to every chat-model generation.
+ * Settings a model role sets explicitly take precedence over the preset.
+ */
+
+// Option names follow the provider layer (model-providers.js); anything a
+// preset leaves out gets the provider defaults
+const GENERATION_PRESETS = {
+  balanced: {
+    label: 'Balanced',
+    description: 'Provider defaults (temperature 0.7, top-p 0.9, top-k 40)',
+    options: {}
+  },
+  'precise-code': {
+    label: 'Precise Code',
+    description: 'Low temperature and a narrow token pool for edits that follow instructions closely',
+    options: { temperature: 0.2, topP: 0.85, topK: 20, repeatPenalty: 1.05 }
+  },
+  creative: {
+    label: 'Creative',
+    description: 'Mirostat 2 sampling for varied explanations and brainstorming',
+    options: { temperature: 0.9, mirostat: 2, mirostatTau: 5, mirostatEta: 0.1 }
+  },
+  deterministic: {
+    label: 'Deterministic',
+    description: 'Greedy sampling with a fixed seed, so the same prompt gives the same answer',
+    options: { temperature: 0, topK: 1, seed: 42 }
+  }
+};
+
+const DEFAULT_PRESET = 'balanced';
+
+class IDEGenerationPresets {
+  constructor(ideCore) {
+    this.ideCore = ideCore;
+    const saved = typeof localStorage === 'undefined' ? null : localStorage.getItem('generation-preset');
+    this.current = GENERATION_PRESETS[saved] ? saved : DEFAULT_PRESET;
+    this.seed = this.parseSeed(typeof localStorage === 'undefined' ? null : localStorage.getItem('generation-seed'));
+
+    console.log('🎛️ Generation preset:', this.current);
+  }
+
+  static get presets() {
+    return GENERATION_PRESETS;
+  }
+
+  /**
+   * Options for a named preset, for callers outside the IDE (dlemma)
+   * @returns {Object|null} null for an unknown name
+   */
+  static optionsFor(name, seed) {
+    const preset = GENERATION_PRESETS[name];
+    if (!preset) return null;
+    const options = { ...preset.options };
+    if (options.seed !== undefined && seed !== undefined && seed !== null) {
+      options.seed = seed;
+    }
+    return options;
+  }
+
+  parseSeed(value) {
+    const seed = parseInt(value, 10);
+    return Number.isNaN(seed) ? 42 : seed;
+  }
+
+  init() {
+    const selector = document.getElementById('preset-selector');
+    if (!selector) return;
+
+    selector.innerHTML = Object.entries(GENERATION_PRESETS).map(([id, preset]) =>
+      `<option value="${id}" title="${preset.description}" ${id === this.current ? 'selected' : ''}>${preset.label}</option>`
+    ).join('');
+    selector.title = GENERATION_PRESETS[this.current].description;
+    selector.addEventListener('change', (e) => this.setPreset(e.target.value));
+  }
+
+  setPreset(id) {
+    if (!GENERATION_PRESETS[id]) return;
+    this.current = id;
+    localStorage.setItem('generation-preset', id);
+
+    const selector = document.getElementById('preset-selector');
+    if (selector) {
+      selector.value = id;
+      selector.title = GENERATION_PRESETS[id].description;
+    }
+    console.log('🎛️ Generation preset changed to:', id);
+  }
+
+  setSeed(value) {
+    this.seed = this.parseSeed(value);
+    localStorage.setItem('generation-seed', String(this.seed));
+  }
+
+  // Sampling options of the current preset
+  getOptions() {
+    return IDEGenerationPresets.optionsFor(this.current, this.seed);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IDEGenerationPresets;
+} else {
+  window.IDEGenerationPresets = IDEGenerationPresets;
+}
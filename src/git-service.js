@@ -0,0 +1,202 @@
+/**
+ * Mithril AI IDE - Git Service
+ * Thin wrapper around the local git binary for the source control panel:
+ * status, staging, diffs, commits, branches and log
+ */
+
+const { execFile } = require('child_process');
+
+const MAX_BUFFER = 20 * 1024 * 1024;
+
+// Porcelain status letters -> readable labels
+const STATUS_LABELS = {
+  M: 'modified',
+  A: 'added',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'copied',
+  U: 'conflicted',
+  T: 'type changed',
+  '?': 'untracked'
+};
+
+class GitService {
+  constructor() {
+    this.gitPath = 'git';
+  }
+
+  run(cwd, args, options = {}) {
+    return new Promise((resolve, reject) => {
+      const child = execFile(this.gitPath, args, {
+        cwd,
+        maxBuffer: MAX_BUFFER,
+        env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_OPTIONAL_LOCKS: '0' }
+      }, (error, stdout, stderr) => {
+        if (error && !options.allowFailure) {
+          const message = (stderr || error.message).trim();
+          reject(new Error(error.code === 'ENOENT' ? 'git executable not found on PATH' : message));
+          return;
+        }
+        resolve({ stdout, stderr, code: error ? error.code : 0 });
+      });
+
+      if (options.input !== undefined) {
+        child.stdin.end(options.input);
+      }
+    });
+  }
+
+  async isRepository(cwd) {
+    const result = await this.run(cwd, ['rev-parse', '--is-inside-work-tree'], { allowFailure: true });
+    return result.code === 0 && result.stdout.trim() === 'true';
+  }
+
+  /**
+   * Branch info plus staged, unstaged and untracked files
+   * @returns {Promise<Object>} { isRepo, root, branch, upstream, ahead, behind, files }
+   */
+  async status(cwd) {
+    if (!(await this.isRepository(cwd))) {
+      return { isRepo: false, files: [] };
+    }
+
+    const root = (await this.run(cwd, ['rev-parse', '--show-toplevel'])).stdout.trim();
+    const { stdout } = await this.run(root, ['status', '--porcelain=v1', '--branch', '-z', '--untracked-files=all']);
+    const entries = stdout.split('\0');
+
+    const status = { isRepo: true, root, branch: null, upstream: null, ahead: 0, behind: 0, files: [] };
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      if (!entry) continue;
+
+      if (entry.startsWith('## ')) {
+        this.parseBranchLine(entry.substring(3), status);
+        continue;
+      }
+
+      const index = entry[0];
+      const worktree = entry[1];
+      const file = { path: entry.substring(3), index, worktree };
+
+      // Renames and copies are followed by the original path
+      if (index === 'R' || index === 'C') {
+        file.originalPath = entries[++i];
+      }
+
+      file.staged = index !== ' ' && index !== '?';
+      file.unstaged = worktree !== ' ';
+      file.label = STATUS_LABELS[file.staged ? index : worktree] || 'changed';
+      status.files.push(file);
+    }
+
+    return status;
+  }
+
+  parseBranchLine(line, status) {
+    if (line.startsWith('No commits yet on ')) {
+      status.branch = line.substring('No commits yet on '.length);
+      return;
+    }
+    const match = line.match(/^(.+?)(?:\.\.\.(\S+))?(?: \[(.+)\])?$/);
+    if (!match) return;
+
+    status.branch = match[1] === 'HEAD (no branch)' ? null : match[1];
+    status.upstream = match[2] || null;
+    const counts = match[3] || '';
+    status.ahead = parseInt((counts.match(/ahead (\d+)/) || [])[1]) || 0;
+    status.behind = parseInt((counts.match(/behind (\d+)/) || [])[1]) || 0;
+  }
+
+  async stage(cwd, paths) {
+    await this.run(cwd, ['add', '--', ...paths]);
+  }
+
+  async unstage(cwd, paths) {
+    // "reset" works before the first commit, unlike "restore --staged"
+    const hasHead = (await this.run(cwd, ['rev-parse', '--verify', 'HEAD'], { allowFailure: true })).code === 0;
+    if (hasHead) {
+      await this.run(cwd, ['reset', '-q', 'HEAD', '--', ...paths]);
+    } else {
+      await this.run(cwd, ['rm', '--cached', '-q', '--', ...paths]);
+    }
+  }
+
+  /**
+   * Unified diff for one file (or the whole tree when filePath is empty)
+   */
+  async diff(cwd, filePath, options = {}) {
+    const args = ['diff', '--no-color', '--no-ext-diff'];
+    if (options.staged) args.push('--cached');
+    if (filePath) args.push('--', filePath);
+    const { stdout } = await this.run(cwd, args);
+
+    // Untracked files have no diff against the index; show them as all-added
+    if (!stdout && filePath && !options.staged) {
+      const result = await this.run(cwd, ['diff', '--no-color', '--no-index', '--', '/dev/null', filePath], { allowFailure: true });
+      return result.stdout;
+    }
+    return stdout;
+  }
+
+  async commit(cwd, message, options = {}) {
+    const args = ['commit', '-F', '-'];
+    if (options.amend) args.push('--amend');
+    const { stdout } = await this.run(cwd, args, { input: message });
+    return stdout.trim();
+  }
+
+  async branches(cwd) {
+    const { stdout } = await this.run(cwd, [
+      'for-each-ref', '--sort=-committerdate',
+      '--format=%(HEAD)%09%(refname:short)%09%(refname)',
+      'refs/heads', 'refs/remotes'
+    ]);
+
+    return stdout.split('\n').filter(Boolean)
+      .map(line => {
+        const [head, name, ref] = line.split('\t');
+        return { name, current: head === '*', remote: ref.startsWith('refs/remotes/') };
+      })
+      .filter(branch => !branch.name.endsWith('/HEAD'));
+  }
+
+  async checkout(cwd, branch, options = {}) {
+    if (!branch || branch.startsWith('-')) {
+      throw new Error(`Invalid branch name: ${branch}`);
+    }
+    let args = ['checkout', branch];
+    if (options.create) {
+      args = ['checkout', '-b', branch];
+    } else if (options.track) {
+      // Remote branch: create a local tracking branch instead of detaching HEAD
+      args = ['checkout', '--track', branch];
+    }
+    const { stdout, stderr } = await this.run(cwd, args);
+    return (stdout + stderr).trim();
+  }
+
+  /**
+   * Recent commits, newest first
+   */
+  async log(cwd, options = {}) {
+    const limit = options.limit || 50;
+    const args = ['log', `-n${limit}`, '--date=iso-strict', '--pretty=format:%H%x1f%h%x1f%an%x1f%ad%x1f%s%x1e'];
+    if (options.filePath) args.push('--', options.filePath);
+
+    const result = await this.run(cwd, args, { allowFailure: true });
+    if (result.code !== 0) return []; // no commits yet
+
+    return result.stdout.split('\x1e').map(record => record.trim()).filter(Boolean).map(record => {
+      const [hash, shortHash, author, date, subject] = record.split('\x1f');
+      return { hash, shortHash, author, date, subject };
+    });
+  }
+
+  async show(cwd, hash) {
+    const { stdout } = await this.run(cwd, ['show', '--no-color', '--stat', '--patch', hash]);
+    return stdout;
+  }
+}
+
+module.exports = GitService;
@@ -0,0 +1,429 @@
+/**
+ * Mithril AI IDE - Headless Agent
+ * Runs the chat pipeline without Electron or the DOM: intent detection, todo
+ * planning and a tool loop for each step, against a workspace folder on disk.
+ * Every stage is recorded in a transcript, and the run ends with a diff of
+ * what changed. Used by the dlemma command line tool (bin/dlemma.js).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const modelProviders = require('./model-providers');
+const platformUtils = require('./platform-utils');
+const CommandPolicy = require('./command-policy');
+const CheckpointStore = require('./checkpoint-store');
+const IDEDiffReview = require('./diff-review');
+const OllamaFixtures = require('./ollama-fixtures');
+const IDEStructuredOutput = require('./structured-output');
+const AgentToolLoop = require('./agent-tool-loop');
+
+// Intents that only need an answer; the IDE's checkpoint timeline treats the same ones as read-only
+const ANSWER_ONLY_TOOLS = ['chat_response', 'read_file', 'analyze_code', 'explain_code'];
+
+// Tool loop tools that need the IDE's task runner or terminals
+const IDE_ONLY_TOOLS = ['list_tasks', 'run_task', 'stop_task', 'read_terminal'];
+
+const SKIPPED_DIRS = new Set(['node_modules', '.git', 'dist', 'build', 'coverage']);
+
+class HeadlessAgent {
+  /**
+   * @param {Object} options
+   * @param {string} options.root - Workspace folder
+   * @param {string} options.model - Model for every role unless overridden
+   * @param {string} [options.intentModel] - Model for intent detection and planning
+   * @param {string} [options.toolModel] - Model that drives the tool loop
+   * @param {number} [options.maxSteps] - Tool calls per task
+   * @param {boolean} [options.plan] - Break complex requests into todo steps (default true)
+   * @param {Object} [options.sampling] - Sampling options for every call, e.g. a generation preset's
+   * @param {string} [options.commands] - 'policy' (default), 'approve' to allow what the policy would ask about, or 'deny'
+   * @param {string} options.configDir - App data folder with model-providers.json and command-policy.json
+   * @param {Function} [options.onEvent] - Called with each transcript entry as it happens
+   */
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || process.cwd());
+    this.models = {
+      intent: options.intentModel || options.model || null,
+      tool: options.toolModel || options.model || null
+    };
+    this.maxSteps = options.maxSteps || 8;
+    this.planEnabled = options.plan !== false;
+    this.commandMode = options.commands || 'policy';
+    this.configDir = options.configDir;
+    this.contextTokens = options.contextTokens || 32768;
+    this.maxTokens = options.maxTokens || 4096;
+    this.sampling = options.sampling || {};
+    this.onEvent = options.onEvent || (() => {});
+    this.transcript = [];
+    this.diffReview = new IDEDiffReview(null);
+    this.storageDir = null;
+    this.fixtures = null;
+
+    // The IDE's structured output and tool loop, with the renderer-only parts swapped out
+    this.ideCore = this.createIdeCore();
+    this.structuredOutput = new IDEStructuredOutput(this.ideCore);
+    this.toolLoop = new AgentToolLoop(this.ideCore, {
+      invoke: (channel, ...args) => this.invoke(channel, ...args),
+      onEvent: (type, data) => this.emit(type, data),
+      maxSteps: this.maxSteps,
+      commandTimeoutMs: 300000
+    });
+    IDE_ONLY_TOOLS.forEach(name => this.toolLoop.tools.delete(name));
+  }
+
+  async init() {
+    const stat = await fs.stat(this.root).catch(() => null);
+    if (!stat || !stat.isDirectory()) {
+      throw new Error(`Workspace folder not found: ${this.root}`);
+    }
+
+    if (this.configDir) {
+      await modelProviders.load(this.configDir);
+    }
+    this.fixtures = OllamaFixtures.fromEnv();
+    this.fixtures?.setWorkspace(this.root);
+    modelProviders.setFixtures(this.fixtures);
+    if (!this.models.intent || !this.models.tool) {
+      const { models } = await modelProviders.listModels();
+      if (models.length === 0) {
+        throw new Error('No model given and no models are available from the configured providers');
+      }
+      this.models.intent = this.models.intent || models[0].name;
+      this.models.tool = this.models.tool || models[0].name;
+    }
+
+    this.commandPolicy = new CommandPolicy(this.configDir || os.tmpdir());
+    if (this.configDir) {
+      await this.commandPolicy.load();
+    }
+    this.commandPolicy.setWorkspace(this.root);
+
+    // Snapshots for the final diff live only as long as the run
+    this.storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dlemma-'));
+    this.checkpoints = new CheckpointStore(this.storageDir);
+  }
+
+  async dispose() {
+    await this.fixtures?.flush();
+    if (this.storageDir) {
+      await fs.rm(this.storageDir, { recursive: true, force: true });
+      this.storageDir = null;
+    }
+  }
+
+  emit(type, data = {}) {
+    const entry = { type, time: new Date().toISOString(), ...data };
+    this.transcript.push(entry);
+    this.onEvent(entry);
+    return entry;
+  }
+
+  /**
+   * The parts of IDECore that IDEStructuredOutput and AgentToolLoop use: no
+   * editor, selection or chat, and every call made with the CLI's sampling options
+   */
+  createIdeCore() {
+    return {
+      currentFolder: this.root,
+      models: this.models,
+      chatCodeChunks: [],
+      getCurrentContext: () => ({ workingFolder: this.root, currentFilePath: null, hasSelection: false }),
+      getRoleOptions: () => this.generationOptions(),
+      generateWithModel: (model, prompt, systemPrompt, options = {}) =>
+        this.generate(model, `${systemPrompt}\n\nUser: ${prompt}`, options.format ? { format: options.format } : {}),
+      addChatMessage: () => null,
+      storeInMemory: () => {}
+    };
+  }
+
+  generationOptions() {
+    return {
+      ...this.sampling,
+      contextTokens: this.contextTokens,
+      maxTokens: this.maxTokens
+    };
+  }
+
+  async generate(model, prompt, extra = {}) {
+    const result = await modelProviders.generate({
+      model,
+      prompt,
+      ...this.generationOptions(),
+      ...extra
+    });
+    return result?.response || '';
+  }
+
+  /**
+   * Run one request through the whole pipeline
+   * @returns {Promise<Object>} { request, intent, plan, answer, completed, changes, diff, transcript }
+   */
+  async run(request) {
+    this.emit('request', { text: request });
+    const checkpoint = await this.checkpoints.create(this.root, { label: 'Before dlemma run', source: 'agent' });
+
+    const intent = await this.detectIntent(request);
+    this.emit('intent', intent);
+
+    let plan = null;
+    let answer;
+    let completed = true;
+
+    if (ANSWER_ONLY_TOOLS.includes(intent.tool)) {
+      answer = await this.answer(request);
+    } else {
+      if (intent.needsPlan) {
+        plan = await this.plan(request);
+        this.emit('plan', { steps: plan.map(step => ({ tool: step.tool, content: step.content })) });
+      }
+
+      if (plan && plan.length > 0) {
+        const answers = [];
+        for (const [index, step] of plan.entries()) {
+          this.emit('step', { index: index + 1, total: plan.length, tool: step.tool, content: step.content });
+          const result = await this.toolLoop.run(`${step.content} for the following user request: ${request}`);
+          step.status = result.completed ? 'completed' : 'failed';
+          answers.push(`${index + 1}. ${result.answer}`);
+          if (!result.completed) {
+            completed = false;
+            break;
+          }
+        }
+        answer = answers.join('\n');
+      } else {
+        const result = await this.toolLoop.run(request);
+        answer = result.answer;
+        completed = result.completed;
+      }
+    }
+
+    this.emit('answer', { text: answer, completed });
+
+    const changes = await this.checkpoints.diff(this.root, checkpoint.id);
+    const diffs = [];
+    for (const change of changes) {
+      const { before, after } = await this.checkpoints.fileContents(this.root, checkpoint.id, change.path);
+      diffs.push(this.diffReview.formatUnifiedDiff(change.path, before, after));
+    }
+
+    return {
+      request,
+      intent,
+      plan,
+      answer,
+      completed,
+      changes: changes.map(change => ({ path: change.path, status: change.status === 'added' ? 'created' : change.status })),
+      diff: diffs.filter(Boolean).join('\n'),
+      transcript: this.transcript
+    };
+  }
+
+  /**
+   * Intent detection with the IDE's prompt and schema, then the IDE's todo
+   * classifier to decide whether the request is planned as several steps
+   * @returns {Promise<Object>} { intent, tool, target, confidence, needsPlan }
+   */
+  async detectIntent(request) {
+    const tools = IDEStructuredOutput.intentTools;
+    let intent;
+    try {
+      intent = await this.structuredOutput.generate('intent', {
+        model: this.models.intent,
+        prompt: request,
+        systemPrompt: IDEStructuredOutput.intentPrompt({
+          tools,
+          contextInfo: `CURRENT CONTEXT:
+- Current file open: None
+- Working folder: ${this.root}
+- Has text selected: NO`,
+          userMessage: request,
+          target: 'chat'
+        }),
+        schema: IDEStructuredOutput.intentSchema(tools),
+        role: 'intent'
+      });
+    } catch (error) {
+      this.emit('note', { text: error.message });
+      intent = { intent: 'Intent reply was not valid; treating as a workspace change', tool: 'edit_project', target: 'chat', confidence: 0 };
+    }
+
+    let needsPlan = false;
+    if (this.planEnabled && !ANSWER_ONLY_TOOLS.includes(intent.tool)) {
+      try {
+        const classification = await this.structuredOutput.generate('todo-classifier', {
+          model: this.models.intent,
+          prompt: request,
+          systemPrompt: IDEStructuredOutput.todoClassifierPrompt(),
+          schema: IDEStructuredOutput.todoClassifierSchema(),
+          role: 'planner'
+        });
+        needsPlan = classification.needs_todo;
+      } catch (error) {
+        this.emit('note', { text: error.message });
+      }
+    }
+
+    return { ...intent, needsPlan };
+  }
+
+  /**
+   * Todo planning with the IDE planner's prompt and schema
+   * @returns {Promise<Array>} [{ tool, content, status }]
+   */
+  async plan(request) {
+    const tools = IDEStructuredOutput.planTools;
+    let todos = [];
+    try {
+      const files = await this.listFiles(this.root, 200);
+      const parsed = await this.structuredOutput.generate('planner', {
+        model: this.models.intent,
+        prompt: `${request}\n\nWORKSPACE FILES:\n${files.join('\n') || '(empty)'}`,
+        systemPrompt: IDEStructuredOutput.plannerPrompt(tools),
+        schema: IDEStructuredOutput.todoListSchema(tools),
+        role: 'planner'
+      });
+      todos = parsed.todos;
+    } catch (error) {
+      this.emit('note', { text: error.message });
+    }
+    return todos
+      .map(todo => ({
+        tool: todo.tool,
+        content: String(todo.content || '').trim(),
+        status: 'pending'
+      }))
+      .filter(todo => todo.content.length > 0);
+  }
+
+  async answer(request) {
+    const files = await this.listFiles(this.root, 200);
+    const prompt = `You are a helpful coding assistant. Answer the user's question about their workspace concisely.
+
+WORKSPACE: ${this.root}
+FILES:
+${files.join('\n') || '(empty)'}
+
+User: ${request}`;
+    return (await this.generate(this.models.tool, prompt)).trim() || 'No response generated';
+  }
+
+  /**
+   * The main-process channels the tool loop calls, served from the local
+   * filesystem with the same result shapes as src/main.js
+   */
+  async invoke(channel, ...args) {
+    switch (channel) {
+      case 'ollama:generate':
+        return modelProviders.generate(args[0]);
+      case 'fs:readFile':
+        try {
+          return { success: true, content: await fs.readFile(args[0], 'utf8') };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      case 'fs:writeFile':
+        try {
+          await fs.writeFile(args[0], args[1], 'utf8');
+          return { success: true };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      case 'fs:createDirectory':
+        try {
+          await fs.mkdir(args[0], { recursive: true });
+          return { success: true };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      case 'fs:readDirectory': {
+        const entries = await fs.readdir(args[0], { withFileTypes: true }).catch(() => []);
+        return entries.map(entry => ({ name: entry.name, path: path.join(args[0], entry.name), isDirectory: entry.isDirectory(), isFile: entry.isFile() }));
+      }
+      case 'fs:searchText':
+        return this.searchText(args[0], args[1], args[2]);
+      case 'bash:execute':
+        return this.runCommand(args[0], args[1]);
+      default:
+        throw new Error(`${channel} is not available outside the IDE`);
+    }
+  }
+
+  /**
+   * Commands go through the same policy as in the IDE. There is nobody to
+   * answer an "ask", so it is refused unless commands were pre-approved.
+   * @returns {Promise<Object>} bash:execute's { success, output, error, code, denied }
+   */
+  async runCommand(command, options = {}) {
+    const evaluation = this.commandPolicy.evaluate(command, { root: this.root, cwd: this.root });
+    const approved = this.commandMode !== 'deny' &&
+      (evaluation.decision === 'allow' || (evaluation.decision === 'ask' && this.commandMode === 'approve'));
+    if (!approved) {
+      await this.commandPolicy.audit({ command, cwd: this.root, root: this.root, source: 'dlemma', decision: evaluation.decision, decidedBy: 'cli', executed: false });
+      const why = evaluation.reasons.filter(reason => reason.action !== 'allow').map(reason => reason.description).join(', ');
+      return { success: false, output: '', error: `Command not allowed (${evaluation.decision}${why ? `: ${why}` : ''})`, code: -1, denied: true };
+    }
+
+    const startTime = Date.now();
+    const result = await platformUtils.runCommand(command, { shell: 'bash', cwd: this.root, timeout: options.timeoutMs || 300000, stdin: 'ignore' });
+    await this.commandPolicy.audit({
+      command,
+      cwd: this.root,
+      root: this.root,
+      source: 'dlemma',
+      decision: evaluation.decision,
+      decidedBy: evaluation.decision === 'allow' ? 'policy' : 'cli',
+      executed: true,
+      exitCode: result.code,
+      durationMs: Date.now() - startTime
+    });
+    return result;
+  }
+
+  // fs:searchText over the workspace files listFiles finds
+  async searchText(directory, query, options = {}) {
+    const maxResults = options.maxResults || 100;
+    const pattern = options.regex ? new RegExp(query, 'i') : null;
+    const needle = query.toLowerCase();
+    const matches = [];
+
+    for (const relPath of await this.listFiles(directory, 5000)) {
+      const filePath = path.join(this.root, relPath);
+      const content = await fs.readFile(filePath, 'utf8').catch(() => '');
+      if (content.includes('\u0000')) continue; // binary file
+
+      const lines = content.split('\n');
+      for (let i = 0; i < lines.length; i++) {
+        if (pattern ? pattern.test(lines[i]) : lines[i].toLowerCase().includes(needle)) {
+          if (matches.length >= maxResults) {
+            return { success: true, matches, truncated: true };
+          }
+          matches.push({ path: filePath, line: i + 1, text: lines[i].trim().substring(0, 200) });
+        }
+      }
+    }
+    return { success: true, matches, truncated: false };
+  }
+
+  // Relative paths of workspace files, skipping dependency and build folders
+  async listFiles(dir, limit) {
+    const files = [];
+    const walk = async (current) => {
+      const entries = await fs.readdir(current, { withFileTypes: true }).catch(() => []);
+      for (const entry of entries) {
+        if (files.length >= limit) return;
+        const abs = path.join(current, entry.name);
+        if (entry.isDirectory()) {
+          if (!SKIPPED_DIRS.has(entry.name) && !entry.name.startsWith('.')) {
+            await walk(abs);
+          }
+        } else if (entry.isFile()) {
+          files.push(path.relative(this.root, abs).split(path.sep).join('/'));
+        }
+      }
+    };
+    await walk(dir);
+    return files;
+  }
+}
+
+module.exports = HeadlessAgent;
@@ -145,6 +145,37 @@ class IDEAIManager {
     }
   }
 
+  /**
+   * Open generated content (e.g. a git diff) in a read-only tab that is never
+   * reloaded from or saved to disk. Reopening the same id refreshes its content.
+   */
+  async openReadOnlyDocument(id, name, content, mode = 'text') {
+    const existing = this.openFiles.get(id);
+    if (existing) {
+      existing.content = content;
+      if (this.currentFile === id && this.editor) {
+        this.editor.setValue(content);
+        return;
+      }
+      await this.switchToFile(id);
+      return;
+    }
+
+    const fileInfo = {
+      path: id,
+      name,
+      content,
+      mode,
+      isDirty: false,
+      readOnly: true,
+      cursor: { line: 0, ch: 0 }
+    };
+
+    this.openFiles.set(id, fileInfo);
+    this.addFileTab(fileInfo);
+    await this.switchToFile(id);
+  }
+
   async createNewFile(fileName, content = '') {
     const uniqueName = this.getUniqueFileName(fileName);
     
@@ -248,7 +279,7 @@ class IDEAIManager {
     }
 
     // If file is on disk and not new, reload content from disk to ensure freshness
-    if (!fileInfo.isNew && !filePath.startsWith('new:')) {
+    if (!fileInfo.isNew && !fileInfo.readOnly && !filePath.startsWith('new:')) {
       try {
         const readResult = await window.electronAPI.invokeIPC('fs:readFile', filePath);
         if (readResult.success) {
@@ -344,6 +375,7 @@ class IDEAIManager {
     this.editor = CodeMirror.fromTextArea(textarea, {
       mode: fileInfo.mode,
       theme: this.currentTheme,
+      readOnly: !!fileInfo.readOnly,
       lineNumbers: true,
       lineWrapping: true,
       autoCloseBrackets: true,
@@ -379,6 +411,8 @@ class IDEAIManager {
     
     // Enable linting for this editor
     this.enableLintingForEditor(fileInfo.mode);
+    this.ideCore?.problems?.attach(this.editor, fileInfo);
+    this.ideCore?.debugger?.attach(this.editor, fileInfo);
     
     // Initialize autocomplete for this editor
     if (this.autocompleteManager) {
@@ -386,6 +420,9 @@ class IDEAIManager {
       console.log('🤖 Autocomplete enabled for editor');
     }
     
+    // Language servers take over diagnostics, hover and completions when available
+    this.ideCore?.languageClient?.attach(this.editor, fileInfo);
+    
     // Force CodeMirror to take full size
     this.editor.setSize('100%', '100%');
     console.log('✅ CodeMirror editor created successfully');
@@ -818,16 +855,31 @@ class IDEAIManager {
   }
 
   // Real-time AI Editing
-  async replaceFileContent(newContent) {
-    if (!this.editor || !this.currentFile) return;
+  // Pass { reviewed: true } when the caller already ran the diff review
+  async replaceFileContent(newContent, options = {}) {
+    if (!this.editor || !this.currentFile) return false;
+
+    // Clean any triple backticks that would comment out code
+    let cleanedContent = this.cleanCodeArtifacts(newContent);
+    console.log('🧹 Cleaned content artifacts (backticks removed)');
+
+    if (!options.reviewed && this.ideCore.diffReview) {
+      const review = await this.ideCore.diffReview.review({
+        filePath: this.currentFile,
+        title: 'Review AI Edit',
+        original: this.editor.getValue(),
+        proposed: cleanedContent
+      });
+      if (!review.applied) {
+        console.log('🚫 AI edit rejected in review');
+        return false;
+      }
+      cleanedContent = review.content;
+    }
 
     this.isAIEditing = true;
     
     try {
-      // Clean any triple backticks that would comment out code
-      const cleanedContent = this.cleanCodeArtifacts(newContent);
-      console.log('🧹 Cleaned content artifacts (backticks removed)');
-      
       // Create edit marker for the entire content
       const lastLine = this.editor.lastLine();
       const lastChar = this.editor.getLine(lastLine).length;
@@ -846,7 +898,7 @@ class IDEAIManager {
       // Update file info
       const fileInfo = this.openFiles.get(this.currentFile);
       if (fileInfo) {
-        fileInfo.content = newContent;
+        fileInfo.content = cleanedContent;
         fileInfo.isDirty = true;
       }
       
@@ -857,9 +909,11 @@ class IDEAIManager {
       
       // Immediately save the file after AI finishes editing
       await this.autoSaveCurrentFile();
+      return true;
       
     } catch (error) {
       console.error('Error replacing content:', error);
+      return false;
     } finally {
       this.isAIEditing = false;
     }
@@ -993,7 +1047,7 @@ class IDEAIManager {
     
     // Only save if the file has a real path (not in-memory)
     // Remove isDirty check to ensure AI-generated content saves immediately
-    if (!fileInfo.path.startsWith('new:')) {
+    if (!fileInfo.path.startsWith('new:') && !fileInfo.readOnly) {
       try {
         await this.saveFileToDisk(fileInfo.path, content);
         fileInfo.isDirty = false;
@@ -1182,6 +1236,7 @@ class IDEAIManager {
     });
     
     this.openFiles.delete(filePath);
+    this.ideCore?.languageClient?.detach(filePath);
     
     // Remove tab with better selector and debugging
     const allTabs = document.querySelectorAll('.file-tab');
@@ -1235,7 +1290,7 @@ class IDEAIManager {
     if (!this.editor || !this.currentFile) return;
 
     const fileInfo = this.openFiles.get(this.currentFile);
-    if (!fileInfo) return;
+    if (!fileInfo || fileInfo.readOnly) return;
 
     const content = this.editor.getValue();
     fileInfo.content = content;
@@ -1261,6 +1316,7 @@ class IDEAIManager {
   async saveFileToDisk(filePath, content) {
     try {
       await window.electronAPI.invokeIPC('fs:writeFile', filePath, content);
+      this.ideCore?.languageClient?.didSave(filePath);
     } catch (error) {
       console.error('Failed to save file:', error);
       this.showNotification('Failed to save file', 'error');
@@ -1271,7 +1327,7 @@ class IDEAIManager {
     if (!this.currentFile) return;
 
     const fileInfo = this.openFiles.get(this.currentFile);
-    if (fileInfo && !fileInfo.isDirty) {
+    if (fileInfo && !fileInfo.isDirty && !fileInfo.readOnly) {
       fileInfo.isDirty = true;
       
       // Update tab name with asterisk
@@ -1465,6 +1521,23 @@ class IDEAIManager {
     return this.openFiles.has(filePath);
   }
 
+  // Replace an open tab's content after the file was rewritten on disk
+  reloadOpenFile(filePath, content) {
+    const fileInfo = this.openFiles.get(filePath);
+    if (!fileInfo) return;
+
+    fileInfo.content = content;
+    fileInfo.isDirty = false;
+    if (this.currentFile === filePath && this.editor) {
+      const cursor = this.editor.getCursor();
+      this.isAIEditing = true;
+      this.editor.setValue(content);
+      this.editor.setCursor(cursor);
+      this.isAIEditing = false;
+    }
+    this.updateTabDirtyState?.(filePath, false);
+  }
+
   updateFileTab(oldPath, newPath, newName) {
     if (!this.openFiles.has(oldPath)) return;
     
@@ -2061,6 +2134,33 @@ class IDEAIManager {
     console.log('🗑️ History cleared, new session started');
   }
 
+  /**
+   * Undo a multi-file AI changeset recorded in the history as one entry
+   * @returns {Promise<boolean>} true if the files were restored
+   */
+  async undoChangeset(entryId) {
+    const entry = this.history.sessions
+      .flatMap(session => session.changes)
+      .find(change => change.id === entryId && change.type === 'changeset');
+
+    if (!entry || entry.data.undone) {
+      this.showNotification('Changeset already undone or no longer in history', 'warning');
+      return false;
+    }
+
+    const reverted = await this.ideCore?.changesetReview?.revert(entry.data);
+    if (!reverted) return false;
+
+    entry.data.undone = true;
+    this.addToHistory('changeset_undone', {
+      changesetId: entryId,
+      title: entry.data.title,
+      files: entry.data.changes.length
+    });
+    this.showNotification(`Undid changeset: ${entry.data.title}`, 'success');
+    return true;
+  }
+
   // ============================================================================
   // SAVE FUNCTIONALITY
   // ============================================================================
@@ -2107,6 +2207,7 @@ class IDEAIManager {
     if (!fileInfo.isNew) {
       try {
         await window.electronAPI.invokeIPC('fs:writeFile', fileInfo.path, content);
+        this.ideCore?.languageClient?.didSave(fileInfo.path);
         this.showNotification(`💾 Saved: ${fileInfo.name}`, 'success');
         console.log(`💾 File saved: ${fileInfo.name}`);
       } catch (error) {
@@ -2235,7 +2336,7 @@ class IDEAIManager {
     if (!this.currentFile) return;
 
     const fileInfo = this.openFiles.get(this.currentFile);
-    if (fileInfo && !fileInfo.isDirty) {
+    if (fileInfo && !fileInfo.isDirty && !fileInfo.readOnly) {
       fileInfo.isDirty = true;
       
       // Add to history
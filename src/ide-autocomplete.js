@@ -5,6 +5,47 @@
 
 // ipcRenderer is already imported in ide-core.js which loads before this file
 
+/**
+ * Fill-in-the-middle prompt formats by model family. The first entry whose
+ * pattern matches the completion model name is used; models without an entry
+ * fall back to plain prefix continuation.
+ */
+const FIM_TEMPLATES = [
+  {
+    name: 'StarCoder2',
+    match: /starcoder/i,
+    build: (prefix, suffix) => `<fim_prefix>${prefix}<fim_suffix>${suffix}<fim_middle>`,
+    stop: ['<fim_prefix>', '<fim_suffix>', '<fim_middle>', '<file_sep>', '<|endoftext|>']
+  },
+  {
+    name: 'DeepSeek-Coder',
+    match: /deepseek-coder/i,
+    build: (prefix, suffix) => `<｜fim▁begin｜>${prefix}<｜fim▁hole｜>${suffix}<｜fim▁end｜>`,
+    stop: ['<｜fim▁begin｜>', '<｜fim▁hole｜>', '<｜fim▁end｜>', '<｜end▁of▁sentence｜>', '<|EOT|>']
+  },
+  {
+    name: 'Qwen2.5-Coder',
+    match: /qwen2\.5-coder/i,
+    build: (prefix, suffix) => `<|fim_prefix|>${prefix}<|fim_suffix|>${suffix}<|fim_middle|>`,
+    stop: ['<|fim_prefix|>', '<|fim_suffix|>', '<|fim_middle|>', '<|fim_pad|>', '<|file_sep|>', '<|endoftext|>']
+  },
+  {
+    name: 'CodeGemma',
+    match: /codegemma/i,
+    build: (prefix, suffix) => `<|fim_prefix|>${prefix}<|fim_suffix|>${suffix}<|fim_middle|>`,
+    stop: ['<|fim_prefix|>', '<|fim_suffix|>', '<|fim_middle|>', '<|file_separator|>']
+  },
+  {
+    name: 'CodeLlama',
+    match: /codellama|code-llama/i,
+    build: (prefix, suffix) => `<PRE> ${prefix} <SUF>${suffix} <MID>`,
+    stop: ['<PRE>', '<SUF>', '<MID>', '<EOT>']
+  }
+];
+
+// Stops shared by every prompt format so completions don't run into markup
+const COMMON_STOP_SEQUENCES = ['\n\n\n', '</script>', '</style>'];
+
 class IDEAutocomplete {
   constructor(aiManager, ideCore) {
     this.aiManager = aiManager;
@@ -383,21 +424,11 @@ class IDEAutocomplete {
     });
     
     // Model-specific prompt formatting
-    if (this.completionModel.includes('starcoder')) {
-      // If there's a linter error, add it as a comment to help the model
-      if (context.linterError) {
-        // Add error context as a comment to guide completion
-        const errorHint = `\n// Fix: ${context.linterError.message}\n`;
-        prompt = context.prefix + errorHint;
-        console.log('🔧 Using StarCoder2 with linter error hint:', context.linterError.message);
-      } else {
-        prompt = context.prefix;
-        console.log('🔧 Using StarCoder2 with direct continuation');
-      }
-    } else if (this.completionModel.includes('codegemma')) {
-      // CodeGemma uses FIM format
-      prompt = `<fim_prefix>${context.prefix}<fim_suffix>${context.suffix}<fim_middle>`;
-      console.log('🔧 Using CodeGemma FIM format');
+    const template = this.getFimTemplate(this.completionModel);
+    if (template) {
+      // FIM: the model sees the code after the cursor and fills the gap
+      prompt = template.build(context.prefix, context.suffix);
+      console.log(`🔧 Using ${template.name} FIM format`);
     } else {
       // For other models, use direct continuation
       if (context.linterError) {
@@ -463,24 +494,21 @@ class IDEAutocomplete {
       ipcRenderer.on('ollama:streamError', errorHandler);
       
       // Request completion with streaming using ipcRenderer
-      // Use parameters optimized for the specific model
-      const isStarCoder = this.completionModel.includes('starcoder');
+      // FIM models get a little more room since the suffix bounds the completion
+      // Values set for the autocomplete role in Settings replace these tuned defaults
+      const roleSettings = this.ideCore?.modelRoles?.getSettings('autocomplete') || {};
       await ipcRenderer.invoke('ollama:generateStream', {
         model: this.completionModel,
         prompt: prompt,
+        raw: !!template, // FIM prompts must bypass the model's chat template
         streamId: streamId,
-        contextTokens: 2048, // Larger context for better understanding
-        maxTokens: isStarCoder ? 50 : 30, // More tokens for StarCoder
-        temperature: isStarCoder ? 0.1 : 0.02, // Slightly higher temp for StarCoder
+        contextTokens: roleSettings.contextTokens ?? 2048, // Larger context for better understanding
+        maxTokens: roleSettings.maxTokens ?? (template ? 50 : 30),
+        temperature: roleSettings.temperature ?? (template ? 0.1 : 0.02),
         topP: 0.95,
-        topK: isStarCoder ? 40 : 20, // More choices for StarCoder
+        topK: template ? 40 : 20,
         repeatPenalty: 1.0, // Don't penalize repetition in code
-        // Stop sequences optimized for the model type
-        stopSequences: this.completionModel.includes('starcoder') 
-          ? ['<fim_suffix>', '<file_sep>', '<|endoftext|>', '\n\n\n', '</script>', '</style>'] 
-          : this.completionModel.includes('codegemma')
-          ? ['<fim_suffix>', '<file_separator>', '\n\n', '</script>', '</style>'] 
-          : ['\n\n\n', '```', '</script>', '</style>', '<!--']
+        stopSequences: this.getStopSequences(template)
       });
       
       // Wait a bit for stream to complete
@@ -515,6 +543,21 @@ class IDEAutocomplete {
     }
   }
 
+  /**
+   * Find the FIM template for a completion model, or null for plain continuation
+   */
+  getFimTemplate(modelName) {
+    if (!modelName) return null;
+    return FIM_TEMPLATES.find(template => template.match.test(modelName)) || null;
+  }
+
+  getStopSequences(template) {
+    if (template) {
+      return [...template.stop, ...COMMON_STOP_SEQUENCES];
+    }
+    return [...COMMON_STOP_SEQUENCES, '```', '<!--'];
+  }
+
   /**
    * Clean up completion text
    */
@@ -534,6 +577,8 @@ class IDEAutocomplete {
     completion = completion.replace(/<\|fim_[^|]+\|>/g, ''); // Old format with pipes
     completion = completion.replace(/<file_separator>/g, '');
     completion = completion.replace(/<\|file_separator\|>/g, '');
+    completion = completion.replace(/<｜[^｜]*｜>/g, ''); // DeepSeek-Coder
+    completion = completion.replace(/ ?<(PRE|SUF|MID|EOT)>/g, ''); // CodeLlama
     
     // Remove any markdown code fence if it appears at the start
     // But only if we're not actually writing markdown
@@ -695,8 +740,8 @@ class IDEAutocomplete {
    * Generate cache key for completion
    */
   getCacheKey(context) {
-    // Simple hash of prefix + language
-    const str = context.prefix.slice(-500) + context.language;
+    // Simple hash of prefix + suffix + language (FIM completions depend on the suffix)
+    const str = context.prefix.slice(-500) + '\0' + context.suffix + context.language;
     let hash = 0;
     for (let i = 0; i < str.length; i++) {
       const char = str.charCodeAt(i);
@@ -91,6 +91,9 @@ class MithrilAIIDE {
     this.expandedFolders = new Set();
     this.chatCodeChunks = []; // Active code chunks in chat context
     this.autoReplaceEnabled = true; // Allow disabling auto-replacement
+    // Multi-step tool loop instead of single intent routing; opt-in, since it
+    // skips plan review, step verification and schema intent detection
+    this.agentModeEnabled = localStorage.getItem('agent-mode') === 'true';
     this.lastUserPrompt = ''; // Track last user prompt for validation
     
     console.log('🏗️ ==================== IDE CONSTRUCTOR ====================');
@@ -100,29 +103,38 @@ class MithrilAIIDE {
     // AI models
     this.models = {
       intent: null,
-      tool: null,
+      planner: null,
+      tool: null, // code generation
       synthesis: null
     };
     
     // Tools available to the system
-    this.availableTools = [
-      'chat_response',
-      'read_file',
-      'edit_file',
-      'create_file',
-      'create_folder',
-      'analyze_code',
-      'explain_code',
-      'refactor_code',
-      'fix_issues',
-      'optimize_code'
-    ];
+    this.availableTools = [...IDEStructuredOutput.intentTools];
 
     // IDE integration
     this.ideAIManager = null;
     this.ideTerminalManager = null;
+    this.providerManager = null; // Model provider settings
+    this.modelRoles = null; // Model and generation settings per role
+    this.generationPresets = null; // Sampling preset from the chat header
+    this.structuredOutput = null; // Schema-checked intent and planner replies
+    this.chatImages = null; // Images pasted into the chat
+    this.messageImages = []; // Images sent with the message being handled
+    this.diffReview = null; // Per-hunk review of AI edits
+    this.changesetReview = null; // Multi-file AI changesets
+    this.semanticSearch = null; // Workspace embedding index
+    this.memoryBrowser = null; // Archived session browser
+    this.promptBudget = null; // Fits prompts into the context window
+    this.commandApproval = null; // Command policy dialog and audit log
+    this.sourceControl = null; // Git sidebar view
+    this.checkpoints = null; // Workspace snapshots around AI actions
+    this.tasks = null; // Workspace tasks sidebar view and runner
+    this.problems = null; // Problems matched in command and task output
+    this.debugger = null; // Debug Adapter Protocol sessions and the Run and Debug view
+    this.languageClient = null; // Language server diagnostics and completions
     this.todoManager = null; // Todo list manager
     this.commandExecutor = null; // Command execution manager
+    this.agentLoop = null; // Multi-step tool-calling agent
     this.fileTree = new Map();
     this.currentContext = null;
     
@@ -183,6 +195,11 @@ class MithrilAIIDE {
       console.log('🚀 Initializing Mithril AI IDE...');
       
       // Initialize components
+      this.modelRoles = new IDEModelRoles(this);
+      await this.modelRoles.load();
+      this.generationPresets = new IDEGenerationPresets(this);
+      this.generationPresets.init();
+      this.structuredOutput = new IDEStructuredOutput(this);
       await this.loadModels();
       console.log('📋 Models loaded');
       
@@ -205,9 +222,28 @@ class MithrilAIIDE {
       this.ideAIManager = new IDEAIManager(this);
       console.log('🤖 AI Manager initialized');
       
+      // Initialize Diff Review
+      this.diffReview = new IDEDiffReview(this);
+      this.changesetReview = new IDEChangesetReview(this);
+      console.log('🔍 Diff review initialized');
+      
+      // Initialize Semantic Search and index the restored workspace
+      this.semanticSearch = new IDESemanticSearch(this);
+      this.semanticSearch.init();
+      this.semanticSearch.openWorkspace(this.currentFolder);
+      console.log('🧭 Semantic search initialized');
+      
+      // Initialize Model Provider Settings
+      this.providerManager = new IDEProviderManager(this);
+      await this.providerManager.init();
+      this.modelRoles.init();
+      this.structuredOutput.init();
+      console.log('🔌 Provider settings initialized');
+      
       // Initialize Terminal Manager
       this.ideTerminalManager = new IDETerminalManager();
       this.ideTerminalManager.initializeTerminal();
+      window.realTerminalUI?.initialize();
       console.log('🖥️ Terminal Manager initialized');
       
           // Initialize Todo Manager
@@ -218,11 +254,49 @@ class MithrilAIIDE {
     this.memoryManager = new MemoryManager(this);
     await this.memoryManager.loadMemoryFromFile();
     console.log('🧠 Memory Manager initialized');
+    this.memoryBrowser = new MemoryArchiveBrowser(this);
+    this.promptBudget = new PromptBudget(this);
+    this.chatImages = new IDEChatImages(this);
+    this.chatImages.init();
     
     // Initialize Command Executor
     this.commandExecutor = new CommandExecutor(this);
+    this.commandApproval = new CommandApproval(this);
+    this.commandApproval.init();
+    this.commandApproval.setWorkspace(this.currentFolder);
+    
+    // Initialize Source Control view
+    this.sourceControl = new IDESourceControl(this);
+    this.sourceControl.init();
+    
+    // Initialize workspace checkpoints
+    this.checkpoints = new IDECheckpoints(this);
+    this.checkpoints.init();
+    
+    // Initialize the Tasks view
+    this.tasks = new IDETaskPanel(this);
+    this.tasks.init();
+    
+    // Initialize the Problems view
+    this.problems = new IDEProblems(this);
+    this.problems.init();
+    this.problems.setWorkspace(this.currentFolder);
+    
+    // Initialize the debugger
+    this.debugger = new IDEDebugger(this);
+    this.debugger.init();
+    
+    // Initialize language server client
+    this.languageClient = new IDELanguageClient(this);
+    this.languageClient.init();
+    this.languageClient.setWorkspace(this.currentFolder);
     console.log('🖥️ Command Executor initialized');
       
+      // Initialize Agent Tool Loop
+      this.agentLoop = new AgentToolLoop(this);
+      this.updateAgentModeButton();
+      console.log('🤖 Agent tool loop initialized');
+      
       console.log('✅ Mithril AI IDE initialized successfully');
     } catch (error) {
       console.error('❌ Failed to initialize IDE:', error);
@@ -230,6 +304,19 @@ class MithrilAIIDE {
     }
   }
 
+  /**
+   * Generation options for a model role: the current preset's sampling
+   * options, overridden by whatever the role sets (see model-roles.js)
+   * @returns {Object} { contextTokens, maxTokens, temperature, ... }
+   */
+  getRoleOptions(role) {
+    // Before these load, the provider layer's defaults apply
+    return {
+      ...(this.generationPresets?.getOptions() || {}),
+      ...(this.modelRoles?.getOptions(role) || {})
+    };
+  }
+
   // Get the current completion model
   getCompletionModel() {
     return this.completionModel || 'codegemma:2b';
@@ -252,10 +339,15 @@ class MithrilAIIDE {
       this.availableModels = models.models || [];
       console.log('📋 Parsed models count:', this.availableModels.length);
       
+      (models.errors || []).forEach(({ provider, error }) => {
+        console.warn(`⚠️ Model provider ${provider} unavailable:`, error);
+      });
+      
       // Log each available model
       this.availableModels.forEach((model, index) => {
         console.log(`📋 Model ${index + 1}:`, {
           name: model.name,
+          provider: model.provider,
           size: model.size,
           modified: model.modified_at
         });
@@ -274,6 +366,7 @@ class MithrilAIIDE {
         
         this.selectedModel = selectedModelName;
         this.models.intent = selectedModelName;
+        this.models.planner = selectedModelName;
         this.models.tool = selectedModelName;
         this.models.synthesis = selectedModelName;
         
@@ -306,6 +399,9 @@ class MithrilAIIDE {
         } else {
           console.log('⚠️ qwen 3b not found, using first available model');
         }
+        
+        // Roles with a model of their own override the picks above
+        this.modelRoles?.apply({ chat: selectedModelName, autocomplete: this.completionModel });
       } else {
         console.warn('⚠️ No models available in Ollama');
       }
@@ -319,7 +415,7 @@ class MithrilAIIDE {
       console.error('❌ ==================== MODEL LOADING ERROR ====================');
       console.error('❌ Failed to connect to Ollama');
       console.error('❌ Error details:', error);
-      console.error('❌ Is Ollama running on localhost:11434?');
+      console.error('❌ Is a model provider (Ollama on localhost:11434 by default) running?');
       
       this.availableModels = [];
       this.selectedModel = null;
@@ -353,9 +449,18 @@ class MithrilAIIDE {
       this.clearChatAndHistory();
     });
 
+    document.getElementById('memory-archive-btn')?.addEventListener('click', () => {
+      this.memoryBrowser?.show();
+    });
+
     // Chat resize functionality
     this.setupChatResize();
 
+    // Sidebar views (Explorer, Source Control)
+    document.querySelectorAll('.sidebar-view-tab').forEach(tab => {
+      tab.addEventListener('click', () => this.showSidebarView(tab.dataset.view));
+    });
+
     // File operations
     document.getElementById('new-file-btn')?.addEventListener('click', () => {
       console.log('🆕 New file button clicked');
@@ -483,6 +588,55 @@ class MithrilAIIDE {
       this.toggleAutoCloseBrackets(e.target.checked);
     });
 
+    const reviewToggle = document.getElementById('review-ai-edits-toggle');
+    if (reviewToggle) {
+      reviewToggle.checked = localStorage.getItem('review-ai-edits') !== 'false';
+      reviewToggle.addEventListener('change', (e) => {
+        this.diffReview?.setReviewEnabled(e.target.checked);
+      });
+    }
+
+    const reviewPlansToggle = document.getElementById('review-plans-toggle');
+    if (reviewPlansToggle) {
+      reviewPlansToggle.checked = localStorage.getItem('todo-review-plans') !== 'false';
+      reviewPlansToggle.addEventListener('change', (e) => {
+        this.todoManager?.setReviewPlans(e.target.checked);
+      });
+    }
+
+    const stepRetriesInput = document.getElementById('todo-step-retries');
+    if (stepRetriesInput) {
+      stepRetriesInput.value = localStorage.getItem('todo-step-retries') || stepRetriesInput.value;
+      stepRetriesInput.addEventListener('change', (e) => {
+        this.todoManager?.verifier.setMaxRetries(e.target.value);
+      });
+    }
+
+    const testCommandInput = document.getElementById('todo-test-command');
+    if (testCommandInput) {
+      testCommandInput.value = localStorage.getItem('todo-test-command') || '';
+      testCommandInput.addEventListener('change', (e) => {
+        this.todoManager?.verifier.setTestCommand(e.target.value);
+      });
+    }
+
+    const seedInput = document.getElementById('generation-seed');
+    if (seedInput) {
+      seedInput.value = this.generationPresets?.seed ?? seedInput.value;
+      seedInput.addEventListener('change', (e) => {
+        this.generationPresets?.setSeed(e.target.value);
+        e.target.value = this.generationPresets?.seed ?? e.target.value;
+      });
+    }
+
+    const agentStepsInput = document.getElementById('agent-max-steps');
+    if (agentStepsInput) {
+      agentStepsInput.value = localStorage.getItem('agent-max-steps') || agentStepsInput.value;
+      agentStepsInput.addEventListener('change', (e) => {
+        this.agentLoop?.setMaxSteps(e.target.value);
+      });
+    }
+
     // Find & Replace controls
     document.getElementById('find-close-btn')?.addEventListener('click', () => {
       this.hideFindReplace();
@@ -519,7 +673,7 @@ class MithrilAIIDE {
   // Core AI Workflow (enhanced with todo list management)
   async handleUserMessage() {
     const chatInput = document.getElementById('chat-input');
-    const message = chatInput.value.trim();
+    let message = chatInput.value.trim();
     
     console.log('💬 ==================== CHAT MESSAGE START ====================');
     console.log('💬 Raw user input:', message);
@@ -528,7 +682,7 @@ class MithrilAIIDE {
     console.log('💬 Current model:', this.selectedModel);
     console.log('💬 Processing state:', this.isProcessing);
     
-    if (!message) {
+    if (!message && !this.chatImages?.hasPending()) {
       console.log('⚠️ Empty message detected, aborting');
       return;
     }
@@ -541,6 +695,11 @@ class MithrilAIIDE {
     
     this.isProcessing = true;
     chatInput.value = '';
+    const images = this.chatImages?.take() || [];
+    this.messageImages = images;
+    if (!message) {
+      message = images.length === 1 ? 'What does this image show?' : 'What do these images show?';
+    }
     
     console.log('🚀 Starting AI workflow processing...');
     console.log('🚀 Step 0: Preprocessing complete');
@@ -548,7 +707,16 @@ class MithrilAIIDE {
     try {
       // Add user message to chat
       console.log('📝 Adding user message to chat UI');
-      this.addChatMessage('user', message);
+      this.addChatMessage('user', message, { images });
+      
+      // Agent mode: let the model drive tools until it finishes
+      if (this.agentModeEnabled && this.agentLoop) {
+        console.log('🤖 Agent mode enabled - running tool loop');
+        await this.checkpoints?.create(`Before agent run: ${message}`, 'agent');
+        const agentResult = await this.agentLoop.run(message);
+        console.log('🤖 Agent run complete:', agentResult.completed ? 'finished' : 'stopped', `(${agentResult.steps.length} steps)`);
+        return;
+      }
       
       // Step 1: Intent Detection
       console.log('🎯 ==================== STEP 1: INTENT DETECTION ====================');
@@ -557,62 +725,32 @@ class MithrilAIIDE {
       
       // Check if we should create a todo list for this task FIRST
       console.log('🗂️ ==================== TODO LIST ANALYSIS ====================');
-      let shouldExecuteOriginalTask = true;
-      let executionIntent = intent;
-      let executionMessage = message;
-      
       if (this.todoManager && await this.todoManager.shouldCreateTodoList(message, intent)) {
         console.log('🗂️ Complex task detected - generating todo list');
         const todos = await this.todoManager.generateTodoList(message, intent);
         console.log('🗂️ Todo list generated:', todos.length, 'items');
         
-        // Get the current (first) todo to execute
-        const currentTodo = this.todoManager.getCurrentTodo();
-        if (currentTodo) {
-          console.log('🗂️ Executing current todo step:', currentTodo.content);
-          // Override the execution to only do the current todo step
-          executionIntent = {
-            tool: currentTodo.tool,
-            target: 'current-todo',
-            confidence: 0.95,
-            originalUserRequest: message  // PRESERVE ORIGINAL USER REQUEST
-          };
-          // Combine todo content with original context for better file generation
-          executionMessage = `${currentTodo.content} for the following user request: ${message}`;
-          shouldExecuteOriginalTask = false;
+        if (todos.length > 0) {
+          // The plan runs step by step from the todo list once started
+          this.todoManager.presentPlan();
+          return;
         }
       } else {
         console.log('🗂️ Simple task detected - no todo list needed');
       }
       
-      // Step 2: IDE Action Execution (either full task or current todo step)
+      // Snapshot the workspace before anything that may change files
+      if (this.checkpoints?.shouldCheckpoint(intent.tool)) {
+        await this.checkpoints.create(`Before ${intent.tool}: ${message}`, 'ai');
+      }
+      
+      // Step 2: IDE Action Execution
       console.log('⚙️ ==================== STEP 2: IDE ACTION EXECUTION ====================');
-      console.log('⚙️ Execution mode:', shouldExecuteOriginalTask ? 'Full task' : 'Current todo step');
-      console.log('⚙️ Execution intent:', JSON.stringify(executionIntent, null, 2));
-      console.log('⚙️ Execution message:', executionMessage);
+      console.log('⚙️ Execution intent:', JSON.stringify(intent, null, 2));
       
-      const result = await this.executeIDEAction(executionIntent, executionMessage);
+      const result = await this.executeIDEAction(intent, message);
       console.log('⚙️ Action execution complete:', JSON.stringify(result, null, 2));
       
-      // Mark current todo as completed if we have an active todo list
-      if (this.todoManager && this.todoManager.getCurrentTodo() && !shouldExecuteOriginalTask) {
-        console.log('🗂️ Marking current todo as completed and continuing workflow');
-        try {
-          this.todoManager.markCurrentCompleted();
-          // Note: markCurrentCompleted now handles auto-execution of next todo
-          
-          // Still do synthesis for the first manual execution
-          if (this.todoManager.getCompletedCount() === 1) {
-            // Continue to synthesis for the first task only
-          } else {
-            return; // Skip synthesis for auto-executed todos
-          }
-        } catch (todoError) {
-          console.error('🗂️ Error in todo completion:', todoError);
-          // Continue with synthesis even if todo completion fails
-        }
-      }
-      
       // Step 3: Memory & Summary
       console.log('📝 ==================== STEP 3: SYNTHESIS & MEMORY ====================');
       const summary = await this.synthesizeAndMemorize(intent, result, message);
@@ -633,6 +771,10 @@ class MithrilAIIDE {
       this.addChatMessage('ai', `Error: ${error.message}`);
     } finally {
       this.isProcessing = false;
+      // An interrupting message may already have set its own images
+      if (this.messageImages === images) {
+        this.messageImages = [];
+      }
       console.log('🏁 Chat processing cleanup complete');
     }
   }
@@ -646,7 +788,8 @@ class MithrilAIIDE {
 - Current file open: ${context.currentFile || 'None'}
 - File path: ${context.currentFilePath || 'None'}
 - Working folder: ${context.workingFolder || 'None'}
-- Has text selected: ${context.hasSelection ? 'YES' : 'NO'}`;
+- Has text selected: ${context.hasSelection ? 'YES' : 'NO'}
+- Images attached: ${this.messageImages.length > 0 ? `${this.messageImages.length} (screenshots or mockups the answering model can see)` : 'None'}`;
 
     if (context.hasSelection && context.selectedTextInfo) {
       contextInfo += `
@@ -655,80 +798,22 @@ class MithrilAIIDE {
 - Selected text preview: "${context.selectedTextInfo.text.substring(0, 100)}${context.selectedTextInfo.text.length > 100 ? '...' : ''}"`;
     }
 
-    // Detect context clues in the user message
-    const hasContextualWords = /\b(this|these|that|those|the|selected|highlighted|current)\b/i.test(userMessage);
-    const hasModificationWords = /\b(change|make|set|update|modify|fix|refactor|optimize|edit|color|theme|style)\b/i.test(userMessage);
-    
-    const systemPrompt = `You are an intent detection system for an AI IDE. Analyze the user's request and respond with JSON.
-
-${contextInfo}
-
-Available tools: ${this.availableTools.join(', ')}
-
-User message: "${userMessage}"
-
-CRITICAL RULES FOR INTENT DETECTION:
-
-1. **COMMAND EXECUTION - HIGHEST PRIORITY**: If user wants to execute ANY terminal/shell command:
-   - Use "run_command" for: "install [package]", "pip install", "npm install", "yarn add"
-   - Use "run_command" for: "curl", "wget", "git clone", "git push", "git pull"
-   - Use "run_command" for: "run the app", "start the app", "launch", "serve"
-   - Use "run_command" for: "docker run", "docker build", "make", "cmake"
-   - Use "run_command" for: "python", "node", "java", "go run", "cargo run"
-   - Use "run_command" for: "cd", "ls", "mkdir", "cp", "mv", ANY shell command
-   - CRITICAL: If message contains executable commands, package managers, or system tools → "run_command"
-
-2. **FILE READING/ANALYSIS**: If user asks about file content with phrases like "what is in this file", "show me this file", "what does this file contain", "tell me about this file":
-   - Use "read_file" to read and display the current file content
-   - This applies when a file is open and user wants to see/understand its contents
-
-3. **SELECTION CONTEXT PRIORITY**: If text is selected AND user uses contextual words like "this", "these", "that", "the selected", etc., they are referring to the selected text:
-   - Use "refactor_code" for: "refactor this", "improve these", "clean this up"
-   - Use "fix_issues" for: "fix this", "fix these errors", "debug this"
-   - Use "optimize_code" for: "optimize this", "make this faster", "improve performance"
-   - Use "edit_file" for: "change this", "make this red", "update these colors", "modify this"
-
-4. **FILE CONTEXT**: If a file is open but no selection, and user wants to modify the file:
-   - Use "edit_file" for file-wide changes like "make this file pink theme", "update the colors"
-
-5. **SPECIFIC OVERRIDES**:
-   - Color/theme changes to selected text → "edit_file" with target "selection"  
-   - Code improvements to selected text → "refactor_code"
-   - Bug fixes to selected text → "fix_issues"
-   - Performance improvements → "optimize_code"
-   - Questions about code → "chat_response"
-
-6. **FALLBACK**: If unclear, but file is open → "edit_file"
-
-Respond with JSON only:
-{
-  "intent": "Brief description",
-  "tool": "tool_name",
-  "target": "${context.hasSelection ? 'selection' : (context.isFileOpen ? 'file' : 'chat')}",
-  "confidence": 0.9
-}
-
-Tool selection rules:
-- File content reading/display → "read_file"
-- Code questions/explanations → "chat_response"
-- File editing/modification (including colors, themes, styling) → "edit_file" 
-- New file creation → "create_file"
-- New folder/directory creation → "create_folder"
-- Code analysis → "analyze_code"
-- Code explanation → "explain_code"
-- Code refactoring/improvement → "refactor_code"
-- Bug fixing → "fix_issues"
-- Performance optimization → "optimize_code"`;
+    const systemPrompt = IDEStructuredOutput.intentPrompt({
+      tools: this.availableTools,
+      contextInfo,
+      userMessage,
+      target: context.hasSelection ? 'selection' : (context.isFileOpen ? 'file' : 'chat')
+    });
 
     try {
-      const response = await this.generateWithModel(
-        this.models.intent,
-        userMessage,
-        systemPrompt
-      );
-      
-      const cleanResponse = response.replace(/```json|```/g, '').trim();
-      return JSON.parse(cleanResponse);
+      // Validated against the schema, with one repair attempt; throws when still invalid
+      return await this.structuredOutput.generate('intent', {
+        model: this.models.intent,
+        prompt: userMessage,
+        systemPrompt,
+        schema: IDEStructuredOutput.intentSchema(this.availableTools),
+        role: 'intent'
+      });
     } catch (error) {
       console.error('Intent detection failed:', error);
       return {
@@ -781,7 +866,7 @@ Tool selection rules:
     console.log('⚙️ - Chat chunks available:', this.chatCodeChunks.length);
     
     // Normalize tool if planner returned combined tokens
-    const normalizedTool = (intent.tool || '').toLowerCase().split(/[^a-z_]+/g).find(t => ['create_file','edit_file','run_command','create_folder','chat_response','analyze_code','explain_code','fix_issues','optimize_code'].includes(t)) || intent.tool;
+    const normalizedTool = (intent.tool || '').toLowerCase().split(/[^a-z_]+/g).find(t => ['create_file','edit_file','run_command','create_folder','chat_response','analyze_code','explain_code','fix_issues','optimize_code','edit_project'].includes(t)) || intent.tool;
 
     switch (normalizedTool) {
       case 'chat_response':
@@ -834,6 +919,9 @@ Tool selection rules:
       case 'create_file':
         return await this.executeFileCreation(userMessage);
         
+      case 'edit_project':
+        return await this.changesetReview.run(userMessage);
+        
       case 'create_folder':
         return await this.executeFolderCreation(userMessage);
         
@@ -922,7 +1010,8 @@ Provide a concise summary (1-2 sentences) of what was accomplished. Focus on the
       const summary = await this.generateWithModel(
         this.models.synthesis,
         userMessage,
-        systemPrompt
+        systemPrompt,
+        { role: 'synthesis' }
       );
       
       // Store in memory (simplified for now)
@@ -957,7 +1046,7 @@ User question: "${userMessage}"
 
 Provide a helpful, concise response. If discussing code, use inline code formatting.`;
 
-    return await this.generateWithModel(this.models.tool, userMessage, systemPrompt);
+    return await this.generateWithModel(this.models.tool, userMessage, systemPrompt, { role: 'coder' });
   }
 
   async editCurrentFile(userMessage, intent) {
@@ -989,10 +1078,13 @@ Selected text: ${context.selectedText || 'None'}
 Provide the complete modified code. Return ONLY the code, no explanations.`;
 
     try {
-      const newContent = await this.generateWithModel(this.models.tool, userMessage, systemPrompt);
+      const newContent = await this.generateWithModel(this.models.tool, userMessage, systemPrompt, { role: 'coder' });
       
       // Apply changes through IDE manager
-      await this.ideAIManager.replaceFileContent(newContent);
+      const applied = await this.ideAIManager.replaceFileContent(newContent);
+      if (!applied) {
+        return `No changes applied to ${context.currentFile}.`;
+      }
       
       return `Updated ${context.currentFile} based on your request.`;
     } catch (error) {
@@ -1008,7 +1100,7 @@ User request: "${userMessage}"
 Generate complete, functional code that fulfills the request.`;
 
     try {
-      const content = await this.generateWithModel(this.models.tool, userMessage, systemPrompt);
+      const content = await this.generateWithModel(this.models.tool, userMessage, systemPrompt, { role: 'coder' });
       
       // Determine filename
       const filename = this.extractFilename(userMessage) || 'untitled.txt';
@@ -1046,7 +1138,7 @@ Provide a clear analysis including:
 - Suggestions for improvement
 - Code quality assessment`;
 
-    return await this.generateWithModel(this.models.tool, userMessage, systemPrompt);
+    return await this.generateWithModel(this.models.tool, userMessage, systemPrompt, { role: 'coder' });
   }
 
   async explainCode(userMessage) {
@@ -1066,7 +1158,7 @@ User request: "${userMessage}"
 
 Provide a clear, step-by-step explanation of what this code does.`;
 
-    return await this.generateWithModel(this.models.tool, userMessage, systemPrompt);
+    return await this.generateWithModel(this.models.tool, userMessage, systemPrompt, { role: 'coder' });
   }
 
   // Utility Methods
@@ -1085,7 +1177,9 @@ Provide a clear, step-by-step explanation of what this code does.`;
     };
   }
 
-  async generateWithModel(modelName, prompt, systemPrompt) {
+  // options.includeHistory adds the session's conversation history (rolling summary + recent turns)
+  // and session memory; options.file is the open file's content block, budgeted on its own
+  async generateWithModel(modelName, prompt, systemPrompt, options = {}) {
     console.log('🤖 ==================== AI GENERATION START ====================');
     console.log('🤖 Model name:', modelName);
     console.log('🤖 Generation timestamp:', new Date().toISOString());
@@ -1097,21 +1191,63 @@ Provide a clear, step-by-step explanation of what this code does.`;
 
       // Store the user prompt for validation later
     this.lastUserPrompt = prompt;
+
+    // Images and retrieved snippets go only to the calls that answer the message;
+    // intent, planning and synthesis calls don't need them
+    const answersMessage = ['chat', 'coder'].includes(options.role || 'chat');
+    let images = [];
+    if (this.chatImages && answersMessage) {
+      ({ model: modelName, images } = this.chatImages.prepare(modelName, this.messageImages));
+    }
     
-    // Include code chunks in context if they exist
-    let contextualPrompt = prompt;
-    if (this.chatCodeChunks.length > 0) {
-      console.log(`🔗 Including ${this.chatCodeChunks.length} code chunks in context`);
-      
-      const chunksContext = this.chatCodeChunks.map((chunk, index) => {
-        return `
+    // Pull in the most relevant snippets from the rest of the workspace
+    let retrieved = '';
+    if (answersMessage) {
+      try {
+        retrieved = await this.semanticSearch?.buildContext(prompt) || '';
+      } catch (error) {
+        console.warn('⚠️ Semantic retrieval skipped:', error.message);
+      }
+    }
+
+    let chunksContext = this.chatCodeChunks.map((chunk, index) => {
+      return `
 CODE CHUNK ${index + 1}:
 File: ${chunk.fileName} (Lines ${chunk.startLine}-${chunk.endLine})
 Content:
 \`\`\`
 ${chunk.text}
 \`\`\``;
-      }).join('\n\n');
+    }).join('\n\n');
+
+    // Fit every section into the context window before assembling the prompt
+    const buildHistory = () => options.includeHistory ? (this.memoryManager?.getHistoryContext() || '') : '';
+    let sessionMemory = options.includeHistory ? (this.memoryManager?.getSessionMemoryContext() || '') : '';
+    let history = buildHistory();
+    let fileContext = options.file || '';
+    if (this.promptBudget) {
+      const fitted = await this.promptBudget.fit({
+        system: systemPrompt,
+        history,
+        memory: sessionMemory,
+        retrieved,
+        chunks: chunksContext,
+        file: fileContext,
+        user: prompt
+      }, { rebuildHistory: buildHistory, role: options.role });
+      ({ system: systemPrompt, history, memory: sessionMemory, retrieved, chunks: chunksContext, file: fileContext } = fitted.sections);
+    }
+    if (sessionMemory) {
+      systemPrompt += `\n\nSESSION MEMORY:\n${sessionMemory}`;
+    }
+    if (history) {
+      systemPrompt += `\n\nCONVERSATION SO FAR:\n${history}`;
+    }
+
+    // Include code chunks in context if they exist
+    let contextualPrompt = prompt;
+    if (this.chatCodeChunks.length > 0) {
+      console.log(`🔗 Including ${this.chatCodeChunks.length} code chunks in context`);
       
       // Detect if this is a code modification request
       const isCodeModificationRequest = /\b(refactor|optimize|fix|change|update|modify|improve|edit)\b/i.test(prompt);
@@ -1168,6 +1304,13 @@ Please reference these code chunks in your response when relevant. You can refer
       }
     }
 
+    if (fileContext) {
+      contextualPrompt = `${fileContext}\n\n${contextualPrompt}`;
+    }
+    if (retrieved) {
+      contextualPrompt = `${retrieved}\n\n${contextualPrompt}`;
+    }
+
     const fullPrompt = `${systemPrompt}\n\nUser: ${contextualPrompt}`;
     
     console.log('🤖 System prompt:', systemPrompt);
@@ -1183,11 +1326,8 @@ Please reference these code chunks in your response when relevant. You can refer
       const startTime = Date.now();
       console.log('🤖 Sending request to Ollama...');
       
-      // Get token settings from UI
-      const contextTokensInput = document.getElementById('context-tokens');
-      const maxTokensInput = document.getElementById('max-tokens');
-      const contextTokens = contextTokensInput ? parseInt(contextTokensInput.value) || 32768 : 32768;
-      const maxTokens = maxTokensInput ? parseInt(maxTokensInput.value) || 4096 : 4096;
+      // Preset and role settings for the caller, falling back to the UI token settings
+      const generationOptions = this.getRoleOptions(options.role || 'chat');
       
       // Create a unique stream ID to correlate chunks
       const streamId = 'stream_' + Date.now() + '_' + Math.floor(Math.random() * 1000000);
@@ -1196,12 +1336,21 @@ Please reference these code chunks in your response when relevant. You can refer
         model: modelName,
         prompt: fullPrompt,
         stream: true,
-        contextTokens: contextTokens,
-        maxTokens: maxTokens,
+        ...generationOptions,
         streamId
       };
+      if (options.format) {
+        requestPayload.format = options.format;
+      }
+      if (options.stop) {
+        requestPayload.stopSequences = options.stop;
+      }
       
       console.log('🤖 Request payload:', JSON.stringify(requestPayload, null, 2));
+      if (images.length > 0) {
+        console.log(`🖼️ Sending ${images.length} image${images.length === 1 ? '' : 's'} to ${modelName}`);
+        requestPayload.images = images;
+      }
       
       // Handle streaming response
       return new Promise((resolve, reject) => {
@@ -1240,7 +1389,9 @@ Please reference these code chunks in your response when relevant. You can refer
             
             // Check for automatic code replacement when chunks are in context
             if (this.chatCodeChunks.length > 0 && this.autoReplaceEnabled) {
-              this.processCodeReplacements(fullResponse);
+              this.processCodeReplacements(fullResponse).catch(error => {
+                console.error('❌ Code replacement failed:', error);
+              });
             } else if (this.chatCodeChunks.length > 0 && !this.autoReplaceEnabled) {
               console.log('⏸️ Auto-replacement disabled - skipping code replacement');
             }
@@ -1314,9 +1465,86 @@ Please reference these code chunks in your response when relevant. You can refer
       console.log('🛑 Cancelling current AI request');
       try { this.currentAIRequest.cancel(); } catch (e) { /* ignore */ }
     }
+    if (this.agentLoop?.isRunning) {
+      console.log('🛑 Cancelling agent run');
+      this.agentLoop.cancel();
+    }
     this.isProcessing = false;
   }
 
+  /**
+   * Hand the last terminal command's output and exit code to the model. Explain
+   * answers in chat; fix runs the agent tool loop so it can edit files and rerun
+   * the command.
+   */
+  async explainLastTerminalError(fix = false) {
+    const result = await ipcRenderer.invoke('terminal:getLastCommand', null, { maxChars: 6000 });
+    const last = result.success ? result.command : null;
+    if (!last) {
+      this.ideAIManager?.showNotification('No terminal command has run yet', 'info');
+      return;
+    }
+    if (!this.agentLoop) return;
+
+    if (this.isProcessing) {
+      this.cancelOngoingProcessing();
+    }
+    this.isProcessing = true;
+
+    const report = this.agentLoop.formatTerminalCommand(last);
+    const status = last.exitCode === null ? '' : ` (exit code ${last.exitCode})`;
+    try {
+      if (fix) {
+        this.addChatMessage('user', `🔧 Fix the failure of \`${last.command}\`${status}`);
+        await this.checkpoints?.create(`Before fixing: ${last.command}`, 'agent');
+        await this.agentLoop.run(`This terminal command failed. Find the cause in the workspace, fix it, then rerun the command with run_command to confirm the fix.
+
+${report}`);
+      } else {
+        this.addChatMessage('user', `🔎 Explain the output of \`${last.command}\`${status}`);
+        const systemPrompt = `You are an AI assistant in a code editor. The user ran a command in the terminal and wants to know what went wrong.
+Explain the error in plain words, name the file and line that cause it when the output shows them, and suggest a fix. Be concise.
+
+Working folder: ${this.currentFolder || 'None'}`;
+        await this.generateWithModel(this.models.tool, report, systemPrompt, { role: 'coder' });
+      }
+    } catch (error) {
+      console.error('❌ Terminal error analysis failed:', error);
+      this.addChatMessage('ai', `Error: ${error.message}`);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  // Ask the model about the program the debugger has paused
+  async explainDebugState() {
+    const report = await this.debugger?.describePausedState();
+    if (!report) {
+      this.ideAIManager?.showNotification('The debugger is not paused', 'info');
+      return;
+    }
+
+    if (this.isProcessing) {
+      this.cancelOngoingProcessing();
+    }
+    this.isProcessing = true;
+
+    const frame = this.debugger.selectedFrame();
+    try {
+      this.addChatMessage('user', `🐞 Explain the paused state${frame ? ` in \`${frame.name}\`` : ''}`);
+      const systemPrompt = `You are an AI assistant in a code editor. The user's program is paused in the debugger and they want to understand its state.
+Explain what the code is doing at this point, point out values in the variables that look wrong or surprising, and say what to check or step into next. Be concise.
+
+Working folder: ${this.currentFolder || 'None'}`;
+      await this.generateWithModel(this.models.tool, report, systemPrompt, { role: 'coder' });
+    } catch (error) {
+      console.error('❌ Debug state analysis failed:', error);
+      this.addChatMessage('ai', `Error: ${error.message}`);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
   // Smart file edit workflow that identifies, reads, and edits files properly
   async executeSmartFileEdit(userMessage, editType = 'edit') {
     console.log('🔍 ==================== SMART FILE EDIT ====================');
@@ -1432,6 +1660,8 @@ Return ONLY the complete, corrected file content. No explanations, no markdown,
         await new Promise(resolve => setTimeout(resolve, 100));
         console.log('✅ File successfully edited and saved');
         return `✅ Successfully ${editType === 'fix' ? 'fixed' : 'edited'} ${pathUtils.basename(targetFile)}`;
+      } else if (streamResult.rejected) {
+        return `🚫 No changes applied to ${pathUtils.basename(targetFile)}.`;
       } else {
         return `❌ Error editing file: ${streamResult.error}`;
       }
@@ -1460,21 +1690,23 @@ Return ONLY the complete, corrected file content. No explanations, no markdown,
         return { success: false, error: 'Editor not available' };
       }
       
+      // With review on, stream into a buffer and only touch the editor once the diff is accepted
+      const originalContent = editor.getValue();
+      const reviewEdits = this.diffReview?.reviewEnabled;
+      if (reviewEdits) {
+        this.ideAIManager.showNotification?.('Generating changes for review...', 'info');
+      }
+      
       // Create a unique stream ID
       const streamId = 'editor_stream_' + Date.now() + '_' + Math.floor(Math.random() * 1000000);
       
-      // Get token settings
-      const contextTokens = 32768;
-      const maxTokens = 4096;
-      
       const fullPrompt = `${systemPrompt}\n\nUser: ${prompt}`;
       
       const requestPayload = {
-        model: this.selectedModel,
+        model: this.models.tool || this.selectedModel,
         prompt: fullPrompt,
         stream: true,
-        contextTokens,
-        maxTokens,
+        ...this.getRoleOptions('coder'),
         streamId
       };
       
@@ -1494,7 +1726,7 @@ Return ONLY the complete, corrected file content. No explanations, no markdown,
             lineBuffer += data.response;
             
             // Update editor in batches to avoid excessive updates
-            if (!updatePending) {
+            if (!updatePending && !reviewEdits) {
               updatePending = true;
               requestAnimationFrame(() => {
                 if (editor && !isCanceled) {
@@ -1531,29 +1763,43 @@ Return ONLY the complete, corrected file content. No explanations, no markdown,
               .replace(/^#{1,6}\s.*$/gm, '')
               .trim();
             
-            // Set final content in editor
-            if (editor) {
-              editor.setValue(finalContent);
-            }
-            
-            // IMMEDIATELY save the file after streaming completes
-            if (filePath && !filePath.startsWith('new:')) {
-              console.log('💾 Auto-saving streamed content to:', filePath);
-              ipcRenderer.invoke('fs:writeFile', filePath, finalContent)
-                .then(() => {
-                  console.log('✅ File saved successfully after streaming');
-                  // Mark file as not dirty
-                  if (this.ideAIManager?.openFiles?.get(filePath)) {
-                    this.ideAIManager.openFiles.get(filePath).isDirty = false;
-                    this.ideAIManager.updateTabDirtyState(filePath, false);
-                  }
-                })
-                .catch(err => {
-                  console.error('❌ Failed to save file after streaming:', err);
-                });
-            }
-            
-            resolve({ success: true, content: finalContent });
+            this.diffReview.review({
+              filePath,
+              title: 'Review Generated Changes',
+              original: originalContent,
+              proposed: finalContent
+            }).then(review => {
+              if (!review.applied && review.total > 0) {
+                console.log('🚫 Streamed changes rejected in review');
+                resolve({ success: false, rejected: true, error: 'Changes rejected in review' });
+                return;
+              }
+              finalContent = review.content;
+              
+              // Set final content in editor
+              if (editor) {
+                editor.setValue(finalContent);
+              }
+              
+              // IMMEDIATELY save the file after streaming completes
+              if (filePath && !filePath.startsWith('new:')) {
+                console.log('💾 Auto-saving streamed content to:', filePath);
+                ipcRenderer.invoke('fs:writeFile', filePath, finalContent)
+                  .then(() => {
+                    console.log('✅ File saved successfully after streaming');
+                    // Mark file as not dirty
+                    if (this.ideAIManager?.openFiles?.get(filePath)) {
+                      this.ideAIManager.openFiles.get(filePath).isDirty = false;
+                      this.ideAIManager.updateTabDirtyState?.(filePath, false);
+                    }
+                  })
+                  .catch(err => {
+                    console.error('❌ Failed to save file after streaming:', err);
+                  });
+              }
+              
+              resolve({ success: true, content: finalContent });
+            });
           }
         };
         
@@ -1664,6 +1910,25 @@ Return ONLY the complete, corrected file content. No explanations, no markdown,
       console.log('📁 Files loaded:', files.length, 'items');
       this.renderFileTree(files);
       
+      // Keep the semantic index pointed at the current workspace
+      this.semanticSearch?.openWorkspace(this.currentFolder);
+      
+      // Memory is kept per workspace
+      this.memoryManager?.setWorkspace(this.currentFolder);
+      
+      // Remembered command approvals are per workspace too
+      this.commandApproval?.setWorkspace(this.currentFolder);
+      this.sourceControl?.scheduleRefresh();
+      this.languageClient?.setWorkspace(this.currentFolder);
+      
+      // Terminal tabs are saved per workspace and come back with it
+      window.realTerminalUI?.restoreSessions(this.currentFolder);
+      this.tasks?.setWorkspace(this.currentFolder);
+      this.problems?.setWorkspace(this.currentFolder);
+      if (this.checkpoints?.isVisible()) {
+        this.checkpoints.refresh();
+      }
+      
       // Update the breadcrumb navigation
       this.updateBreadcrumbNavigation();
     } catch (error) {
@@ -2185,6 +2450,17 @@ Return ONLY the complete, corrected file content. No explanations, no markdown,
       };
       menu.appendChild(runOption);
       
+      if (this.debugger?.canDebug(file.path)) {
+        const debugOption = document.createElement('div');
+        debugOption.className = 'context-menu-item';
+        debugOption.innerHTML = '<span class="menu-icon">🐞</span> Debug';
+        debugOption.onclick = () => {
+          menu.remove();
+          this.debugger.start(file.path);
+        };
+        menu.appendChild(debugOption);
+      }
+      
       // Add separator
       const separator = document.createElement('div');
       separator.className = 'context-menu-separator';
@@ -2361,6 +2637,24 @@ Return ONLY the complete, corrected file content. No explanations, no markdown,
     }
   }
 
+  showSidebarView(view) {
+    document.querySelectorAll('.sidebar-view-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.view === view);
+    });
+    document.querySelectorAll('.sidebar-view').forEach(panel => {
+      panel.classList.toggle('active', panel.dataset.view === view);
+    });
+
+    const panels = {
+      'source-control': this.sourceControl,
+      'checkpoints': this.checkpoints,
+      'tasks': this.tasks,
+      'problems': this.problems,
+      'debug': this.debugger
+    };
+    panels[view]?.onShow?.();
+  }
+
   // Simple input dialog replacement for Electron
   async showInputDialog(title, message, defaultValue = '') {
     return new Promise((resolve) => {
@@ -2457,7 +2751,8 @@ Return ONLY the complete, corrected file content. No explanations, no markdown,
   }
 
   // UI Methods
-  addChatMessage(sender, content) {
+  // options.images: attachments ({ name, thumbnail }) shown under the text
+  addChatMessage(sender, content, options = {}) {
     console.log('💬 ==================== ADDING CHAT MESSAGE ====================');
     console.log('💬 Sender:', sender);
     console.log('💬 Content length:', content.length);
@@ -2488,6 +2783,9 @@ Return ONLY the complete, corrected file content. No explanations, no markdown,
     const messageContent = document.createElement('div');
     messageContent.className = 'message-content';
     messageContent.innerHTML = this.formatMessage(content);
+    if (options.images?.length && this.chatImages) {
+      messageContent.insertAdjacentHTML('beforeend', this.chatImages.renderThumbnails(options.images));
+    }
     
     messageDiv.appendChild(avatar);
     messageDiv.appendChild(messageContent);
@@ -2501,11 +2799,16 @@ Return ONLY the complete, corrected file content. No explanations, no markdown,
   }
 
   getRecentConversationContext() {
+    // Prefer the session memory, which carries the rolling summary of older turns
+    if (this.memoryManager?.hasContent()) {
+      return this.memoryManager.getHistoryContext(5);
+    }
+
     // Get recent chat messages for context
     const chatMessages = document.getElementById('chat-messages');
     if (!chatMessages) return '';
     
-    const messages = chatMessages.querySelectorAll('.message');
+    const messages = chatMessages.querySelectorAll('.chat-message');
     const recentMessages = [];
     
     // Get last 5 messages for context
@@ -2560,10 +2863,14 @@ Return ONLY the complete, corrected file content. No explanations, no markdown,
       console.log('🗑️ History cleared and new session started');
     }
     
+    // Archive the memory session and start a fresh one
+    const memoryReset = this.memoryManager?.resetMemory();
+    
     // Add welcome message
     this.addChatMessage('system', '🆕 New chat session started. History has been reset.');
     
     console.log('✅ Chat and history cleared successfully');
+    return memoryReset;
   }
 
   setupChatResize() {
@@ -2800,7 +3107,7 @@ Return ONLY the complete, corrected file content. No explanations, no markdown,
   }
 
   // Process code replacements from AI response
-  processCodeReplacements(aiResponse) {
+  async processCodeReplacements(aiResponse) {
     console.log('🔄 Processing potential code replacements...');
     console.log('🔄 AI response length:', aiResponse.length);
     console.log('🔄 Available chunks:', this.chatCodeChunks.length);
@@ -2958,19 +3265,26 @@ Return ONLY the complete, corrected file content. No explanations, no markdown,
     if (replacements.length > 0) {
       console.log(`🔧 Performing ${replacements.length} code replacement(s)...`);
       
-      replacements.forEach((replacement, index) => {
-        this.performChunkReplacement(replacement.chunk, replacement.code, replacement.type);
-      });
+      // Run one at a time so each review sees the result of the previous one
+      let appliedCount = 0;
+      for (const replacement of replacements) {
+        if (await this.performChunkReplacement(replacement.chunk, replacement.code, replacement.type)) {
+          appliedCount++;
+        }
+      }
       
       // Show success notification
-      this.showCodeReplacementNotification(replacements.length);
+      if (appliedCount > 0) {
+        this.showCodeReplacementNotification(appliedCount);
+      }
     } else {
       console.log('ℹ️ No code replacements detected in AI response');
     }
   }
 
   // Perform actual code replacement for a chunk
-  performChunkReplacement(chunk, newCode, replacementType) {
+  // Returns true when the change was applied to the editor
+  async performChunkReplacement(chunk, newCode, replacementType) {
     console.log(`🔧 Replacing code in ${chunk.fileName} (Lines ${chunk.startLine}-${chunk.endLine})`);
     console.log(`🔧 Replacement type: ${replacementType}`);
     console.log(`🔧 New code length: ${newCode.length}`);
@@ -2986,7 +3300,7 @@ Return ONLY the complete, corrected file content. No explanations, no markdown,
     if (originalCode === newCodeTrimmed) {
       console.warn('⚠️ AI returned the same code without modifications');
       this.addStreamingChatMessage('system', '⚠️ AI returned the same code without changes. Try being more specific about what changes you want.');
-      return;
+      return false;
     }
     
     // For color theme changes, verify colors were actually changed
@@ -3000,7 +3314,7 @@ Return ONLY the complete, corrected file content. No explanations, no markdown,
       if (!colorsChanged) {
         console.warn('⚠️ Color theme change requested but no color values were modified');
         this.addStreamingChatMessage('system', '⚠️ No color values were changed. Try asking more specifically like "change the primary color to #DC143C".');
-        return;
+        return false;
       }
     }
 
@@ -3009,12 +3323,31 @@ Return ONLY the complete, corrected file content. No explanations, no markdown,
       // File is open, replace in editor
       const editor = this.ideAIManager.editor;
       if (editor) {
-        // Create CodeMirror position objects
-        const from = { line: chunk.startLine - 1, ch: 0 };
-        const to = { line: chunk.endLine - 1, ch: editor.getLine(chunk.endLine - 1).length };
+        // Build the whole proposed document so the review shows the change in context
+        const original = editor.getValue();
+        const lines = original.split('\n');
+        const newLines = cleanedNewCode.split('\n');
+        const proposed = [
+          ...lines.slice(0, chunk.startLine - 1),
+          ...newLines,
+          ...lines.slice(chunk.endLine)
+        ].join('\n');
+        
+        const review = await this.diffReview.review({
+          filePath: chunk.filePath,
+          title: `Review AI Edit (Lines ${chunk.startLine}-${chunk.endLine})`,
+          original,
+          proposed
+        });
+        
+        if (!review.applied) {
+          console.log(`🚫 Replacement in ${chunk.fileName} rejected in review`);
+          return false;
+        }
         
-        // Perform replacement
-        editor.replaceRange(cleanedNewCode, from, to);
+        // Replace the whole document in one undoable step
+        const lastLine = editor.lastLine();
+        editor.replaceRange(review.content, { line: 0, ch: 0 }, { line: lastLine, ch: editor.getLine(lastLine).length });
         
         // Refresh editor
         setTimeout(() => {
@@ -3022,8 +3355,10 @@ Return ONLY the complete, corrected file content. No explanations, no markdown,
           console.log('✅ Code replaced in editor');
         }, 50);
         
-        // Update chunk with new code
-        chunk.text = cleanedNewCode;
+        // Update chunk with the lines that now occupy its range
+        const lineDelta = review.content.split('\n').length - lines.length;
+        chunk.endLine = Math.max(chunk.startLine, chunk.endLine + lineDelta);
+        chunk.text = review.content.split('\n').slice(chunk.startLine - 1, chunk.endLine).join('\n');
         
         // Mark file as dirty and add to history
         if (this.ideAIManager.markFileAsDirty) {
@@ -3034,12 +3369,14 @@ Return ONLY the complete, corrected file content. No explanations, no markdown,
         this.updateChunkCardStatus(chunk.id, 'modified');
         
         console.log(`✅ Replaced code in ${chunk.fileName} successfully`);
+        return true;
       } else {
         console.error('❌ Editor not available for replacement');
       }
     } else {
       console.log(`⚠️ File ${chunk.fileName} is not currently open - replacement skipped`);
     }
+    return false;
   }
 
   // Show notification about code replacements
@@ -3075,6 +3412,32 @@ Return ONLY the complete, corrected file content. No explanations, no markdown,
     console.log(`🔧 Auto code replacement ${this.autoReplaceEnabled ? 'enabled' : 'disabled'}`);
   }
 
+  toggleAgentMode() {
+    this.agentModeEnabled = !this.agentModeEnabled;
+    localStorage.setItem('agent-mode', String(this.agentModeEnabled));
+    this.updateAgentModeButton();
+    
+    const statusMessage = this.agentModeEnabled ?
+      '🤖 Agent mode enabled - requests run as a multi-step tool loop, without plan review or step verification' :
+      '🎯 Agent mode disabled - requests use single-action intent routing';
+    this.addStreamingChatMessage('system', statusMessage);
+    
+    console.log(`🤖 Agent mode ${this.agentModeEnabled ? 'enabled' : 'disabled'}`);
+  }
+
+  updateAgentModeButton() {
+    const toggleBtn = document.getElementById('agent-mode-toggle');
+    if (!toggleBtn) return;
+    
+    if (this.agentModeEnabled) {
+      toggleBtn.classList.add('active');
+      toggleBtn.title = 'Agent Mode: ON (Click to disable)';
+    } else {
+      toggleBtn.classList.remove('active');
+      toggleBtn.title = 'Agent Mode: OFF (Click to enable)';
+    }
+  }
+
   // Update chunk card visual status
   updateChunkCardStatus(chunkId, status) {
     const chunkCard = document.querySelector(`[data-chunk-id="${chunkId}"]`);
@@ -3367,7 +3730,7 @@ ${chunk.text}
 User request: ${userMessage}`;
     
     // Use the existing streaming generation system which will auto-replace
-    const result = await this.generateWithModel(this.selectedModel, prompt, systemPrompt);
+    const result = await this.generateWithModel(this.models.tool, prompt, systemPrompt, { role: 'coder' });
     
     console.log(`✅ ${actionType} action completed for chunk ${chunk.fileName}`);
     return `Applied ${actionType} changes to ${chunk.fileName} (Lines ${chunk.startLine}-${chunk.endLine})`;
@@ -3416,7 +3779,7 @@ User request: ${userMessage}`;
   }
 
   storeInMemory(entry) {
-    // Simple memory storage (could be enhanced with proper persistence)
+    // Short in-process list for this window
     if (!this.memory) this.memory = [];
     this.memory.push(entry);
     
@@ -3424,11 +3787,23 @@ User request: ${userMessage}`;
     if (this.memory.length > 50) {
       this.memory = this.memory.slice(-50);
     }
+
+    // Persist the exchange with the workspace session
+    if (this.memoryManager && entry.userMessage) {
+      const toolsCalled = Array.isArray(entry.result)
+        ? entry.result.map(step => step.tool).filter(Boolean)
+        : (entry.intent?.tool ? [entry.intent.tool] : []);
+      this.memoryManager.addConversation(entry.userMessage, entry.summary || '', entry.intent, toolsCalled, this.messageImages);
+    }
   }
 
   // Enhanced IDE Features
   showSettings() {
     document.getElementById('settings-modal').style.display = 'flex';
+    this.providerManager?.render();
+    this.modelRoles?.render();
+    this.structuredOutput?.renderDiagnostics();
+    this.problems?.renderSettings();
   }
 
   hideSettings() {
@@ -3707,7 +4082,7 @@ User request: ${userMessage}`;
         this.availableModels.forEach((model, index) => {
           const option = document.createElement('option');
           option.value = model.name;
-          option.textContent = model.name;
+          option.textContent = this.getModelLabel(model);
           
           // Select the current model
           if (model.name === this.selectedModel) {
@@ -3736,7 +4111,7 @@ User request: ${userMessage}`;
         this.availableModels.forEach((model, index) => {
           const option = document.createElement('option');
           option.value = model.name;
-          option.textContent = model.name;
+          option.textContent = this.getModelLabel(model);
           
           // Select the current completion model
           if (model.name === this.completionModel) {
@@ -3758,6 +4133,7 @@ User request: ${userMessage}`;
             if (this.aiManager && this.aiManager.autocompleteManager) {
               this.aiManager.autocompleteManager.setCompletionModel(this.completionModel);
             }
+            this.modelRoles?.setRoleModel('autocomplete', this.completionModel);
           });
         }
       }
@@ -3766,6 +4142,14 @@ User request: ${userMessage}`;
     console.log('✅ Model selectors updated successfully');
   }
 
+  // Models served by a provider other than the default Ollama get its name appended
+  getModelLabel(model) {
+    if (model.provider && model.provider !== 'ollama' && model.providerName) {
+      return `${model.name} (${model.providerName})`;
+    }
+    return model.name;
+  }
+
   selectModel(modelName) {
     console.log('🎯 ==================== MODEL SELECTION ====================');
     console.log('🎯 Previous model:', this.selectedModel);
@@ -3784,14 +4168,19 @@ User request: ${userMessage}`;
       return;
     }
 
-    // Update selected model
+    // Update selected model; roles without a model of their own follow it
     this.selectedModel = modelName;
-    this.models.intent = modelName;
-    this.models.tool = modelName;
-    this.models.synthesis = modelName;
+    if (this.modelRoles) {
+      this.modelRoles.setRoleModel('chat', modelName);
+    } else {
+      this.models.intent = modelName;
+      this.models.planner = modelName;
+      this.models.tool = modelName;
+      this.models.synthesis = modelName;
+    }
 
     console.log('✅ Model selection updated successfully');
-    console.log('✅ All AI operations will now use:', modelName);
+    console.log('✅ Chat and unassigned roles will now use:', modelName);
     
     // Show notification
     this.addChatMessage('system', `🤖 Switched to model: ${modelName}`);
@@ -3827,7 +4216,7 @@ Refactored code:`;
 
     try {
       console.log('🤖 Generating refactored content with AI...');
-      const refactoredContent = await this.generateWithModel(this.selectedModel, message, systemPrompt);
+      const refactoredContent = await this.generateWithModel(this.models.tool, message, systemPrompt, { role: 'coder' });
       
       // Clean the AI response to get pure code
       let cleanedContent = this.extractCodeFromResponse(refactoredContent);
@@ -3922,7 +4311,7 @@ Optimized code:`;
 
     try {
       console.log('🤖 Generating optimized content with AI...');
-      const optimizedContent = await this.generateWithModel(this.selectedModel, message, systemPrompt);
+      const optimizedContent = await this.generateWithModel(this.models.tool, message, systemPrompt, { role: 'coder' });
       
       // Clean the AI response to get pure code
       let cleanedContent = this.extractCodeFromResponse(optimizedContent);
@@ -3994,7 +4383,7 @@ Fixed code:`;
 
     try {
       console.log('🤖 Generating fixed content with AI...');
-      const fixedContent = await this.generateWithModel(this.selectedModel, message, systemPrompt);
+      const fixedContent = await this.generateWithModel(this.models.tool, message, systemPrompt, { role: 'coder' });
       
       // Clean the AI response to get pure code
       let cleanedContent = this.extractCodeFromResponse(fixedContent);
@@ -4163,7 +4552,7 @@ CRITICAL INSTRUCTIONS:
 Modified selected text:`;
 
       console.log('🤖 Generating modified content for selection...');
-      const modifiedContent = await this.generateWithModel(this.selectedModel, userMessage, systemPrompt);
+      const modifiedContent = await this.generateWithModel(this.models.tool, userMessage, systemPrompt, { role: 'coder' });
       
       // Clean the AI response
       let cleanedContent = this.extractCodeFromResponse(modifiedContent);
@@ -4185,13 +4574,31 @@ Modified selected text:`;
       console.log('✏️ Modified content length:', cleanedContent.length);
       console.log('✏️ Content preview:', cleanedContent.substring(0, 200) + '...');
 
-      // Replace the selected text in the editor
+      // Review the edit in the context of the whole file, like chunk replacements
+      const lines = currentContent.split('\n');
+      const proposed = [
+        ...lines.slice(0, selectionInfo.startLine - 1),
+        ...cleanedContent.split('\n'),
+        ...lines.slice(selectionInfo.endLine)
+      ].join('\n');
+      if (proposed === currentContent) {
+        return `⚠️ The AI returned the selection unchanged. Try being more specific about what to change.`;
+      }
+      const review = await this.diffReview.review({
+        filePath: this.ideAIManager.getCurrentFilePath(),
+        title: `Review AI Edit (Lines ${selectionInfo.startLine}-${selectionInfo.endLine})`,
+        original: currentContent,
+        proposed
+      });
+      if (!review.applied) {
+        console.log(`🚫 Edit of ${currentFile} rejected in review`);
+        return `🚫 Edit of the selection in ${currentFile} was rejected. No changes were made.`;
+      }
+
+      // Replace only the lines the accepted hunks changed
       console.log('🔄 Replacing selected text in editor...');
-      await this.ideAIManager.editLineRange(
-        selectionInfo.startLine - 1, // Convert to 0-based for CodeMirror
-        selectionInfo.endLine - 1,
-        cleanedContent
-      );
+      const range = this.diffReview.changedRange(currentContent, review.content);
+      await this.ideAIManager.editLineRange(range.startLine, range.endLine, range.text);
 
       // Mark file as dirty and save to disk
       if (this.ideAIManager.markFileAsDirty) {
@@ -4314,7 +4721,7 @@ Fixed file content:`;
       }
 
       console.log('🤖 Generating fixed content with AI...');
-      const fixedContent = await this.generateWithModel(this.selectedModel, message, systemPrompt);
+      const fixedContent = await this.generateWithModel(this.models.tool, message, systemPrompt, { role: 'coder' });
       
       // Clean the AI response to get pure code
       let cleanedContent = this.extractCodeFromResponse(fixedContent);
@@ -4336,6 +4743,21 @@ Fixed file content:`;
       console.log('✏️ Fixed content length:', cleanedContent.length);
       console.log('✏️ Content preview:', cleanedContent.substring(0, 200) + '...');
 
+      // Let the user review the change before it reaches the disk
+      const isOpenInEditor = this.ideAIManager && this.ideAIManager.currentFile === actualFilePath;
+      const review = await this.diffReview.review({
+        filePath: actualFilePath,
+        title: 'Review AI Fix',
+        original: isOpenInEditor ? this.ideAIManager.editor.getValue() : currentContent,
+        proposed: cleanedContent
+      });
+
+      if (!review.applied) {
+        console.log('🚫 Fix rejected in review');
+        return `🚫 No changes applied to ${pathUtils.basename(actualFilePath)}.`;
+      }
+      cleanedContent = review.content;
+
       // Write the fixed content back to the file
       console.log('💾 Writing fixed content to disk...');
       const writeResult = await ipcRenderer.invoke('fs:writeFile', actualFilePath, cleanedContent);
@@ -4348,9 +4770,9 @@ Fixed file content:`;
       console.log('✅ File successfully updated on disk');
 
       // If the file is currently open in the editor, update it
-      if (this.ideAIManager && this.ideAIManager.currentFile === actualFilePath) {
+      if (isOpenInEditor) {
         console.log('🔄 Updating content in open editor...');
-        await this.ideAIManager.replaceFileContent(cleanedContent);
+        await this.ideAIManager.replaceFileContent(cleanedContent, { reviewed: true });
       } else {
         // Open the file in the editor to show the changes
         console.log('📂 Opening fixed file in editor...');
@@ -4459,7 +4881,9 @@ Context:
 - Working folder: ${context.workingFolder || 'None'}
 - File is open: ${context.isFileOpen ? 'Yes' : 'No'}`;
 
-    // If user is asking about file content and a file is open, include the actual content
+    // If user is asking about file content and a file is open, include the actual content.
+    // It goes to the model as its own prompt section so it can be budgeted separately
+    let fileSection = '';
     if (isFileContentQuery && context.isFileOpen && this.ideAIManager) {
       const fileContent = this.ideAIManager.getCurrentFileContent();
       if (fileContent) {
@@ -4467,16 +4891,15 @@ Context:
         const fileExtension = pathUtils.extname(context.currentFilePath || '').toLowerCase();
         const lineCount = fileContent.split('\n').length;
         
-        systemPrompt += `
-
-**CURRENT FILE CONTENT:**
+        fileSection = `**CURRENT FILE CONTENT:**
 File: ${fileName} (${fileExtension} file, ${lineCount} lines, ${fileContent.length} characters)
 Content:
 \`\`\`
 ${fileContent}
-\`\`\`
+\`\`\``;
+        systemPrompt += `
 
-The user is asking about this file content. Provide a comprehensive analysis including:
+The user is asking about the current file content, which is included with their message. Provide a comprehensive analysis including:
 - What the file does and its purpose
 - Key components, functions, or classes
 - Programming language and framework used
@@ -4496,7 +4919,7 @@ CRITICAL RESPONSE RULES FOR CHAT MESSAGES:
 - Prefer bullet points and references to files instead of pasting code.
 `;
 
-    const raw = await this.generateWithModel(this.selectedModel, message, systemPrompt);
+    const raw = await this.generateWithModel(this.selectedModel, message, systemPrompt, { includeHistory: true, file: fileSection });
     // Strip code fences and any accidental large code blocks
     const cleaned = (raw || '')
       .replace(/^```[\s\S]*?```/gm, '[code omitted]')
@@ -4659,7 +5082,7 @@ CRITICAL RULES:
 - NO HTML tags or content
 - Just raw, improved code that can directly replace the selection:`;
         }
-        return await this.generateWithModel(this.selectedModel, message, refactorPrompt);
+        return await this.generateWithModel(this.models.tool, message, refactorPrompt, { role: 'coder' });
         
       case 'optimize':
         const isCustomOptimize = message.includes('with these specific requirements:');
@@ -4705,7 +5128,7 @@ CRITICAL RULES:
 - NO HTML tags or content
 - Just raw, optimized code that can directly replace the selection:`;
         }
-        return await this.generateWithModel(this.selectedModel, message, optimizePrompt);
+        return await this.generateWithModel(this.models.tool, message, optimizePrompt, { role: 'coder' });
         
       case 'fix':
         const isCustomFix = message.includes('focusing on:');
@@ -4753,7 +5176,7 @@ CRITICAL RULES:
 - NO HTML tags or content
 - Just raw, bug-free code that can directly replace the selection:`;
         }
-        return await this.generateWithModel(this.selectedModel, message, fixPrompt);
+        return await this.generateWithModel(this.models.tool, message, fixPrompt, { role: 'coder' });
         
       case 'explain':
         const explainPrompt = `You are a code explanation expert. Provide a clear, detailed explanation of this code:
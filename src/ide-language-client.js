@@ -0,0 +1,284 @@
+/**
+ * Mithril AI IDE - Language Client
+ * Connects the CodeMirror editor to the language servers in the main process:
+ * diagnostics in the lint gutter, hover tooltips, go-to-definition (F12 or
+ * Ctrl/Cmd+click) and symbol completion (Ctrl+Space or after ".")
+ */
+
+// ipcRenderer is already imported in ide-core.js which loads before this file
+
+class IDELanguageClient {
+  constructor(ideCore) {
+    this.ideCore = ideCore;
+    this.enabled = localStorage.getItem('lsp-enabled') !== 'false';
+    this.diagnostics = new Map(); // filePath -> CodeMirror lint annotations
+    this.attached = null; // { editor, filePath } for the active editor
+    this.syncDelay = 300;
+    this.hoverDelay = 500;
+    this.status = [];
+
+    ipcRenderer.on('lsp:diagnostics', (event, { path, diagnostics }) => {
+      this.diagnostics.set(path, diagnostics);
+      if (this.attached?.filePath === path) {
+        this.attached.editor.performLint?.();
+      }
+    });
+
+    ipcRenderer.on('lsp:status', (event, status) => {
+      this.status = status;
+      this.renderStatus();
+    });
+
+    console.log('🧩 Language client initialized');
+  }
+
+  init() {
+    const toggle = document.getElementById('lsp-toggle');
+    if (toggle) {
+      toggle.checked = this.enabled;
+      toggle.addEventListener('change', (e) => this.setEnabled(e.target.checked));
+    }
+    this.renderStatus();
+  }
+
+  async setEnabled(enabled) {
+    this.enabled = !!enabled;
+    localStorage.setItem('lsp-enabled', String(this.enabled));
+    if (!this.enabled) {
+      this.attached = null;
+      await ipcRenderer.invoke('lsp:setWorkspace', null);
+    } else {
+      await this.setWorkspace(this.ideCore.currentFolder);
+    }
+    this.ideCore.ideAIManager?.showNotification('Reopen files to apply the language server setting', 'info');
+  }
+
+  async setWorkspace(folder) {
+    if (!this.enabled) return;
+    this.diagnostics.clear();
+    await ipcRenderer.invoke('lsp:setWorkspace', folder);
+  }
+
+  renderStatus() {
+    const statusEl = document.getElementById('lsp-status');
+    if (!statusEl) return;
+
+    if (!this.enabled) {
+      statusEl.textContent = 'Disabled';
+    } else if (this.status.length === 0) {
+      statusEl.textContent = 'No servers running';
+    } else {
+      statusEl.textContent = this.status
+        .map(server => `${server.name}: ${server.state === 'failed' ? server.error : server.state}`)
+        .join(' · ');
+    }
+  }
+
+  isAttachable(fileInfo) {
+    return this.enabled && fileInfo && !fileInfo.readOnly && !fileInfo.isNew && !fileInfo.path.startsWith('new:');
+  }
+
+  /**
+   * Called for every new editor instance. Falls back to the built-in linters
+   * when no server is installed for the file's language.
+   */
+  async attach(editor, fileInfo) {
+    if (!this.isAttachable(fileInfo)) return;
+
+    const filePath = fileInfo.path;
+    const result = await ipcRenderer.invoke('lsp:sync', filePath, editor.getValue());
+    if (!result.running) {
+      if (result.supported && result.error) {
+        console.log(`🧩 Using built-in linting for ${fileInfo.name}: ${result.error}`);
+      }
+      return;
+    }
+
+    // The editor may have been replaced while the server was starting
+    if (this.ideCore.ideAIManager?.editor !== editor) return;
+
+    const attached = { editor, filePath, syncTimer: null, hoverTimer: null };
+    this.attached = attached;
+
+    editor.setOption('lint', {
+      getAnnotations: () => [
+        ...(this.diagnostics.get(filePath) || []),
+        ...(this.ideCore.problems?.annotationsFor(editor) || [])
+      ],
+      delay: 0
+    });
+    const gutters = editor.getOption('gutters') || [];
+    if (!gutters.includes('CodeMirror-lint-markers')) {
+      editor.setOption('gutters', [...gutters, 'CodeMirror-lint-markers']);
+    }
+
+    editor.on('change', () => {
+      clearTimeout(attached.syncTimer);
+      attached.syncTimer = setTimeout(() => this.sync(attached), this.syncDelay);
+    });
+
+    editor.on('inputRead', (cm, change) => {
+      if (change.text.join('') === '.') {
+        this.showCompletions(attached);
+      }
+    });
+
+    editor.addKeyMap({
+      'Ctrl-Space': () => this.showCompletions(attached),
+      'F12': () => this.goToDefinition(attached, editor.getCursor())
+    });
+
+    const wrapper = editor.getWrapperElement();
+    wrapper.addEventListener('mousedown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.button !== 0) return;
+      e.preventDefault();
+      this.goToDefinition(attached, editor.coordsChar({ left: e.clientX, top: e.clientY }));
+    });
+    wrapper.addEventListener('mousemove', (e) => {
+      clearTimeout(attached.hoverTimer);
+      this.hideHover();
+      attached.hoverTimer = setTimeout(() => this.showHover(attached, e.clientX, e.clientY), this.hoverDelay);
+    });
+    wrapper.addEventListener('mouseleave', () => {
+      clearTimeout(attached.hoverTimer);
+      this.hideHover();
+    });
+
+    console.log(`🧩 ${result.server} attached to ${fileInfo.name}`);
+  }
+
+  async sync(attached) {
+    clearTimeout(attached.syncTimer);
+    attached.syncTimer = null;
+    if (this.attached !== attached) return;
+    await ipcRenderer.invoke('lsp:sync', attached.filePath, attached.editor.getValue());
+  }
+
+  detach(filePath) {
+    if (this.attached?.filePath === filePath) {
+      this.attached = null;
+    }
+    this.diagnostics.delete(filePath);
+    ipcRenderer.invoke('lsp:close', filePath);
+  }
+
+  didSave(filePath) {
+    if (this.enabled) {
+      ipcRenderer.invoke('lsp:save', filePath);
+    }
+  }
+
+  async showHover(attached, x, y) {
+    if (this.attached !== attached) return;
+    const editor = attached.editor;
+    const position = editor.coordsChar({ left: x, top: y }, 'window');
+    const line = editor.getLine(position.line) || '';
+    if (!/[\w$]/.test(line.charAt(position.ch) || '')) return;
+
+    if (attached.syncTimer) {
+      await this.sync(attached);
+    }
+    const result = await ipcRenderer.invoke('lsp:hover', attached.filePath, position);
+    if (!result.success || !result.hover || this.attached !== attached) return;
+
+    this.hideHover();
+    const tooltip = document.createElement('div');
+    tooltip.className = 'lsp-hover-tooltip';
+    tooltip.innerHTML = this.formatHover(result.hover.contents);
+    tooltip.style.left = `${x + 8}px`;
+    tooltip.style.top = `${y + 16}px`;
+    document.body.appendChild(tooltip);
+    this.hoverTooltip = tooltip;
+
+    // Keep the tooltip inside the window
+    const rect = tooltip.getBoundingClientRect();
+    if (rect.right > window.innerWidth) {
+      tooltip.style.left = `${Math.max(4, window.innerWidth - rect.width - 8)}px`;
+    }
+    if (rect.bottom > window.innerHeight) {
+      tooltip.style.top = `${Math.max(4, y - rect.height - 8)}px`;
+    }
+  }
+
+  hideHover() {
+    this.hoverTooltip?.remove();
+    this.hoverTooltip = null;
+  }
+
+  // Render fenced code blocks as <pre>, everything else as escaped text
+  formatHover(markdown) {
+    const parts = markdown.split(/```[\w-]*\n?([\s\S]*?)```/);
+    return parts.map((part, index) => {
+      const escaped = this.ideCore.escapeHtml(part.trim());
+      if (!escaped) return '';
+      return index % 2 === 1 ? `<pre>${escaped}</pre>` : `<div>${escaped}</div>`;
+    }).join('');
+  }
+
+  async goToDefinition(attached, position) {
+    if (this.attached !== attached) return;
+    if (attached.syncTimer) {
+      await this.sync(attached);
+    }
+
+    const result = await ipcRenderer.invoke('lsp:definition', attached.filePath, position);
+    const location = result.locations?.[0];
+    if (!location) {
+      this.ideCore.ideAIManager?.showNotification('No definition found', 'info');
+      return;
+    }
+
+    if (location.path !== attached.filePath) {
+      await this.ideCore.openFile(location.path);
+    }
+
+    const editor = this.ideCore.ideAIManager?.editor;
+    if (editor) {
+      const target = { line: location.line, ch: location.ch };
+      editor.setCursor(target);
+      editor.scrollIntoView(target, 100);
+      editor.focus();
+    }
+  }
+
+  async showCompletions(attached) {
+    const editor = attached.editor;
+    if (this.attached !== attached || !editor.showHint) return;
+
+    const hint = (cm, callback) => {
+      const cursor = cm.getCursor();
+      const line = cm.getLine(cursor.line);
+      let start = cursor.ch;
+      while (start > 0 && /[\w$]/.test(line.charAt(start - 1))) start--;
+      const typed = line.substring(start, cursor.ch).toLowerCase();
+
+      this.sync(attached)
+        .then(() => ipcRenderer.invoke('lsp:completion', attached.filePath, cursor))
+        .then((result) => {
+          const list = (result.items || [])
+            .filter(item => !typed || item.label.toLowerCase().startsWith(typed))
+            .map(item => ({
+              text: item.insertText,
+              displayText: item.detail ? `${item.label}  ${item.detail}` : item.label,
+              className: `lsp-completion-kind-${item.kind || 0}`,
+              from: item.range?.from,
+              to: item.range ? cursor : undefined
+            }));
+          callback({ list, from: { line: cursor.line, ch: start }, to: cursor });
+        })
+        .catch(() => callback(null));
+    };
+    hint.async = true;
+
+    // Don't fight the AI ghost-text completion
+    this.ideCore.ideAIManager?.autocompleteManager?.clearGhostText?.();
+    editor.showHint({ hint, completeSingle: false });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IDELanguageClient;
+} else {
+  window.IDELanguageClient = IDELanguageClient;
+}
@@ -356,7 +356,8 @@ class IDELintingManager {
         const errors = linter.lint(text);
         currentErrors = errors; // Store for context menu
         console.log(`🔍 ${linter.name} found ${errors.length} issues`);
-        return errors;
+        // Problems found in build and task output share the gutter
+        return errors.concat(window.mithrilIDE?.problems?.annotationsFor(editor) || []);
       } catch (error) {
         console.error(`🔍 Error in ${linter.name}:`, error);
         return [];
@@ -0,0 +1,201 @@
+/**
+ * Mithril AI IDE - Model Provider Settings
+ * Settings UI for the main-process provider layer: configure Ollama, llama.cpp
+ * and OpenAI-compatible endpoints and choose which one serves each model
+ */
+
+// ipcRenderer is already imported in ide-core.js which loads before this file
+
+class IDEProviderManager {
+  constructor(ideCore) {
+    this.ideCore = ideCore;
+    this.config = null;
+    this.container = null;
+
+    this.typeLabels = {
+      ollama: 'Ollama',
+      llamacpp: 'llama.cpp server',
+      openai: 'OpenAI-compatible (LM Studio, vLLM)'
+    };
+
+    this.defaultUrls = {
+      ollama: 'http://localhost:11434',
+      llamacpp: 'http://localhost:8080',
+      openai: 'http://localhost:1234'
+    };
+
+    console.log('🔌 Provider settings manager initialized');
+  }
+
+  async init() {
+    this.container = document.getElementById('provider-settings');
+    if (!this.container) {
+      console.warn('⚠️ Provider settings container not found');
+      return;
+    }
+
+    await this.loadConfig();
+    this.render();
+  }
+
+  async loadConfig() {
+    try {
+      this.config = await ipcRenderer.invoke('providers:getConfig');
+    } catch (error) {
+      console.error('❌ Failed to load provider config:', error);
+      this.config = { providers: [], modelProviders: {}, defaultProvider: 'ollama', types: Object.keys(this.typeLabels) };
+    }
+    return this.config;
+  }
+
+  render() {
+    if (!this.container || !this.config) return;
+
+    const types = this.config.types || Object.keys(this.typeLabels);
+    const typeOptions = (selected) => types.map(type =>
+      `<option value="${type}" ${type === selected ? 'selected' : ''}>${this.typeLabels[type] || type}</option>`
+    ).join('');
+
+    const providerRows = this.config.providers.map((provider, index) => `
+      <div class="provider-row" data-index="${index}">
+        <div class="provider-row-header">
+          <input type="checkbox" class="provider-enabled" ${provider.enabled ? 'checked' : ''} title="Enabled">
+          <input type="text" class="provider-name" value="${this.escape(provider.name)}" placeholder="Name">
+          <button class="provider-remove" title="Remove provider" ${this.config.providers.length <= 1 ? 'disabled' : ''}>
+            <i data-lucide="trash-2"></i>
+          </button>
+        </div>
+        <select class="provider-type">${typeOptions(provider.type)}</select>
+        <input type="text" class="provider-url" value="${this.escape(provider.baseUrl)}" placeholder="${this.defaultUrls[provider.type] || 'http://localhost'}">
+        <input type="password" class="provider-key" value="${this.escape(provider.apiKey)}" placeholder="API key (optional)">
+      </div>
+    `).join('');
+
+    const providerOptions = (selected) => [
+      `<option value="">Auto (provider that lists it)</option>`,
+      ...this.config.providers.map(p =>
+        `<option value="${p.id}" ${p.id === selected ? 'selected' : ''}>${this.escape(p.name)}</option>`
+      )
+    ].join('');
+
+    const modelNames = Array.from(new Set([
+      ...this.ideCore.availableModels.map(m => m.name),
+      ...Object.keys(this.config.modelProviders || {})
+    ]));
+
+    const modelRows = modelNames.map(name => `
+      <div class="provider-model-row">
+        <span class="provider-model-name" title="${this.escape(name)}">${this.escape(name)}</span>
+        <select class="provider-model-select" data-model="${this.escape(name)}">
+          ${providerOptions(this.config.modelProviders[name])}
+        </select>
+      </div>
+    `).join('');
+
+    this.container.innerHTML = `
+      <div class="provider-list">${providerRows}</div>
+      <div class="provider-actions">
+        <button class="btn-provider" id="provider-add-btn">Add Provider</button>
+        <button class="btn-provider primary" id="provider-save-btn">Save</button>
+      </div>
+      <label>Model Routing:</label>
+      <div class="provider-models">${modelRows || '<span class="provider-empty">No models loaded</span>'}</div>
+    `;
+
+    this.container.querySelectorAll('.provider-type').forEach(select => {
+      select.addEventListener('change', (e) => {
+        const row = e.target.closest('.provider-row');
+        const urlInput = row.querySelector('.provider-url');
+        urlInput.placeholder = this.defaultUrls[e.target.value] || 'http://localhost';
+      });
+    });
+
+    this.container.querySelectorAll('.provider-remove').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const index = parseInt(e.target.closest('.provider-row').dataset.index);
+        this.readForm();
+        this.config.providers.splice(index, 1);
+        this.render();
+      });
+    });
+
+    this.container.querySelector('#provider-add-btn')?.addEventListener('click', () => {
+      this.readForm();
+      this.config.providers.push({
+        id: `provider_${Date.now()}`,
+        name: 'Local Server',
+        type: 'openai',
+        baseUrl: this.defaultUrls.openai,
+        apiKey: '',
+        enabled: true
+      });
+      this.render();
+    });
+
+    this.container.querySelector('#provider-save-btn')?.addEventListener('click', () => {
+      this.saveConfig();
+    });
+
+    if (window.lucide) {
+      lucide.createIcons();
+    }
+  }
+
+  // Pull the current form values back into this.config
+  readForm() {
+    if (!this.container) return;
+
+    this.container.querySelectorAll('.provider-row').forEach(row => {
+      const provider = this.config.providers[parseInt(row.dataset.index)];
+      if (!provider) return;
+      provider.enabled = row.querySelector('.provider-enabled').checked;
+      provider.name = row.querySelector('.provider-name').value.trim() || provider.id;
+      provider.type = row.querySelector('.provider-type').value;
+      provider.baseUrl = row.querySelector('.provider-url').value.trim() || this.defaultUrls[provider.type];
+      provider.apiKey = row.querySelector('.provider-key').value;
+    });
+
+    const modelProviders = {};
+    this.container.querySelectorAll('.provider-model-select').forEach(select => {
+      if (select.value) {
+        modelProviders[select.dataset.model] = select.value;
+      }
+    });
+    this.config.modelProviders = modelProviders;
+  }
+
+  async saveConfig() {
+    this.readForm();
+
+    const result = await ipcRenderer.invoke('providers:saveConfig', {
+      providers: this.config.providers,
+      modelProviders: this.config.modelProviders,
+      defaultProvider: this.config.defaultProvider
+    });
+
+    if (!result.success) {
+      console.error('❌ Failed to save provider config:', result.error);
+      this.ideCore.ideAIManager?.showNotification(`Failed to save providers: ${result.error}`, 'error');
+      return;
+    }
+
+    this.config = result.config;
+    console.log('💾 Provider config saved');
+    this.ideCore.ideAIManager?.showNotification('Model providers saved', 'success');
+
+    // Reload models so the selectors reflect the new provider set
+    await this.ideCore.loadModels();
+    this.render();
+  }
+
+  escape(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+}
+
+// Make globally available
+window.IDEProviderManager = IDEProviderManager;
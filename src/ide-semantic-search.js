@@ -0,0 +1,176 @@
+/**
+ * Mithril AI IDE - Semantic Search
+ * Renderer side of the workspace embedding index: opens the index for the
+ * current folder, shows indexing status in settings and retrieves the most
+ * relevant snippets for prompts
+ */
+
+// ipcRenderer is already imported in ide-core.js which loads before this file
+
+class IDESemanticSearch {
+  constructor(ideCore) {
+    this.ideCore = ideCore;
+    this.enabled = localStorage.getItem('semantic-search-enabled') !== 'false';
+    this.embeddingModel = localStorage.getItem('embedding-model') || 'nomic-embed-text';
+    this.topK = parseInt(localStorage.getItem('semantic-top-k')) || 5;
+    this.minScore = 0.3; // cosine similarity below this is treated as unrelated
+    this.maxContextChars = 8000;
+    this.status = null;
+
+    ipcRenderer.on('semanticIndex:status', (event, status) => {
+      this.status = status;
+      this.renderStatus();
+    });
+
+    console.log('🧭 Semantic search initialized');
+  }
+
+  init() {
+    const enabledToggle = document.getElementById('semantic-search-toggle');
+    const modelInput = document.getElementById('embedding-model-input');
+    const topKInput = document.getElementById('semantic-top-k');
+    const rebuildBtn = document.getElementById('semantic-rebuild-btn');
+
+    if (enabledToggle) {
+      enabledToggle.checked = this.enabled;
+      enabledToggle.addEventListener('change', (e) => this.setEnabled(e.target.checked));
+    }
+
+    if (modelInput) {
+      modelInput.value = this.embeddingModel;
+      modelInput.addEventListener('change', (e) => this.setEmbeddingModel(e.target.value));
+    }
+
+    if (topKInput) {
+      topKInput.value = this.topK;
+      topKInput.addEventListener('change', (e) => {
+        this.topK = Math.max(1, Math.min(20, parseInt(e.target.value) || 5));
+        e.target.value = this.topK;
+        localStorage.setItem('semantic-top-k', String(this.topK));
+      });
+    }
+
+    rebuildBtn?.addEventListener('click', () => this.rebuild());
+  }
+
+  // Called whenever the workspace folder is (re)loaded
+  async openWorkspace(folder) {
+    if (!this.enabled || !folder) return;
+
+    const result = await ipcRenderer.invoke('semanticIndex:open', folder, { model: this.embeddingModel });
+    if (result.success) {
+      this.status = result.status;
+      this.renderStatus();
+    } else {
+      console.warn('⚠️ Could not open semantic index:', result.error);
+    }
+  }
+
+  async setEnabled(enabled) {
+    this.enabled = !!enabled;
+    localStorage.setItem('semantic-search-enabled', String(this.enabled));
+
+    if (this.enabled) {
+      await this.openWorkspace(this.ideCore.currentFolder);
+    } else {
+      await ipcRenderer.invoke('semanticIndex:close');
+      this.status = null;
+      this.renderStatus();
+    }
+  }
+
+  async setEmbeddingModel(model) {
+    const trimmed = (model || '').trim();
+    if (!trimmed || trimmed === this.embeddingModel) return;
+
+    this.embeddingModel = trimmed;
+    localStorage.setItem('embedding-model', trimmed);
+    await this.openWorkspace(this.ideCore.currentFolder);
+  }
+
+  async rebuild() {
+    if (!this.enabled || !this.ideCore.currentFolder) return;
+
+    await this.openWorkspace(this.ideCore.currentFolder);
+    const result = await ipcRenderer.invoke('semanticIndex:rebuild');
+    if (!result.success) {
+      this.ideCore.ideAIManager?.showNotification(`Index rebuild failed: ${result.error}`, 'error');
+    }
+  }
+
+  renderStatus() {
+    const statusEl = document.getElementById('semantic-index-status');
+    if (!statusEl) return;
+
+    const status = this.status;
+    if (!this.enabled || !status || status.state === 'closed') {
+      statusEl.textContent = this.enabled ? 'No workspace indexed' : 'Disabled';
+      statusEl.className = 'semantic-index-status';
+      return;
+    }
+
+    let text;
+    if (status.state === 'error') {
+      text = status.error;
+    } else if (status.state === 'indexing') {
+      text = `Indexing… ${status.indexedFiles} files done, ${status.pendingFiles} remaining`;
+    } else {
+      text = `${status.indexedFiles} files, ${status.chunks} chunks indexed`;
+    }
+
+    statusEl.textContent = text;
+    statusEl.className = `semantic-index-status ${status.state}`;
+  }
+
+  /**
+   * Find the workspace snippets most relevant to a query
+   * @returns {Promise<Array>} [{ path, relPath, startLine, endLine, text, score }]
+   */
+  async search(query, options = {}) {
+    if (!this.enabled || !this.status || this.status.chunks === 0) {
+      return [];
+    }
+
+    const result = await ipcRenderer.invoke('semanticIndex:search', query, {
+      topK: options.topK || this.topK,
+      minScore: options.minScore ?? this.minScore,
+      exclude: options.exclude
+    });
+
+    if (!result.success) {
+      console.warn('⚠️ Semantic search failed:', result.error);
+      return [];
+    }
+    return result.results;
+  }
+
+  // Format retrieved snippets as a prompt section, or '' when nothing relevant was found
+  async buildContext(query, options = {}) {
+    const results = await this.search(query, options);
+    if (results.length === 0) return '';
+
+    console.log('🧭 Retrieved snippets:', results.map(r => `${r.relPath}:${r.startLine}-${r.endLine} (${r.score.toFixed(2)})`));
+
+    let used = 0;
+    const sections = [];
+    for (const result of results) {
+      if (used + result.text.length > this.maxContextChars) break;
+      used += result.text.length;
+      sections.push(`File: ${result.relPath} (Lines ${result.startLine}-${result.endLine})
+\`\`\`
+${result.text}
+\`\`\``);
+    }
+
+    return `RELEVANT WORKSPACE CODE (retrieved automatically, may be partial):
+
+${sections.join('\n\n')}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IDESemanticSearch;
+} else {
+  window.IDESemanticSearch = IDESemanticSearch;
+}
@@ -3,15 +3,21 @@
  * Handles code execution and terminal interface
  */
 
+// ipcRenderer comes from ide-core.js, which loads after this file but before any of it runs
+
 const { spawn } = require('child_process');
 const path = require('path');
 const os = require('os');
 
+// Tail of a run's output that the problem matchers look at
+const MAX_PROBLEM_OUTPUT_CHARS = 200000;
+
 class IDETerminalManager {
   constructor() {
     // Terminal state
     this.terminalState = 'hidden'; // 'hidden', 'minimized', 'expanded'
     this.currentProcess = null;
+    this.runId = 0; // identifies the run whose exit is still to be recorded
     this.commandHistory = [];
     this.workingDirectory = null;
     
@@ -195,8 +201,8 @@ class IDETerminalManager {
     // Make terminal header clickable to toggle minimized state
     if (this.terminalHeader) {
       this.terminalHeader.addEventListener('click', (e) => {
-        // Don't trigger if clicking on control buttons
-        if (!e.target.closest('.btn-terminal-action')) {
+        // Don't trigger if clicking on control buttons or terminal tabs
+        if (!e.target.closest('.btn-terminal-action, .terminal-tab')) {
           this.toggleMinimized();
         }
       });
@@ -220,6 +226,16 @@ class IDETerminalManager {
       copyBtn.addEventListener('click', () => this.copyOutput());
     }
 
+    // Ask the AI about the last command's output
+    document.getElementById('explain-error-btn')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      window.mithrilIDE?.explainLastTerminalError(false);
+    });
+    document.getElementById('fix-error-btn')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      window.mithrilIDE?.explainLastTerminalError(true);
+    });
+
     // Terminal resize functionality
     this.setupTerminalResize();
   }
@@ -464,6 +480,14 @@ class IDETerminalManager {
     this.stopCurrentProcess();
     
     const startTime = Date.now();
+    const runId = ++this.runId;
+    const commandLine = [command, ...(Array.isArray(args) ? args : [])].join(' ');
+    const cwd = options.cwd || window.mithrilIDE?.currentFolder || this.workingDirectory || process.cwd();
+    let output = '';
+    const keepOutput = (text) => {
+      output = (output + text).slice(-MAX_PROBLEM_OUTPUT_CHARS);
+    };
+    this.recordOutput({ type: 'start', command: commandLine });
     
     try {
       // Ensure interactive shell PATH for macOS GUI apps (PATH may be minimal)
@@ -477,7 +501,7 @@ class IDETerminalManager {
       }
 
       this.currentProcess = spawn(command, args, {
-        cwd: options.cwd || window.mithrilIDE?.currentFolder || this.workingDirectory || process.cwd(),
+        cwd,
         shell: options.shell || false,
         stdio: ['pipe', 'pipe', 'pipe'],
         env
@@ -486,12 +510,16 @@ class IDETerminalManager {
       // Handle stdout
       this.currentProcess.stdout.on('data', (data) => {
         this.appendOutput(data.toString(), 'stdout');
+        this.recordOutput({ type: 'data', data: data.toString() });
+        keepOutput(data.toString());
       });
 
       // Handle stderr
       this.currentProcess.stderr.on('data', (data) => {
         const text = data.toString();
         this.appendOutput(text, 'stderr');
+        this.recordOutput({ type: 'data', data: text });
+        keepOutput(text);
         // Hook file-type specific error helpers
         try {
           const ext = path.extname(this.lastExecutedFile || '') || '';
@@ -514,6 +542,10 @@ class IDETerminalManager {
         
         this.appendOutput('─'.repeat(50));
         this.currentProcess = null;
+        if (runId === this.runId) {
+          this.recordOutput({ type: 'exit', exitCode: code });
+          window.mithrilIDE?.problems?.collect('output', output, { cwd, label: commandLine });
+        }
         
         if (callback) callback(code);
       });
@@ -522,21 +554,36 @@ class IDETerminalManager {
       this.currentProcess.on('error', (error) => {
         this.appendOutput(`\n❌ Error: ${error.message}`, 'stderr');
         this.currentProcess = null;
+        if (runId === this.runId) {
+          this.recordOutput({ type: 'data', data: `Error: ${error.message}\n` });
+          this.recordOutput({ type: 'exit', exitCode: -1 });
+        }
         
         if (callback) callback(-1);
       });
 
     } catch (error) {
       this.appendOutput(`\n❌ Failed to start process: ${error.message}`, 'stderr');
+      this.recordOutput({ type: 'data', data: `Failed to start process: ${error.message}\n` });
+      this.recordOutput({ type: 'exit', exitCode: -1 });
       if (callback) callback(-1);
     }
   }
 
   // Stop the current running process
   stopCurrentProcess() {
+    // A pty tab is shown: interrupt whatever runs in its shell
+    if (window.realTerminalUI?.isShowingTerminal()) {
+      window.realTerminalUI.interruptTerminal();
+      return;
+    }
+
     if (this.currentProcess) {
       console.log('🛑 Stopping current process');
       this.appendOutput('\n🛑 Process interrupted by user');
+      this.recordOutput({ type: 'data', data: 'Process interrupted by user\n' });
+      this.recordOutput({ type: 'exit', exitCode: null });
+      this.runId++; // its close event no longer belongs to a recorded run
       
       try {
         this.currentProcess.kill('SIGTERM');
@@ -553,6 +600,11 @@ class IDETerminalManager {
     }
   }
 
+  // Mirror a run into the main process scrollback the AI reads (see RealTerminalManager.recordOutput)
+  recordOutput(record) {
+    ipcRenderer.invoke('terminal:record', record).catch(() => {});
+  }
+
   // Append output to terminal
   appendOutput(text, type = 'stdout') {
     if (!this.terminalOutput) return;
@@ -576,6 +628,11 @@ class IDETerminalManager {
 
   // Clear terminal output
   clearTerminal() {
+    if (window.realTerminalUI?.isShowingTerminal()) {
+      window.realTerminalUI.clearTerminal();
+      return;
+    }
+
     if (this.terminalOutput) {
       this.terminalOutput.innerHTML = '';
       this.appendOutput('🖥️ Terminal cleared');
@@ -584,6 +641,13 @@ class IDETerminalManager {
 
   // Copy terminal output to clipboard
   copyOutput() {
+    if (window.realTerminalUI?.isShowingTerminal()) {
+      window.realTerminalUI.copyOutput().catch(() => {
+        this.appendOutput('❌ Failed to copy output');
+      });
+      return;
+    }
+
     if (!this.terminalOutput) return;
     
     const text = this.terminalOutput.textContent;
@@ -0,0 +1,459 @@
+/**
+ * Mithril AI IDE - Language Servers
+ * Minimal Language Server Protocol client: launches locally installed servers
+ * per language and workspace over stdio and exposes diagnostics, hover,
+ * go-to-definition and completion to the renderer
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const { pathToFileURL, fileURLToPath } = require('url');
+const ContentLengthReader = require('./content-length-reader');
+
+// Servers are looked up in the workspace's node_modules/.bin first, then on PATH
+const SERVER_CONFIGS = {
+  typescript: {
+    name: 'typescript-language-server',
+    command: 'typescript-language-server',
+    args: ['--stdio'],
+    extensions: {
+      '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'javascriptreact',
+      '.ts': 'typescript', '.mts': 'typescript', '.cts': 'typescript', '.tsx': 'typescriptreact'
+    }
+  },
+  python: {
+    name: 'pyright',
+    command: 'pyright-langserver',
+    args: ['--stdio'],
+    extensions: { '.py': 'python', '.pyi': 'python' }
+  },
+  go: {
+    name: 'gopls',
+    command: 'gopls',
+    args: [],
+    extensions: { '.go': 'go' }
+  }
+};
+
+const REQUEST_TIMEOUT = 15000;
+
+/**
+ * JSON-RPC over stdio with Content-Length framing
+ */
+class LspConnection {
+  constructor(child, handlers) {
+    this.child = child;
+    this.handlers = handlers; // { onNotification(method, params), onRequest(method, params) }
+    this.nextId = 1;
+    this.pending = new Map(); // id -> { resolve, reject, timer }
+    this.reader = new ContentLengthReader(message => this.dispatch(message), 'LSP');
+    this.closed = false;
+
+    child.stdout.on('data', (chunk) => this.reader.push(chunk));
+    child.stdin.on('error', () => {}); // EPIPE once the server is gone; 'exit' reports it
+    child.on('error', () => { this.closed = true; });
+    child.on('exit', () => { this.closed = true; });
+  }
+
+  async dispatch(message) {
+    if (message.id !== undefined && message.method) {
+      // Request from the server
+      let result = null;
+      try {
+        result = await this.handlers.onRequest(message.method, message.params);
+      } catch (error) {
+        this.write({ jsonrpc: '2.0', id: message.id, error: { code: -32603, message: error.message } });
+        return;
+      }
+      this.write({ jsonrpc: '2.0', id: message.id, result: result === undefined ? null : result });
+    } else if (message.id !== undefined) {
+      const pending = this.pending.get(message.id);
+      if (!pending) return;
+      this.pending.delete(message.id);
+      clearTimeout(pending.timer);
+      if (message.error) {
+        pending.reject(new Error(message.error.message));
+      } else {
+        pending.resolve(message.result);
+      }
+    } else if (message.method) {
+      this.handlers.onNotification(message.method, message.params);
+    }
+  }
+
+  write(message) {
+    if (!this.child.stdin.writable) return;
+    this.child.stdin.write(ContentLengthReader.frame(message));
+  }
+
+  request(method, params, timeout = REQUEST_TIMEOUT) {
+    if (this.closed) {
+      return Promise.reject(new Error(`${method} failed: the server has exited`));
+    }
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`${method} timed out`));
+      }, timeout);
+      this.pending.set(id, { resolve, reject, timer });
+      this.write({ jsonrpc: '2.0', id, method, params });
+    });
+  }
+
+  notify(method, params) {
+    this.write({ jsonrpc: '2.0', method, params });
+  }
+
+  rejectAll(reason) {
+    for (const pending of this.pending.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error(reason));
+    }
+    this.pending.clear();
+  }
+}
+
+class LanguageServerManager {
+  constructor() {
+    this.webContents = null;
+    this.workspaceRoot = null;
+    this.servers = new Map(); // `${serverKey}:${root}` -> server record
+    this.documents = new Map(); // uri -> { version, serverId, languageId }
+  }
+
+  setRenderer(webContents) {
+    this.webContents = webContents;
+  }
+
+  send(channel, payload) {
+    if (this.webContents && !this.webContents.isDestroyed()) {
+      this.webContents.send(channel, payload);
+    }
+  }
+
+  async setWorkspace(root) {
+    if (root === this.workspaceRoot) return;
+    await this.shutdownAll();
+    this.workspaceRoot = root || null;
+  }
+
+  languageFor(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    for (const [serverKey, config] of Object.entries(SERVER_CONFIGS)) {
+      if (config.extensions[ext]) {
+        return { serverKey, languageId: config.extensions[ext] };
+      }
+    }
+    return null;
+  }
+
+  resolveCommand(config, root) {
+    const binName = process.platform === 'win32' ? `${config.command}.cmd` : config.command;
+    const local = root ? path.join(root, 'node_modules', '.bin', binName) : null;
+    if (local && fs.existsSync(local)) {
+      return local;
+    }
+    return binName;
+  }
+
+  /**
+   * Start (or reuse) the server for a language in the current workspace
+   */
+  async getServer(serverKey, filePath) {
+    const root = this.workspaceRoot || path.dirname(filePath);
+    const key = `${serverKey}:${root}`;
+    const existing = this.servers.get(key);
+    if (existing) {
+      return existing.state === 'failed' ? null : existing.ready.then(() => existing).catch(() => null);
+    }
+
+    const config = SERVER_CONFIGS[serverKey];
+    const server = { key, serverKey, name: config.name, root, state: 'starting', error: null, capabilities: {} };
+    this.servers.set(key, server);
+
+    server.ready = this.startServer(server, config).catch((error) => {
+      server.state = 'failed';
+      server.error = error.message;
+      console.warn(`⚠️ ${config.name} unavailable:`, error.message);
+      this.sendStatus();
+      throw error;
+    });
+
+    return server.ready.then(() => server).catch(() => null);
+  }
+
+  startServer(server, config) {
+    return new Promise((resolve, reject) => {
+      const command = this.resolveCommand(config, server.root);
+      console.log(`🧩 Starting ${config.name} for ${server.root}`);
+
+      const child = spawn(command, config.args, {
+        cwd: server.root,
+        shell: process.platform === 'win32',
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+      server.process = child;
+
+      child.on('error', (error) => {
+        server.connection?.rejectAll(error.message);
+        reject(new Error(error.code === 'ENOENT' ? `${config.command} is not installed` : error.message));
+      });
+
+      child.stderr.on('data', (data) => {
+        console.log(`🧩 [${config.name}]`, data.toString().trim());
+      });
+
+      child.on('exit', (code) => {
+        server.connection?.rejectAll(`${config.name} exited`);
+        // Keep failed records so a missing server isn't respawned on every keystroke
+        if (server.state !== 'failed') {
+          server.state = 'stopped';
+          this.servers.delete(server.key);
+        }
+        for (const [uri, doc] of this.documents) {
+          if (doc.serverId === server.key) this.documents.delete(uri);
+        }
+        console.log(`🧩 ${config.name} exited with code ${code}`);
+        this.sendStatus();
+      });
+
+      server.connection = new LspConnection(child, {
+        onNotification: (method, params) => this.handleNotification(server, method, params),
+        onRequest: (method, params) => this.handleServerRequest(server, method, params)
+      });
+
+      const rootUri = pathToFileURL(server.root).href;
+      server.connection.request('initialize', {
+        processId: process.pid,
+        clientInfo: { name: 'Mithril AI IDE' },
+        rootUri,
+        workspaceFolders: [{ uri: rootUri, name: path.basename(server.root) }],
+        capabilities: {
+          textDocument: {
+            synchronization: { didSave: true, dynamicRegistration: false },
+            publishDiagnostics: { relatedInformation: false },
+            hover: { contentFormat: ['markdown', 'plaintext'] },
+            definition: { linkSupport: true },
+            completion: {
+              completionItem: { snippetSupport: false, documentationFormat: ['markdown', 'plaintext'] }
+            }
+          },
+          workspace: { configuration: true, workspaceFolders: true }
+        }
+      }, 30000).then((result) => {
+        server.capabilities = result?.capabilities || {};
+        server.connection.notify('initialized', {});
+        server.state = 'running';
+        this.sendStatus();
+        resolve();
+      }).catch(reject);
+    });
+  }
+
+  handleNotification(server, method, params) {
+    if (method === 'textDocument/publishDiagnostics') {
+      let filePath;
+      try {
+        filePath = fileURLToPath(params.uri);
+      } catch (error) {
+        return;
+      }
+      this.send('lsp:diagnostics', {
+        path: filePath,
+        source: server.name,
+        diagnostics: (params.diagnostics || []).map(diagnostic => ({
+          from: { line: diagnostic.range.start.line, ch: diagnostic.range.start.character },
+          to: { line: diagnostic.range.end.line, ch: diagnostic.range.end.character },
+          severity: diagnostic.severity === 1 ? 'error' : (diagnostic.severity === 2 ? 'warning' : 'info'),
+          message: diagnostic.message,
+          code: diagnostic.code,
+          source: diagnostic.source || server.name
+        }))
+      });
+    } else if (method === 'window/logMessage' || method === 'window/showMessage') {
+      console.log(`🧩 [${server.name}]`, params?.message);
+    }
+  }
+
+  // Answer the few server-to-client requests common servers rely on
+  handleServerRequest(server, method, params) {
+    switch (method) {
+      case 'workspace/configuration':
+        return (params?.items || []).map(() => null);
+      case 'workspace/workspaceFolders':
+        return [{ uri: pathToFileURL(server.root).href, name: path.basename(server.root) }];
+      case 'client/registerCapability':
+      case 'client/unregisterCapability':
+      case 'window/workDoneProgress/create':
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  getStatus() {
+    return Array.from(this.servers.values()).map(server => ({
+      name: server.name,
+      language: server.serverKey,
+      root: server.root,
+      state: server.state,
+      error: server.error
+    }));
+  }
+
+  sendStatus() {
+    this.send('lsp:status', this.getStatus());
+  }
+
+  /**
+   * Open or update a document; full-text sync keeps the client simple
+   * @returns {Promise<Object>} { supported, running, server, error }
+   */
+  async syncDocument(filePath, text) {
+    const language = this.languageFor(filePath);
+    if (!language) {
+      return { supported: false, running: false };
+    }
+
+    const server = await this.getServer(language.serverKey, filePath);
+    if (!server) {
+      const failed = Array.from(this.servers.values()).find(s => s.serverKey === language.serverKey);
+      return { supported: true, running: false, error: failed?.error || 'Language server not available' };
+    }
+
+    const uri = pathToFileURL(filePath).href;
+    const doc = this.documents.get(uri);
+    if (!doc) {
+      this.documents.set(uri, { version: 1, serverId: server.key, languageId: language.languageId });
+      server.connection.notify('textDocument/didOpen', {
+        textDocument: { uri, languageId: language.languageId, version: 1, text }
+      });
+    } else {
+      doc.version++;
+      server.connection.notify('textDocument/didChange', {
+        textDocument: { uri, version: doc.version },
+        contentChanges: [{ text }]
+      });
+    }
+
+    return { supported: true, running: true, server: server.name };
+  }
+
+  serverForDocument(filePath) {
+    const doc = this.documents.get(pathToFileURL(filePath).href);
+    return doc ? this.servers.get(doc.serverId) : null;
+  }
+
+  closeDocument(filePath) {
+    const uri = pathToFileURL(filePath).href;
+    const server = this.serverForDocument(filePath);
+    this.documents.delete(uri);
+    if (server?.state === 'running') {
+      server.connection.notify('textDocument/didClose', { textDocument: { uri } });
+    }
+  }
+
+  saveDocument(filePath) {
+    const server = this.serverForDocument(filePath);
+    if (server?.state === 'running') {
+      server.connection.notify('textDocument/didSave', { textDocument: { uri: pathToFileURL(filePath).href } });
+    }
+  }
+
+  positionParams(filePath, position) {
+    return {
+      textDocument: { uri: pathToFileURL(filePath).href },
+      position: { line: position.line, character: position.ch }
+    };
+  }
+
+  async hover(filePath, position) {
+    const server = this.serverForDocument(filePath);
+    if (!server || server.state !== 'running') return null;
+
+    const result = await server.connection.request('textDocument/hover', this.positionParams(filePath, position));
+    if (!result || !result.contents) return null;
+
+    const toText = (content) => {
+      if (typeof content === 'string') return content;
+      if (content.language) return `\`\`\`${content.language}\n${content.value}\n\`\`\``;
+      return content.value || '';
+    };
+    const contents = Array.isArray(result.contents) ? result.contents.map(toText).join('\n\n') : toText(result.contents);
+    return contents.trim() ? { contents } : null;
+  }
+
+  async definition(filePath, position) {
+    const server = this.serverForDocument(filePath);
+    if (!server || server.state !== 'running') return [];
+
+    const result = await server.connection.request('textDocument/definition', this.positionParams(filePath, position));
+    const locations = !result ? [] : (Array.isArray(result) ? result : [result]);
+
+    return locations.map(location => {
+      const uri = location.targetUri || location.uri;
+      const range = location.targetSelectionRange || location.range;
+      try {
+        return { path: fileURLToPath(uri), line: range.start.line, ch: range.start.character };
+      } catch (error) {
+        return null; // non-file URIs (e.g. bundled lib definitions)
+      }
+    }).filter(Boolean);
+  }
+
+  async completion(filePath, position) {
+    const server = this.serverForDocument(filePath);
+    if (!server || server.state !== 'running') return [];
+
+    const result = await server.connection.request('textDocument/completion', this.positionParams(filePath, position));
+    const items = !result ? [] : (Array.isArray(result) ? result : result.items || []);
+
+    return items
+      .sort((a, b) => (a.sortText || a.label).localeCompare(b.sortText || b.label))
+      .slice(0, 200)
+      .map(item => ({
+        label: item.label,
+        kind: item.kind,
+        detail: item.detail || '',
+        insertText: item.textEdit?.newText || item.insertText || item.label,
+        range: item.textEdit?.range
+          ? {
+            from: { line: item.textEdit.range.start.line, ch: item.textEdit.range.start.character },
+            to: { line: item.textEdit.range.end.line, ch: item.textEdit.range.end.character }
+          }
+          : null
+      }));
+  }
+
+  async shutdownServer(server) {
+    const child = server.process;
+    if (!child || child.exitCode !== null || !child.pid) return;
+
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    if (server.state === 'running') {
+      try {
+        await server.connection.request('shutdown', null, 3000);
+        server.connection.notify('exit');
+      } catch (error) {
+        // Fall through to kill
+      }
+    }
+
+    // Give the server a moment to exit on its own before killing it
+    const timer = setTimeout(() => child.kill(), 1000);
+    await exited;
+    clearTimeout(timer);
+  }
+
+  async shutdownAll() {
+    const servers = Array.from(this.servers.values());
+    this.servers.clear();
+    this.documents.clear();
+    await Promise.all(servers.map(server => this.shutdownServer(server)));
+    this.sendStatus();
+  }
+}
+
+module.exports = LanguageServerManager;
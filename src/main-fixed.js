@@ -3,9 +3,10 @@ const path = require('path');
 const fs = require('fs').promises;
 const axios = require('axios');
 const platformUtils = require('./platform-utils');
+const modelProviders = require('./model-providers');
 
 let mainWindow;
-const ollamaBaseURL = 'http://localhost:11434';
+const ollamaBaseURL = () => modelProviders.getProvider('ollama')?.baseUrl || 'http://localhost:11434';
 
 function createWindow() {
   console.log('Creating Mithril window...');
@@ -143,29 +144,28 @@ function setupIPC() {
     }
   });
 
-  // Ollama integration
+  // Model integration (routed through the provider layer)
   ipcMain.handle('ollama:listModels', async () => {
     try {
-      console.log('📡 Fetching Ollama models...');
-      const response = await axios.get(`${ollamaBaseURL}/api/tags`);
-      console.log(`✅ Found ${response.data.models?.length || 0} models`);
-      return response.data.models || [];
+      console.log('📡 Fetching models...');
+      const result = await modelProviders.listModels();
+      console.log(`✅ Found ${result.models.length} models`);
+      return result.models;
     } catch (error) {
-      console.error('❌ Ollama connection failed:', error.message);
-      throw new Error(`Failed to fetch Ollama models: ${error.message}`);
+      console.error('❌ Model provider connection failed:', error.message);
+      throw new Error(`Failed to fetch models: ${error.message}`);
     }
   });
 
   ipcMain.handle('ollama:generate', async (event, model, prompt, system) => {
     try {
       console.log(`🤖 Generating with model: ${model}`);
-      const response = await axios.post(`${ollamaBaseURL}/api/generate`, {
+      const data = await modelProviders.generate({
         model,
         prompt,
         system,
-        stream: false,
       });
-      return response.data.response;
+      return data.response;
     } catch (error) {
       throw new Error(`Failed to generate response: ${error.message}`);
     }
@@ -175,102 +175,67 @@ function setupIPC() {
     try {
       console.log(`🤖 Streaming with model: ${model} (ID: ${streamId})`);
 
-      const response = await axios.post(
-        `${ollamaBaseURL}/api/generate`,
-        {
-          model,
-          prompt,
-          system,
-          stream: true,
-          options: {
-            temperature: 0.7,
-            top_p: 0.9,
-            top_k: 40,
-            num_ctx: 32768,
-            num_predict: 4096
-          }
-        },
-        {
-          responseType: 'stream',
-        },
-      );
-
-      return new Promise((resolve, reject) => {
-        let fullResponse = '';
-        let totalTokens = 0;
-
-        // Send stream start event
-        mainWindow.webContents.send('ollama:streamStart', {
-          streamId,
-          model,
-          timestamp: new Date().toISOString(),
-        });
+      let fullResponse = '';
+      let totalTokens = 0;
 
-        response.data.on('data', chunk => {
-          const lines = chunk
-            .toString()
-            .split('\n')
-            .filter(line => line.trim());
-          for (const line of lines) {
-            try {
-              const data = JSON.parse(line);
-              if (data.response) {
-                fullResponse += data.response;
-                totalTokens++;
-
-                // Send streaming chunk
-                mainWindow.webContents.send('ollama:streamChunk', {
-                  streamId,
-                  chunk: data.response,
-                  fullResponse,
-                  tokenCount: totalTokens,
-                  done: data.done || false,
-                });
-              }
-              if (data.done) {
-                // Send stream complete event
-                mainWindow.webContents.send('ollama:streamComplete', {
-                  streamId,
-                  fullResponse,
-                  totalTokens,
-                  timestamp: new Date().toISOString(),
-                });
-                resolve(fullResponse);
-              }
-            } catch (e) {
-              // Ignore malformed JSON lines
-              console.log('Ignoring malformed JSON:', line);
-            }
-          }
-        });
+      // Send stream start event
+      mainWindow.webContents.send('ollama:streamStart', {
+        streamId,
+        model,
+        timestamp: new Date().toISOString(),
+      });
 
-        response.data.on('error', error => {
-          console.error('Stream error:', error);
-          mainWindow.webContents.send('ollama:streamError', {
-            streamId,
-            error: error.message,
-          });
-          reject(error);
-        });
+      await modelProviders.generateStream(
+        { model, prompt, system },
+        data => {
+          if (data.response) {
+            fullResponse += data.response;
+            totalTokens++;
 
-        response.data.on('end', () => {
-          if (fullResponse) {
-            mainWindow.webContents.send('ollama:streamComplete', {
+            // Send streaming chunk
+            mainWindow.webContents.send('ollama:streamChunk', {
               streamId,
+              chunk: data.response,
               fullResponse,
-              totalTokens,
-              timestamp: new Date().toISOString(),
+              tokenCount: totalTokens,
+              done: data.done || false,
             });
-            resolve(fullResponse);
           }
-        });
+        },
+      );
+
+      // Send stream complete event
+      mainWindow.webContents.send('ollama:streamComplete', {
+        streamId,
+        fullResponse,
+        totalTokens,
+        timestamp: new Date().toISOString(),
       });
+      return fullResponse;
     } catch (error) {
-      console.error('Failed to start stream:', error);
+      console.error('Stream error:', error);
+      mainWindow.webContents.send('ollama:streamError', {
+        streamId,
+        error: error.message,
+      });
       throw new Error(`Failed to generate streaming response: ${error.message}`);
     }
   });
 
+  // Model provider settings
+  ipcMain.handle('providers:getConfig', async () => {
+    return modelProviders.getConfig();
+  });
+
+  ipcMain.handle('providers:saveConfig', async (event, config) => {
+    try {
+      const saved = await modelProviders.save(config);
+      return { success: true, config: saved };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
   // Window controls
   ipcMain.handle('window:minimize', () => {
     mainWindow.minimize();
@@ -538,7 +503,7 @@ function setupIPC() {
   // Ollama status checking for dependency manager
   ipcMain.handle('ollama:checkStatus', async () => {
     try {
-      const response = await axios.get(`${ollamaBaseURL}/api/tags`, { timeout: 3000 });
+      const response = await axios.get(`${ollamaBaseURL()}/api/tags`, { timeout: 3000 });
       return { running: true, models: response.data.models || [] };
     } catch (error) {
       return { running: false, error: error.message };
@@ -547,7 +512,7 @@ function setupIPC() {
 
   ipcMain.handle('ollama:checkVersion', async () => {
     try {
-      const response = await axios.get(`${ollamaBaseURL}/api/version`, { timeout: 3000 });
+      const response = await axios.get(`${ollamaBaseURL()}/api/version`, { timeout: 3000 });
       return { success: true, version: response.data.version };
     } catch (error) {
       return { success: false, error: error.message };
@@ -569,7 +534,7 @@ app.whenReady().then(() => {
   });
 
   setupIPC();
-  createWindow();
+  modelProviders.load(app.getPath('userData')).finally(createWindow);
 });
 
 app.on('window-all-closed', () => {
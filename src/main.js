@@ -7,17 +7,40 @@ const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
 const RealTerminalManager = require('./real-terminal-manager');
+const TerminalSessionStore = require('./terminal-session-store');
+const TaskRunner = require('./task-runner');
 const { spawn } = require('child_process');
 const os = require('os');
 
 // Import bundled Node.js manager and platform utilities
 const bundledNodeJS = require('./bundled-nodejs');
 const platformUtils = require('./platform-utils');
+const modelProviders = require('./model-providers');
+const SemanticIndex = require('./semantic-index');
+const MemoryStore = require('./memory-store');
+const CommandPolicy = require('./command-policy');
+const GitService = require('./git-service');
+const LanguageServerManager = require('./language-servers');
+const DebugSessionManager = require('./debug-adapters');
+const ChangesetService = require('./changeset-service');
+const CheckpointStore = require('./checkpoint-store');
+const OllamaFixtures = require('./ollama-fixtures');
 
 let mainWindow;
 let setupWindow;
 let terminalManager;
+let taskRunner;
+let semanticIndex;
+let memoryStore;
+let commandPolicy;
+let checkpointStore;
+let terminalSessionStore;
+let modelFixtures;
 const activeStreams = new Map(); // webContentsId -> AbortController
+const gitService = new GitService();
+const languageServers = new LanguageServerManager();
+const debugSessions = new DebugSessionManager();
+const changesetService = new ChangesetService();
 
 // Create main window
 function createWindow() {
@@ -42,11 +65,21 @@ function createWindow() {
   mainWindow.webContents.openDevTools();
 
   // Initialize real terminal manager
-  terminalManager = new RealTerminalManager();
+  terminalManager = new RealTerminalManager(terminalSessionStore, {
+    integrationDir: path.join(app.getPath('userData'), 'shell-integration')
+  });
   terminalManager.setRenderer(mainWindow.webContents);
+  taskRunner = new TaskRunner(terminalManager, commandPolicy);
+  taskRunner.setRenderer(mainWindow.webContents);
   
   console.log('🖥️ Real Terminal Manager initialized and connected to main window');
 
+  semanticIndex.setRenderer(mainWindow.webContents);
+  commandPolicy.setRenderer(mainWindow.webContents);
+  languageServers.setRenderer(mainWindow.webContents);
+  debugSessions.setRenderer(mainWindow.webContents);
+  mainWindow.on('closed', () => commandPolicy.cancelPending());
+
   // Window controls
   setupWindowControls();
 }
@@ -429,6 +462,64 @@ ipcMain.handle('fs:searchFile', async (event, directory, filename) => {
   }
 });
 
+// Search file contents across a directory tree
+ipcMain.handle('fs:searchText', async (event, directory, query, options = {}) => {
+  try {
+    const maxResults = options.maxResults || 100;
+    const maxFileSize = 1024 * 1024; // skip files over 1MB
+    const pattern = options.regex
+      ? new RegExp(query, options.caseSensitive ? '' : 'i')
+      : null;
+    const needle = options.caseSensitive ? query : query.toLowerCase();
+    const matches = [];
+    let truncated = false;
+
+    const searchRecursive = async (dir) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+
+      for (const entry of entries) {
+        if (matches.length >= maxResults) {
+          truncated = true;
+          return;
+        }
+
+        const fullPath = path.join(dir, entry.name);
+
+        if (entry.isDirectory()) {
+          if (!entry.name.startsWith('.') && entry.name !== 'node_modules') {
+            await searchRecursive(fullPath);
+          }
+          continue;
+        }
+
+        if (!entry.isFile()) continue;
+
+        const stats = await fs.stat(fullPath);
+        if (stats.size > maxFileSize) continue;
+
+        const content = await fs.readFile(fullPath, 'utf8');
+        if (content.includes('\u0000')) continue; // binary file
+
+        const lines = content.split('\n');
+        for (let i = 0; i < lines.length && matches.length < maxResults; i++) {
+          const line = lines[i];
+          const isMatch = pattern
+            ? pattern.test(line)
+            : (options.caseSensitive ? line : line.toLowerCase()).includes(needle);
+          if (isMatch) {
+            matches.push({ path: fullPath, line: i + 1, text: line.trim().substring(0, 200) });
+          }
+        }
+      }
+    };
+
+    await searchRecursive(directory);
+    return { success: true, matches, truncated };
+  } catch (error) {
+    return { success: false, error: error.message, matches: [] };
+  }
+});
+
 ipcMain.handle('fs:deleteFile', async (event, filePath) => {
   try {
     await fs.unlink(filePath);
@@ -462,128 +553,227 @@ ipcMain.handle('fs:readDirectory', async (event, dirPath) => {
   }
 });
 
-// Ollama Integration
+// Model Integration
+// The ollama:* channels keep their names and Ollama's response shape, but are
+// routed through the provider layer so any configured backend can serve them
+// Per-request generation options the renderer may set (role settings, presets,
+// JSON calls, chat images); anything left out gets the provider defaults
+const GENERATION_OPTIONS = ['contextTokens', 'maxTokens', 'temperature', 'topP', 'topK', 'repeatPenalty', 'stopSequences', 'seed', 'mirostat', 'mirostatTau', 'mirostatEta', 'format', 'raw', 'images'];
+
+function pickGenerationOptions(options = {}) {
+  const picked = {};
+  for (const key of GENERATION_OPTIONS) {
+    if (options[key] !== undefined && options[key] !== null) {
+      picked[key] = options[key];
+    }
+  }
+  return picked;
+}
+
 ipcMain.handle('ollama:listModels', async () => {
   try {
-    const response = await fetch('http://localhost:11434/api/tags');
-    const data = await response.json();
-    return data;
+    return await modelProviders.listModels();
   } catch (error) {
-    console.error('Failed to list Ollama models:', error);
+    console.error('Failed to list models:', error);
     return { models: [] };
   }
 });
 
 ipcMain.handle('ollama:generate', async (event, options) => {
   try {
-    const response = await fetch('http://localhost:11434/api/generate', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: options.model,
-        prompt: options.prompt,
-        stream: options.stream || false,
-        options: {
-          temperature: 0.7,
-          top_p: 0.9,
-          top_k: 40,
-          num_ctx: options.contextTokens || 32768,
-          num_predict: options.maxTokens || 4096
-        }
-      })
+    return await modelProviders.generate({
+      model: options.model,
+      prompt: options.prompt,
+      ...pickGenerationOptions(options)
     });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
   } catch (error) {
-    console.error('Ollama generation failed:', error);
+    console.error('Model generation failed:', error);
     throw error;
   }
 });
 
 ipcMain.handle('ollama:generateStream', async (event, options) => {
+  const webContentsId = event.sender.id;
   try {
-    console.log('🌊 Starting streaming generation with Ollama');
+    console.log('🌊 Starting streaming generation');
     console.log('🌊 Model:', options.model);
     console.log('🌊 Prompt length:', options.prompt.length);
     console.log('🌊 Stream ID:', options.streamId);
     
     const controller = new AbortController();
-    const webContentsId = event.sender.id;
     activeStreams.set(webContentsId, controller);
 
-    const response = await fetch('http://localhost:11434/api/generate', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: options.model,
-        prompt: options.prompt,
-        stream: true,
-        options: {
-          temperature: options.temperature !== undefined ? options.temperature : 0.7,
-          top_p: options.topP !== undefined ? options.topP : 0.9,
-          top_k: options.topK !== undefined ? options.topK : 40,
-          num_ctx: options.contextTokens || 32768,
-          num_predict: options.maxTokens || 4096,
-          repeat_penalty: options.repeatPenalty !== undefined ? options.repeatPenalty : 1.1,
-          stop: options.stopSequences || []
-        }
-      }),
-      signal: controller.signal
-    });
+    await modelProviders.generateStream({
+      model: options.model,
+      prompt: options.prompt,
+      ...pickGenerationOptions(options)
+    }, (data) => {
+      // Send chunk to renderer
+      event.sender.send('ollama:streamChunk', { ...data, streamId: options.streamId });
+    }, controller.signal);
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    
-    try {
-      while (true) {
-        const { done, value } = await reader.read();
-        
-        if (done) {
-          console.log('🌊 Stream completed');
-          break;
-        }
-        
-        const chunk = decoder.decode(value);
-        const lines = chunk.split('\n').filter(line => line.trim());
-        
-                 for (const line of lines) {
-           try {
-             const data = JSON.parse(line);
-             
-             // Send chunk to renderer
-             event.sender.send('ollama:streamChunk', { ...data, streamId: options.streamId });
-             
-             if (data.done) {
-               console.log('🌊 Stream completed');
-               return;
-             }
-           } catch (parseError) {
-             console.warn('🌊 Failed to parse stream chunk:', line);
-           }
-         }
-      }
-    } finally {
-      reader.releaseLock();
-      activeStreams.delete(webContentsId);
-    }
-    
+    console.log('🌊 Stream completed');
   } catch (error) {
-    console.error('❌ Ollama streaming failed:', error);
+    console.error('❌ Model streaming failed:', error);
     event.sender.send('ollama:streamError', { message: error.message, streamId: options?.streamId });
     throw error;
+  } finally {
+    activeStreams.delete(webContentsId);
+  }
+});
+
+// Model provider settings
+ipcMain.handle('providers:getConfig', async () => {
+  return modelProviders.getConfig();
+});
+
+ipcMain.handle('providers:saveConfig', async (event, config) => {
+  try {
+    const saved = await modelProviders.save(config);
+    return { success: true, config: saved };
+  } catch (error) {
+    console.error('❌ Failed to save provider config:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Model role assignments (intent, planner, coder, chat, synthesis, autocomplete)
+// electron-store is ESM-only, so it is imported on first use
+let settingsStore = null;
+async function getSettingsStore() {
+  if (!settingsStore) {
+    const { default: Store } = await import('electron-store');
+    settingsStore = new Store({ name: 'settings' });
+  }
+  return settingsStore;
+}
+
+ipcMain.handle('modelRoles:get', async () => {
+  try {
+    const store = await getSettingsStore();
+    return { success: true, roles: store.get('modelRoles', {}) };
+  } catch (error) {
+    console.error('❌ Failed to load model roles:', error);
+    return { success: false, error: error.message, roles: {} };
+  }
+});
+
+ipcMain.handle('modelRoles:save', async (event, roles) => {
+  try {
+    const store = await getSettingsStore();
+    store.set('modelRoles', roles || {});
+    return { success: true, roles: store.get('modelRoles') };
+  } catch (error) {
+    console.error('❌ Failed to save model roles:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Semantic Index
+ipcMain.handle('semanticIndex:open', async (event, root, options = {}) => {
+  try {
+    const status = await semanticIndex.open(root, options);
+    return { success: true, status };
+  } catch (error) {
+    console.error('❌ Failed to open semantic index:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('semanticIndex:close', async () => {
+  await semanticIndex.close();
+  return { success: true };
+});
+
+ipcMain.handle('semanticIndex:rebuild', async () => {
+  try {
+    const status = await semanticIndex.rebuild();
+    return { success: true, status };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('semanticIndex:status', async () => {
+  return semanticIndex.getStatus();
+});
+
+ipcMain.handle('semanticIndex:search', async (event, query, options = {}) => {
+  try {
+    const results = await semanticIndex.search(query, options);
+    return { success: true, results };
+  } catch (error) {
+    return { success: false, error: error.message, results: [] };
+  }
+});
+
+// Workspace Memory
+ipcMain.handle('memory:loadCurrent', async (event, root) => {
+  try {
+    return { success: true, session: await memoryStore.loadCurrent(root) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('memory:saveCurrent', async (event, root, session) => {
+  try {
+    await memoryStore.saveCurrent(root, session);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Failed to save memory:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('memory:archive', async (event, root, session) => {
+  try {
+    await memoryStore.archive(root, session);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Failed to archive session:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('memory:listSessions', async (event, root) => {
+  try {
+    return { success: true, sessions: await memoryStore.listSessions(root) };
+  } catch (error) {
+    return { success: false, error: error.message, sessions: [] };
+  }
+});
+
+ipcMain.handle('memory:getSession', async (event, root, sessionId) => {
+  try {
+    const session = await memoryStore.getSession(root, sessionId);
+    return session ? { success: true, session } : { success: false, error: 'Session not found' };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('memory:deleteSession', async (event, root, sessionId) => {
+  try {
+    return { success: await memoryStore.deleteSession(root, sessionId) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('memory:search', async (event, root, query, options = {}) => {
+  try {
+    return { success: true, results: await memoryStore.search(root, query, options) };
+  } catch (error) {
+    return { success: false, error: error.message, results: [] };
+  }
+});
+
+ipcMain.handle('memory:prune', async (event, root, options = {}) => {
+  try {
+    return { success: true, removed: await memoryStore.prune(root, options) };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
 });
 
@@ -608,9 +798,319 @@ ipcMain.handle('ollama:cancelStream', async (event) => {
 // Note: Code completion uses the existing ollama:generateStream handler
 // The renderer can call it directly with appropriate parameters for fast completion
 
+// Multi-file changesets, applied all-or-nothing
+ipcMain.handle('changeset:snapshot', async (event, root, paths) => {
+  try {
+    return { success: true, hashes: await changesetService.snapshot(root, paths) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('changeset:apply', async (event, root, changes) => {
+  try {
+    return { success: true, ...(await changesetService.apply(root, changes)) };
+  } catch (error) {
+    console.error('❌ Changeset failed:', error.message);
+    return { success: false, error: error.message, conflicts: error.conflicts || [] };
+  }
+});
+
+// Workspace checkpoints
+ipcMain.handle('checkpoints:create', async (event, root, options = {}) => {
+  try {
+    return { success: true, checkpoint: await checkpointStore.create(root, options) };
+  } catch (error) {
+    console.error('❌ Failed to create checkpoint:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('checkpoints:list', async (event, root) => {
+  try {
+    return { success: true, checkpoints: await checkpointStore.list(root) };
+  } catch (error) {
+    return { success: false, error: error.message, checkpoints: [] };
+  }
+});
+
+ipcMain.handle('checkpoints:diff', async (event, root, id) => {
+  try {
+    return { success: true, changes: await checkpointStore.diff(root, id) };
+  } catch (error) {
+    return { success: false, error: error.message, changes: [] };
+  }
+});
+
+ipcMain.handle('checkpoints:fileContents', async (event, root, id, relPath) => {
+  try {
+    return { success: true, ...(await checkpointStore.fileContents(root, id, relPath)) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('checkpoints:restore', async (event, root, id, options = {}) => {
+  try {
+    return { success: true, ...(await checkpointStore.restore(root, id, options)) };
+  } catch (error) {
+    console.error('❌ Failed to restore checkpoint:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('checkpoints:delete', async (event, root, id) => {
+  try {
+    return { success: await checkpointStore.delete(root, id) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Source control (local git binary)
+ipcMain.handle('git:status', async (event, cwd) => {
+  try {
+    return { success: true, status: await gitService.status(cwd) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git:stage', async (event, cwd, paths) => {
+  try {
+    await gitService.stage(cwd, paths);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git:unstage', async (event, cwd, paths) => {
+  try {
+    await gitService.unstage(cwd, paths);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git:diff', async (event, cwd, filePath, options = {}) => {
+  try {
+    return { success: true, diff: await gitService.diff(cwd, filePath, options) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git:commit', async (event, cwd, message, options = {}) => {
+  try {
+    return { success: true, output: await gitService.commit(cwd, message, options) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git:branches', async (event, cwd) => {
+  try {
+    return { success: true, branches: await gitService.branches(cwd) };
+  } catch (error) {
+    return { success: false, error: error.message, branches: [] };
+  }
+});
+
+ipcMain.handle('git:checkout', async (event, cwd, branch, options = {}) => {
+  try {
+    return { success: true, output: await gitService.checkout(cwd, branch, options) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git:log', async (event, cwd, options = {}) => {
+  try {
+    return { success: true, commits: await gitService.log(cwd, options) };
+  } catch (error) {
+    return { success: false, error: error.message, commits: [] };
+  }
+});
+
+ipcMain.handle('git:show', async (event, cwd, hash) => {
+  try {
+    return { success: true, output: await gitService.show(cwd, hash) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Language servers
+ipcMain.handle('lsp:setWorkspace', async (event, root) => {
+  await languageServers.setWorkspace(root);
+  return { success: true };
+});
+
+ipcMain.handle('lsp:sync', async (event, filePath, text) => {
+  try {
+    return await languageServers.syncDocument(filePath, text);
+  } catch (error) {
+    return { supported: true, running: false, error: error.message };
+  }
+});
+
+ipcMain.handle('lsp:close', async (event, filePath) => {
+  languageServers.closeDocument(filePath);
+  return { success: true };
+});
+
+ipcMain.handle('lsp:save', async (event, filePath) => {
+  languageServers.saveDocument(filePath);
+  return { success: true };
+});
+
+ipcMain.handle('lsp:hover', async (event, filePath, position) => {
+  try {
+    return { success: true, hover: await languageServers.hover(filePath, position) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('lsp:definition', async (event, filePath, position) => {
+  try {
+    return { success: true, locations: await languageServers.definition(filePath, position) };
+  } catch (error) {
+    return { success: false, error: error.message, locations: [] };
+  }
+});
+
+ipcMain.handle('lsp:completion', async (event, filePath, position) => {
+  try {
+    return { success: true, items: await languageServers.completion(filePath, position) };
+  } catch (error) {
+    return { success: false, error: error.message, items: [] };
+  }
+});
+
+ipcMain.handle('lsp:status', async () => {
+  return languageServers.getStatus();
+});
+
+// Debugger
+ipcMain.handle('debug:start', async (event, options) => {
+  return await debugSessions.start(options);
+});
+
+ipcMain.handle('debug:stop', async () => {
+  return await debugSessions.stop();
+});
+
+ipcMain.handle('debug:command', async (event, name) => {
+  return await debugSessions.command(name);
+});
+
+ipcMain.handle('debug:setBreakpoints', async (event, filePath, lines) => {
+  try {
+    return await debugSessions.setBreakpoints(filePath, lines);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('debug:scopes', async (event, frameId) => {
+  try {
+    return { success: true, scopes: await debugSessions.scopes(frameId) };
+  } catch (error) {
+    return { success: false, error: error.message, scopes: [] };
+  }
+});
+
+ipcMain.handle('debug:variables', async (event, variablesReference) => {
+  try {
+    return { success: true, variables: await debugSessions.variables(variablesReference) };
+  } catch (error) {
+    return { success: false, error: error.message, variables: [] };
+  }
+});
+
+ipcMain.handle('debug:evaluate', async (event, expression, frameId, context) => {
+  try {
+    return { success: true, ...(await debugSessions.evaluate(expression, frameId, context)) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('debug:status', async () => {
+  return debugSessions.getStatus();
+});
+
+// Command approval policy
+ipcMain.handle('commandPolicy:setWorkspace', async (event, root) => {
+  commandPolicy.setWorkspace(root);
+  modelFixtures?.setWorkspace(root);
+  return { success: true };
+});
+
+ipcMain.handle('commandPolicy:getConfig', async () => {
+  return commandPolicy.getConfig();
+});
+
+ipcMain.handle('commandPolicy:saveConfig', async (event, config) => {
+  try {
+    return { success: true, config: await commandPolicy.saveConfig(config) };
+  } catch (error) {
+    console.error('❌ Failed to save command policy:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('commandPolicy:evaluate', async (event, command, options = {}) => {
+  return commandPolicy.evaluate(command, options);
+});
+
+// For commands the renderer runs itself (e.g. in the output terminal): check first, then record
+ipcMain.handle('commandPolicy:authorize', async (event, command, options = {}) => {
+  return await commandPolicy.authorize(command, options);
+});
+
+ipcMain.handle('commandPolicy:record', async (event, entry) => {
+  await commandPolicy.audit(entry);
+  return { success: true };
+});
+
+ipcMain.handle('commandPolicy:respond', async (event, id, answer) => {
+  return { success: commandPolicy.respond(id, answer) };
+});
+
+ipcMain.handle('commandPolicy:readAudit', async (event, limit) => {
+  return await commandPolicy.readAudit(limit);
+});
+
 // Bash Integration for macOS
-ipcMain.handle('bash:execute', async (event, command) => {
-  return await platformUtils.runCommand(command, { shell: 'bash' });
+ipcMain.handle('bash:execute', async (event, command, options = {}) => {
+  const cwd = options.cwd || commandPolicy.workspaceRoot || undefined;
+  const authorization = await commandPolicy.authorize(command, { cwd, source: options.source || 'bash:execute' });
+  if (!authorization.approved) {
+    const reason = authorization.decision === 'deny'
+      ? `Command blocked by policy: ${authorization.reasons.filter(r => r.action === 'deny').map(r => r.description).join(', ')}`
+      : 'Command was not approved by the user';
+    return { success: false, output: '', error: reason, code: -1, denied: true };
+  }
+
+  const startTime = Date.now();
+  // No stdin: a command that prompts gets EOF instead of waiting forever
+  const result = await platformUtils.runCommand(command, { shell: 'bash', cwd, timeout: options.timeoutMs, stdin: 'ignore' });
+  await commandPolicy.audit({
+    command,
+    cwd,
+    root: commandPolicy.workspaceRoot,
+    source: options.source || 'bash:execute',
+    decision: authorization.decision,
+    decidedBy: authorization.decidedBy,
+    executed: true,
+    exitCode: result.code,
+    durationMs: Date.now() - startTime
+  });
+  return result;
 });
 
 // Real Terminal Integration
@@ -656,14 +1156,109 @@ ipcMain.handle('terminal:list', async (event) => {
   return terminalManager.getTerminalList();
 });
 
+ipcMain.handle('terminal:rename', async (event, terminalId, title) => {
+  if (!terminalManager) {
+    return { success: false, error: 'Terminal manager not initialized' };
+  }
+  return terminalManager.renameTerminal(terminalId, title);
+});
+
+// Saves the current workspace's tabs and restores the saved tabs of this one
+ipcMain.handle('terminal:restoreSessions', async (event, root) => {
+  if (!terminalManager) {
+    return { success: false, error: 'Terminal manager not initialized' };
+  }
+  return terminalManager.openWorkspace(root);
+});
+
+// Output panel commands run by the renderer, kept with the pty scrollbacks
+ipcMain.handle('terminal:record', async (event, record) => {
+  if (!terminalManager) {
+    return { success: false, error: 'Terminal manager not initialized' };
+  }
+  terminalManager.recordOutput(record);
+  return { success: true };
+});
+
+ipcMain.handle('terminal:getOutput', async (event, terminalId, options = {}) => {
+  if (!terminalManager) {
+    return { success: false, error: 'Terminal manager not initialized' };
+  }
+  return terminalManager.getTerminalOutput(terminalId, options);
+});
+
+ipcMain.handle('terminal:getLastCommand', async (event, terminalId, options = {}) => {
+  if (!terminalManager) {
+    return { success: false, error: 'Terminal manager not initialized' };
+  }
+  return terminalManager.getLastCommand(terminalId, options);
+});
+
+// Workspace tasks (package.json scripts, Makefile targets, ...), each run in its own pty
+ipcMain.handle('tasks:discover', async (event, root) => {
+  if (!taskRunner) {
+    return { success: false, error: 'Task runner not initialized' };
+  }
+  try {
+    return { success: true, tasks: await taskRunner.discover(root), runs: taskRunner.getRuns() };
+  } catch (error) {
+    console.error('❌ Failed to discover tasks:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('tasks:run', async (event, root, taskId, options = {}) => {
+  if (!taskRunner) {
+    return { success: false, error: 'Task runner not initialized' };
+  }
+  return await taskRunner.run(root, taskId, options);
+});
+
+ipcMain.handle('tasks:stop', async (event, taskId) => {
+  if (!taskRunner) {
+    return { success: false, error: 'Task runner not initialized' };
+  }
+  return taskRunner.stop(taskId);
+});
+
+ipcMain.handle('tasks:wait', async (event, taskId, timeoutMs, maxChars) => {
+  if (!taskRunner) {
+    return { success: false, error: 'Task runner not initialized' };
+  }
+  return await taskRunner.wait(taskId, timeoutMs, maxChars);
+});
+
 // App Event Handlers
-app.whenReady().then(createWindow);
+app.whenReady().then(async () => {
+  await modelProviders.load(app.getPath('userData'));
+  modelFixtures = OllamaFixtures.fromEnv();
+  modelProviders.setFixtures(modelFixtures);
+  semanticIndex = new SemanticIndex(path.join(app.getPath('userData'), 'semantic-index'));
+  memoryStore = new MemoryStore(path.join(app.getPath('userData'), 'memory'));
+  checkpointStore = new CheckpointStore(path.join(app.getPath('userData'), 'checkpoints'));
+  terminalSessionStore = new TerminalSessionStore(path.join(app.getPath('userData'), 'terminal-sessions'));
+  commandPolicy = new CommandPolicy(app.getPath('userData'));
+  await commandPolicy.load();
+  createWindow();
+});
 
-app.on('window-all-closed', () => {
+app.on('window-all-closed', async () => {
   // Clean up terminals before quitting
   if (terminalManager) {
     terminalManager.cleanup();
   }
+
+  // Flush the index to disk and stop watching the workspace before the app exits
+  if (semanticIndex) {
+    try {
+      await semanticIndex.close();
+    } catch (error) {
+      console.error('❌ Failed to save the semantic index:', error.message);
+    }
+  }
+
+  languageServers.shutdownAll();
+  debugSessions.stop();
   
   if (process.platform !== 'darwin') {
     app.quit();
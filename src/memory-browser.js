@@ -0,0 +1,190 @@
+/**
+ * Mithril AI IDE - Session Archive Browser
+ * Modal for the workspace's archived memory sessions: search, preview,
+ * restore into the chat, delete and prune
+ */
+
+// ipcRenderer is already imported in ide-core.js which loads before this file
+
+class MemoryArchiveBrowser {
+  constructor(ideCore) {
+    this.ideCore = ideCore;
+    this.modal = null;
+    this.searchTimer = null;
+  }
+
+  get memoryManager() {
+    return this.ideCore.memoryManager;
+  }
+
+  async show() {
+    if (!this.memoryManager) {
+      console.warn('⚠️ Memory manager not available');
+      return;
+    }
+
+    this.close();
+
+    const workspace = this.memoryManager.workspaceRoot;
+    const modal = document.createElement('div');
+    modal.className = 'memory-browser-modal';
+    modal.innerHTML = `
+      <div class="memory-browser-content">
+        <div class="memory-browser-header">
+          <h3>
+            <i data-lucide="archive"></i>
+            Session Archive
+          </h3>
+          <span class="memory-browser-workspace">${this.ideCore.escapeHtml(workspace ? pathUtils.basename(workspace) : 'No workspace')}</span>
+          <button class="memory-browser-close" title="Close">×</button>
+        </div>
+        <div class="memory-browser-toolbar">
+          <input type="text" class="memory-search-input" placeholder="Search conversations and tasks...">
+          <button class="memory-btn memory-archive-current" title="Archive the current chat and start a new one">Archive Current</button>
+        </div>
+        <div class="memory-browser-list"></div>
+        <div class="memory-browser-footer">
+          <label>Keep last <input type="number" class="memory-keep-input" value="20" min="0" max="500"> sessions</label>
+          <button class="memory-btn memory-prune">Prune</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    this.modal = modal;
+
+    if (window.lucide) {
+      lucide.createIcons();
+    }
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) this.close();
+    });
+    modal.querySelector('.memory-browser-close').addEventListener('click', () => this.close());
+
+    modal.querySelector('.memory-search-input').addEventListener('input', (e) => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.refresh(e.target.value), 250);
+    });
+
+    modal.querySelector('.memory-archive-current').addEventListener('click', async () => {
+      if (!this.memoryManager.hasContent()) {
+        this.ideCore.ideAIManager?.showNotification('Current session is empty', 'info');
+        return;
+      }
+      await this.ideCore.clearChatAndHistory();
+      this.refresh();
+    });
+
+    modal.querySelector('.memory-prune').addEventListener('click', async () => {
+      const keepLast = Math.max(0, parseInt(modal.querySelector('.memory-keep-input').value) || 0);
+      const removed = await this.memoryManager.pruneSessions({ keepLast });
+      this.ideCore.ideAIManager?.showNotification(`Pruned ${removed} archived session${removed === 1 ? '' : 's'}`, 'success');
+      this.refresh();
+    });
+
+    this.escHandler = (e) => {
+      if (e.key === 'Escape') this.close();
+    };
+    document.addEventListener('keydown', this.escHandler);
+
+    await this.refresh();
+  }
+
+  close() {
+    clearTimeout(this.searchTimer);
+    if (this.escHandler) {
+      document.removeEventListener('keydown', this.escHandler);
+      this.escHandler = null;
+    }
+    this.modal?.remove();
+    this.modal = null;
+  }
+
+  async refresh(query = '') {
+    if (!this.modal) return;
+    const list = this.modal.querySelector('.memory-browser-list');
+    const trimmed = query.trim();
+
+    const sessions = trimmed
+      ? await this.memoryManager.searchSessions(trimmed)
+      : await this.memoryManager.listSessions();
+
+    if (!this.modal) return;
+
+    if (sessions.length === 0) {
+      list.innerHTML = `<div class="memory-empty">${trimmed ? 'No sessions match your search' : 'No archived sessions for this workspace'}</div>`;
+      return;
+    }
+
+    const escape = (text) => this.ideCore.escapeHtml(text || '');
+    list.innerHTML = sessions.map(session => `
+      <div class="memory-session ${session.isCurrent ? 'current' : ''}" data-session-id="${escape(session.sessionId)}">
+        <div class="memory-session-header">
+          <span class="memory-session-title">${escape(session.title)}</span>
+          <span class="memory-session-date">${new Date(session.lastUpdated).toLocaleString()}</span>
+        </div>
+        <div class="memory-session-meta">
+          ${session.conversationsCount} message${session.conversationsCount === 1 ? '' : 's'} · ${session.completedTasksCount} task list${session.completedTasksCount === 1 ? '' : 's'}
+          ${session.goals.length > 0 ? ` · ${escape(session.goals.join(', '))}` : ''}
+        </div>
+        ${(session.matches || []).map(match => `
+          <div class="memory-match"><span class="memory-match-field">${match.field}</span> ${escape(match.snippet)}</div>
+        `).join('')}
+        <div class="memory-session-actions">
+          ${session.isCurrent
+            ? '<span class="memory-current-label">Current session</span>'
+            : `<button class="memory-btn memory-restore">Restore</button>
+               <button class="memory-btn memory-delete">Delete</button>`}
+        </div>
+      </div>
+    `).join('');
+
+    list.querySelectorAll('.memory-restore').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const sessionId = e.target.closest('.memory-session').dataset.sessionId;
+        this.restore(sessionId);
+      });
+    });
+
+    list.querySelectorAll('.memory-delete').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        const sessionId = e.target.closest('.memory-session').dataset.sessionId;
+        await this.memoryManager.deleteSession(sessionId);
+        this.refresh(this.modal?.querySelector('.memory-search-input').value || '');
+      });
+    });
+  }
+
+  // Restore a session and replay its conversation into the chat
+  async restore(sessionId) {
+    const restored = await this.memoryManager.restoreSession(sessionId);
+    if (!restored) {
+      this.ideCore.ideAIManager?.showNotification('Could not restore session', 'error');
+      return;
+    }
+
+    const chatMessages = document.getElementById('chat-messages');
+    if (chatMessages) {
+      chatMessages.innerHTML = '';
+    }
+
+    const session = this.memoryManager.currentSession;
+    for (const conv of session.conversations) {
+      this.ideCore.addChatMessage('user', conv.userMessage || '', { images: conv.images });
+      if (conv.assistantResponse) {
+        this.ideCore.addChatMessage('ai', conv.assistantResponse);
+      }
+    }
+    this.ideCore.addChatMessage('system', `📂 Restored session from ${new Date(session.startTime).toLocaleString()}`);
+
+    this.close();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MemoryArchiveBrowser;
+} else {
+  window.MemoryArchiveBrowser = MemoryArchiveBrowser;
+}
@@ -1,37 +1,51 @@
 // Memory Manager for Persistent Conversation Context
 // Handles conversation history, task completion tracking, and context persistence
 
+// Sessions are stored per workspace in the app data directory by the main process (memory-store.js)
+
 class MemoryManager {
   constructor(ideCore) {
     this.ideCore = ideCore;
-    this.currentSession = {
+    this.workspaceRoot = ideCore?.currentFolder || null;
+    this.currentSession = this.createSession();
+    
+    console.log('🧠 Memory Manager initialized with session:', this.currentSession.sessionId);
+  }
+
+  /**
+   * Generate unique session ID
+   */
+  generateSessionId() {
+    return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Create an empty session
+   */
+  createSession() {
+    return {
       sessionId: this.generateSessionId(),
       startTime: new Date().toISOString(),
+      workspace: this.workspaceRoot,
       conversations: [],
       completedTasks: [],
       totalTasksCompleted: 0,
       toolsCalled: [],
       goals: [],
-      context: ""
+      context: "",
+      summary: "",        // rolling model-written summary of older turns
+      summarizedCount: 0  // number of conversations already folded into the summary
     };
-    
-    this.memoryFilePath = './memory/current-session.json';
-    this.archiveDir = './memory/archived/';
-    
-    console.log('🧠 Memory Manager initialized with session:', this.currentSession.sessionId);
   }
 
-  /**
-   * Generate unique session ID
-   */
-  generateSessionId() {
-    return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  hasContent(session = this.currentSession) {
+    return session.conversations.length > 0 || session.completedTasks.length > 0;
   }
 
   /**
    * Add a conversation entry to memory
    */
-  addConversation(userMessage, assistantResponse, intent, toolsCalled = []) {
+  addConversation(userMessage, assistantResponse, intent, toolsCalled = [], images = []) {
     const conversation = {
       id: `conv_${Date.now()}`,
       timestamp: new Date().toISOString(),
@@ -41,6 +55,10 @@ class MemoryManager {
       toolsCalled: toolsCalled,
       completed: true
     };
+    if (images.length > 0) {
+      // Thumbnails only; the full images are too large to keep in the session file
+      conversation.images = images.map(image => ({ name: image.name, thumbnail: image.thumbnail }));
+    }
 
     this.currentSession.conversations.push(conversation);
     this.currentSession.toolsCalled.push(...toolsCalled);
@@ -140,17 +158,28 @@ class MemoryManager {
     });
   }
 
+  /**
+   * Conversations that have not been folded into the rolling summary yet
+   */
+  getUnsummarizedConversations() {
+    return this.currentSession.conversations.slice(this.currentSession.summarizedCount || 0);
+  }
+
   /**
    * Get current conversation context for AI
    */
   getConversationContext() {
-    const recentConversations = this.currentSession.conversations.slice(-3); // Last 3 conversations
+    const recentConversations = this.getUnsummarizedConversations().slice(-3); // Last 3 conversations
     const recentTasks = this.currentSession.completedTasks.slice(-2); // Last 2 task sets
     
     let context = `Session Context (${this.currentSession.sessionId}):\n`;
     context += `Goals: ${this.currentSession.goals.join(', ')}\n`;
     context += `Total Tasks Completed: ${this.currentSession.totalTasksCompleted}\n`;
     
+    if (this.currentSession.summary) {
+      context += `\nEarlier Conversation Summary:\n${this.currentSession.summary}\n`;
+    }
+    
     if (recentTasks.length > 0) {
       context += `\nRecent Completed Tasks:\n`;
       recentTasks.forEach(taskSet => {
@@ -162,7 +191,7 @@ class MemoryManager {
       context += `\nRecent Conversations:\n`;
       recentConversations.forEach(conv => {
         context += `- User: ${conv.userMessage.substring(0, 100)}...\n`;
-        context += `- AI: ${conv.assistantResponse.substring(0, 100)}...\n`;
+        context += `- AI: ${(conv.assistantResponse || '').substring(0, 100)}...\n`;
       });
     }
     
@@ -170,31 +199,112 @@ class MemoryManager {
   }
 
   /**
-   * Save memory to file
+   * Session memory for prompts: goals and recently completed task lists.
+   * The conversation itself is in getHistoryContext
    */
-  async saveMemoryToFile() {
+  getSessionMemoryContext() {
+    const recentTasks = this.currentSession.completedTasks.slice(-2);
+    const parts = [];
+    
+    if (this.currentSession.goals.length > 0) {
+      parts.push(`Session goals: ${this.currentSession.goals.join(', ')}`);
+    }
+    
+    if (recentTasks.length > 0) {
+      parts.push(`Recently completed tasks:\n${recentTasks.map(taskSet => `- ${taskSet.summary}`).join('\n')}`);
+    }
+    
+    return parts.join('\n');
+  }
+
+  /**
+   * Conversation history for prompts: the rolling summary followed by the
+   * turns that come after it
+   */
+  getHistoryContext(maxTurns = 6) {
+    const turns = this.getUnsummarizedConversations().slice(-maxTurns);
+    const parts = [];
+    
+    if (this.currentSession.summary) {
+      parts.push(`Summary of earlier conversation:\n${this.currentSession.summary}`);
+    }
+    
+    if (turns.length > 0) {
+      parts.push(turns.map(conv =>
+        `User: ${conv.userMessage.substring(0, 1000)}\nAssistant: ${(conv.assistantResponse || '').substring(0, 1000)}`
+      ).join('\n'));
+    }
+    
+    return parts.join('\n\n');
+  }
+
+  /**
+   * Fold older turns into the rolling summary with the synthesis model.
+   * The most recent turns stay verbatim.
+   * @returns {Promise<boolean>} true when the summary changed
+   */
+  async summarizeOlderTurns({ keepRecent = 2, targetTokens = 0 } = {}) {
+    const pending = this.getUnsummarizedConversations();
+    const toFold = pending.slice(0, Math.max(0, pending.length - keepRecent));
+    const model = this.ideCore?.models?.synthesis || this.ideCore?.selectedModel;
+    if (toFold.length === 0 || !model) {
+      return false;
+    }
+    
+    // Aim for roughly the space the history section has left, within sane bounds
+    const maxWords = Math.min(400, Math.max(80, Math.floor(targetTokens * 0.6)));
+    const transcript = toFold.map(conv =>
+      `User: ${conv.userMessage}\nAssistant: ${conv.assistantResponse || ''}`
+    ).join('\n\n');
+    
+    const prompt = `Update the running summary of a conversation between a developer and an AI coding assistant in an IDE.
+Keep file names, decisions, open problems and anything the user asked to remember. Drop pleasantries.
+Write at most ${maxWords} words of plain text.
+
+${this.currentSession.summary ? `Current summary:\n${this.currentSession.summary}\n\n` : ''}New turns to fold in:
+${transcript}
+
+Updated summary:`;
+    
     try {
-      // Ensure memory directory exists
-      if (this.ideCore && this.ideCore.fileSystemManager) {
-        await this.ideCore.fileSystemManager.ensureDirectoryExists('./memory');
-        await this.ideCore.fileSystemManager.ensureDirectoryExists(this.archiveDir);
+      console.log(`🧠 Summarizing ${toFold.length} older turns with ${model}`);
+      const result = await ipcRenderer.invoke('ollama:generate', {
+        model,
+        prompt,
+        ...(this.ideCore?.getRoleOptions?.('synthesis') || {}),
+        maxTokens: Math.ceil(maxWords * 2)
+      });
+      const summary = (result?.response || '').trim();
+      if (!summary) {
+        return false;
       }
       
+      this.currentSession.summary = summary;
+      this.currentSession.summarizedCount = (this.currentSession.summarizedCount || 0) + toFold.length;
+      this.currentSession.summaryUpdatedAt = new Date().toISOString();
+      await this.saveMemoryToFile();
+      return true;
+      
+    } catch (error) {
+      console.error('🧠 Error summarizing conversation:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Save the current session to the workspace memory store
+   */
+  async saveMemoryToFile() {
+    try {
       // Update session metadata
       this.currentSession.lastUpdated = new Date().toISOString();
       this.currentSession.context = this.getConversationContext();
       
-      // Save to file
-      const memoryData = JSON.stringify(this.currentSession, null, 2);
-      
-      if (this.ideCore && this.ideCore.fileSystemManager) {
-        await this.ideCore.fileSystemManager.writeFile(this.memoryFilePath, memoryData);
-        console.log('🧠 Memory saved to file:', this.memoryFilePath);
-      } else {
-        // Fallback to localStorage if file system not available
-        localStorage.setItem('mithril_session_memory', memoryData);
-        console.log('🧠 Memory saved to localStorage');
+      const result = await ipcRenderer.invoke('memory:saveCurrent', this.workspaceRoot, this.currentSession);
+      if (!result.success) {
+        throw new Error(result.error);
       }
+      console.log('🧠 Memory saved for workspace:', this.workspaceRoot || 'global');
       
     } catch (error) {
       console.error('🧠 Error saving memory:', error);
@@ -202,25 +312,29 @@ class MemoryManager {
   }
 
   /**
-   * Load memory from file
+   * Load the current session of the workspace from the memory store
    */
   async loadMemoryFromFile() {
     try {
-      let memoryData = null;
+      const result = await ipcRenderer.invoke('memory:loadCurrent', this.workspaceRoot);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
       
-      if (this.ideCore && this.ideCore.fileSystemManager) {
-        const fileExists = await this.ideCore.fileSystemManager.fileExists(this.memoryFilePath);
-        if (fileExists) {
-          memoryData = await this.ideCore.fileSystemManager.readFile(this.memoryFilePath);
-        }
-      } else {
-        // Fallback to localStorage
-        memoryData = localStorage.getItem('mithril_session_memory');
+      if (result.session) {
+        this.currentSession = result.session;
+        console.log('🧠 Memory loaded for workspace:', this.currentSession.sessionId);
+        return true;
       }
       
-      if (memoryData) {
-        this.currentSession = JSON.parse(memoryData);
-        console.log('🧠 Memory loaded from file:', this.currentSession.sessionId);
+      // Earlier versions kept a single session in localStorage; adopt it once
+      const legacyData = localStorage.getItem('mithril_session_memory');
+      if (legacyData) {
+        this.currentSession = JSON.parse(legacyData);
+        this.currentSession.workspace = this.workspaceRoot;
+        localStorage.removeItem('mithril_session_memory');
+        await this.saveMemoryToFile();
+        console.log('🧠 Migrated legacy session memory:', this.currentSession.sessionId);
         return true;
       }
       
@@ -231,27 +345,35 @@ class MemoryManager {
     return false;
   }
 
+  /**
+   * Switch memory to another workspace: save this one, then load the other's current session
+   */
+  async setWorkspace(root) {
+    const nextRoot = root || null;
+    if (nextRoot === this.workspaceRoot) return;
+    
+    if (this.hasContent()) {
+      await this.saveMemoryToFile();
+    }
+    
+    this.workspaceRoot = nextRoot;
+    this.currentSession = this.createSession();
+    await this.loadMemoryFromFile();
+    console.log('🧠 Memory switched to workspace:', this.workspaceRoot || 'global');
+  }
+
   /**
    * Reset memory for new chat session
    */
   async resetMemory() {
     try {
       // Archive current session if it has content
-      if (this.currentSession.conversations.length > 0 || this.currentSession.completedTasks.length > 0) {
+      if (this.hasContent()) {
         await this.archiveCurrentSession();
       }
       
       // Create new session
-      this.currentSession = {
-        sessionId: this.generateSessionId(),
-        startTime: new Date().toISOString(),
-        conversations: [],
-        completedTasks: [],
-        totalTasksCompleted: 0,
-        toolsCalled: [],
-        goals: [],
-        context: ""
-      };
+      this.currentSession = this.createSession();
       
       console.log('🧠 Memory reset - new session:', this.currentSession.sessionId);
       
@@ -268,19 +390,73 @@ class MemoryManager {
    */
   async archiveCurrentSession() {
     try {
-      const archiveFileName = `${this.archiveDir}session_${this.currentSession.sessionId}_${Date.now()}.json`;
-      const memoryData = JSON.stringify(this.currentSession, null, 2);
-      
-      if (this.ideCore && this.ideCore.fileSystemManager) {
-        await this.ideCore.fileSystemManager.writeFile(archiveFileName, memoryData);
-        console.log('🧠 Session archived:', archiveFileName);
+      this.currentSession.lastUpdated = new Date().toISOString();
+      const result = await ipcRenderer.invoke('memory:archive', this.workspaceRoot, this.currentSession);
+      if (!result.success) {
+        throw new Error(result.error);
       }
+      console.log('🧠 Session archived:', this.currentSession.sessionId);
+      return true;
       
     } catch (error) {
       console.error('🧠 Error archiving session:', error);
+      return false;
     }
   }
 
+  /**
+   * List archived sessions of the current workspace, newest first
+   */
+  async listSessions() {
+    const result = await ipcRenderer.invoke('memory:listSessions', this.workspaceRoot);
+    return result.success ? result.sessions : [];
+  }
+
+  /**
+   * Search the current and archived sessions of the workspace
+   */
+  async searchSessions(query) {
+    const result = await ipcRenderer.invoke('memory:search', this.workspaceRoot, query);
+    return result.success ? result.results : [];
+  }
+
+  /**
+   * Make an archived session current again; the session being replaced is archived first
+   */
+  async restoreSession(sessionId) {
+    const result = await ipcRenderer.invoke('memory:getSession', this.workspaceRoot, sessionId);
+    if (!result.success) {
+      console.error('🧠 Error restoring session:', result.error);
+      return false;
+    }
+    
+    if (this.hasContent() && this.currentSession.sessionId !== sessionId) {
+      await this.archiveCurrentSession();
+    }
+    
+    const { archivedAt, ...session } = result.session;
+    this.currentSession = session;
+    await ipcRenderer.invoke('memory:deleteSession', this.workspaceRoot, sessionId);
+    await this.saveMemoryToFile();
+    
+    console.log('🧠 Session restored:', sessionId);
+    return true;
+  }
+
+  async deleteSession(sessionId) {
+    const result = await ipcRenderer.invoke('memory:deleteSession', this.workspaceRoot, sessionId);
+    return result.success;
+  }
+
+  /**
+   * Remove old archived sessions
+   * @param {Object} options - { keepLast, olderThanDays }
+   */
+  async pruneSessions(options = {}) {
+    const result = await ipcRenderer.invoke('memory:prune', this.workspaceRoot, options);
+    return result.success ? result.removed : 0;
+  }
+
   /**
    * Check if assistant is done with current task/response
    */
@@ -0,0 +1,222 @@
+/**
+ * Mithril AI IDE - Memory Store
+ * Keeps conversation memory per workspace under the app data directory:
+ * one current session plus archived sessions that can be listed, searched,
+ * restored and pruned
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const GLOBAL_WORKSPACE = 'global';
+
+class MemoryStore {
+  constructor(storageDir) {
+    this.storageDir = storageDir;
+    console.log('🧠 Memory store initialized at', storageDir);
+  }
+
+  // Sessions opened without a workspace share a single "global" bucket
+  workspaceKey(root) {
+    if (!root) return GLOBAL_WORKSPACE;
+    return crypto.createHash('sha1').update(path.resolve(root)).digest('hex').substring(0, 16);
+  }
+
+  workspaceDir(root) {
+    return path.join(this.storageDir, this.workspaceKey(root));
+  }
+
+  archiveDir(root) {
+    return path.join(this.workspaceDir(root), 'archived');
+  }
+
+  // Session ids end up in file names, so only allow the characters generateSessionId produces
+  sessionFile(root, sessionId) {
+    const safeId = String(sessionId).replace(/[^a-zA-Z0-9_-]/g, '');
+    if (!safeId) {
+      throw new Error('Invalid session id');
+    }
+    return path.join(this.archiveDir(root), `${safeId}.json`);
+  }
+
+  async ensureWorkspace(root) {
+    const dir = this.workspaceDir(root);
+    await fs.mkdir(path.join(dir, 'archived'), { recursive: true });
+
+    // Record which folder this bucket belongs to so the directory can be identified by hand
+    const metaPath = path.join(dir, 'workspace.json');
+    try {
+      await fs.access(metaPath);
+    } catch (error) {
+      await fs.writeFile(metaPath, JSON.stringify({ root: root || null }, null, 2), 'utf8');
+    }
+  }
+
+  async readJSON(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('⚠️ Could not read memory file:', filePath, error.message);
+      }
+      return null;
+    }
+  }
+
+  async loadCurrent(root) {
+    return await this.readJSON(path.join(this.workspaceDir(root), 'current-session.json'));
+  }
+
+  async saveCurrent(root, session) {
+    await this.ensureWorkspace(root);
+    await fs.writeFile(
+      path.join(this.workspaceDir(root), 'current-session.json'),
+      JSON.stringify(session, null, 2),
+      'utf8'
+    );
+  }
+
+  async archive(root, session) {
+    await this.ensureWorkspace(root);
+    const archived = { ...session, archivedAt: new Date().toISOString() };
+    await fs.writeFile(this.sessionFile(root, session.sessionId), JSON.stringify(archived, null, 2), 'utf8');
+    return archived;
+  }
+
+  async getSession(root, sessionId) {
+    return await this.readJSON(this.sessionFile(root, sessionId));
+  }
+
+  async deleteSession(root, sessionId) {
+    try {
+      await fs.unlink(this.sessionFile(root, sessionId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async readArchived(root) {
+    let entries;
+    try {
+      entries = await fs.readdir(this.archiveDir(root));
+    } catch (error) {
+      return [];
+    }
+
+    const sessions = [];
+    for (const entry of entries) {
+      if (!entry.endsWith('.json')) continue;
+      const session = await this.readJSON(path.join(this.archiveDir(root), entry));
+      if (session && session.sessionId) {
+        sessions.push(session);
+      }
+    }
+    return sessions;
+  }
+
+  summarize(session) {
+    const conversations = session.conversations || [];
+    const firstMessage = conversations.find(conv => conv.userMessage)?.userMessage || '';
+    return {
+      sessionId: session.sessionId,
+      startTime: session.startTime,
+      lastUpdated: session.lastUpdated || session.archivedAt || session.startTime,
+      archivedAt: session.archivedAt || null,
+      title: firstMessage.substring(0, 80) || 'Empty session',
+      conversationsCount: conversations.length,
+      completedTasksCount: (session.completedTasks || []).length,
+      goals: (session.goals || []).slice(0, 5)
+    };
+  }
+
+  /**
+   * List archived sessions for a workspace, newest first
+   */
+  async listSessions(root) {
+    const sessions = await this.readArchived(root);
+    return sessions
+      .map(session => this.summarize(session))
+      .sort((a, b) => new Date(b.lastUpdated) - new Date(a.lastUpdated));
+  }
+
+  /**
+   * Case-insensitive text search over conversations and task summaries of the
+   * current and archived sessions
+   */
+  async search(root, query, options = {}) {
+    const needle = (query || '').trim().toLowerCase();
+    if (!needle) return [];
+
+    const maxMatchesPerSession = options.maxMatchesPerSession || 5;
+    const current = await this.loadCurrent(root);
+    const sessions = await this.readArchived(root);
+    if (current) {
+      sessions.unshift({ ...current, isCurrent: true });
+    }
+
+    const snippet = (text) => {
+      const index = text.toLowerCase().indexOf(needle);
+      const start = Math.max(0, index - 60);
+      const end = Math.min(text.length, index + needle.length + 60);
+      return `${start > 0 ? '…' : ''}${text.substring(start, end)}${end < text.length ? '…' : ''}`;
+    };
+
+    const results = [];
+    for (const session of sessions) {
+      const matches = [];
+      const check = (field, text, timestamp) => {
+        if (matches.length < maxMatchesPerSession && text && text.toLowerCase().includes(needle)) {
+          matches.push({ field, snippet: snippet(text), timestamp });
+        }
+      };
+
+      for (const conv of session.conversations || []) {
+        check('user', conv.userMessage, conv.timestamp);
+        check('assistant', conv.assistantResponse, conv.timestamp);
+      }
+      for (const task of session.completedTasks || []) {
+        check('task', task.summary, task.timestamp);
+      }
+      if (session.summary) {
+        check('summary', session.summary, session.lastUpdated);
+      }
+
+      if (matches.length > 0) {
+        results.push({ ...this.summarize(session), isCurrent: !!session.isCurrent, matches });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Delete archived sessions beyond keepLast and/or older than olderThanDays
+   * @returns {Promise<number>} number of sessions removed
+   */
+  async prune(root, options = {}) {
+    const sessions = await this.listSessions(root);
+    const keepLast = options.keepLast ?? 50;
+    const cutoff = options.olderThanDays
+      ? Date.now() - options.olderThanDays * 24 * 60 * 60 * 1000
+      : null;
+
+    let removed = 0;
+    for (let i = 0; i < sessions.length; i++) {
+      const tooMany = i >= keepLast;
+      const tooOld = cutoff !== null && new Date(sessions[i].lastUpdated).getTime() < cutoff;
+      if (tooMany || tooOld) {
+        if (await this.deleteSession(root, sessions[i].sessionId)) {
+          removed++;
+        }
+      }
+    }
+
+    console.log(`🧠 Pruned ${removed} archived sessions`);
+    return removed;
+  }
+}
+
+module.exports = MemoryStore;
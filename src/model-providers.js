@@ -0,0 +1,648 @@
+/**
+ * Mithril AI IDE - Model Provider Layer
+ * Routes generation requests to Ollama, llama.cpp server or any OpenAI-compatible
+ * local endpoint (LM Studio, vLLM) and normalizes their responses to Ollama's shape
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_CONFIG = {
+  providers: [
+    { id: 'ollama', name: 'Ollama', type: 'ollama', baseUrl: 'http://localhost:11434', enabled: true }
+  ],
+  // modelName -> providerId; models without an entry go to whichever provider listed them
+  modelProviders: {},
+  defaultProvider: 'ollama'
+};
+
+// Defaults that match the values the IDE has always sent to Ollama
+const DEFAULT_OPTIONS = {
+  temperature: 0.7,
+  topP: 0.9,
+  topK: 40,
+  contextTokens: 32768,
+  maxTokens: 4096,
+  repeatPenalty: 1.1
+};
+
+// Set by ModelProviderManager.setFixtures to record or replay responses
+let fixtures = null;
+
+function providerFetch(url, init) {
+  return fixtures ? fixtures.fetch(url, init) : fetch(url, init);
+}
+
+/**
+ * Read a fetch response body line by line, keeping partial lines buffered
+ * between network chunks
+ * @param {Response} response - Fetch response with a readable body
+ * @param {Function} onLine - Called with each non-empty line
+ */
+async function readLines(response, onLine) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line.trim() && onLine(line.trim()) === false) {
+          return;
+        }
+      }
+    }
+
+    if (buffer.trim()) {
+      onLine(buffer.trim());
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+// Backends without a separate system field get it prepended to the prompt
+function promptWithSystem(options) {
+  return options.system ? `${options.system}\n\n${options.prompt}` : options.prompt;
+}
+
+// Sampling options only some requests set (presets, JSON calls); sent only when given
+const OPTIONAL_OLLAMA_OPTIONS = {
+  seed: 'seed',
+  mirostat: 'mirostat',
+  mirostatTau: 'mirostat_tau',
+  mirostatEta: 'mirostat_eta'
+};
+
+function withDefaults(options) {
+  const merged = { ...DEFAULT_OPTIONS };
+  for (const [key, value] of Object.entries(options || {})) {
+    if (value !== undefined && value !== null) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+class OllamaProvider {
+  constructor(config) {
+    this.config = config;
+    this.baseUrl = (config.baseUrl || 'http://localhost:11434').replace(/\/+$/, '');
+  }
+
+  async listModels() {
+    const response = await providerFetch(`${this.baseUrl}/api/tags`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const data = await response.json();
+    return data.models || [];
+  }
+
+  buildBody(options, stream) {
+    const opts = withDefaults(options);
+    const body = {
+      model: options.model,
+      prompt: options.prompt,
+      stream,
+      options: {
+        temperature: opts.temperature,
+        top_p: opts.topP,
+        top_k: opts.topK,
+        num_ctx: opts.contextTokens,
+        num_predict: opts.maxTokens,
+        repeat_penalty: opts.repeatPenalty,
+        stop: opts.stopSequences || []
+      }
+    };
+    for (const [key, name] of Object.entries(OPTIONAL_OLLAMA_OPTIONS)) {
+      if (opts[key] !== undefined) {
+        body.options[name] = opts[key];
+      }
+    }
+    if (options.format) {
+      // "json" or a JSON schema object
+      body.format = options.format;
+    }
+    if (options.system) {
+      body.system = options.system;
+    }
+    if (options.images && options.images.length > 0) {
+      // Base64 image data for vision models (llava, llama3.2-vision)
+      body.images = options.images;
+    }
+    if (options.raw) {
+      // Prompt is already fully formatted (e.g. fill-in-the-middle tokens)
+      body.raw = true;
+    }
+    return body;
+  }
+
+  async generate(options) {
+    const response = await providerFetch(`${this.baseUrl}/api/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(this.buildBody(options, false))
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return await response.json();
+  }
+
+  async generateStream(options, onChunk, signal) {
+    const response = await providerFetch(`${this.baseUrl}/api/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(this.buildBody(options, true)),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    await readLines(response, (line) => {
+      try {
+        const data = JSON.parse(line);
+        onChunk(data);
+        return !data.done;
+      } catch (parseError) {
+        console.warn('🌊 Failed to parse stream chunk:', line);
+        return true;
+      }
+    });
+  }
+
+  async embed(options) {
+    const response = await providerFetch(`${this.baseUrl}/api/embed`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model: options.model, input: options.input })
+    });
+
+    // Ollama before 0.3 only has the single-input /api/embeddings endpoint
+    if (response.status === 404) {
+      const embeddings = [];
+      for (const input of options.input) {
+        const legacy = await providerFetch(`${this.baseUrl}/api/embeddings`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ model: options.model, prompt: input })
+        });
+        if (!legacy.ok) {
+          throw new Error(`HTTP error! status: ${legacy.status}`);
+        }
+        embeddings.push((await legacy.json()).embedding);
+      }
+      return embeddings;
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return (await response.json()).embeddings || [];
+  }
+}
+
+/**
+ * OpenAI-compatible /v1/completions endpoint (LM Studio, vLLM, llama.cpp --api)
+ * The IDE builds complete prompts itself, so the raw completions API is used
+ * rather than chat completions
+ */
+class OpenAICompatibleProvider {
+  constructor(config) {
+    this.config = config;
+    this.baseUrl = (config.baseUrl || 'http://localhost:1234').replace(/\/+$/, '').replace(/\/v1$/, '');
+  }
+
+  headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.apiKey) {
+      headers.Authorization = `Bearer ${this.config.apiKey}`;
+    }
+    return headers;
+  }
+
+  async listModels() {
+    const response = await providerFetch(`${this.baseUrl}/v1/models`, { headers: this.headers() });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const data = await response.json();
+    return (data.data || []).map(model => ({
+      name: model.id,
+      model: model.id,
+      size: 0,
+      modified_at: model.created ? new Date(model.created * 1000).toISOString() : null
+    }));
+  }
+
+  buildBody(options, stream) {
+    const opts = withDefaults(options);
+    const body = {
+      model: options.model,
+      prompt: promptWithSystem(options),
+      stream,
+      temperature: opts.temperature,
+      top_p: opts.topP,
+      max_tokens: opts.maxTokens
+    };
+    if (opts.stopSequences && opts.stopSequences.length > 0) {
+      // The OpenAI API accepts at most four stop sequences
+      body.stop = opts.stopSequences.slice(0, 4);
+    }
+    if (opts.seed !== undefined) {
+      body.seed = opts.seed;
+    }
+    if (options.format === 'json') {
+      body.response_format = { type: 'json_object' };
+    } else if (options.format && typeof options.format === 'object') {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema: options.format }
+      };
+    }
+    return body;
+  }
+
+  async generate(options) {
+    const response = await providerFetch(`${this.baseUrl}/v1/completions`, {
+      method: 'POST',
+      headers: this.headers(),
+      body: JSON.stringify(this.buildBody(options, false))
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const choice = (data.choices || [])[0] || {};
+    return {
+      model: options.model,
+      response: choice.text || '',
+      done: true,
+      done_reason: choice.finish_reason || 'stop',
+      prompt_eval_count: data.usage?.prompt_tokens,
+      eval_count: data.usage?.completion_tokens
+    };
+  }
+
+  async generateStream(options, onChunk, signal) {
+    const response = await providerFetch(`${this.baseUrl}/v1/completions`, {
+      method: 'POST',
+      headers: this.headers(),
+      body: JSON.stringify(this.buildBody(options, true)),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    let finished = false;
+    await readLines(response, (line) => {
+      if (!line.startsWith('data:')) return true;
+      const payload = line.slice(5).trim();
+
+      if (payload === '[DONE]') {
+        finished = true;
+        onChunk({ model: options.model, response: '', done: true });
+        return false;
+      }
+
+      try {
+        const data = JSON.parse(payload);
+        const choice = (data.choices || [])[0] || {};
+        onChunk({ model: options.model, response: choice.text || '', done: false });
+      } catch (parseError) {
+        console.warn('🌊 Failed to parse SSE chunk:', payload);
+      }
+      return true;
+    });
+
+    if (!finished) {
+      onChunk({ model: options.model, response: '', done: true });
+    }
+  }
+
+  async embed(options) {
+    const response = await providerFetch(`${this.baseUrl}/v1/embeddings`, {
+      method: 'POST',
+      headers: this.headers(),
+      body: JSON.stringify({ model: options.model, input: options.input })
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (data.data || [])
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+/**
+ * Native llama.cpp server API (/completion), which keeps sampling options such
+ * as top_k and repeat_penalty that the OpenAI-compatible route drops
+ */
+class LlamaCppProvider {
+  constructor(config) {
+    this.config = config;
+    this.baseUrl = (config.baseUrl || 'http://localhost:8080').replace(/\/+$/, '');
+  }
+
+  async listModels() {
+    // llama.cpp serves exactly one model; newer builds report it on /v1/models
+    try {
+      const response = await providerFetch(`${this.baseUrl}/v1/models`);
+      if (response.ok) {
+        const data = await response.json();
+        const models = (data.data || []).map(model => ({ name: model.id, model: model.id, size: 0 }));
+        if (models.length > 0) return models;
+      }
+    } catch (error) {
+      // Fall through to /props for older servers
+    }
+
+    const response = await providerFetch(`${this.baseUrl}/props`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const props = await response.json();
+    const modelPath = props.default_generation_settings?.model || props.model_path || 'llama.cpp';
+    const name = path.basename(modelPath);
+    return [{ name, model: name, size: 0 }];
+  }
+
+  buildBody(options, stream) {
+    const opts = withDefaults(options);
+    const body = {
+      prompt: promptWithSystem(options),
+      stream,
+      temperature: opts.temperature,
+      top_p: opts.topP,
+      top_k: opts.topK,
+      n_predict: opts.maxTokens,
+      repeat_penalty: opts.repeatPenalty,
+      stop: opts.stopSequences || []
+    };
+    // llama.cpp takes the same sampling option names as Ollama
+    for (const [key, name] of Object.entries(OPTIONAL_OLLAMA_OPTIONS)) {
+      if (opts[key] !== undefined) {
+        body[name] = opts[key];
+      }
+    }
+    if (options.format === 'json') {
+      // An empty schema constrains the output to any valid JSON
+      body.json_schema = {};
+    } else if (options.format && typeof options.format === 'object') {
+      body.json_schema = options.format;
+    }
+    return body;
+  }
+
+  async generate(options) {
+    const response = await providerFetch(`${this.baseUrl}/completion`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(this.buildBody(options, false))
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return {
+      model: options.model,
+      response: data.content || '',
+      done: true,
+      prompt_eval_count: data.tokens_evaluated,
+      eval_count: data.tokens_predicted
+    };
+  }
+
+  async generateStream(options, onChunk, signal) {
+    const response = await providerFetch(`${this.baseUrl}/completion`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(this.buildBody(options, true)),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    let finished = false;
+    await readLines(response, (line) => {
+      if (!line.startsWith('data:')) return true;
+
+      try {
+        const data = JSON.parse(line.slice(5).trim());
+        finished = !!data.stop;
+        onChunk({ model: options.model, response: data.content || '', done: finished });
+        return !finished;
+      } catch (parseError) {
+        console.warn('🌊 Failed to parse SSE chunk:', line);
+        return true;
+      }
+    });
+
+    if (!finished) {
+      onChunk({ model: options.model, response: '', done: true });
+    }
+  }
+
+  // Requires the server to be started with --embeddings
+  async embed(options) {
+    const response = await providerFetch(`${this.baseUrl}/v1/embeddings`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model: options.model, input: options.input })
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (data.data || [])
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+const PROVIDER_TYPES = {
+  ollama: OllamaProvider,
+  llamacpp: LlamaCppProvider,
+  openai: OpenAICompatibleProvider
+};
+
+class ModelProviderManager {
+  constructor() {
+    this.config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+    this.configPath = null;
+    this.providers = new Map();
+    this.modelIndex = new Map(); // modelName -> providerId, filled by listModels
+    this.buildProviders();
+  }
+
+  // Load provider configuration from the app data directory
+  async load(configDir) {
+    this.configPath = path.join(configDir, 'model-providers.json');
+    try {
+      const saved = JSON.parse(await fs.readFile(this.configPath, 'utf8'));
+      this.config = this.normalizeConfig(saved);
+      console.log(`🔌 Loaded ${this.config.providers.length} model providers from ${this.configPath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('❌ Failed to load model provider config:', error.message);
+      }
+    }
+    this.buildProviders();
+    return this.getConfig();
+  }
+
+  async save(config) {
+    this.config = this.normalizeConfig(config);
+    this.buildProviders();
+    if (this.configPath) {
+      await fs.mkdir(path.dirname(this.configPath), { recursive: true });
+      await fs.writeFile(this.configPath, JSON.stringify(this.config, null, 2), 'utf8');
+      console.log('💾 Saved model provider config');
+    }
+    return this.getConfig();
+  }
+
+  normalizeConfig(config = {}) {
+    const valid = Array.isArray(config.providers)
+      ? config.providers.filter(p => p && p.id && PROVIDER_TYPES[p.type])
+      : [];
+    // Fall back to the built-in Ollama provider rather than leave none configured
+    const providers = valid.length > 0 ? valid : DEFAULT_CONFIG.providers;
+    const ids = providers.map(p => String(p.id));
+
+    return {
+      providers: providers.map(p => ({
+        id: String(p.id),
+        name: p.name || p.id,
+        type: p.type,
+        baseUrl: p.baseUrl || '',
+        apiKey: p.apiKey || '',
+        enabled: p.enabled !== false
+      })),
+      modelProviders: { ...(config.modelProviders || {}) },
+      defaultProvider: ids.includes(config.defaultProvider) ? config.defaultProvider : ids[0]
+    };
+  }
+
+  buildProviders() {
+    this.providers.clear();
+    for (const providerConfig of this.config.providers) {
+      const ProviderClass = PROVIDER_TYPES[providerConfig.type];
+      this.providers.set(providerConfig.id, new ProviderClass(providerConfig));
+    }
+  }
+
+  getConfig() {
+    return {
+      ...JSON.parse(JSON.stringify(this.config)),
+      types: Object.keys(PROVIDER_TYPES)
+    };
+  }
+
+  /**
+   * Route every provider request through recorded fixtures (see
+   * ollama-fixtures.js), or back to the network with null
+   */
+  setFixtures(recorder) {
+    fixtures = recorder;
+    if (recorder) {
+      console.log(`📼 Model responses: ${recorder.mode} (${recorder.dir})`);
+    }
+  }
+
+  getProvider(providerId) {
+    return this.providers.get(providerId) || null;
+  }
+
+  /**
+   * Pick the provider for a model: explicit per-model setting first, then the
+   * provider that reported the model in the last listing, then the default
+   */
+  resolveProvider(modelName) {
+    const providerId = this.config.modelProviders[modelName]
+      || this.modelIndex.get(modelName)
+      || this.config.defaultProvider;
+
+    const provider = this.providers.get(providerId) || this.providers.values().next().value;
+    if (!provider) {
+      throw new Error('No model provider configured');
+    }
+    return provider;
+  }
+
+  /**
+   * List models from every enabled provider in Ollama's /api/tags shape, with a
+   * provider field added to each model
+   * @returns {Promise<Object>} { models, errors }
+   */
+  async listModels() {
+    const models = [];
+    const errors = [];
+
+    for (const [providerId, provider] of this.providers) {
+      if (!provider.config.enabled) continue;
+      try {
+        const providerModels = await provider.listModels();
+        for (const model of providerModels) {
+          if (!this.modelIndex.has(model.name) || this.modelIndex.get(model.name) === providerId) {
+            this.modelIndex.set(model.name, providerId);
+          }
+          models.push({ ...model, provider: providerId, providerName: provider.config.name });
+        }
+      } catch (error) {
+        console.warn(`⚠️ Provider ${providerId} unavailable:`, error.message);
+        errors.push({ provider: providerId, error: error.message });
+      }
+    }
+
+    return { models, errors };
+  }
+
+  async generate(options) {
+    const provider = this.resolveProvider(options.model);
+    return await provider.generate(options);
+  }
+
+  async generateStream(options, onChunk, signal) {
+    const provider = this.resolveProvider(options.model);
+    return await provider.generateStream(options, onChunk, signal);
+  }
+
+  /**
+   * Embed a batch of texts with an embedding model
+   * @returns {Promise<number[][]>} one vector per input, in order
+   */
+  async embed(options) {
+    const provider = this.resolveProvider(options.model);
+    return await provider.embed(options);
+  }
+}
+
+module.exports = new ModelProviderManager();
@@ -0,0 +1,248 @@
+/**
+ * Mithril AI IDE - Model Roles
+ * Assigns an installed model to each job the IDE gives a model (intent
+ * classification, planning, code generation, chat, memory synthesis and
+ * autocomplete), each with its own temperature and token limits. Settings are
+ * kept in the main process's electron-store.
+ */
+
+// ipcRenderer is already imported in ide-core.js which loads before this file
+
+// slot: the ideCore.models key the role fills; chat and autocomplete drive
+// selectedModel and completionModel instead
+const MODEL_ROLES = [
+  { id: 'intent', label: 'Intent Classification', slot: 'intent' },
+  { id: 'planner', label: 'Planning', slot: 'planner' },
+  { id: 'coder', label: 'Code Generation', slot: 'tool' },
+  { id: 'chat', label: 'Chat', slot: null },
+  { id: 'synthesis', label: 'Memory Synthesis', slot: 'synthesis' },
+  { id: 'autocomplete', label: 'Autocomplete', slot: null }
+];
+
+const ROLE_LIMITS = {
+  temperature: { min: 0, max: 2 },
+  contextTokens: { min: 512, max: 262144 },
+  maxTokens: { min: 16, max: 32768 }
+};
+
+class IDEModelRoles {
+  constructor(ideCore) {
+    this.ideCore = ideCore;
+    this.roles = {}; // role id -> { model, temperature, contextTokens, maxTokens }
+    this.defaults = { chat: null, autocomplete: null }; // auto-detected by loadModels
+    this.container = null;
+
+    console.log('🎭 Model roles initialized');
+  }
+
+  async load() {
+    try {
+      const result = await ipcRenderer.invoke('modelRoles:get');
+      this.roles = this.normalize(result.success ? result.roles : {});
+    } catch (error) {
+      console.error('❌ Failed to load model roles:', error);
+      this.roles = this.normalize({});
+    }
+    return this.roles;
+  }
+
+  async save() {
+    const result = await ipcRenderer.invoke('modelRoles:save', this.roles);
+    if (!result.success) {
+      console.error('❌ Failed to save model roles:', result.error);
+      this.ideCore.ideAIManager?.showNotification(`Failed to save model roles: ${result.error}`, 'error');
+      return false;
+    }
+    this.roles = this.normalize(result.roles);
+    console.log('💾 Model roles saved');
+    return true;
+  }
+
+  normalize(saved = {}) {
+    const number = (value, field, integer) => {
+      const parsed = parseFloat(value);
+      if (value === '' || value === null || value === undefined || Number.isNaN(parsed)) return null;
+      const clamped = Math.min(Math.max(parsed, ROLE_LIMITS[field].min), ROLE_LIMITS[field].max);
+      return integer ? Math.round(clamped) : clamped;
+    };
+
+    const roles = {};
+    for (const role of MODEL_ROLES) {
+      const settings = saved[role.id] || {};
+      roles[role.id] = {
+        model: settings.model || '',
+        temperature: number(settings.temperature, 'temperature', false),
+        contextTokens: number(settings.contextTokens, 'contextTokens', true),
+        maxTokens: number(settings.maxTokens, 'maxTokens', true)
+      };
+    }
+    return roles;
+  }
+
+  isInstalled(model) {
+    const available = this.ideCore.availableModels;
+    // With no listing (provider offline) trust the saved name
+    return !!model && (available.length === 0 || available.some(m => m.name === model));
+  }
+
+  /**
+   * Model for a role: its own assignment when installed, otherwise the chat
+   * model (or the auto-detected completion model for autocomplete)
+   */
+  resolveModel(roleId) {
+    const assigned = this.roles[roleId]?.model;
+    if (assigned && this.isInstalled(assigned)) {
+      return assigned;
+    }
+    if (assigned) {
+      console.warn(`⚠️ ${roleId} model ${assigned} is not installed, using the default`);
+    }
+    if (roleId === 'autocomplete') {
+      return this.defaults.autocomplete || this.resolveModel('chat');
+    }
+    if (roleId === 'chat') {
+      return this.defaults.chat;
+    }
+    return this.resolveModel('chat');
+  }
+
+  // Settings the user filled in for a role; blank fields are null
+  getSettings(roleId) {
+    return this.roles[roleId] || { model: '', temperature: null, contextTokens: null, maxTokens: null };
+  }
+
+  /**
+   * Generation options for a role, with the global context and output token
+   * settings filling in whatever the role leaves blank
+   * @returns {Object} { contextTokens, maxTokens, temperature? }
+   */
+  getOptions(roleId) {
+    const settings = this.getSettings(roleId);
+    const contextTokensInput = document.getElementById('context-tokens');
+    const maxTokensInput = document.getElementById('max-tokens');
+
+    const options = {
+      contextTokens: settings.contextTokens || (contextTokensInput ? parseInt(contextTokensInput.value) || 32768 : 32768),
+      maxTokens: settings.maxTokens || (maxTokensInput ? parseInt(maxTokensInput.value) || 4096 : 4096)
+    };
+    if (settings.temperature !== null) {
+      options.temperature = settings.temperature;
+    }
+    return options;
+  }
+
+  /**
+   * Point every model slot on ideCore at its role's model
+   * @param {Object} defaults - { chat, autocomplete } picked by loadModels
+   */
+  apply(defaults) {
+    if (defaults) {
+      this.defaults = { ...this.defaults, ...defaults };
+    }
+
+    const core = this.ideCore;
+    core.selectedModel = this.resolveModel('chat');
+    MODEL_ROLES.filter(role => role.slot).forEach(role => {
+      core.models[role.slot] = this.resolveModel(role.id);
+    });
+
+    const completionModel = this.resolveModel('autocomplete');
+    if (completionModel && completionModel !== core.completionModel) {
+      core.completionModel = completionModel;
+      core.ideAIManager?.autocompleteManager?.setCompletionModel(completionModel);
+    }
+
+    console.log('🎭 Model roles:', MODEL_ROLES.map(role => `${role.id}=${role.slot ? core.models[role.slot] : (role.id === 'chat' ? core.selectedModel : core.completionModel)}`).join(', '));
+  }
+
+  // The chat and completion dropdowns above the chat panel assign those roles too
+  async setRoleModel(roleId, model) {
+    if (!this.roles[roleId] || this.roles[roleId].model === model) return;
+    this.roles[roleId].model = model;
+    this.apply();
+    await this.save();
+    this.render();
+  }
+
+  init() {
+    this.container = document.getElementById('model-role-settings');
+    this.render();
+  }
+
+  render() {
+    if (!this.container) return;
+
+    const escape = (value) => this.ideCore.escapeHtml(String(value ?? '')).replace(/"/g, '&quot;');
+    const models = this.ideCore.availableModels.map(m => m.name);
+    const defaultLabel = (roleId) => {
+      if (roleId === 'chat') return `Auto (${this.defaults.chat || 'none'})`;
+      if (roleId === 'autocomplete') return `Auto (${this.defaults.autocomplete || 'chat model'})`;
+      return 'Same as chat model';
+    };
+    const numberInput = (field, value, placeholder, step) =>
+      `<input type="number" class="model-role-${field}" value="${value ?? ''}" placeholder="${placeholder}" step="${step}" min="${ROLE_LIMITS[field].min}" max="${ROLE_LIMITS[field].max}">`;
+
+    const rows = MODEL_ROLES.map(role => {
+      const settings = this.getSettings(role.id);
+      const options = [...new Set([...models, settings.model].filter(Boolean))].map(name =>
+        `<option value="${escape(name)}" ${name === settings.model ? 'selected' : ''}>${escape(name)}${models.includes(name) ? '' : ' (not installed)'}</option>`
+      ).join('');
+
+      return `
+        <div class="model-role-row" data-role="${role.id}">
+          <span class="model-role-label">${role.label}</span>
+          <select class="model-role-model">
+            <option value="">${escape(defaultLabel(role.id))}</option>
+            ${options}
+          </select>
+          <div class="model-role-options">
+            ${numberInput('temperature', settings.temperature, 'Temp', '0.05')}
+            ${numberInput('contextTokens', settings.contextTokens, 'Context', '512')}
+            ${numberInput('maxTokens', settings.maxTokens, 'Max out', '64')}
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    this.container.innerHTML = `
+      <div class="model-role-list">${rows}</div>
+      <div class="model-role-hint">Blank fields use the model's default temperature and the global token settings.</div>
+      <div class="provider-actions">
+        <button class="btn-provider primary" id="model-role-save-btn">Save</button>
+      </div>
+    `;
+
+    this.container.querySelector('#model-role-save-btn')?.addEventListener('click', async () => {
+      this.readForm();
+      this.apply();
+      if (await this.save()) {
+        this.ideCore.updateModelSelector();
+        this.ideCore.ideAIManager?.showNotification('Model roles saved', 'success');
+        this.render();
+      }
+    });
+  }
+
+  // Pull the current form values back into this.roles
+  readForm() {
+    if (!this.container) return;
+
+    const roles = {};
+    this.container.querySelectorAll('.model-role-row').forEach(row => {
+      roles[row.dataset.role] = {
+        model: row.querySelector('.model-role-model').value,
+        temperature: row.querySelector('.model-role-temperature').value,
+        contextTokens: row.querySelector('.model-role-contextTokens').value,
+        maxTokens: row.querySelector('.model-role-maxTokens').value
+      };
+    });
+    this.roles = this.normalize(roles);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IDEModelRoles;
+} else {
+  window.IDEModelRoles = IDEModelRoles;
+}
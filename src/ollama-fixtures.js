@@ -0,0 +1,279 @@
+/**
+ * Mithril AI IDE - Recorded Model Responses
+ * Records model provider HTTP responses to fixture files and replays them, so
+ * intent detection, planning, code edits and autocomplete can run offline with
+ * deterministic output. Used by the provider fetch layer and the mock server
+ * in scripts/mock-ollama.js
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const MODES = ['record', 'replay'];
+
+// Stands in for the workspace folder in request keys and recorded bodies
+const WORKSPACE_PLACEHOLDER = '<workspace>';
+
+// Sorted keys, so the same request always hashes to the same fixture
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      result[key] = canonicalize(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+}
+
+function parseBody(body) {
+  if (!body) return null;
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return body;
+  }
+}
+
+class OllamaFixtures {
+  /**
+   * @param {string} dir - Folder holding one JSON file per recorded response
+   * @param {string} mode - 'record' saves every response, 'replay' serves only recorded ones
+   */
+  constructor(dir, mode = 'replay') {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown fixture mode "${mode}" (expected ${MODES.join(' or ')})`);
+    }
+    this.dir = dir;
+    this.mode = mode;
+    this.fixtures = null; // loaded on first use
+    this.pending = new Set(); // recordings still waiting for their response body
+    this.workspace = null;
+  }
+
+  /**
+   * Prompts carry absolute file paths; they are keyed relative to this folder
+   * so a recording made in one checkout replays in another
+   */
+  setWorkspace(root) {
+    this.workspace = root ? path.resolve(root) : null;
+  }
+
+  // Request body with the workspace folder swapped for a placeholder
+  normalize(value) {
+    if (!this.workspace) return value;
+    if (typeof value === 'string') {
+      return value.split(this.workspace).join(WORKSPACE_PLACEHOLDER);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.normalize(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.normalize(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Fixtures configured through MITHRIL_OLLAMA_FIXTURES=record|replay and
+   * MITHRIL_OLLAMA_FIXTURES_DIR, or null when neither mode is set
+   */
+  static fromEnv(env = process.env) {
+    const mode = (env.MITHRIL_OLLAMA_FIXTURES || '').trim().toLowerCase();
+    if (!mode || mode === 'off') return null;
+    const dir = env.MITHRIL_OLLAMA_FIXTURES_DIR || path.join(process.cwd(), 'fixtures', 'ollama');
+    return new OllamaFixtures(path.resolve(dir), mode);
+  }
+
+  requestKey(method, pathname, body) {
+    const canonical = JSON.stringify(canonicalize({ method, path: pathname, body: this.normalize(body) }));
+    return crypto.createHash('sha1').update(canonical).digest('hex');
+  }
+
+  async load() {
+    if (this.fixtures) return this.fixtures;
+
+    this.fixtures = [];
+    let files = [];
+    try {
+      files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const file of files) {
+      try {
+        const fixture = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+        this.fixtures.push({ ...fixture, file });
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable fixture ${file}:`, error.message);
+      }
+    }
+    console.log(`📼 Loaded ${this.fixtures.length} model fixtures from ${this.dir}`);
+    return this.fixtures;
+  }
+
+  /**
+   * Recorded fixtures match by request hash. Hand-written ones can use a
+   * "match" block instead ({ path, model, stream, promptIncludes }) and are
+   * tried in file name order when no recording matches.
+   */
+  async find(method, pathname, body) {
+    const fixtures = await this.load();
+    const key = this.requestKey(method, pathname, body);
+
+    const recorded = fixtures.find(fixture => fixture.key === key);
+    if (recorded) return recorded;
+
+    const normalized = this.normalize(body);
+    return fixtures.find(fixture => fixture.match && this.matches(fixture.match, method, pathname, normalized)) || null;
+  }
+
+  /**
+   * Answers for endpoints the IDE polls, used when no fixture covers them
+   * @returns {Promise<Object|null>} { status, body } or null
+   */
+  async fallback(method, pathname) {
+    if (method !== 'GET') return null;
+    if (pathname === '/api/tags') {
+      return { status: 200, body: { models: await this.listModels() } };
+    }
+    if (pathname === '/api/version') {
+      return { status: 200, body: { version: '0.0.0-mock' } };
+    }
+    return null;
+  }
+
+  matches(match, method, pathname, body) {
+    const fields = body && typeof body === 'object' ? body : {};
+    if (match.method && match.method.toUpperCase() !== method) return false;
+    if (match.path && match.path !== pathname) return false;
+    if (match.model && match.model !== fields.model) return false;
+    if (match.stream !== undefined && !!match.stream !== !!fields.stream) return false;
+
+    const includes = [].concat(match.promptIncludes || []);
+    const prompt = `${fields.system || ''}\n${fields.prompt || ''}`;
+    return includes.every(text => prompt.includes(text));
+  }
+
+  // Response body text for a fixture: NDJSON for streams, JSON or plain text otherwise
+  responseText(fixture) {
+    const response = fixture.response || {};
+    if (Array.isArray(response.chunks)) {
+      return response.chunks.map(chunk => JSON.stringify(chunk)).join('\n') + '\n';
+    }
+    if (response.text !== undefined) {
+      return String(response.text);
+    }
+    return JSON.stringify(response.body ?? {});
+  }
+
+  responseType(fixture) {
+    const response = fixture.response || {};
+    if (response.contentType) return response.contentType;
+    if (Array.isArray(response.chunks)) return 'application/x-ndjson';
+    return response.text !== undefined ? 'text/plain' : 'application/json';
+  }
+
+  /**
+   * Drop-in replacement for fetch() used by the provider layer
+   */
+  async fetch(url, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    const pathname = new URL(url).pathname;
+    const body = parseBody(init.body);
+
+    if (this.mode === 'replay') {
+      const fixture = await this.find(method, pathname, body);
+      if (!fixture) {
+        const fallback = await this.fallback(method, pathname);
+        if (fallback) {
+          return new Response(JSON.stringify(fallback.body), {
+            status: fallback.status,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+        throw new Error(`No recorded response for ${method} ${pathname} (key ${this.requestKey(method, pathname, body).substring(0, 12)}). Record it with MITHRIL_OLLAMA_FIXTURES=record`);
+      }
+      return new Response(this.responseText(fixture), {
+        status: fixture.response?.status || 200,
+        headers: { 'Content-Type': this.responseType(fixture) }
+      });
+    }
+
+    const response = await fetch(url, init);
+    // Read a copy so a streaming caller still gets its chunks as they arrive
+    const recording = response.clone().text()
+      .then(text => this.save(method, pathname, body, response, text))
+      .catch(error => {
+        // A cancelled stream (e.g. superseded autocomplete) isn't worth keeping
+        if (error.name !== 'AbortError') {
+          console.warn('⚠️ Failed to record model response:', error.message);
+        }
+      })
+      .finally(() => this.pending.delete(recording));
+    this.pending.add(recording);
+    return response;
+  }
+
+  async save(method, pathname, body, response, text) {
+    const fixtures = await this.load();
+    const key = this.requestKey(method, pathname, body);
+    const contentType = response.headers.get('content-type') || '';
+    const saved = { status: response.status };
+
+    if (contentType.includes('ndjson') || (body && body.stream === true)) {
+      saved.chunks = text.split('\n').filter(line => line.trim()).map(line => parseBody(line));
+    } else if (contentType.includes('json')) {
+      saved.body = parseBody(text);
+    } else {
+      saved.text = text;
+      saved.contentType = contentType;
+    }
+
+    const fixture = { key, request: { method, path: pathname, body: this.normalize(body) }, response: saved };
+    const slug = pathname.replace(/^\/+/, '').replace(/[^a-zA-Z0-9]+/g, '-') || 'root';
+    const file = `${slug}-${key.substring(0, 12)}.json`;
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(path.join(this.dir, file), JSON.stringify(fixture, null, 2), 'utf8');
+
+    const existing = fixtures.findIndex(item => item.key === key);
+    if (existing >= 0) {
+      fixtures.splice(existing, 1);
+    }
+    fixtures.push({ ...fixture, file });
+    console.log(`📼 Recorded ${method} ${pathname} -> ${file}`);
+  }
+
+  // Wait for recordings of responses that are still being read
+  async flush() {
+    await Promise.all([...this.pending]);
+  }
+
+  /**
+   * Models named by the fixtures, in /api/tags shape, for servers that have
+   * no recorded /api/tags response
+   */
+  async listModels() {
+    const fixtures = await this.load();
+    const names = new Set();
+    for (const fixture of fixtures) {
+      const model = fixture.request?.body?.model || fixture.match?.model;
+      if (model) names.add(model);
+    }
+    return [...names].sort().map(name => ({
+      name,
+      model: name,
+      modified_at: new Date(0).toISOString(),
+      size: 0,
+      digest: crypto.createHash('sha256').update(name).digest('hex'),
+      details: { format: 'gguf', family: 'fixture' }
+    }));
+  }
+}
+
+module.exports = OllamaFixtures;
@@ -55,21 +55,48 @@ class PlatformUtils {
   /**
    * Execute a command using the specified shell
    * @param {string} command - Command to execute
-   * @param {Object} options - Execution options
-   * @returns {Promise<Object>} Result with success, output, and error
+   * @param {Object} options - Execution options: { shell, cwd, env, timeout, stdin }
+   *   stdin 'ignore' gives the command no input, so prompts end instead of waiting
+   * @returns {Promise<Object>} Result with success, output, error and timedOut
    */
   async runCommand(command, options = {}) {
     return new Promise((resolve) => {
       const shell = options.shell || 'default';
       const shellConfig = this.getShellConfig(shell);
       
+      // The shell is already the executable; forwarding options.shell to spawn
+      // would wrap it in a second shell, which drops the arguments and exit code.
+      // Its own process group lets a timeout stop whatever it started, too.
       const child = spawn(shellConfig.executable, [...shellConfig.args, command], {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        ...options
+        stdio: [options.stdin || 'pipe', 'pipe', 'pipe'],
+        cwd: options.cwd,
+        env: options.env || process.env,
+        detached: !!options.timeout && process.platform !== 'win32'
       });
 
       let output = '';
       let error = '';
+      let settled = false;
+      let timer = null;
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve(result);
+      };
+
+      // A server started by the command keeps the pipes open after the shell
+      // is killed, so resolve here instead of waiting for 'close'
+      timer = options.timeout ? setTimeout(() => {
+        this.killProcessGroup(child);
+        finish({
+          success: false,
+          output: output.trim(),
+          error: [error.trim(), `Timed out after ${Math.round(options.timeout / 1000)}s and was stopped`].filter(Boolean).join('\n'),
+          code: null,
+          timedOut: true
+        });
+      }, options.timeout) : null;
 
       child.stdout.on('data', (data) => {
         output += data.toString();
@@ -80,7 +107,7 @@ class PlatformUtils {
       });
 
       child.on('close', (code) => {
-        resolve({
+        finish({
           success: code === 0,
           output: output.trim(),
           error: error.trim(),
@@ -89,7 +116,7 @@ class PlatformUtils {
       });
 
       child.on('error', (err) => {
-        resolve({
+        finish({
           success: false,
           output: '',
           error: err.message,
@@ -99,6 +126,18 @@ class PlatformUtils {
     });
   }
 
+  killProcessGroup(child) {
+    try {
+      if (process.platform === 'win32') {
+        child.kill();
+      } else {
+        process.kill(-child.pid, 'SIGKILL');
+      }
+    } catch (error) {
+      // Already gone
+    }
+  }
+
   /**
    * Get the user's home directory
    * @returns {string} Home directory path
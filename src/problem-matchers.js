@@ -0,0 +1,210 @@
+/**
+ * Mithril AI IDE - Problem Matchers
+ * Turn compiler, linter and test output into file:line problems. A matcher is
+ * a list of line patterns in the style of VS Code's problemMatcher: one pattern
+ * matches a single line, several match consecutive lines, and a last pattern
+ * with "loop" repeats for every following line it matches (eslint's stylish
+ * format lists the file once, then one line per problem).
+ */
+
+// Field values are capture group numbers; severity falls back to the matcher's
+const BUILTIN_PROBLEM_MATCHERS = [
+  {
+    name: 'tsc',
+    label: 'TypeScript (tsc)',
+    patterns: [
+      [{ regexp: '^(.+?)\\((\\d+),(\\d+)\\): (error|warning|info) (TS\\d+): (.*)$', file: 1, line: 2, column: 3, severity: 4, code: 5, message: 6 }],
+      [{ regexp: '^(.+?):(\\d+):(\\d+) - (error|warning|info) (TS\\d+): (.*)$', file: 1, line: 2, column: 3, severity: 4, code: 5, message: 6 }]
+    ]
+  },
+  {
+    name: 'eslint',
+    label: 'ESLint',
+    patterns: [
+      // stylish (default): the file, then "line:col  severity  message  rule" per problem
+      [
+        { regexp: '^(\\S.*\\.\\w+)$', file: 1 },
+        { regexp: '^\\s+(\\d+):(\\d+)\\s+(error|warning)\\s+(.*?)(?:\\s{2,}(\\S+))?$', line: 1, column: 2, severity: 3, message: 4, code: 5, loop: true }
+      ],
+      // compact
+      [{ regexp: '^(.+?): line (\\d+), col (\\d+), (Error|Warning) - (.*?)(?: \\((\\S+)\\))?$', file: 1, line: 2, column: 3, severity: 4, message: 5, code: 6 }]
+    ]
+  },
+  {
+    name: 'gcc',
+    label: 'GCC / Clang',
+    patterns: [
+      [{ regexp: '^(.+?):(\\d+):(\\d+): (?:fatal )?(error|warning|note): (.*)$', file: 1, line: 2, column: 3, severity: 4, message: 5 }]
+    ]
+  },
+  {
+    name: 'pytest',
+    label: 'pytest',
+    patterns: [
+      // "tests/test_app.py:12: AssertionError" closes each failure in the default traceback
+      [{ regexp: '^(.+?\\.py):(\\d+): (\\w*(?:Error|Exception|Failed|Warning)\\w*)$', file: 1, line: 2, message: 3 }]
+    ]
+  },
+  {
+    name: 'go',
+    label: 'Go (go build, go vet, go test)',
+    patterns: [
+      [{ regexp: '^\\s*(.+?\\.go):(\\d+)(?::(\\d+))?: (.*)$', file: 1, line: 2, column: 3, message: 4 }]
+    ]
+  },
+  {
+    name: 'rustc',
+    label: 'Rust (rustc, cargo)',
+    patterns: [
+      [
+        { regexp: '^(error|warning)(?:\\[(E\\d+)\\])?: (.*)$', severity: 1, code: 2, message: 3 },
+        { regexp: '^\\s*--> (.+?):(\\d+):(\\d+)$', file: 1, line: 2, column: 3 }
+      ]
+    ]
+  }
+];
+
+// Messages of these kinds sum up a build rather than point at a line
+const PROBLEM_SUMMARY_MESSAGE = /^(aborting due to|could not compile|\d+ (errors?|warnings?) (generated|emitted))/;
+
+const MAX_PROBLEMS_PER_RUN = 500;
+
+class ProblemMatchers {
+  static get builtins() {
+    return BUILTIN_PROBLEM_MATCHERS;
+  }
+
+  /**
+   * A matcher from user config: { name, regexp, file, line, column, severity, code, message }
+   * for one line, or { name, pattern: [...] } for several
+   * @returns {Object} normalized matcher, with `error` set when it can't be used
+   */
+  static normalize(config) {
+    const name = String(config?.name || '').trim();
+    if (!name) {
+      return { error: 'Matcher needs a "name"' };
+    }
+    const steps = Array.isArray(config.pattern) ? config.pattern : [config];
+    for (const step of steps) {
+      try {
+        new RegExp(step.regexp);
+      } catch (error) {
+        return { name, error: `Invalid regexp: ${error.message}` };
+      }
+    }
+    if (!steps.some(step => step.file) || !steps.some(step => step.line)) {
+      return { name, error: 'Matcher needs "file" and "line" groups' };
+    }
+    return { name, label: config.label || name, severity: config.severity, patterns: [steps] };
+  }
+
+  /**
+   * Find the problems in command output
+   * @param {string} text - command output; color escapes are ignored
+   * @param {Object[]} matchers - builtins and/or normalized custom matchers
+   * @param {Object} options - { cwd } to resolve relative file names
+   * @returns {Object[]} [{ file, line, column, severity, message, code, source }] with 1-based line/column
+   */
+  static match(text, matchers, { cwd } = {}) {
+    const lines = String(text || '')
+      .replace(/\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g, '')
+      .replace(/\x1b\[[0-?]*[ -/]*[@-~]/g, '')
+      .split(/\r?\n/);
+    const problems = [];
+    const seen = new Set();
+
+    const add = (matcher, fields) => {
+      if (!fields.file || !fields.line || problems.length >= MAX_PROBLEMS_PER_RUN) return;
+      const message = (fields.message || '').trim();
+      if (PROBLEM_SUMMARY_MESSAGE.test(message)) return;
+
+      const problem = {
+        file: ProblemMatchers.resolveFile(fields.file.trim(), cwd),
+        line: parseInt(fields.line, 10),
+        column: fields.column ? parseInt(fields.column, 10) : 1,
+        severity: ProblemMatchers.severity(fields.severity || matcher.severity),
+        message: message || 'Problem reported here',
+        code: fields.code || null,
+        source: matcher.name
+      };
+      const key = `${problem.file}:${problem.line}:${problem.column}:${problem.message}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        problems.push(problem);
+      }
+    };
+
+    for (const matcher of matchers) {
+      for (const steps of matcher.patterns) {
+        const regexps = steps.map(step => new RegExp(step.regexp));
+        const capture = (step, match, into) => {
+          for (const field of ['file', 'line', 'column', 'severity', 'code', 'message']) {
+            if (step[field] && match[step[field]] !== undefined) {
+              into[field] = match[step[field]];
+            }
+          }
+          return into;
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+          let match = regexps[0].exec(lines[i]);
+          if (!match) continue;
+          let fields = capture(steps[0], match, {});
+
+          // The remaining patterns must match the lines that follow, in order
+          let next = i + 1;
+          let complete = true;
+          for (let s = 1; s < steps.length; s++) {
+            if (steps[s].loop) {
+              let looped = 0;
+              while (next < lines.length && (match = regexps[s].exec(lines[next]))) {
+                add(matcher, capture(steps[s], match, { ...fields }));
+                next++;
+                looped++;
+              }
+              complete = false; // each loop line was its own problem
+              if (looped === 0) next = i + 1;
+              break;
+            }
+            match = next < lines.length ? regexps[s].exec(lines[next]) : null;
+            if (!match) {
+              complete = false;
+              break;
+            }
+            fields = capture(steps[s], match, fields);
+            next++;
+          }
+
+          if (complete) {
+            add(matcher, fields);
+          }
+          if (next > i + 1) {
+            i = next - 1;
+          }
+        }
+      }
+    }
+
+    return problems;
+  }
+
+  static severity(value) {
+    const severity = String(value || 'error').toLowerCase();
+    if (severity.startsWith('warn')) return 'warning';
+    if (severity === 'info' || severity === 'note' || severity === 'hint') return 'info';
+    return 'error';
+  }
+
+  static resolveFile(file, cwd) {
+    const nodePath = require('path');
+    const cleaned = file.replace(/^file:\/\//, '');
+    return cwd && !nodePath.isAbsolute(cleaned) ? nodePath.resolve(cwd, cleaned) : nodePath.normalize(cleaned);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProblemMatchers;
+} else {
+  window.ProblemMatchers = ProblemMatchers;
+}
@@ -0,0 +1,347 @@
+/**
+ * Mithril AI IDE - Problems Panel
+ * Collects the errors and warnings that problem matchers find in command and
+ * task output, lists them in the Problems view grouped by file and shows them
+ * as gutter markers in the editor next to the linter's own diagnostics
+ */
+
+// ipcRenderer is already imported in ide-core.js which loads before this file
+
+const PROBLEM_SETTINGS_KEY = 'problem-matchers';
+
+// tasks.json names its matchers after VS Code's ($tsc-watch, $eslint-stylish, ...)
+const PROBLEM_MATCHER_ALIASES = {
+  'tsc-watch': 'tsc',
+  'eslint-stylish': 'eslint',
+  'eslint-compact': 'eslint',
+  'go-build': 'go',
+  rust: 'rustc',
+  cargo: 'rustc'
+};
+
+const PROBLEM_SEVERITY_ICONS = {
+  error: 'x-circle',
+  warning: 'alert-triangle',
+  info: 'info'
+};
+
+class IDEProblems {
+  constructor(ideCore) {
+    this.ideCore = ideCore;
+    this.owners = new Map(); // 'output' or 'task:<id>' -> { label, problems }
+    this.root = null; // workspace the problems belong to
+    this.editor = null; // editor instance the gutter markers are shown in
+    this.editorPath = null;
+
+    const settings = this.readSettings();
+    this.disabled = new Set(settings.disabled || []); // built-in matchers turned off
+    this.custom = Array.isArray(settings.custom) ? settings.custom : []; // user matcher configs
+
+    console.log('🧯 Problems panel initialized');
+  }
+
+  init() {
+    document.getElementById('problems-clear-btn')?.addEventListener('click', () => this.clear());
+    document.getElementById('problem-matcher-save-btn')?.addEventListener('click', () => this.saveCustomMatchers());
+    this.renderSettings();
+    this.renderBadge();
+  }
+
+  // Called when the Problems view becomes visible
+  onShow() {
+    this.render();
+  }
+
+  isVisible() {
+    return document.getElementById('problems-view')?.classList.contains('active');
+  }
+
+  setWorkspace(folder) {
+    if (folder === this.root) return;
+    this.root = folder;
+    this.owners.clear();
+    this.update();
+  }
+
+  readSettings() {
+    try {
+      return JSON.parse(localStorage.getItem(PROBLEM_SETTINGS_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  writeSettings() {
+    localStorage.setItem(PROBLEM_SETTINGS_KEY, JSON.stringify({
+      disabled: Array.from(this.disabled),
+      custom: this.custom
+    }));
+  }
+
+  /**
+   * Matchers to run over some output
+   * @param {*} problemMatcher - a task's tasks.json problemMatcher (names and/or
+   *   inline definitions); without one every enabled matcher runs
+   */
+  getMatchers(problemMatcher) {
+    const custom = this.custom.map(config => ProblemMatchers.normalize(config)).filter(matcher => !matcher.error);
+    if (problemMatcher === undefined || problemMatcher === null) {
+      return [...ProblemMatchers.builtins.filter(matcher => !this.disabled.has(matcher.name)), ...custom];
+    }
+
+    const matchers = [];
+    for (const entry of Array.isArray(problemMatcher) ? problemMatcher : [problemMatcher]) {
+      if (typeof entry === 'string') {
+        const name = entry.replace(/^\$/, '');
+        const found = [...ProblemMatchers.builtins, ...custom]
+          .find(matcher => matcher.name === (PROBLEM_MATCHER_ALIASES[name] || name));
+        if (found) matchers.push(found);
+      } else if (entry && entry.pattern) {
+        const matcher = ProblemMatchers.normalize({
+          name: entry.owner || entry.name || 'tasks.json',
+          severity: entry.severity,
+          pattern: Array.isArray(entry.pattern) ? entry.pattern : [entry.pattern]
+        });
+        if (!matcher.error) matchers.push(matcher);
+      }
+    }
+    return matchers;
+  }
+
+  /**
+   * Replace the problems of one output source with those found in its latest output
+   * @param {string} owner - 'output' for the Output tab, 'task:<id>' for a task run
+   * @param {Object} options - { cwd, label, problemMatcher }
+   * @returns {Object[]} the problems found
+   */
+  collect(owner, text, options = {}) {
+    let problems = [];
+    try {
+      problems = ProblemMatchers.match(text, this.getMatchers(options.problemMatcher), { cwd: options.cwd || this.root });
+    } catch (error) {
+      console.error('🧯 Problem matching failed:', error);
+    }
+
+    if (problems.length === 0 && !this.owners.has(owner)) {
+      return problems;
+    }
+    if (problems.length === 0) {
+      this.owners.delete(owner);
+    } else {
+      this.owners.set(owner, { label: options.label || owner, problems });
+      console.log(`🧯 ${problems.length} problems in ${options.label || owner}`);
+    }
+    this.update();
+    return problems;
+  }
+
+  clear(owner) {
+    if (owner) {
+      this.owners.delete(owner);
+    } else {
+      this.owners.clear();
+    }
+    this.update();
+  }
+
+  getProblems() {
+    const problems = [];
+    for (const [owner, entry] of this.owners) {
+      entry.problems.forEach(problem => problems.push({ ...problem, owner, ownerLabel: entry.label }));
+    }
+    return problems;
+  }
+
+  update() {
+    this.renderBadge();
+    if (this.isVisible()) {
+      this.render();
+    }
+    this.showInEditor();
+  }
+
+  // Editor integration
+
+  // Called for every new editor instance, after the linter has been set up
+  attach(editor, fileInfo) {
+    this.editor = editor;
+    this.editorPath = fileInfo?.path && !fileInfo.path.startsWith('new:') ? fileInfo.path : null;
+    this.showInEditor();
+  }
+
+  /**
+   * Lint annotations for the file shown in an editor; the built-in linters and
+   * the language client add these to their own
+   */
+  annotationsFor(editor) {
+    if (!editor || editor !== this.editor || !this.editorPath) return [];
+
+    const nodePath = require('path');
+    const filePath = nodePath.resolve(this.editorPath);
+    const lineCount = editor.lineCount();
+    return this.getProblems()
+      .filter(problem => problem.file === filePath && problem.line <= lineCount)
+      .map(problem => {
+        const line = problem.line - 1;
+        const ch = Math.max(0, problem.column - 1);
+        const label = problem.code ? `${problem.source} ${problem.code}` : problem.source;
+        return {
+          from: { line, ch },
+          to: { line, ch: Math.max(ch + 1, editor.getLine(line).length) },
+          message: `${problem.message} (${label})`,
+          severity: problem.severity
+        };
+      });
+  }
+
+  showInEditor() {
+    const editor = this.editor;
+    if (!editor || this.ideCore.ideAIManager?.editor !== editor) return;
+
+    // Files without a linter or language server get a lint option of their own
+    if (!editor.getOption('lint')) {
+      if (this.annotationsFor(editor).length === 0) return;
+      editor.setOption('lint', {
+        getAnnotations: () => this.annotationsFor(editor),
+        delay: 0
+      });
+      const gutters = editor.getOption('gutters') || [];
+      if (!gutters.includes('CodeMirror-lint-markers')) {
+        editor.setOption('gutters', [...gutters, 'CodeMirror-lint-markers']);
+      }
+      return;
+    }
+    editor.performLint?.();
+  }
+
+  async openProblem(problem) {
+    const current = this.ideCore.ideAIManager?.getCurrentFilePath?.();
+    if (!current || require('path').resolve(current) !== problem.file) {
+      await this.ideCore.openFile(problem.file);
+    }
+
+    const editor = this.ideCore.ideAIManager?.editor;
+    if (editor) {
+      const target = { line: problem.line - 1, ch: Math.max(0, problem.column - 1) };
+      editor.setCursor(target);
+      editor.scrollIntoView(target, 100);
+      editor.focus();
+    }
+  }
+
+  // Rendering
+
+  renderBadge() {
+    const badge = document.getElementById('problems-badge');
+    if (!badge) return;
+    const count = this.getProblems().filter(problem => problem.severity !== 'info').length;
+    badge.textContent = count > 99 ? '99+' : String(count);
+    badge.style.display = count > 0 ? '' : 'none';
+  }
+
+  render() {
+    const container = document.getElementById('problems-list');
+    if (!container) return;
+
+    const problems = this.getProblems();
+    if (problems.length === 0) {
+      container.innerHTML = '<div class="scm-empty">No problems found in the output of commands and tasks</div>';
+      return;
+    }
+
+    const nodePath = require('path');
+    const escape = (text) => this.ideCore.escapeHtml(String(text || ''));
+    const files = [...new Set(problems.map(problem => problem.file))];
+    container.innerHTML = files.map(file => {
+      const inFile = problems.filter(problem => problem.file === file);
+      const relative = this.root && file.startsWith(this.root) ? nodePath.relative(this.root, file) : file;
+      return `
+        <div class="problem-file" title="${escape(file).replace(/"/g, '&quot;')}">
+          <span class="problem-file-name">${escape(nodePath.basename(file))}</span>
+          <span class="problem-file-dir">${escape(nodePath.dirname(relative) === '.' ? '' : nodePath.dirname(relative))}</span>
+          <span class="problem-file-count">${inFile.length}</span>
+        </div>
+        ${inFile.map(problem => `
+          <div class="problem-item severity-${problem.severity}" data-index="${problems.indexOf(problem)}" title="${escape(problem.ownerLabel).replace(/"/g, '&quot;')}">
+            <i data-lucide="${PROBLEM_SEVERITY_ICONS[problem.severity]}"></i>
+            <div class="problem-info">
+              <span class="problem-message">${escape(problem.message)}</span>
+              <span class="problem-meta">${escape(problem.source)}${problem.code ? ` ${escape(problem.code)}` : ''} [${problem.line}:${problem.column}]</span>
+            </div>
+          </div>
+        `).join('')}
+      `;
+    }).join('');
+
+    if (window.lucide) {
+      lucide.createIcons();
+    }
+
+    container.querySelectorAll('.problem-item').forEach(item => {
+      item.addEventListener('click', () => this.openProblem(problems[parseInt(item.dataset.index, 10)]));
+    });
+  }
+
+  // Settings
+
+  renderSettings() {
+    const container = document.getElementById('problem-matcher-settings');
+    if (container) {
+      container.innerHTML = ProblemMatchers.builtins.map(matcher => `
+        <label class="problem-matcher-option">
+          <input type="checkbox" data-matcher="${matcher.name}" ${this.disabled.has(matcher.name) ? '' : 'checked'}>
+          ${this.ideCore.escapeHtml(matcher.label)}
+        </label>
+      `).join('');
+      container.querySelectorAll('input[data-matcher]').forEach(input => {
+        input.addEventListener('change', () => {
+          if (input.checked) {
+            this.disabled.delete(input.dataset.matcher);
+          } else {
+            this.disabled.add(input.dataset.matcher);
+          }
+          this.writeSettings();
+        });
+      });
+    }
+
+    const customInput = document.getElementById('problem-matcher-custom');
+    if (customInput) {
+      customInput.value = this.custom.length > 0 ? JSON.stringify(this.custom, null, 2) : '';
+    }
+  }
+
+  saveCustomMatchers() {
+    const notify = this.ideCore.ideAIManager?.showNotification.bind(this.ideCore.ideAIManager);
+    const text = document.getElementById('problem-matcher-custom')?.value.trim() || '';
+
+    let custom;
+    try {
+      custom = text ? JSON.parse(text) : [];
+    } catch (error) {
+      notify?.(`Custom matchers are not valid JSON: ${error.message}`, 'error');
+      return;
+    }
+    if (!Array.isArray(custom)) {
+      custom = [custom];
+    }
+
+    const invalid = custom.map(config => ProblemMatchers.normalize(config)).find(matcher => matcher.error);
+    if (invalid) {
+      notify?.(`Custom matcher ${invalid.name || ''}: ${invalid.error}`, 'error');
+      return;
+    }
+
+    this.custom = custom;
+    this.writeSettings();
+    this.renderSettings();
+    notify?.(`Saved ${custom.length} custom problem matcher${custom.length === 1 ? '' : 's'}`, 'success');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IDEProblems;
+} else {
+  window.IDEProblems = IDEProblems;
+}
@@ -0,0 +1,130 @@
+/**
+ * Mithril AI IDE - Prompt Budget
+ * Estimates tokens per prompt section and fits the prompt into the context
+ * window, folding older conversation turns into a rolling summary first and
+ * trimming lower-priority sections only if that is not enough
+ */
+
+class PromptBudget {
+  constructor(ideCore) {
+    this.ideCore = ideCore;
+    this.charsPerToken = 3.5; // conservative average for mixed code and prose
+    this.reserveTokens = 256; // headroom for the template text and tokenizer drift
+    this.lastReport = null;
+
+    // When over budget, sections are shortened in this order; system and user are last resorts
+    this.trimOrder = ['retrieved', 'memory', 'history', 'chunks', 'file', 'system'];
+  }
+
+  estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(text.length / this.charsPerToken);
+  }
+
+  // Limits for a model role when one is given, otherwise the global token settings
+  getLimits(role) {
+    const contextTokensInput = document.getElementById('context-tokens');
+    const maxTokensInput = document.getElementById('max-tokens');
+    const roleOptions = role ? this.ideCore.getRoleOptions(role) : {};
+    const contextTokens = roleOptions.contextTokens || (contextTokensInput ? parseInt(contextTokensInput.value) || 32768 : 32768);
+    const maxTokens = roleOptions.maxTokens || (maxTokensInput ? parseInt(maxTokensInput.value) || 4096 : 4096);
+
+    return {
+      contextTokens,
+      maxTokens,
+      inputBudget: Math.max(512, contextTokens - maxTokens - this.reserveTokens)
+    };
+  }
+
+  measure(sections) {
+    const report = {};
+    let total = 0;
+    for (const [name, text] of Object.entries(sections)) {
+      report[name] = this.estimateTokens(text);
+      total += report[name];
+    }
+    return { report, total };
+  }
+
+  /**
+   * Fit named prompt sections (system, memory, retrieved, chunks, file, history,
+   * user) into the input budget. memory is the session's goals and tasks,
+   * retrieved is semantic search results from the workspace. The history section is rebuilt from the session after the
+   * older turns have been summarized, so callers pass a function for it.
+   * @returns {Promise<Object>} { sections, report, total, budget, summarized, trimmed }
+   */
+  async fit(sections, options = {}) {
+    const { inputBudget } = this.getLimits(options.role);
+    const budget = options.budget || inputBudget;
+    const result = { ...sections };
+    const trimmed = [];
+    let summarized = false;
+
+    let { report, total } = this.measure(result);
+
+    // 1. Compress older conversation turns into the rolling summary
+    if (total > budget && typeof options.rebuildHistory === 'function' && this.ideCore.memoryManager) {
+      const overBy = total - budget;
+      summarized = await this.ideCore.memoryManager.summarizeOlderTurns({
+        targetTokens: Math.max(0, (report.history || 0) - overBy)
+      });
+      if (summarized) {
+        result.history = options.rebuildHistory();
+        ({ report, total } = this.measure(result));
+      }
+    }
+
+    // 2. Trim whatever is still over, lowest priority first
+    for (const name of this.trimOrder) {
+      if (total <= budget) break;
+      if (!result[name]) continue;
+
+      const overBy = total - budget;
+      const keepTokens = Math.max(0, report[name] - overBy);
+      result[name] = this.truncate(result[name], keepTokens);
+      trimmed.push(name);
+      ({ report, total } = this.measure(result));
+    }
+
+    this.lastReport = { report, total, budget, summarized, trimmed };
+    this.renderUsage();
+    console.log('📏 Prompt budget:', JSON.stringify(this.lastReport));
+
+    return { sections: result, ...this.lastReport };
+  }
+
+  // Keep the head and tail of a section, dropping the middle
+  truncate(text, keepTokens) {
+    const keepChars = Math.floor(keepTokens * this.charsPerToken);
+    if (text.length <= keepChars) return text;
+    if (keepChars < 200) return '';
+
+    const omitted = this.estimateTokens(text) - keepTokens;
+    const marker = `\n[... ~${omitted} tokens omitted to fit the context window ...]\n`;
+    const headChars = Math.floor((keepChars - marker.length) * 0.6);
+    const tailChars = Math.max(0, keepChars - marker.length - headChars);
+    return text.substring(0, headChars) + marker + (tailChars > 0 ? text.substring(text.length - tailChars) : '');
+  }
+
+  renderUsage() {
+    const usageEl = document.getElementById('prompt-token-usage');
+    if (!usageEl || !this.lastReport) return;
+
+    const { report, total, budget, summarized, trimmed } = this.lastReport;
+    usageEl.textContent = `~${total.toLocaleString()} / ${budget.toLocaleString()}`;
+    usageEl.classList.toggle('over-budget', trimmed.length > 0);
+    usageEl.title = [
+      'Estimated prompt tokens by section:',
+      ...Object.entries(report).filter(([, tokens]) => tokens > 0).map(([name, tokens]) => `  ${name}: ${tokens}`),
+      summarized ? 'Older turns were folded into the conversation summary.' : '',
+      trimmed.length > 0 ? `Trimmed to fit: ${trimmed.join(', ')}` : ''
+    ].filter(Boolean).join('\n');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PromptBudget;
+} else {
+  window.PromptBudget = PromptBudget;
+}
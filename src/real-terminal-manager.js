@@ -1,17 +1,48 @@
 /**
  * Mithril AI IDE - Real Terminal Manager
  * Provides a real terminal with full system access using node-pty
+ * Each terminal keeps a bounded scrollback so the AI can read its output, and
+ * the tabs of a workspace are saved so they come back when it is reopened
  */
 
 const { spawn } = require('node-pty');
+const fs = require('fs');
 const os = require('os');
 const path = require('path');
+const TerminalScrollback = require('./terminal-scrollback');
+
+// Scrollback id for the IDE's output panel, which runs commands without a pty
+const OUTPUT_TERMINAL_ID = 'output';
+
+// Printed by the shell integration before each prompt: the last exit status (D)
+// and the shell's working directory (P;Cwd=)
+const SHELL_STATE_MARKER = /\x1b\]633;([DP]);([^\x07]*)\x07/g;
+// $? is saved first and restored after, so prompt hooks that run later still see the command's status
+const SHELL_STATE_REPORT = `__mithril_status=$?; printf '\\033]633;D;%s\\007\\033]633;P;Cwd=%s\\007' "$__mithril_status" "$PWD"; (exit $__mithril_status)`;
+
+// Raw output kept per tab when sessions are saved
+const MAX_SAVED_SCROLLBACK = 64 * 1024;
+
+// Task commands are typed at the first prompt; shells without integration never report one
+const TASK_START_FALLBACK_MS = 1500;
 
 class RealTerminalManager {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.integrationDir] - Private folder for the shell startup files,
+   *   e.g. under the app data folder; a fresh temp folder only this user can read otherwise
+   */
+  constructor(sessionStore = null, options = {}) {
     this.terminals = new Map(); // Store multiple terminal sessions
     this.activeTerminalId = null;
     this.nextTerminalId = 1;
+    this.outputScrollback = new TerminalScrollback();
+    
+    // Saved tabs per workspace (TerminalSessionStore)
+    this.sessionStore = sessionStore;
+    this.workspaceRoot = null;
+    this.sessionsLoaded = false; // false until the renderer has opened a workspace
+    this.integrationDir = options.integrationDir || null;
     
     // Default shell based on OS
     this.defaultShell = this.getDefaultShell();
@@ -29,6 +60,14 @@ class RealTerminalManager {
     }
   }
 
+  // Shell arguments that run one command and exit with its status
+  getCommandArgs(shell, command) {
+    if (os.platform() === 'win32') {
+      return /powershell|pwsh/i.test(path.basename(shell)) ? ['-NoLogo', '-Command', command] : ['/d', '/s', '/c', command];
+    }
+    return ['-lc', command];
+  }
+
   getDefaultArgs() {
     if (os.platform() === 'win32') {
       return [];
@@ -38,8 +77,19 @@ class RealTerminalManager {
     }
   }
 
+  /**
+   * Start a shell in a new pty
+   * @param {Object} options - { cols, rows, cwd, title, shell, env, task: { command }, command, onExit, scrollback, restoring }
+   *   env holds overrides on top of the IDE's environment; a task command is typed
+   *   at the first prompt; command runs in place of an interactive shell and the
+   *   terminal ends with it (not saved with the session); scrollback is output
+   *   restored from a saved session
+   */
   createTerminal(options = {}) {
-    const terminalId = `terminal_${this.nextTerminalId++}`;
+    const number = this.nextTerminalId++;
+    const terminalId = `terminal_${number}`;
+    const shell = options.shell || this.defaultShell;
+    const task = options.task?.command ? { command: String(options.task.command) } : null;
     
     const terminalOptions = {
       name: 'xterm-color',
@@ -50,6 +100,7 @@ class RealTerminalManager {
         ...process.env,
         TERM: 'xterm-256color',
         COLORTERM: 'truecolor',
+        ...this.getShellIntegrationEnv(shell),
         ...options.env
       }
     };
@@ -57,35 +108,66 @@ class RealTerminalManager {
     try {
       console.log('🔧 Creating new terminal with options:', terminalOptions);
       
-      const ptyProcess = spawn(this.defaultShell, this.defaultArgs, terminalOptions);
+      const args = options.command ? this.getCommandArgs(shell, options.command) : this.defaultArgs;
+      const ptyProcess = spawn(shell, args, terminalOptions);
       
       const terminal = {
         id: terminalId,
         pty: ptyProcess,
         isActive: false,
-        cwd: terminalOptions.cwd,
-        createdAt: new Date()
+        title: options.title || (task ? task.command : `Terminal ${number}`),
+        shell,
+        env: options.env || {},
+        task,
+        command: options.command || null,
+        cwd: terminalOptions.cwd, // follows cd when the shell reports it
+        createdAt: new Date(),
+        scrollback: new TerminalScrollback(),
+        shellIntegration: false, // set once the first exit status marker arrives
+        heldOutput: '',
+        pendingCommand: null
       };
 
+      if (options.scrollback) {
+        terminal.scrollback.append(`${options.scrollback}\r\n\x1b[2m── restored session ──\x1b[0m\r\n`);
+      }
+      if (options.command) {
+        terminal.scrollback.startCommand(options.command);
+      }
+
       // Set up event handlers
       ptyProcess.onData((data) => {
         this.sendToRenderer('terminal:data', {
           terminalId,
-          data
+          data: this.handleOutput(terminal, data)
         });
       });
 
       ptyProcess.onExit((exitCode, signal) => {
         console.log(`🔚 Terminal ${terminalId} exited with code ${exitCode}, signal ${signal}`);
+        const code = typeof exitCode === 'object' ? exitCode.exitCode : exitCode;
+        terminal.scrollback.finishCommand(code);
+        if (options.onExit) {
+          options.onExit(code);
+        }
         this.sendToRenderer('terminal:exit', {
           terminalId,
           exitCode,
           signal
         });
-        this.terminals.delete(terminalId);
+        // The shell ended by itself (not killed by close, quit or a workspace switch)
+        if (this.terminals.get(terminalId) === terminal) {
+          this.terminals.delete(terminalId);
+          this.saveSessions();
+        }
       });
 
       this.terminals.set(terminalId, terminal);
+
+      if (task) {
+        terminal.pendingCommand = task.command;
+        setTimeout(() => this.runPendingCommand(terminal), TASK_START_FALLBACK_MS);
+      }
       
       // Set as active if it's the first terminal
       if (!this.activeTerminalId) {
@@ -94,10 +176,14 @@ class RealTerminalManager {
       }
 
       console.log(`✅ Terminal ${terminalId} created successfully`);
+      if (!options.restoring) {
+        this.saveSessions();
+      }
       
       return {
         success: true,
         terminalId,
+        title: terminal.title,
         message: `Terminal ${terminalId} created`
       };
       
@@ -118,6 +204,9 @@ class RealTerminalManager {
     }
 
     try {
+      if (/[\r\n]/.test(data)) {
+        this.trackCommand(terminal);
+      }
       terminal.pty.write(data);
       return { success: true };
     } catch (error) {
@@ -148,8 +237,8 @@ class RealTerminalManager {
     }
 
     try {
-      terminal.pty.kill();
       this.terminals.delete(terminalId);
+      terminal.pty.kill();
       
       // If this was the active terminal, switch to another one
       if (this.activeTerminalId === terminalId) {
@@ -157,6 +246,7 @@ class RealTerminalManager {
         this.activeTerminalId = remainingTerminals.length > 0 ? remainingTerminals[0] : null;
       }
       
+      this.saveSessions();
       return { success: true };
     } catch (error) {
       console.error(`❌ Failed to kill terminal ${terminalId}:`, error);
@@ -185,17 +275,324 @@ class RealTerminalManager {
     return { success: true, terminalId };
   }
 
+  renameTerminal(terminalId, title) {
+    const terminal = this.terminals.get(terminalId);
+    if (!terminal) {
+      return { success: false, error: 'Terminal not found' };
+    }
+    const name = String(title || '').trim();
+    if (!name) {
+      return { success: false, error: 'Title is required' };
+    }
+
+    terminal.title = name;
+    this.saveSessions();
+    return { success: true, terminalId, title: name };
+  }
+
   getTerminalList() {
     const terminalList = Array.from(this.terminals.entries()).map(([id, terminal]) => ({
       id,
+      title: terminal.title,
       isActive: terminal.isActive,
       cwd: terminal.cwd,
+      task: terminal.task,
+      command: terminal.command,
       createdAt: terminal.createdAt
     }));
 
     return { success: true, terminals: terminalList };
   }
 
+  // Session persistence
+
+  // Newest raw output, starting at a line boundary so no escape sequence is cut in half
+  scrollbackTail(terminal, maxChars = MAX_SAVED_SCROLLBACK) {
+    const { text } = terminal.scrollback;
+    if (text.length <= maxChars) return text;
+    const tail = text.substring(text.length - maxChars);
+    const lineStart = tail.indexOf('\n');
+    return lineStart === -1 ? tail : tail.substring(lineStart + 1);
+  }
+
+  serializeTerminal(terminal) {
+    return {
+      title: terminal.title,
+      cwd: terminal.cwd,
+      shell: terminal.shell === this.defaultShell ? null : terminal.shell,
+      env: terminal.env,
+      task: terminal.task,
+      scrollback: this.scrollbackTail(terminal)
+    };
+  }
+
+  saveSessions() {
+    if (!this.sessionStore || !this.sessionsLoaded) return;
+    // One-off command terminals (task runs) are not brought back
+    const terminals = Array.from(this.terminals.values()).filter(terminal => !terminal.command);
+    this.sessionStore.save(this.workspaceRoot, {
+      terminals: terminals.map(terminal => this.serializeTerminal(terminal)),
+      activeIndex: Math.max(0, terminals.findIndex(terminal => terminal.id === this.activeTerminalId))
+    });
+  }
+
+  // Open tabs with their output so far, for a renderer that is (re)attaching
+  describeTerminals() {
+    return Array.from(this.terminals.values()).map(terminal => ({
+      id: terminal.id,
+      title: terminal.title,
+      cwd: terminal.cwd,
+      task: terminal.task || (terminal.command ? { command: terminal.command } : null),
+      isActive: terminal.id === this.activeTerminalId,
+      output: this.scrollbackTail(terminal)
+    }));
+  }
+
+  /**
+   * Switch terminals to a workspace: the current tabs are saved and closed, and
+   * the workspace's saved tabs are started again in their last cwd with their
+   * old output; task terminals rerun their command
+   * @param {string|null} root - workspace folder, null for no folder
+   */
+  openWorkspace(root) {
+    const workspaceRoot = root ? path.resolve(root) : null;
+    if (this.sessionsLoaded && workspaceRoot === this.workspaceRoot) {
+      return { success: true, restored: 0, activeTerminalId: this.activeTerminalId, terminals: this.describeTerminals() };
+    }
+
+    if (this.sessionsLoaded) {
+      this.saveSessions();
+      this.closeAllTerminals();
+    }
+    this.workspaceRoot = workspaceRoot;
+    this.sessionsLoaded = true;
+
+    const saved = this.sessionStore ? this.sessionStore.load(workspaceRoot) : { terminals: [], activeIndex: 0 };
+    const restoredIds = [];
+    for (const session of saved.terminals) {
+      const cwd = session.cwd && fs.existsSync(session.cwd) ? session.cwd : (workspaceRoot || undefined);
+      const result = this.createTerminal({
+        cwd,
+        title: session.title,
+        shell: session.shell && fs.existsSync(session.shell) ? session.shell : undefined,
+        env: session.env,
+        task: session.task,
+        scrollback: session.scrollback,
+        restoring: true
+      });
+      if (result.success) {
+        restoredIds.push(result.terminalId);
+      } else {
+        console.warn(`⚠️ Could not restore terminal "${session.title}":`, result.error);
+      }
+    }
+
+    const activeId = restoredIds[saved.activeIndex] || restoredIds[0];
+    if (activeId) {
+      this.switchTerminal(activeId);
+    }
+    this.saveSessions();
+
+    console.log(`🗄️ Restored ${restoredIds.length} terminal(s) for`, workspaceRoot || 'no workspace');
+    return { success: true, restored: restoredIds.length, activeTerminalId: this.activeTerminalId, terminals: this.describeTerminals() };
+  }
+
+  // Type a task terminal's command once the shell shows its first prompt
+  runPendingCommand(terminal) {
+    const command = terminal.pendingCommand;
+    if (!command || this.terminals.get(terminal.id) !== terminal) return;
+    terminal.pendingCommand = null;
+    terminal.scrollback.startCommand(command);
+    try {
+      terminal.pty.write(`${command}\r`);
+      console.log(`▶️ Task terminal ${terminal.id} started: ${command}`);
+    } catch (error) {
+      console.error(`❌ Failed to start task in ${terminal.id}:`, error);
+    }
+  }
+
+  closeAllTerminals() {
+    const terminals = Array.from(this.terminals.entries());
+    this.terminals.clear();
+    this.activeTerminalId = null;
+    for (const [terminalId, terminal] of terminals) {
+      try {
+        terminal.pty.kill();
+      } catch (error) {
+        console.error(`❌ Error closing terminal ${terminalId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Environment that makes bash and zsh print the last exit status before
+   * each prompt, so a command's end and exit code can be told apart from its output
+   */
+  getShellIntegrationEnv(shellPath = this.defaultShell) {
+    const shell = path.basename(shellPath);
+    if (shell === 'bash') {
+      const existing = process.env.PROMPT_COMMAND;
+      return { PROMPT_COMMAND: existing ? `${SHELL_STATE_REPORT}; ${existing}` : SHELL_STATE_REPORT };
+    }
+    if (shell === 'zsh') {
+      const zdotdir = this.writeZshIntegration();
+      return zdotdir
+        ? { ZDOTDIR: zdotdir, MITHRIL_USER_ZDOTDIR: process.env.ZDOTDIR || os.homedir() }
+        : {};
+    }
+    return {};
+  }
+
+  // zsh has no PROMPT_COMMAND; a ZDOTDIR of startup files that source the user's own adds a precmd hook
+  writeZshIntegration() {
+    const source = (file) => `[[ -f "$MITHRIL_USER_ZDOTDIR/${file}" ]] && source "$MITHRIL_USER_ZDOTDIR/${file}"`;
+    const files = {
+      '.zshenv': source('.zshenv'),
+      '.zprofile': source('.zprofile'),
+      '.zshrc': [
+        source('.zshrc'),
+        `__mithril_precmd() { ${SHELL_STATE_REPORT}; }`,
+        'precmd_functions=(__mithril_precmd $precmd_functions)'
+      ].join('\n'),
+      '.zlogin': [`ZDOTDIR="$MITHRIL_USER_ZDOTDIR"`, source('.zlogin')].join('\n')
+    };
+
+    try {
+      // Every zsh terminal sources these files, so no other user may be able to write them
+      if (!this.integrationDir) {
+        this.integrationDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mithril-shell-integration-'));
+      }
+      const dir = path.join(this.integrationDir, 'zsh');
+      fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+      fs.chmodSync(dir, 0o700);
+      for (const [name, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, name), `${content}\n`, { mode: 0o600 });
+      }
+      return dir;
+    } catch (error) {
+      console.warn('⚠️ zsh shell integration unavailable:', error.message);
+      return null;
+    }
+  }
+
+  // Record pty output and take the shell state markers out of it
+  handleOutput(terminal, data) {
+    let text = terminal.heldOutput + data;
+    terminal.heldOutput = '';
+
+    // Hold back a marker split across two chunks
+    const partial = text.lastIndexOf('\x1b]633;');
+    if (partial !== -1 && text.indexOf('\x07', partial) === -1 && text.length - partial < 4096) {
+      terminal.heldOutput = text.substring(partial);
+      text = text.substring(0, partial);
+    }
+
+    let visible = '';
+    let last = 0;
+    let prompted = false;
+    for (const match of text.matchAll(SHELL_STATE_MARKER)) {
+      const before = text.substring(last, match.index);
+      terminal.scrollback.append(before);
+      visible += before;
+      if (match[1] === 'D') {
+        terminal.shellIntegration = true;
+        terminal.scrollback.finishCommand(/^-?\d+$/.test(match[2]) ? parseInt(match[2], 10) : null);
+        prompted = true;
+      } else if (match[2].startsWith('Cwd=') && match[2].length > 4) {
+        terminal.cwd = match[2].substring(4);
+      }
+      last = match.index + match[0].length;
+    }
+    const rest = text.substring(last);
+    terminal.scrollback.append(rest);
+    if (prompted && terminal.pendingCommand) {
+      this.runPendingCommand(terminal);
+    }
+    return visible + rest;
+  }
+
+  // Enter was pressed: the prompt line becomes the command
+  trackCommand(terminal) {
+    const { scrollback } = terminal;
+    if (!terminal.shellIntegration) {
+      // Without markers each Enter ends the previous command, exit status unknown
+      scrollback.finishCommand(null);
+    }
+    scrollback.startCommand(scrollback.currentLine());
+  }
+
+  /**
+   * Output of commands the renderer runs in the output panel
+   * @param {Object} record - { type: 'start' | 'data' | 'exit', command, data, exitCode }
+   */
+  recordOutput(record = {}) {
+    const scrollback = this.outputScrollback;
+    if (record.type === 'start') {
+      scrollback.finishCommand(null);
+      scrollback.append(`\n$ ${record.command}\n`);
+      scrollback.startCommand(record.command);
+    } else if (record.type === 'data') {
+      scrollback.append(String(record.data || ''));
+    } else if (record.type === 'exit') {
+      scrollback.finishCommand(record.exitCode);
+    }
+  }
+
+  // Every scrollback by id, the output panel's included
+  getScrollbacks() {
+    return [
+      [OUTPUT_TERMINAL_ID, this.outputScrollback],
+      ...Array.from(this.terminals, ([id, terminal]) => [id, terminal.scrollback])
+    ];
+  }
+
+  // No id means the terminal with the newest output
+  findScrollback(terminalId) {
+    if (terminalId) {
+      return this.getScrollbacks().find(([id]) => id === terminalId) || null;
+    }
+    return this.getScrollbacks()
+      .filter(([, scrollback]) => scrollback.lastActivity)
+      .sort((a, b) => b[1].lastActivity - a[1].lastActivity)[0] || null;
+  }
+
+  /**
+   * Recent output of a terminal as plain text
+   * @param {string} [terminalId] - pty id or 'output'; defaults to the most recently active
+   * @param {Object} options - { maxChars, lines }
+   */
+  getTerminalOutput(terminalId, options = {}) {
+    const found = this.findScrollback(terminalId);
+    if (!found) {
+      return terminalId
+        ? { success: false, error: 'Terminal not found' }
+        : { success: true, terminalId: null, output: '', truncated: false };
+    }
+    const [id, scrollback] = found;
+    return { success: true, terminalId: id, ...scrollback.getOutput(options) };
+  }
+
+  /**
+   * The last command that printed output or failed, with its exit code
+   * (null when the shell doesn't report it)
+   * @param {string} [terminalId] - defaults to the newest command in any terminal
+   */
+  getLastCommand(terminalId, options = {}) {
+    if (terminalId) {
+      const found = this.findScrollback(terminalId);
+      if (!found) {
+        return { success: false, error: 'Terminal not found' };
+      }
+      return { success: true, terminalId, command: found[1].getLastCommand(options) };
+    }
+
+    const latest = this.getScrollbacks()
+      .map(([id, scrollback]) => ({ id, command: scrollback.getLastCommand(options) }))
+      .filter(entry => entry.command)
+      .sort((a, b) => (b.command.finishedAt || b.command.startedAt).localeCompare(a.command.finishedAt || a.command.startedAt))[0];
+    return { success: true, terminalId: latest?.id || null, command: latest?.command || null };
+  }
+
   // Method to set up communication with renderer process
   setRenderer(webContents) {
     this.webContents = webContents;
@@ -207,18 +604,11 @@ class RealTerminalManager {
     }
   }
 
-  // Clean up all terminals
+  // Clean up all terminals, saving the workspace's tabs first
   cleanup() {
     console.log('🧹 Cleaning up all terminals');
-    for (const [terminalId, terminal] of this.terminals) {
-      try {
-        terminal.pty.kill();
-      } catch (error) {
-        console.error(`❌ Error cleaning up terminal ${terminalId}:`, error);
-      }
-    }
-    this.terminals.clear();
-    this.activeTerminalId = null;
+    this.saveSessions();
+    this.closeAllTerminals();
   }
 }
 
@@ -1,37 +1,43 @@
 /**
  * Mithril AI IDE - Real Terminal UI Component
  * Frontend component for real terminal using xterm.js
+ * Pty terminals open as tabs next to the Output tab of the terminal panel;
+ * the tabs of a workspace are restored by the main process when it is reopened
  */
 
+// ipcRenderer is already imported in ide-core.js which loads before this file
+
+const OUTPUT_TAB_ID = 'output';
+
 class RealTerminalUI {
   constructor() {
-    this.terminals = new Map(); // terminalId -> { xterm, element }
-    this.activeTerminalId = null;
+    this.terminals = new Map(); // terminalId -> { xterm, fitAddon, element, tab, title, task, exited }
+    this.pendingData = new Map(); // terminalId -> output that arrived before its tab was created
+    this.activeTerminalId = null; // null while the Output tab is shown
+    this.workspaceRoot = undefined; // undefined until sessions were restored once
     this.isInitialized = false;
-    
+
     console.log('🖥️ Real Terminal UI initialized');
   }
 
-  async initialize() {
+  initialize() {
     if (this.isInitialized) return;
-    
+
     try {
-      // Import xterm modules
-      const { Terminal } = await import('@xterm/xterm');
-      const { FitAddon } = await import('@xterm/addon-fit');
-      
+      // xterm ships CommonJS builds that load in the renderer
+      const { Terminal } = require('@xterm/xterm');
+      const { FitAddon } = require('@xterm/addon-fit');
+
       this.Terminal = Terminal;
       this.FitAddon = FitAddon;
-      
+
       // Set up IPC listeners
       this.setupIpcListeners();
-      
+      this.setupTabStrip();
+
       this.isInitialized = true;
       console.log('✅ Real Terminal UI initialized successfully');
-      
-      // Create initial terminal
-      await this.createTerminal();
-      
+
     } catch (error) {
       console.error('❌ Failed to initialize Real Terminal UI:', error);
     }
@@ -39,33 +45,101 @@ class RealTerminalUI {
 
   setupIpcListeners() {
     // Listen for terminal data from backend
-    window.electronAPI.on('terminal:data', (data) => {
-      const { terminalId, data: terminalData } = data;
+    ipcRenderer.on('terminal:data', (event, { terminalId, data }) => {
       const terminal = this.terminals.get(terminalId);
       if (terminal) {
-        terminal.xterm.write(terminalData);
+        terminal.xterm.write(data);
+      } else {
+        this.pendingData.set(terminalId, (this.pendingData.get(terminalId) || '') + data);
       }
     });
 
     // Listen for terminal exit events
-    window.electronAPI.on('terminal:exit', (data) => {
-      const { terminalId, exitCode, signal } = data;
+    ipcRenderer.on('terminal:exit', (event, { terminalId, exitCode, signal }) => {
       console.log(`🔚 Terminal ${terminalId} exited with code ${exitCode}, signal ${signal}`);
-      this.removeTerminal(terminalId);
+      this.pendingData.delete(terminalId);
+      const terminal = this.terminals.get(terminalId);
+      if (!terminal) return;
+
+      // A task tab stays open so the reason it stopped can still be read
+      if (terminal.task && !terminal.closing) {
+        const code = typeof exitCode === 'object' ? exitCode?.exitCode : exitCode;
+        terminal.exited = true;
+        terminal.xterm.write(`\r\n\x1b[2m[process exited with code ${code ?? 'unknown'}]\x1b[0m\r\n`);
+        terminal.tab.classList.add('exited');
+        terminal.tab.title = `${terminal.task.command} (exited with code ${code ?? 'unknown'})`;
+      } else {
+        this.removeTerminal(terminalId);
+      }
     });
   }
 
+  setupTabStrip() {
+    const tabs = document.getElementById('terminal-tabs');
+    if (!tabs) {
+      console.error('❌ Terminal tab strip not found');
+      return;
+    }
+
+    tabs.querySelector(`[data-terminal-id="${OUTPUT_TAB_ID}"]`)
+      ?.addEventListener('click', () => this.switchToTerminal(null));
+    document.getElementById('new-terminal-btn')?.addEventListener('click', () => this.createTerminal());
+    document.getElementById('new-task-terminal-btn')?.addEventListener('click', () => this.createTaskTerminal());
+  }
+
+  /**
+   * Restore the saved tabs of a workspace; the main process closes (and saves)
+   * the tabs of the previous one first
+   * @param {string|null} root - workspace folder
+   */
+  async restoreSessions(root) {
+    this.initialize();
+    if (!this.isInitialized || this.workspaceRoot === (root || null)) return;
+
+    const result = await ipcRenderer.invoke('terminal:restoreSessions', root || null);
+    if (!result.success) {
+      console.error('❌ Failed to restore terminal sessions:', result.error);
+      return;
+    }
+    this.workspaceRoot = root || null;
+
+    const openIds = new Set(result.terminals.map(info => info.id));
+    for (const terminalId of Array.from(this.terminals.keys())) {
+      if (!openIds.has(terminalId)) {
+        this.removeTerminal(terminalId);
+      }
+    }
+
+    for (const info of result.terminals) {
+      // Output sent before this reply is already part of info.output
+      this.pendingData.delete(info.id);
+      if (!this.terminals.has(info.id)) {
+        this.attachTerminal(info, info.output);
+      }
+    }
+
+    if (result.restored > 0) {
+      console.log(`🗄️ Restored ${result.restored} terminal tab(s)`);
+    }
+  }
+
   async createTerminal(options = {}) {
-    if (!this.isInitialized) {
-      await this.initialize();
+    this.initialize();
+    if (!this.isInitialized) return null;
+
+    // The first terminal of a session without a workspace brings back the saved global tabs
+    if (this.workspaceRoot === undefined) {
+      await this.restoreSessions(null);
     }
 
     try {
       // Create terminal on backend
-      const result = await window.electronAPI.invoke('terminal:create', {
+      const result = await ipcRenderer.invoke('terminal:create', {
         cols: options.cols || 80,
         rows: options.rows || 24,
-        cwd: options.cwd || undefined
+        cwd: options.cwd || this.workspaceRoot || undefined,
+        title: options.title,
+        task: options.task
       });
 
       if (!result.success) {
@@ -74,60 +148,9 @@ class RealTerminalUI {
       }
 
       const terminalId = result.terminalId;
-      
-      // Create xterm instance
-      const xterm = new this.Terminal({
-        cursorBlink: true,
-        cursorStyle: 'block',
-        fontFamily: '"Fira Code", "SF Mono", Monaco, "Cascadia Code", "Roboto Mono", Consolas, "Courier New", monospace',
-        fontSize: 14,
-        fontWeight: 'normal',
-        fontWeightBold: 'bold',
-        lineHeight: 1.2,
-        letterSpacing: 0,
-        theme: this.getTerminalTheme(),
-        scrollback: 1000,
-        cols: options.cols || 80,
-        rows: options.rows || 24
-      });
-
-      // Create fit addon
-      const fitAddon = new this.FitAddon();
-      xterm.loadAddon(fitAddon);
-
-      // Create terminal container
-      const terminalContainer = this.createTerminalContainer(terminalId);
-      
-      // Open xterm in the container
-      xterm.open(terminalContainer.querySelector('.xterm-container'));
-      
-      // Fit terminal to container
-      fitAddon.fit();
-
-      // Set up terminal event handlers
-      xterm.onData((data) => {
-        window.electronAPI.invoke('terminal:write', terminalId, data);
-      });
-
-      xterm.onResize(({ cols, rows }) => {
-        window.electronAPI.invoke('terminal:resize', terminalId, cols, rows);
-      });
-
-      // Store terminal reference
-      this.terminals.set(terminalId, {
-        xterm,
-        fitAddon,
-        element: terminalContainer,
-        isActive: !this.activeTerminalId
-      });
-
-      // Set as active if it's the first terminal
-      if (!this.activeTerminalId) {
-        this.switchToTerminal(terminalId);
-      }
-
-      // Set up resize observer
-      this.setupResizeObserver(terminalId);
+      this.attachTerminal({ id: terminalId, title: result.title, task: options.task || null }, '');
+      this.switchToTerminal(terminalId);
+      window.mithrilIDE?.ideTerminalManager?.showTerminal();
 
       console.log(`✅ Terminal ${terminalId} created and ready`);
       return terminalId;
@@ -138,84 +161,169 @@ class RealTerminalUI {
     }
   }
 
-  createTerminalContainer(terminalId) {
-    const terminalSection = document.getElementById('terminal-section');
-    if (!terminalSection) {
+  // Show a terminal the main process started (e.g. a task run), creating its tab first
+  openTerminal(info) {
+    this.initialize();
+    if (!this.isInitialized) return;
+
+    if (!this.terminals.has(info.id)) {
+      this.attachTerminal(info, '');
+    }
+    this.switchToTerminal(info.id);
+    window.mithrilIDE?.ideTerminalManager?.showTerminal();
+  }
+
+  // Named terminal that runs a command, and runs it again when the workspace is reopened
+  async createTaskTerminal() {
+    const ideCore = window.mithrilIDE;
+    if (!ideCore) return null;
+
+    const command = await ideCore.showInputDialog('New Task Terminal', 'Command to run (restarted when the workspace reopens):', 'npm run dev');
+    if (!command || !command.trim()) return null;
+    const title = await ideCore.showInputDialog('New Task Terminal', 'Tab name:', 'dev server');
+    if (title === null) return null;
+
+    return this.createTerminal({ title: title.trim() || undefined, task: { command: command.trim() } });
+  }
+
+  // Tab and xterm for a terminal that already runs in the main process
+  attachTerminal(info, output) {
+    const terminalId = info.id;
+    const section = document.getElementById('real-terminal-section');
+    if (!section) {
       console.error('❌ Terminal section not found');
-      return null;
+      return;
     }
 
-    // Create terminal container
-    const container = document.createElement('div');
-    container.className = 'real-terminal-container';
-    container.dataset.terminalId = terminalId;
-    container.style.display = 'none'; // Hidden by default
-    
-    container.innerHTML = `
-      <div class="real-terminal-header">
-        <div class="terminal-tabs">
-          <div class="terminal-tab active" data-terminal-id="${terminalId}">
-            <span class="tab-title">Terminal ${terminalId.split('_')[1]}</span>
-            <button class="tab-close" onclick="realTerminalUI.closeTerminal('${terminalId}')">×</button>
-          </div>
-          <button class="new-terminal-btn" onclick="realTerminalUI.createTerminal()" title="New Terminal">+</button>
-        </div>
-        <div class="terminal-controls">
-          <button onclick="realTerminalUI.clearTerminal('${terminalId}')" title="Clear">Clear</button>
-        </div>
-      </div>
-      <div class="xterm-container"></div>
+    // Create xterm instance
+    const xterm = new this.Terminal({
+      cursorBlink: true,
+      cursorStyle: 'block',
+      fontFamily: '"Fira Code", "SF Mono", Monaco, "Cascadia Code", "Roboto Mono", Consolas, "Courier New", monospace',
+      fontSize: 13,
+      fontWeight: 'normal',
+      fontWeightBold: 'bold',
+      lineHeight: 1.2,
+      letterSpacing: 0,
+      theme: this.getTerminalTheme(),
+      scrollback: 5000
+    });
+
+    // Create fit addon
+    const fitAddon = new this.FitAddon();
+    xterm.loadAddon(fitAddon);
+
+    const element = document.createElement('div');
+    element.className = 'real-terminal-container';
+    element.dataset.terminalId = terminalId;
+    element.style.display = 'none'; // Hidden until its tab is selected
+    section.appendChild(element);
+    xterm.open(element);
+
+    if (output) {
+      xterm.write(output);
+    }
+    const pending = this.pendingData.get(terminalId);
+    if (pending) {
+      xterm.write(pending);
+      this.pendingData.delete(terminalId);
+    }
+
+    // Set up terminal event handlers
+    xterm.onData((data) => {
+      ipcRenderer.invoke('terminal:write', terminalId, data);
+    });
+
+    xterm.onResize(({ cols, rows }) => {
+      ipcRenderer.invoke('terminal:resize', terminalId, cols, rows);
+    });
+
+    const terminal = {
+      xterm,
+      fitAddon,
+      element,
+      tab: this.createTab(terminalId, info),
+      title: info.title,
+      task: info.task || null,
+      exited: false
+    };
+    this.terminals.set(terminalId, terminal);
+
+    // Set up resize observer
+    terminal.resizeObserver = new ResizeObserver(() => {
+      if (this.activeTerminalId === terminalId) {
+        fitAddon.fit();
+      }
+    });
+    terminal.resizeObserver.observe(element);
+  }
+
+  createTab(terminalId, info) {
+    const tabs = document.getElementById('terminal-tabs');
+    const tab = document.createElement('div');
+    tab.className = 'terminal-tab';
+    tab.dataset.terminalId = terminalId;
+    tab.title = info.task ? info.task.command : (info.cwd || '');
+    tab.innerHTML = `
+      ${info.task ? '<i data-lucide="play"></i>' : ''}
+      <span class="tab-title"></span>
+      <button class="tab-close" title="Close Terminal">×</button>
     `;
+    tab.querySelector('.tab-title').textContent = info.title || terminalId;
+
+    tab.addEventListener('click', () => this.switchToTerminal(terminalId));
+    tab.addEventListener('dblclick', () => this.renameTerminal(terminalId));
+    tab.querySelector('.tab-close').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.closeTerminal(terminalId);
+    });
 
-    terminalSection.appendChild(container);
-    return container;
+    tabs?.insertBefore(tab, document.getElementById('new-terminal-btn'));
+    if (window.lucide) {
+      window.lucide.createIcons();
+    }
+    return tab;
   }
 
-  setupResizeObserver(terminalId) {
+  async renameTerminal(terminalId) {
     const terminal = this.terminals.get(terminalId);
-    if (!terminal) return;
+    if (!terminal || terminal.exited || !window.mithrilIDE) return;
 
-    const resizeObserver = new ResizeObserver(() => {
-      if (terminal.isActive && terminal.fitAddon) {
-        terminal.fitAddon.fit();
-      }
-    });
+    const title = await window.mithrilIDE.showInputDialog('Rename Terminal', 'Tab name:', terminal.title.replace(/"/g, '&quot;'));
+    if (!title || !title.trim()) return;
 
-    resizeObserver.observe(terminal.element.querySelector('.xterm-container'));
-    terminal.resizeObserver = resizeObserver;
+    const result = await ipcRenderer.invoke('terminal:rename', terminalId, title);
+    if (result.success) {
+      terminal.title = result.title;
+      terminal.tab.querySelector('.tab-title').textContent = result.title;
+    }
   }
 
+  // null shows the Output tab (commands run by the IDE)
   switchToTerminal(terminalId) {
-    // Hide all terminals
-    this.terminals.forEach((terminal, id) => {
-      terminal.element.style.display = 'none';
-      terminal.isActive = false;
-      // Update tab appearance
-      const tab = terminal.element.querySelector(`[data-terminal-id="${id}"]`);
-      if (tab) tab.classList.remove('active');
+    const terminal = terminalId ? this.terminals.get(terminalId) : null;
+    this.activeTerminalId = terminal ? terminalId : null;
+
+    const panel = document.getElementById('terminal-panel');
+    panel?.classList.toggle('showing-pty', !!terminal);
+    document.querySelectorAll('#terminal-tabs .terminal-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.terminalId === (this.activeTerminalId || OUTPUT_TAB_ID));
+    });
+    this.terminals.forEach((entry, id) => {
+      entry.element.style.display = id === this.activeTerminalId ? 'block' : 'none';
     });
 
-    // Show selected terminal
-    const terminal = this.terminals.get(terminalId);
     if (terminal) {
-      terminal.element.style.display = 'block';
-      terminal.isActive = true;
-      this.activeTerminalId = terminalId;
-      
-      // Update tab appearance
-      const tab = terminal.element.querySelector(`[data-terminal-id="${terminalId}"]`);
-      if (tab) tab.classList.add('active');
-      
       // Focus and fit
       setTimeout(() => {
+        terminal.fitAddon.fit();
         terminal.xterm.focus();
-        if (terminal.fitAddon) {
-          terminal.fitAddon.fit();
-        }
-      }, 100);
+      }, 50);
 
       // Notify backend
-      window.electronAPI.invoke('terminal:switch', terminalId);
+      if (!terminal.exited) {
+        ipcRenderer.invoke('terminal:switch', terminalId);
+      }
     }
   }
 
@@ -224,12 +332,15 @@ class RealTerminalUI {
     if (!terminal) return;
 
     try {
-      // Kill backend terminal
-      await window.electronAPI.invoke('terminal:kill', terminalId);
-      
+      // Kill backend terminal (an exited task has nothing left to kill)
+      terminal.closing = true;
+      if (!terminal.exited) {
+        await ipcRenderer.invoke('terminal:kill', terminalId);
+      }
+
       // Remove from frontend
       this.removeTerminal(terminalId);
-      
+
     } catch (error) {
       console.error(`❌ Failed to close terminal ${terminalId}:`, error);
     }
@@ -247,36 +358,52 @@ class RealTerminalUI {
     // Dispose xterm instance
     terminal.xterm.dispose();
 
-    // Remove DOM element
+    // Remove DOM elements
     terminal.element.remove();
+    terminal.tab.remove();
 
     // Remove from map
     this.terminals.delete(terminalId);
 
-    // Switch to another terminal if this was active
+    // Fall back to the Output tab if this was active
     if (this.activeTerminalId === terminalId) {
-      const remainingTerminals = Array.from(this.terminals.keys());
-      if (remainingTerminals.length > 0) {
-        this.switchToTerminal(remainingTerminals[0]);
-      } else {
-        this.activeTerminalId = null;
-        // Create a new terminal if none remain
-        this.createTerminal();
-      }
+      this.switchToTerminal(null);
     }
   }
 
-  clearTerminal(terminalId) {
+  // True while a pty tab (not the Output tab) is shown
+  isShowingTerminal() {
+    return !!this.activeTerminalId;
+  }
+
+  clearTerminal(terminalId = this.activeTerminalId) {
     const terminal = this.terminals.get(terminalId);
     if (terminal) {
       terminal.xterm.clear();
     }
   }
 
+  // Ctrl+C to the shown terminal
+  interruptTerminal(terminalId = this.activeTerminalId) {
+    const terminal = this.terminals.get(terminalId);
+    if (terminal && !terminal.exited) {
+      ipcRenderer.invoke('terminal:write', terminalId, '\x03');
+    }
+  }
+
+  copyOutput(terminalId = this.activeTerminalId) {
+    const terminal = this.terminals.get(terminalId);
+    if (!terminal) return Promise.resolve();
+    terminal.xterm.selectAll();
+    const text = terminal.xterm.getSelection();
+    terminal.xterm.clearSelection();
+    return navigator.clipboard.writeText(text);
+  }
+
   getTerminalTheme() {
     // Return appropriate theme based on current IDE theme
     const currentTheme = document.body.getAttribute('data-theme') || 'default';
-    
+
     if (currentTheme === 'light') {
       return {
         background: '#ffffff',
@@ -336,42 +463,7 @@ class RealTerminalUI {
       terminal.xterm.options.theme = newTheme;
     });
   }
-
-  show() {
-    const terminalSection = document.getElementById('terminal-section');
-    if (terminalSection) {
-      terminalSection.style.display = 'block';
-      
-      // Fit all terminals
-      setTimeout(() => {
-        this.terminals.forEach((terminal) => {
-          if (terminal.fitAddon) {
-            terminal.fitAddon.fit();
-          }
-        });
-      }, 100);
-    }
-  }
-
-  hide() {
-    const terminalSection = document.getElementById('terminal-section');
-    if (terminalSection) {
-      terminalSection.style.display = 'none';
-    }
-  }
-
-  toggle() {
-    const terminalSection = document.getElementById('terminal-section');
-    if (terminalSection) {
-      if (terminalSection.style.display === 'none') {
-        this.show();
-      } else {
-        this.hide();
-      }
-    }
-  }
 }
 
 // Global instance
 window.realTerminalUI = new RealTerminalUI();
-
@@ -0,0 +1,407 @@
+/**
+ * Mithril AI IDE - Semantic Index
+ * Background indexer that chunks workspace files, embeds them through the model
+ * provider layer and keeps one vector index per workspace in the app data dir
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const chokidar = require('chokidar');
+const modelProviders = require('./model-providers');
+
+const INDEX_VERSION = 1;
+
+const IGNORED_DIRS = new Set([
+  'node_modules', 'dist', 'build', 'out', 'target', 'coverage',
+  '__pycache__', 'venv', 'env', 'vendor', 'bower_components'
+]);
+
+const IGNORED_FILES = new Set([
+  'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'poetry.lock', 'Cargo.lock', 'go.sum'
+]);
+
+class SemanticIndex {
+  constructor(storageDir) {
+    this.storageDir = storageDir;
+    this.webContents = null;
+
+    this.root = null;
+    this.model = 'nomic-embed-text';
+    this.index = null; // { version, root, model, files: { relPath: { mtime, size, chunks } } }
+    this.watcher = null;
+    this.opening = null; // tail of the serialized open() chain
+
+    this.pending = new Set(); // relative paths waiting to be (re)embedded
+    this.isDraining = false;
+    this.saveTimer = null;
+    this.lastError = null;
+    this.decoded = new WeakMap(); // chunk -> Float32Array, so searches don't re-decode
+
+    this.chunkLines = 40;
+    this.chunkOverlap = 8;
+    this.maxChunkChars = 2000;
+    this.maxFileSize = 256 * 1024;
+    this.batchSize = 16;
+
+    console.log('🧭 Semantic index initialized');
+  }
+
+  setRenderer(webContents) {
+    this.webContents = webContents;
+  }
+
+  sendStatus() {
+    if (this.webContents && !this.webContents.isDestroyed()) {
+      this.webContents.send('semanticIndex:status', this.getStatus());
+    }
+  }
+
+  getStatus() {
+    const files = this.index ? Object.values(this.index.files) : [];
+    return {
+      root: this.root,
+      model: this.model,
+      state: !this.root ? 'closed' : (this.lastError ? 'error' : (this.pending.size > 0 ? 'indexing' : 'idle')),
+      indexedFiles: files.length,
+      chunks: files.reduce((sum, file) => sum + file.chunks.length, 0),
+      pendingFiles: this.pending.size,
+      error: this.lastError
+    };
+  }
+
+  indexPathFor(root) {
+    const hash = crypto.createHash('sha1').update(path.resolve(root)).digest('hex').substring(0, 16);
+    return path.join(this.storageDir, `${hash}.json`);
+  }
+
+  /**
+   * Open (or switch to) a workspace: load its stored index, queue files whose
+   * mtime or size changed since the last run and start watching for changes
+   */
+  open(root, options = {}) {
+    // Serialize opens so overlapping calls for the same folder don't double-watch it
+    this.opening = (this.opening || Promise.resolve())
+      .catch(() => {})
+      .then(() => this.openWorkspace(root, options));
+    return this.opening;
+  }
+
+  async openWorkspace(root, options = {}) {
+    const model = options.model || this.model;
+    if (this.root === root && this.model === model) {
+      return this.getStatus();
+    }
+
+    await this.close();
+
+    this.root = root;
+    this.model = model;
+    this.lastError = null;
+    this.index = await this.loadIndex(root);
+
+    if (this.index.model !== model) {
+      console.log(`🧭 Embedding model changed to ${model}, rebuilding index`);
+      this.index = this.emptyIndex(root);
+    }
+
+    await this.scan();
+    this.startWatcher();
+    this.sendStatus();
+    this.drain();
+
+    return this.getStatus();
+  }
+
+  async close() {
+    if (this.watcher) {
+      await this.watcher.close();
+      this.watcher = null;
+    }
+    if (this.index) {
+      await this.saveIndex();
+    }
+    this.root = null;
+    this.index = null;
+    this.pending.clear();
+  }
+
+  async rebuild() {
+    if (!this.root) {
+      throw new Error('No workspace open');
+    }
+    this.index = this.emptyIndex(this.root);
+    this.lastError = null;
+    await this.scan();
+    this.sendStatus();
+    this.drain();
+    return this.getStatus();
+  }
+
+  emptyIndex(root) {
+    return { version: INDEX_VERSION, root, model: this.model, files: {} };
+  }
+
+  async loadIndex(root) {
+    try {
+      const saved = JSON.parse(await fs.readFile(this.indexPathFor(root), 'utf8'));
+      if (saved.version === INDEX_VERSION && saved.files) {
+        console.log(`🧭 Loaded semantic index for ${root} (${Object.keys(saved.files).length} files)`);
+        return saved;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('⚠️ Failed to load semantic index:', error.message);
+      }
+    }
+    return this.emptyIndex(root);
+  }
+
+  async saveIndex() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.index) return;
+
+    try {
+      await fs.mkdir(this.storageDir, { recursive: true });
+      await fs.writeFile(this.indexPathFor(this.index.root), JSON.stringify(this.index), 'utf8');
+    } catch (error) {
+      console.error('❌ Failed to save semantic index:', error.message);
+    }
+  }
+
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.saveIndex(), 2000);
+  }
+
+  isIgnored(relPath) {
+    const parts = relPath.split(/[\\/]/);
+    const fileName = parts[parts.length - 1];
+    return parts.some(part => part.startsWith('.') || IGNORED_DIRS.has(part)) || IGNORED_FILES.has(fileName);
+  }
+
+  async scan() {
+    const seen = new Set();
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        const relPath = path.relative(this.root, fullPath);
+        if (this.isIgnored(relPath)) continue;
+
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile()) {
+          seen.add(relPath);
+          const stats = await fs.stat(fullPath).catch(() => null);
+          const stored = this.index.files[relPath];
+          if (stats && (!stored || stored.mtime !== stats.mtimeMs || stored.size !== stats.size)) {
+            this.pending.add(relPath);
+          }
+        }
+      }
+    };
+
+    await walk(this.root);
+
+    // Drop files that were deleted while the app was closed
+    for (const relPath of Object.keys(this.index.files)) {
+      if (!seen.has(relPath)) {
+        delete this.index.files[relPath];
+      }
+    }
+
+    console.log(`🧭 Scanned ${seen.size} files, ${this.pending.size} need embedding`);
+  }
+
+  startWatcher() {
+    const root = this.root;
+    this.watcher = chokidar.watch(root, {
+      ignoreInitial: true,
+      ignored: (watchedPath) => watchedPath !== root && this.isIgnored(path.relative(root, watchedPath)),
+      awaitWriteFinish: { stabilityThreshold: 500, pollInterval: 100 }
+    });
+
+    const queue = (fullPath) => {
+      this.pending.add(path.relative(root, fullPath));
+      this.sendStatus();
+      this.drain();
+    };
+
+    this.watcher
+      .on('add', queue)
+      .on('change', queue)
+      .on('unlink', (fullPath) => {
+        const relPath = path.relative(root, fullPath);
+        this.pending.delete(relPath);
+        if (this.index?.files[relPath]) {
+          delete this.index.files[relPath];
+          this.scheduleSave();
+          this.sendStatus();
+        }
+      })
+      .on('error', (error) => console.warn('⚠️ Semantic index watcher error:', error.message));
+  }
+
+  // Split a file into overlapping line windows
+  chunkFile(relPath, content) {
+    const lines = content.split('\n');
+    const chunks = [];
+    const step = this.chunkLines - this.chunkOverlap;
+
+    for (let start = 0; start < lines.length; start += step) {
+      const end = Math.min(lines.length, start + this.chunkLines);
+      const text = lines.slice(start, end).join('\n');
+      if (text.trim().length > 0) {
+        chunks.push({
+          startLine: start + 1,
+          endLine: end,
+          text: text.substring(0, this.maxChunkChars)
+        });
+      }
+      if (end >= lines.length) break;
+    }
+
+    return chunks;
+  }
+
+  async readIndexableFile(relPath) {
+    const fullPath = path.join(this.root, relPath);
+    const stats = await fs.stat(fullPath).catch(() => null);
+    if (!stats || !stats.isFile() || stats.size > this.maxFileSize) {
+      return null;
+    }
+
+    const content = await fs.readFile(fullPath, 'utf8');
+    if (content.includes('\u0000')) return null; // binary file
+
+    return { stats, content };
+  }
+
+  // Embed queued files one at a time until the queue is empty or the model fails
+  async drain() {
+    if (this.isDraining || !this.root) return;
+    this.isDraining = true;
+    const root = this.root;
+    let relPath = null; // the file being embedded, put back in the queue if the model fails
+
+    try {
+      while (this.pending.size > 0 && this.root === root) {
+        relPath = this.pending.values().next().value;
+        this.pending.delete(relPath);
+
+        const file = await this.readIndexableFile(relPath);
+        if (this.root !== root) break;
+        if (!file) {
+          delete this.index.files[relPath];
+          continue;
+        }
+
+        const chunks = this.chunkFile(relPath, file.content);
+        for (let i = 0; i < chunks.length; i += this.batchSize) {
+          const batch = chunks.slice(i, i + this.batchSize);
+          const vectors = await modelProviders.embed({
+            model: this.model,
+            input: batch.map(chunk => `${relPath}\n${chunk.text}`)
+          });
+          batch.forEach((chunk, j) => {
+            chunk.vector = encodeVector(normalize(vectors[j] || []));
+          });
+        }
+
+        if (this.root !== root) break;
+        this.index.files[relPath] = { mtime: file.stats.mtimeMs, size: file.stats.size, chunks };
+        relPath = null;
+        this.lastError = null;
+        this.scheduleSave();
+        this.sendStatus();
+      }
+    } catch (error) {
+      console.error('❌ Semantic indexing stopped:', error.message);
+      if (relPath && this.root === root) {
+        this.pending.add(relPath);
+      }
+      this.lastError = `Embedding failed (${this.model}): ${error.message}`;
+      this.sendStatus();
+    } finally {
+      this.isDraining = false;
+    }
+  }
+
+  /**
+   * Return the top-k chunks most similar to the query
+   * @returns {Promise<Array>} [{ path, relPath, startLine, endLine, text, score }]
+   */
+  async search(query, options = {}) {
+    if (!this.index || !query || !query.trim()) {
+      return [];
+    }
+
+    const topK = options.topK || 5;
+    const minScore = options.minScore ?? 0;
+    const [queryVector] = await modelProviders.embed({ model: this.model, input: [query] });
+    const target = normalize(queryVector || []);
+
+    const results = [];
+    for (const [relPath, file] of Object.entries(this.index.files)) {
+      if (options.exclude && options.exclude.includes(path.join(this.root, relPath))) continue;
+
+      for (const chunk of file.chunks) {
+        if (!chunk.vector) continue;
+        if (!this.decoded.has(chunk)) {
+          this.decoded.set(chunk, decodeVector(chunk.vector));
+        }
+        const score = dot(target, this.decoded.get(chunk));
+        if (score < minScore) continue;
+        results.push({ relPath, chunk, score });
+      }
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+      .map(({ relPath, chunk, score }) => ({
+        path: path.join(this.root, relPath),
+        relPath,
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+        text: chunk.text,
+        score
+      }));
+  }
+}
+
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / length);
+}
+
+function dot(a, b) {
+  const length = Math.min(a.length, b.length);
+  let sum = 0;
+  for (let i = 0; i < length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+// Vectors are stored as base64 Float32 to keep the index file small
+function encodeVector(vector) {
+  return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+}
+
+function decodeVector(encoded) {
+  const buffer = Buffer.from(encoded, 'base64');
+  // Copy into a fresh ArrayBuffer; pooled Buffers are not always 4-byte aligned
+  return new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+}
+
+module.exports = SemanticIndex;
@@ -0,0 +1,376 @@
+/**
+ * Mithril AI IDE - Source Control
+ * Sidebar view over the local git repository of the current folder: changed
+ * files, staging, per-file diffs, commits with model-drafted messages,
+ * branch switching and history
+ */
+
+// ipcRenderer is already imported in ide-core.js which loads before this file
+
+class IDESourceControl {
+  constructor(ideCore) {
+    this.ideCore = ideCore;
+    this.status = null;
+    this.commits = [];
+    this.isRefreshing = false;
+    this.maxDiffChars = 12000; // staged diff sent to the model for a commit message
+    this.refreshTimer = null;
+
+    console.log('🌿 Source control initialized');
+  }
+
+  init() {
+    document.getElementById('scm-refresh-btn')?.addEventListener('click', () => this.refresh());
+    document.getElementById('scm-generate-btn')?.addEventListener('click', () => this.generateCommitMessage());
+    document.getElementById('scm-commit-btn')?.addEventListener('click', () => this.commit());
+    document.getElementById('scm-new-branch-btn')?.addEventListener('click', () => this.createBranch());
+
+    document.getElementById('scm-branch-select')?.addEventListener('change', (e) => {
+      const option = e.target.selectedOptions[0];
+      this.checkout(e.target.value, { track: option?.dataset.remote === 'true' });
+    });
+
+    document.getElementById('scm-commit-message')?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        this.commit();
+      }
+    });
+  }
+
+  get cwd() {
+    return this.status?.root || this.ideCore.currentFolder;
+  }
+
+  // Called when the Source Control view becomes visible
+  onShow() {
+    this.refresh();
+  }
+
+  // Debounced refresh for callers that fire often (saves, agent edits)
+  scheduleRefresh() {
+    if (!this.isVisible()) return;
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => this.refresh(), 500);
+  }
+
+  isVisible() {
+    return document.getElementById('source-control-view')?.classList.contains('active');
+  }
+
+  async refresh() {
+    if (this.isRefreshing) return;
+    const folder = this.ideCore.currentFolder;
+    if (!folder) {
+      this.status = null;
+      this.render();
+      return;
+    }
+
+    this.isRefreshing = true;
+    try {
+      const result = await ipcRenderer.invoke('git:status', folder);
+      if (!result.success) {
+        this.renderError(result.error);
+        return;
+      }
+      this.status = result.status;
+
+      if (this.status.isRepo) {
+        const [branches, log] = await Promise.all([
+          ipcRenderer.invoke('git:branches', this.cwd),
+          ipcRenderer.invoke('git:log', this.cwd, { limit: 30 })
+        ]);
+        this.status.branches = branches.branches;
+        this.commits = log.commits;
+      }
+      this.render();
+    } finally {
+      this.isRefreshing = false;
+    }
+  }
+
+  renderError(message) {
+    const container = document.getElementById('scm-changes');
+    if (container) {
+      container.innerHTML = `<div class="scm-empty error">${this.ideCore.escapeHtml(message)}</div>`;
+    }
+  }
+
+  render() {
+    const container = document.getElementById('scm-changes');
+    const controls = document.getElementById('scm-controls');
+    if (!container) return;
+
+    if (!this.ideCore.currentFolder || !this.status?.isRepo) {
+      if (controls) controls.style.display = 'none';
+      container.innerHTML = `<div class="scm-empty">${this.ideCore.currentFolder ? 'The open folder is not a git repository' : 'No folder open'}</div>`;
+      return;
+    }
+    if (controls) controls.style.display = '';
+
+    this.renderBranches();
+
+    const staged = this.status.files.filter(file => file.staged);
+    const unstaged = this.status.files.filter(file => file.unstaged);
+
+    container.innerHTML = `
+      ${this.renderSection('Staged Changes', staged, true)}
+      ${this.renderSection('Changes', unstaged, false)}
+      ${staged.length === 0 && unstaged.length === 0 ? '<div class="scm-empty">No changes</div>' : ''}
+      <div class="scm-section">
+        <div class="scm-section-header"><span>History</span></div>
+        ${this.commits.length === 0 ? '<div class="scm-empty">No commits yet</div>' : this.commits.map(commit => `
+          <div class="scm-commit" data-hash="${commit.hash}" title="${this.escapeAttr(`${commit.author} · ${new Date(commit.date).toLocaleString()}`)}">
+            <span class="scm-commit-hash">${commit.shortHash}</span>
+            <span class="scm-commit-subject">${this.ideCore.escapeHtml(commit.subject)}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+
+    if (window.lucide) {
+      lucide.createIcons();
+    }
+
+    container.querySelectorAll('.scm-file').forEach(row => {
+      const filePath = row.dataset.path;
+      const staged = row.dataset.staged === 'true';
+
+      row.addEventListener('click', () => this.openDiff(filePath, { staged }));
+      row.querySelector('.scm-file-action')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        staged ? this.unstage([filePath]) : this.stage([filePath]);
+      });
+    });
+
+    container.querySelectorAll('.scm-section-action').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const paths = (btn.dataset.staged === 'true' ? staged : unstaged).map(file => file.path);
+        btn.dataset.staged === 'true' ? this.unstage(paths) : this.stage(paths);
+      });
+    });
+
+    container.querySelectorAll('.scm-commit').forEach(row => {
+      row.addEventListener('click', () => this.showCommit(row.dataset.hash));
+    });
+  }
+
+  renderSection(title, files, staged) {
+    if (files.length === 0) return '';
+
+    return `
+      <div class="scm-section">
+        <div class="scm-section-header">
+          <span>${title} <span class="scm-count">${files.length}</span></span>
+          <button class="scm-section-action" data-staged="${staged}" title="${staged ? 'Unstage All' : 'Stage All'}">
+            <i data-lucide="${staged ? 'minus' : 'plus'}"></i>
+          </button>
+        </div>
+        ${files.map(file => {
+          const letter = staged ? file.index : (file.worktree === '?' ? 'U' : file.worktree);
+          return `
+            <div class="scm-file" data-path="${this.escapeAttr(file.path)}" data-staged="${staged}" title="${this.escapeAttr(`${file.path} (${file.label})`)}">
+              <span class="scm-file-name">${this.ideCore.escapeHtml(pathUtils.basename(file.path))}</span>
+              <span class="scm-file-dir">${this.ideCore.escapeHtml(file.path.includes('/') ? pathUtils.dirname(file.path) : '')}</span>
+              <button class="scm-file-action" title="${staged ? 'Unstage' : 'Stage'}">
+                <i data-lucide="${staged ? 'minus' : 'plus'}"></i>
+              </button>
+              <span class="scm-file-status status-${letter === '?' ? 'U' : letter}">${letter}</span>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  renderBranches() {
+    const select = document.getElementById('scm-branch-select');
+    if (!select) return;
+
+    const branches = this.status.branches || [];
+    const current = this.status.branch;
+    const local = branches.filter(branch => !branch.remote);
+    const remote = branches.filter(branch => branch.remote &&
+      !local.some(l => branch.name.endsWith(`/${l.name}`)));
+
+    select.innerHTML = `
+      ${current ? '' : '<option value="" selected>(detached HEAD)</option>'}
+      ${local.map(branch => `<option value="${this.escapeAttr(branch.name)}" ${branch.name === current ? 'selected' : ''}>${this.ideCore.escapeHtml(branch.name)}</option>`).join('')}
+      ${remote.length > 0 ? `<optgroup label="Remote">
+        ${remote.map(branch => `<option value="${this.escapeAttr(branch.name)}" data-remote="true">${this.ideCore.escapeHtml(branch.name)}</option>`).join('')}
+      </optgroup>` : ''}
+    `;
+
+    // Branches that don't exist yet (no commits) aren't listed by for-each-ref
+    if (current && !local.some(branch => branch.name === current)) {
+      select.insertAdjacentHTML('afterbegin', `<option value="${this.escapeAttr(current)}" selected>${this.ideCore.escapeHtml(current)}</option>`);
+    }
+
+    const sync = document.getElementById('scm-sync-status');
+    if (sync) {
+      sync.textContent = this.status.upstream
+        ? `${this.status.ahead ? `↑${this.status.ahead} ` : ''}${this.status.behind ? `↓${this.status.behind}` : ''}`.trim()
+        : '';
+    }
+  }
+
+  escapeAttr(text) {
+    return this.ideCore.escapeHtml(text || '').replace(/"/g, '&quot;');
+  }
+
+  notify(message, type = 'info') {
+    this.ideCore.ideAIManager?.showNotification(message, type);
+  }
+
+  async stage(paths) {
+    const result = await ipcRenderer.invoke('git:stage', this.cwd, paths);
+    if (!result.success) this.notify(`Stage failed: ${result.error}`, 'error');
+    await this.refresh();
+  }
+
+  async unstage(paths) {
+    const result = await ipcRenderer.invoke('git:unstage', this.cwd, paths);
+    if (!result.success) this.notify(`Unstage failed: ${result.error}`, 'error');
+    await this.refresh();
+  }
+
+  async openDiff(filePath, options = {}) {
+    const result = await ipcRenderer.invoke('git:diff', this.cwd, filePath, { staged: options.staged });
+    if (!result.success) {
+      this.notify(`Diff failed: ${result.error}`, 'error');
+      return;
+    }
+
+    const label = options.staged ? 'staged' : 'working tree';
+    await this.ideCore.ideAIManager?.openReadOnlyDocument(
+      `git-diff:${options.staged ? 'staged' : 'worktree'}:${filePath}`,
+      `${pathUtils.basename(filePath)} (${label})`,
+      result.diff || 'No differences',
+      'diff'
+    );
+  }
+
+  async showCommit(hash) {
+    const result = await ipcRenderer.invoke('git:show', this.cwd, hash);
+    if (!result.success) {
+      this.notify(`Could not show commit: ${result.error}`, 'error');
+      return;
+    }
+    await this.ideCore.ideAIManager?.openReadOnlyDocument(`git-commit:${hash}`, `commit ${hash.substring(0, 7)}`, result.output, 'diff');
+  }
+
+  async checkout(branch, options = {}) {
+    if (!branch || branch === this.status?.branch) return;
+
+    const result = await ipcRenderer.invoke('git:checkout', this.cwd, branch, options);
+    if (result.success) {
+      this.notify(`Switched to ${branch}`, 'success');
+      // Files on disk changed; reload the tree so the explorer and editors match the branch
+      await this.ideCore.loadFileTree();
+    } else {
+      this.notify(`Checkout failed: ${result.error}`, 'error');
+    }
+    await this.refresh();
+  }
+
+  async createBranch() {
+    const name = await this.ideCore.showInputDialog('Create New Branch', 'Enter branch name:');
+    if (!name || !name.trim()) return;
+
+    const result = await ipcRenderer.invoke('git:checkout', this.cwd, name.trim(), { create: true });
+    if (!result.success) {
+      this.notify(`Could not create branch: ${result.error}`, 'error');
+    }
+    await this.refresh();
+  }
+
+  async commit() {
+    const messageInput = document.getElementById('scm-commit-message');
+    const message = messageInput?.value.trim();
+    if (!message) {
+      this.notify('Enter a commit message first', 'info');
+      messageInput?.focus();
+      return;
+    }
+    if (!this.status?.files.some(file => file.staged)) {
+      this.notify('No staged changes to commit', 'info');
+      return;
+    }
+
+    const result = await ipcRenderer.invoke('git:commit', this.cwd, message);
+    if (result.success) {
+      messageInput.value = '';
+      this.notify('Committed', 'success');
+    } else {
+      this.notify(`Commit failed: ${result.error}`, 'error');
+    }
+    await this.refresh();
+  }
+
+  /**
+   * Draft a commit message from the staged diff with the selected model
+   */
+  async generateCommitMessage() {
+    const model = this.ideCore.selectedModel;
+    const messageInput = document.getElementById('scm-commit-message');
+    const button = document.getElementById('scm-generate-btn');
+    if (!model) {
+      this.notify('Select a model first', 'info');
+      return;
+    }
+
+    const result = await ipcRenderer.invoke('git:diff', this.cwd, '', { staged: true });
+    if (!result.success || !result.diff.trim()) {
+      this.notify(result.success ? 'Stage some changes first' : `Diff failed: ${result.error}`, 'info');
+      return;
+    }
+
+    let diff = result.diff;
+    if (diff.length > this.maxDiffChars) {
+      diff = diff.substring(0, this.maxDiffChars) + '\n[... diff truncated ...]';
+    }
+
+    const prompt = `Write a git commit message for the staged changes below.
+
+Rules:
+- First line: imperative summary, at most 72 characters, no trailing period
+- If the change needs explaining, add a blank line and a short body wrapped at 72 characters
+- Describe what changed and why, not how the diff looks
+- Output only the commit message, no quotes or code fences
+
+Staged diff:
+${diff}`;
+
+    button?.classList.add('loading');
+    if (button) button.disabled = true;
+    try {
+      const response = await ipcRenderer.invoke('ollama:generate', {
+        model,
+        prompt,
+        ...this.ideCore.getRoleOptions('chat'),
+        maxTokens: 300
+      });
+      const message = (response.response || '')
+        .replace(/^```[a-z]*\n?|```$/gm, '')
+        .replace(/^["']|["']$/g, '')
+        .trim();
+      if (message && messageInput) {
+        messageInput.value = message;
+        messageInput.focus();
+      }
+    } catch (error) {
+      this.notify(`Could not generate message: ${error.message}`, 'error');
+    } finally {
+      button?.classList.remove('loading');
+      if (button) button.disabled = false;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IDESourceControl;
+} else {
+  window.IDESourceControl = IDESourceControl;
+}
@@ -0,0 +1,456 @@
+/**
+ * Mithril AI IDE - Structured Output
+ * JSON-schema constrained model calls for intent detection and planning. The
+ * schema is sent as the provider's `format`, the reply is validated against
+ * it, and a reply that fails gets one repair prompt listing the problems.
+ * Parse and schema failure counts per call feed the diagnostics view in Settings.
+ */
+
+// ipcRenderer is already imported in ide-core.js which loads before this file
+
+// Tools intent detection picks from, and the subset a planned step may use
+const INTENT_TOOLS = [
+  'chat_response',
+  'read_file',
+  'edit_file',
+  'create_file',
+  'create_folder',
+  'analyze_code',
+  'explain_code',
+  'refactor_code',
+  'fix_issues',
+  'optimize_code',
+  'edit_project',
+  'run_command'
+];
+const PLAN_TOOLS = ['create_file', 'edit_file', 'run_command', 'create_folder', 'chat_response', 'analyze_code', 'explain_code', 'fix_issues', 'optimize_code'];
+
+const STRUCTURED_STATS_KEY = 'structured-output-stats';
+const STRUCTURED_FAILURES_KEY = 'structured-output-failures';
+const MAX_STRUCTURED_FAILURES = 20;
+const MAX_REPLY_IN_REPAIR = 2000;
+
+class IDEStructuredOutput {
+  constructor(ideCore) {
+    this.ideCore = ideCore;
+    this.maxRepairs = 1;
+    this.stats = this.readStorage(STRUCTURED_STATS_KEY, {});
+    this.failures = this.readStorage(STRUCTURED_FAILURES_KEY, []);
+
+    console.log('🧾 Structured output initialized');
+  }
+
+  static get intentTools() {
+    return INTENT_TOOLS;
+  }
+
+  static get planTools() {
+    return PLAN_TOOLS;
+  }
+
+  // Schemas
+
+  static intentSchema(tools) {
+    return {
+      type: 'object',
+      properties: {
+        intent: { type: 'string' },
+        tool: { type: 'string', enum: tools },
+        target: { type: 'string', enum: ['selection', 'file', 'chat'] },
+        confidence: { type: 'number', minimum: 0, maximum: 1 }
+      },
+      required: ['intent', 'tool', 'target', 'confidence'],
+      additionalProperties: false
+    };
+  }
+
+  static todoClassifierSchema() {
+    return {
+      type: 'object',
+      properties: {
+        needs_todo: { type: 'boolean' },
+        reason: { type: 'string' },
+        estimated_steps: { type: 'integer', minimum: 0 }
+      },
+      required: ['needs_todo', 'reason'],
+      additionalProperties: false
+    };
+  }
+
+  static todoListSchema(tools) {
+    return {
+      type: 'object',
+      properties: {
+        todos: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              tool: { type: 'string', enum: tools },
+              content: { type: 'string', minLength: 1 }
+            },
+            required: ['tool', 'content'],
+            additionalProperties: false
+          }
+        }
+      },
+      required: ['todos'],
+      additionalProperties: false
+    };
+  }
+
+  // Prompts (shared with the headless agent)
+
+  /**
+   * System prompt for intent detection
+   * @param {Object} options - { tools, contextInfo, userMessage, target } where
+   *   contextInfo lists what is open in the IDE and target is the default target
+   */
+  static intentPrompt({ tools, contextInfo, userMessage, target }) {
+    return `You are an intent detection system for an AI IDE. Analyze the user's request and respond with JSON.
+
+${contextInfo}
+
+Available tools: ${tools.join(', ')}
+
+User message: "${userMessage}"
+
+CRITICAL RULES FOR INTENT DETECTION:
+
+1. **COMMAND EXECUTION - HIGHEST PRIORITY**: If user wants to execute ANY terminal/shell command:
+   - Use "run_command" for: "install [package]", "pip install", "npm install", "yarn add"
+   - Use "run_command" for: "curl", "wget", "git clone", "git push", "git pull"
+   - Use "run_command" for: "run the app", "start the app", "launch", "serve"
+   - Use "run_command" for: "docker run", "docker build", "make", "cmake"
+   - Use "run_command" for: "python", "node", "java", "go run", "cargo run"
+   - Use "run_command" for: "cd", "ls", "mkdir", "cp", "mv", ANY shell command
+   - CRITICAL: If message contains executable commands, package managers, or system tools → "run_command"
+
+2. **FILE READING/ANALYSIS**: If user asks about file content with phrases like "what is in this file", "show me this file", "what does this file contain", "tell me about this file":
+   - Use "read_file" to read and display the current file content
+   - This applies when a file is open and user wants to see/understand its contents
+
+3. **SELECTION CONTEXT PRIORITY**: If text is selected AND user uses contextual words like "this", "these", "that", "the selected", etc., they are referring to the selected text:
+   - Use "refactor_code" for: "refactor this", "improve these", "clean this up"
+   - Use "fix_issues" for: "fix this", "fix these errors", "debug this"
+   - Use "optimize_code" for: "optimize this", "make this faster", "improve performance"
+   - Use "edit_file" for: "change this", "make this red", "update these colors", "modify this"
+
+4. **FILE CONTEXT**: If a file is open but no selection, and user wants to modify the file:
+   - Use "edit_file" for file-wide changes like "make this file pink theme", "update the colors"
+
+5. **SPECIFIC OVERRIDES**:
+   - Color/theme changes to selected text → "edit_file" with target "selection"  
+   - Code improvements to selected text → "refactor_code"
+   - Bug fixes to selected text → "fix_issues"
+   - Performance improvements → "optimize_code"
+   - Questions about code → "chat_response"
+
+6. **MULTI-FILE CHANGES**: If the request needs changes in more than one file, or renaming, moving or deleting files:
+   - Use "edit_project" for: "rename this function everywhere", "move X into its own module", "split this file", "add a feature across the frontend and backend", "delete the unused helpers"
+
+7. **FALLBACK**: If unclear, but file is open → "edit_file"
+
+Respond with JSON only:
+{
+  "intent": "Brief description",
+  "tool": "tool_name",
+  "target": "${target}",
+  "confidence": 0.9
+}
+
+Tool selection rules:
+- File content reading/display → "read_file"
+- Code questions/explanations → "chat_response"
+- File editing/modification (including colors, themes, styling) → "edit_file" 
+- Changes spanning several files, or renaming/moving/deleting files → "edit_project"
+- New file creation → "create_file"
+- New folder/directory creation → "create_folder"
+- Code analysis → "analyze_code"
+- Code explanation → "explain_code"
+- Code refactoring/improvement → "refactor_code"
+- Bug fixing → "fix_issues"
+- Performance optimization → "optimize_code"`;
+  }
+
+  static todoClassifierPrompt() {
+    return `You are a planning classifier for an IDE. Decide if the user's request requires
+creating a TODO list of multiple steps, versus a single direct action.
+
+Return strict JSON only:
+{ "needs_todo": true|false, "reason": "short reason", "estimated_steps": number }`;
+  }
+
+  static plannerPrompt(tools) {
+    return `You are a senior software engineer planning concrete execution steps for an IDE.
+Create a minimal set of steps to fully accomplish the user's request. Use as many steps as
+necessary, and as few as possible. Use a separate step for EACH file to create and EACH
+shell command to run.
+
+Allowed tools (tool MUST be EXACTLY one of these literals, never combined, no pipes or slashes):
+${tools.join(', ')}.
+
+For create_file steps: the content must clearly state the exact file path and a brief description of what content will be generated (the IDE will generate the content later with full context).
+
+Respond with STRICT JSON only in the following format (no extra keys, no comments). The tool field must be one exact literal as listed above:
+{ "todos": [ { "tool": "${tools.join('|')}", "content": "short imperative instruction" } ] }`;
+  }
+
+  // Parsing and validation (no DOM, also used by the headless agent)
+
+  /**
+   * Parse a model reply, tolerating code fences and text around the object
+   * @returns {Object} { value } or { error }
+   */
+  static parse(raw) {
+    const text = String(raw || '').replace(/```json|```/g, '').trim();
+    try {
+      return { value: JSON.parse(text) };
+    } catch (error) {
+      // Fall back to the first balanced object in the reply
+      const start = text.indexOf('{');
+      if (start !== -1) {
+        let depth = 0;
+        let inString = false;
+        for (let i = start; i < text.length; i++) {
+          const ch = text[i];
+          if (inString) {
+            if (ch === '\\') i++;
+            else if (ch === '"') inString = false;
+          } else if (ch === '"') {
+            inString = true;
+          } else if (ch === '{') {
+            depth++;
+          } else if (ch === '}' && --depth === 0) {
+            try {
+              return { value: JSON.parse(text.substring(start, i + 1)) };
+            } catch (innerError) {
+              break;
+            }
+          }
+        }
+      }
+      return { error: text ? `Reply is not valid JSON: ${error.message}` : 'Reply was empty' };
+    }
+  }
+
+  /**
+   * Check a value against the JSON-schema subset the IDE's schemas use: type,
+   * properties, required, additionalProperties: false, enum, items, minItems,
+   * minLength, minimum, maximum
+   * @returns {string[]} one message per problem, empty when valid
+   */
+  static validate(value, schema, at = '$') {
+    const errors = [];
+    const typeOf = (v) => Array.isArray(v) ? 'array' : (v === null ? 'null' : typeof v);
+
+    if (schema.type) {
+      const actual = typeOf(value);
+      const matches = schema.type === 'integer'
+        ? Number.isInteger(value)
+        : actual === schema.type;
+      if (!matches) {
+        errors.push(`${at}: expected ${schema.type}, got ${actual}`);
+        return errors;
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+    if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${at}: must not be empty`);
+    }
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be at least ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be at most ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${at}: needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => errors.push(...IDEStructuredOutput.validate(item, schema.items, `${at}[${index}]`)));
+      }
+    } else if (value && typeof value === 'object') {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) errors.push(`${at}.${key}: is required`);
+      }
+      if (schema.additionalProperties === false) {
+        for (const key of Object.keys(value)) {
+          if (!(key in (schema.properties || {}))) errors.push(`${at}.${key}: is not allowed`);
+        }
+      }
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        if (value[key] !== undefined) {
+          errors.push(...IDEStructuredOutput.validate(value[key], propertySchema, `${at}.${key}`));
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  // Instructions appended to the original prompt when a reply fails validation
+  static repairPrompt(raw, problems, schema) {
+    const reply = String(raw || '');
+    return `YOUR PREVIOUS REPLY DID NOT MATCH THE REQUIRED JSON FORMAT.
+PROBLEMS:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+PREVIOUS REPLY:
+${reply.length > MAX_REPLY_IN_REPAIR ? `${reply.substring(0, MAX_REPLY_IN_REPAIR)}...` : reply || '(empty)'}
+
+REQUIRED JSON SCHEMA:
+${JSON.stringify(schema)}
+
+Reply with the corrected JSON object only.`;
+  }
+
+  /**
+   * Generate, parse and validate one structured reply
+   * @param {string} name - Call name for the diagnostics ('intent', 'planner', ...)
+   * @param {Object} request - { model, prompt, systemPrompt, schema, role }
+   * @returns {Promise<Object>} the validated value
+   * @throws {Error} when the reply still fails after the repair attempts
+   */
+  async generate(name, { model, prompt, systemPrompt, schema, role }) {
+    let raw = await this.ideCore.generateWithModel(model, prompt, systemPrompt, { role, format: schema });
+    let { value, problems, kind } = this.check(raw, schema);
+    const firstKind = kind;
+
+    for (let attempt = 1; problems.length > 0 && attempt <= this.maxRepairs; attempt++) {
+      console.warn(`🧾 ${name} reply failed ${kind} check, repairing:`, problems);
+      const repair = IDEStructuredOutput.repairPrompt(raw, problems, schema);
+      raw = await this.ideCore.generateWithModel(model, `${prompt}\n\n${repair}`, systemPrompt, { role, format: schema });
+      ({ value, problems, kind } = this.check(raw, schema));
+    }
+
+    this.record(name, firstKind, problems.length === 0, { raw, problems });
+    if (problems.length > 0) {
+      throw new Error(`${name} reply failed ${kind} check: ${problems.join('; ')}`);
+    }
+    return value;
+  }
+
+  // kind: 'valid', 'parse' or 'schema'
+  check(raw, schema) {
+    const parsed = IDEStructuredOutput.parse(raw);
+    if (parsed.error) {
+      return { value: null, problems: [parsed.error], kind: 'parse' };
+    }
+    const problems = IDEStructuredOutput.validate(parsed.value, schema);
+    return { value: parsed.value, problems, kind: problems.length > 0 ? 'schema' : 'valid' };
+  }
+
+  // Diagnostics
+
+  record(name, firstKind, succeeded, detail) {
+    const stats = this.stats[name] || { calls: 0, parseFailures: 0, schemaFailures: 0, repaired: 0, failed: 0 };
+    stats.calls++;
+    if (firstKind === 'parse') stats.parseFailures++;
+    if (firstKind === 'schema') stats.schemaFailures++;
+    if (firstKind !== 'valid') {
+      if (succeeded) stats.repaired++;
+      else stats.failed++;
+
+      this.failures.unshift({
+        call: name,
+        time: new Date().toISOString(),
+        kind: firstKind,
+        repaired: succeeded,
+        problems: detail.problems,
+        reply: String(detail.raw || '').substring(0, 500)
+      });
+      this.failures = this.failures.slice(0, MAX_STRUCTURED_FAILURES);
+      this.writeStorage(STRUCTURED_FAILURES_KEY, this.failures);
+    }
+    this.stats[name] = stats;
+    this.writeStorage(STRUCTURED_STATS_KEY, this.stats);
+
+    if (typeof document !== 'undefined' && document.getElementById('settings-modal')?.style.display === 'flex') {
+      this.renderDiagnostics();
+    }
+  }
+
+  readStorage(key, fallback) {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || fallback;
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  writeStorage(key, value) {
+    // localStorage is missing when the headless agent (dlemma CLI) makes the calls
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+
+  resetStats() {
+    this.stats = {};
+    this.failures = [];
+    localStorage.removeItem(STRUCTURED_STATS_KEY);
+    localStorage.removeItem(STRUCTURED_FAILURES_KEY);
+    this.renderDiagnostics();
+  }
+
+  init() {
+    document.getElementById('structured-output-failures-btn')?.addEventListener('click', () => this.showFailures());
+    document.getElementById('structured-output-reset-btn')?.addEventListener('click', () => this.resetStats());
+    this.renderDiagnostics();
+  }
+
+  renderDiagnostics() {
+    const container = document.getElementById('structured-output-diagnostics');
+    if (!container) return;
+
+    const entries = Object.entries(this.stats);
+    if (entries.length === 0) {
+      container.innerHTML = '<span class="provider-empty">No structured calls yet</span>';
+      return;
+    }
+
+    const percent = (count, total) => total ? `${Math.round((count / total) * 100)}%` : '-';
+    container.innerHTML = `
+      <table class="structured-output-table">
+        <thead>
+          <tr><th>Call</th><th>Calls</th><th title="First reply was not JSON">Parse fail</th><th title="First reply did not match the schema">Schema fail</th><th title="Fixed by the repair prompt">Repaired</th><th title="Fell back to the default">Failed</th></tr>
+        </thead>
+        <tbody>
+          ${entries.map(([name, stats]) => `
+            <tr>
+              <td>${this.ideCore.escapeHtml(name)}</td>
+              <td>${stats.calls}</td>
+              <td>${percent(stats.parseFailures, stats.calls)}</td>
+              <td>${percent(stats.schemaFailures, stats.calls)}</td>
+              <td>${stats.repaired}</td>
+              <td>${percent(stats.failed, stats.calls)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  async showFailures() {
+    const content = this.failures.length === 0
+      ? 'No structured output failures recorded.'
+      : this.failures.map(failure => [
+        `${failure.time}  ${failure.call}  ${failure.kind} failure, ${failure.repaired ? 'repaired' : 'not repaired'}`,
+        ...failure.problems.map(problem => `  - ${problem}`),
+        `  reply: ${failure.reply.replace(/\n/g, '\n         ')}`
+      ].join('\n')).join('\n\n');
+
+    await this.ideCore.ideAIManager?.openReadOnlyDocument('structured-output:failures', 'Structured Output Failures', content, 'text');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IDEStructuredOutput;
+} else {
+  window.IDEStructuredOutput = IDEStructuredOutput;
+}
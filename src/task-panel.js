@@ -0,0 +1,225 @@
+/**
+ * Mithril AI IDE - Tasks Panel
+ * Sidebar view of the tasks the workspace defines (package.json scripts,
+ * Makefile targets, pyproject.toml / Poetry scripts, tasks.json). Each run gets
+ * its own terminal tab; the panel shows whether it is running and its exit code.
+ * The agent runs the same tasks through the run_task tool.
+ */
+
+// ipcRenderer is already imported in ide-core.js which loads before this file
+
+const TASK_SOURCE_LABELS = {
+  'tasks.json': 'tasks.json',
+  npm: 'package.json',
+  make: 'Makefile',
+  python: 'pyproject.toml'
+};
+
+class IDETaskPanel {
+  constructor(ideCore) {
+    this.ideCore = ideCore;
+    this.tasks = [];
+    this.runs = new Map(); // task id -> last run { taskId, terminalId, status, exitCode, ... }
+    this.root = null; // workspace the task list belongs to
+    this.isRefreshing = false;
+
+    ipcRenderer.on('tasks:status', (event, run) => this.onStatus(run));
+
+    console.log('📋 Tasks panel initialized');
+  }
+
+  init() {
+    document.getElementById('tasks-refresh-btn')?.addEventListener('click', () => this.refresh());
+  }
+
+  // Called when the Tasks view becomes visible
+  onShow() {
+    this.refresh();
+  }
+
+  isVisible() {
+    return document.getElementById('tasks-view')?.classList.contains('active');
+  }
+
+  setWorkspace(folder) {
+    if (folder === this.root) return;
+    this.root = folder;
+    this.tasks = [];
+    this.runs.clear();
+    if (this.isVisible()) {
+      this.refresh();
+    }
+  }
+
+  async refresh() {
+    if (this.isRefreshing) return;
+    this.isRefreshing = true;
+    try {
+      const root = this.ideCore.currentFolder;
+      const result = await ipcRenderer.invoke('tasks:discover', root);
+      this.root = root;
+      if (!result.success) {
+        this.tasks = [];
+        this.render(result.error);
+        return;
+      }
+      this.tasks = result.tasks;
+      result.runs.forEach(run => this.runs.set(run.taskId, run));
+      this.render();
+    } finally {
+      this.isRefreshing = false;
+    }
+  }
+
+  // Task list for callers that need it even when the panel was never opened (the agent)
+  async getTasks() {
+    if (this.tasks.length === 0 || this.root !== this.ideCore.currentFolder) {
+      await this.refresh();
+    }
+    return this.tasks;
+  }
+
+  onStatus(run) {
+    const previous = this.runs.get(run.taskId);
+    this.runs.set(run.taskId, run);
+    this.render();
+
+    if (previous?.status === 'running' && run.status !== 'running') {
+      this.collectProblems(run);
+      const notify = this.ideCore.ideAIManager?.showNotification.bind(this.ideCore.ideAIManager);
+      if (run.status === 'succeeded') {
+        notify?.(`Task ${run.name} finished`, 'success');
+      } else {
+        notify?.(`Task ${run.name} failed with exit code ${run.exitCode}`, 'error');
+      }
+    }
+  }
+
+  // Run the task's problem matchers (or all enabled ones) over its whole output
+  async collectProblems(run) {
+    const problems = this.ideCore.problems;
+    if (!problems) return;
+
+    const result = await ipcRenderer.invoke('tasks:wait', run.taskId, 0, Number.MAX_SAFE_INTEGER);
+    if (!result.success) return;
+    const task = this.tasks.find(entry => entry.id === run.taskId);
+    problems.collect(`task:${run.taskId}`, result.output, {
+      cwd: task?.cwd || this.root,
+      label: `Task ${run.name}`,
+      problemMatcher: task?.problemMatcher
+    });
+  }
+
+  render(error) {
+    const container = document.getElementById('task-list');
+    if (!container) return;
+
+    if (!this.ideCore.currentFolder) {
+      container.innerHTML = '<div class="scm-empty">No folder open</div>';
+      return;
+    }
+    if (error) {
+      container.innerHTML = `<div class="scm-empty error">${this.ideCore.escapeHtml(error)}</div>`;
+      return;
+    }
+    if (this.tasks.length === 0) {
+      container.innerHTML = '<div class="scm-empty">No tasks found. Tasks come from package.json scripts, Makefile targets, pyproject.toml scripts and tasks.json.</div>';
+      return;
+    }
+
+    const escape = (text) => this.ideCore.escapeHtml(String(text || ''));
+    const sources = [...new Set(this.tasks.map(task => task.source))];
+    container.innerHTML = sources.map(source => `
+      <div class="task-group">
+        <div class="task-group-header">${escape(TASK_SOURCE_LABELS[source] || source)}</div>
+        ${this.tasks.filter(task => task.source === source).map(task => {
+          const run = this.runs.get(task.id);
+          const status = run?.status || 'idle';
+          const running = status === 'running';
+          return `
+            <div class="task-item status-${status}" data-id="${escape(task.id).replace(/"/g, '&quot;')}" title="${escape(task.detail).replace(/"/g, '&quot;')}">
+              <span class="task-status" title="${this.statusText(run)}"></span>
+              <div class="task-info">
+                <span class="task-name">${escape(task.name)}</span>
+                <span class="task-meta">${escape(task.command)}${run && !running ? ` · exit ${run.exitCode}` : ''}</span>
+              </div>
+              <button class="task-action" title="${running ? 'Stop' : 'Run'}">
+                <i data-lucide="${running ? 'square' : 'play'}"></i>
+              </button>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `).join('');
+
+    if (window.lucide) {
+      lucide.createIcons();
+    }
+
+    container.querySelectorAll('.task-item').forEach(item => {
+      const taskId = item.dataset.id;
+      item.addEventListener('click', () => this.showTerminal(taskId));
+      item.querySelector('.task-action').addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (this.runs.get(taskId)?.status === 'running') {
+          this.stop(taskId);
+        } else {
+          this.run(taskId);
+        }
+      });
+    });
+  }
+
+  statusText(run) {
+    if (!run) return 'Not run yet';
+    if (run.status === 'running') return `Running since ${new Date(run.startedAt).toLocaleTimeString()}`;
+    return `${run.status === 'succeeded' ? 'Succeeded' : 'Failed'} with exit code ${run.exitCode} at ${new Date(run.finishedAt).toLocaleTimeString()}`;
+  }
+
+  /**
+   * Run a task in a new terminal tab
+   * @param {Object} options - { source: 'task' | 'agent' } for the command policy
+   * @returns {Promise<Object>} the tasks:run result
+   */
+  async run(taskId, options = {}) {
+    const result = await ipcRenderer.invoke('tasks:run', this.ideCore.currentFolder, taskId, { source: options.source || 'task' });
+    if (!result.success) {
+      if (!result.denied) {
+        this.ideCore.ideAIManager?.showNotification(`Could not run task: ${result.error}`, 'error');
+      }
+      return result;
+    }
+
+    this.runs.set(taskId, result.run);
+    this.render();
+    window.realTerminalUI?.openTerminal({
+      id: result.run.terminalId,
+      title: `${taskId.split(':')[0]}: ${result.run.name}`,
+      task: { command: result.run.command }
+    });
+    return result;
+  }
+
+  async stop(taskId) {
+    const result = await ipcRenderer.invoke('tasks:stop', taskId);
+    if (!result.success) {
+      this.ideCore.ideAIManager?.showNotification(`Could not stop task: ${result.error}`, 'warning');
+    }
+    return result;
+  }
+
+  showTerminal(taskId) {
+    const run = this.runs.get(taskId);
+    if (run?.terminalId && window.realTerminalUI?.terminals.has(run.terminalId)) {
+      window.realTerminalUI.switchToTerminal(run.terminalId);
+      this.ideCore.ideTerminalManager?.showTerminal();
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IDETaskPanel;
+} else {
+  window.IDETaskPanel = IDETaskPanel;
+}
@@ -0,0 +1,407 @@
+/**
+ * Mithril AI IDE - Task Runner
+ * Finds the tasks a workspace defines (package.json scripts, Makefile targets,
+ * pyproject.toml / Poetry scripts and tasks.json) and runs each in its own pty
+ * terminal, tracking status and exit code. Runs go through the command policy.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const MAX_MAKE_TARGETS = 60;
+const DEFAULT_TASK_WAIT_MS = 120000;
+
+// Task files, in the order their tasks are listed
+const TASK_SOURCES = ['tasks.json', 'npm', 'make', 'python'];
+
+class TaskRunner {
+  constructor(terminalManager, commandPolicy) {
+    this.terminalManager = terminalManager;
+    this.commandPolicy = commandPolicy;
+    this.tasks = new Map(); // task id -> task, from the last discovery
+    this.runs = new Map(); // task id -> { taskId, terminalId, status, exitCode, startedAt, finishedAt, scrollback, done }
+    this.root = null;
+
+    console.log('📋 Task runner initialized');
+  }
+
+  setRenderer(webContents) {
+    this.webContents = webContents;
+  }
+
+  sendToRenderer(event, data) {
+    if (this.webContents && !this.webContents.isDestroyed()) {
+      this.webContents.send(event, data);
+    }
+  }
+
+  // Discovery
+
+  /**
+   * All tasks of a workspace
+   * @returns {Promise<Object[]>} [{ id, source, name, command, cwd, detail }]
+   */
+  async discover(root) {
+    if (!root) {
+      this.tasks.clear();
+      return [];
+    }
+    this.root = root;
+
+    const finders = {
+      'tasks.json': () => this.findWorkspaceTasks(root),
+      npm: () => this.findPackageScripts(root),
+      make: () => this.findMakeTargets(root),
+      python: () => this.findPyprojectScripts(root)
+    };
+
+    const tasks = [];
+    for (const source of TASK_SOURCES) {
+      try {
+        tasks.push(...await finders[source]());
+      } catch (error) {
+        console.warn(`⚠️ Could not read ${source} tasks:`, error.message);
+      }
+    }
+
+    this.tasks = new Map(tasks.map(task => [task.id, task]));
+    return tasks;
+  }
+
+  async readText(filePath) {
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async findPackageScripts(root) {
+    const text = await this.readText(path.join(root, 'package.json'));
+    if (text === null) return [];
+
+    const scripts = JSON.parse(text).scripts || {};
+    const runner = await this.detectPackageManager(root);
+    return Object.entries(scripts)
+      .filter(([, script]) => typeof script === 'string')
+      .map(([name, script]) => ({
+        id: `npm:${name}`,
+        source: 'npm',
+        name,
+        command: `${runner} run ${name}`,
+        cwd: root,
+        detail: script
+      }));
+  }
+
+  async detectPackageManager(root) {
+    const lockFiles = [['bun.lockb', 'bun'], ['bun.lock', 'bun'], ['pnpm-lock.yaml', 'pnpm'], ['yarn.lock', 'yarn']];
+    for (const [file, runner] of lockFiles) {
+      if (await this.exists(path.join(root, file))) return runner;
+    }
+    return 'npm';
+  }
+
+  async findMakeTargets(root) {
+    let makefile = null;
+    let text = null;
+    for (const name of ['GNUmakefile', 'makefile', 'Makefile']) {
+      text = await this.readText(path.join(root, name));
+      if (text !== null) {
+        makefile = name;
+        break;
+      }
+    }
+    if (text === null) return [];
+
+    const phony = new Set();
+    const targets = [];
+    const joined = text.replace(/\\\r?\n/g, ' ');
+    for (const line of joined.split(/\r?\n/)) {
+      const match = line.match(/^([^\s:#=][^:#=]*?)\s*::?(?!=)/);
+      if (!match) continue;
+      const names = match[1].trim().split(/\s+/);
+      if (names[0] === '.PHONY') {
+        const declared = line.substring(line.indexOf(':') + 1).trim().split(/\s+/).filter(Boolean);
+        declared.forEach(name => phony.add(name));
+        continue;
+      }
+      for (const name of names) {
+        if (name.startsWith('.') || /[%$()]/.test(name) || targets.includes(name)) continue;
+        targets.push(name);
+      }
+    }
+
+    // Targets with an extension are usually files the Makefile builds, not tasks
+    return targets
+      .filter(name => phony.has(name) || !/\.\w+$/.test(name))
+      .slice(0, MAX_MAKE_TARGETS)
+      .map(name => ({
+        id: `make:${name}`,
+        source: 'make',
+        name,
+        command: `make ${name}`,
+        cwd: root,
+        detail: makefile
+      }));
+  }
+
+  async findPyprojectScripts(root) {
+    const text = await this.readText(path.join(root, 'pyproject.toml'));
+    if (text === null) return [];
+
+    const sections = TaskRunner.parseTomlSections(text);
+    const usesPoetry = sections.has('tool.poetry') || await this.exists(path.join(root, 'poetry.lock'));
+    const usesUv = !usesPoetry && await this.exists(path.join(root, 'uv.lock'));
+    const runner = usesPoetry ? 'poetry run ' : (usesUv ? 'uv run ' : '');
+
+    const tasks = [];
+    for (const section of ['tool.poetry.scripts', 'project.scripts']) {
+      for (const [name, target] of Object.entries(sections.get(section) || {})) {
+        if (tasks.some(task => task.name === name)) continue;
+        tasks.push({
+          id: `python:${name}`,
+          source: 'python',
+          name,
+          command: `${runner}${name}`,
+          cwd: root,
+          detail: target
+        });
+      }
+    }
+    return tasks;
+  }
+
+  /**
+   * Keys and string values per [section]; enough for script tables, not a full TOML parser
+   * @returns {Map<string, Object>}
+   */
+  static parseTomlSections(text) {
+    const sections = new Map();
+    let current = null;
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) continue;
+
+      const header = line.match(/^\[([^\[\]]+)\]$/);
+      if (header) {
+        current = header[1].replace(/\s+/g, '').replace(/"/g, '');
+        if (!sections.has(current)) sections.set(current, {});
+        continue;
+      }
+
+      const entry = line.match(/^("?)([A-Za-z0-9_.-]+)\1\s*=\s*(.*)$/);
+      if (entry && current) {
+        const value = entry[3].match(/^(["'])(.*?)\1/);
+        sections.get(current)[entry[2]] = value ? value[2] : entry[3];
+      }
+    }
+    return sections;
+  }
+
+  // VS Code's tasks.json format, read from .vscode/ or the workspace root
+  async findWorkspaceTasks(root) {
+    const tasks = [];
+    for (const relative of [path.join('.vscode', 'tasks.json'), 'tasks.json']) {
+      const text = await this.readText(path.join(root, relative));
+      if (text === null) continue;
+
+      const config = JSON.parse(TaskRunner.stripJsonComments(text));
+      const platformKey = { win32: 'windows', darwin: 'osx' }[os.platform()] || 'linux';
+      for (const entry of config.tasks || []) {
+        const task = { ...entry, ...(entry[platformKey] || {}) };
+        const expand = (value) => String(value)
+          .replace(/\$\{workspaceFolder\}|\$\{workspaceRoot\}/g, root)
+          .replace(/\$\{workspaceFolderBasename\}/g, path.basename(root))
+          .replace(/\$\{env:([^}]+)\}/g, (match, name) => process.env[name] || '');
+
+        let command = task.command ? expand(task.command) : null;
+        if (!command && task.type === 'npm' && task.script) {
+          command = `npm run ${task.script}`;
+        }
+        if (!command) continue;
+
+        const args = (task.args || []).map(arg => {
+          const value = expand(typeof arg === 'object' ? arg.value : arg);
+          return /\s/.test(value) ? JSON.stringify(value) : value;
+        });
+        const name = String(task.label || task.taskName || command);
+        if (tasks.some(existing => existing.name === name)) continue;
+
+        const cwd = task.options?.cwd ? path.resolve(root, expand(task.options.cwd)) : root;
+        tasks.push({
+          id: `tasks.json:${name}`,
+          source: 'tasks.json',
+          name,
+          command: [command, ...args].join(' '),
+          cwd,
+          detail: relative,
+          env: task.options?.env || undefined,
+          problemMatcher: task.problemMatcher
+        });
+      }
+    }
+    return tasks;
+  }
+
+  // tasks.json allows comments and trailing commas
+  static stripJsonComments(text) {
+    let result = '';
+    let inString = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (inString) {
+        result += ch;
+        if (ch === '\\') result += text[++i] || '';
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') {
+        inString = true;
+        result += ch;
+      } else if (ch === '/' && text[i + 1] === '/') {
+        while (i < text.length && text[i] !== '\n') i++;
+        result += '\n';
+      } else if (ch === '/' && text[i + 1] === '*') {
+        const end = text.indexOf('*/', i + 2);
+        i = end === -1 ? text.length : end + 1;
+      } else {
+        result += ch;
+      }
+    }
+    return result.replace(/,(\s*[}\]])/g, '$1');
+  }
+
+  // Running
+
+  /**
+   * Run a task in a new pty terminal
+   * @param {Object} options - { source } for the command policy ('task' or 'agent')
+   * @returns {Promise<Object>} { success, run } or { success: false, error, denied }
+   */
+  async run(root, taskId, options = {}) {
+    if (!this.tasks.has(taskId) || root !== this.root) {
+      await this.discover(root);
+    }
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      return { success: false, error: `Unknown task: ${taskId}` };
+    }
+
+    const current = this.runs.get(taskId);
+    if (current && current.status === 'running') {
+      return { success: true, alreadyRunning: true, run: this.describeRun(current) };
+    }
+
+    const source = options.source || 'task';
+    const authorization = await this.commandPolicy.authorize(task.command, { cwd: task.cwd, root, env: task.env, source });
+    if (!authorization.approved) {
+      const reason = authorization.decision === 'deny'
+        ? `Task blocked by policy: ${authorization.reasons.filter(r => r.action === 'deny').map(r => r.description).join(', ')}`
+        : 'Task was not approved by the user';
+      return { success: false, error: reason, denied: true };
+    }
+
+    const run = {
+      taskId,
+      name: task.name,
+      command: task.command,
+      source, // who started it, for the audit log
+      terminalId: null,
+      status: 'running',
+      exitCode: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      scrollback: null
+    };
+    run.done = new Promise(resolve => { run.resolveDone = resolve; });
+
+    const result = this.terminalManager.createTerminal({
+      cwd: task.cwd,
+      title: `${task.source}: ${task.name}`,
+      command: task.command,
+      env: task.env,
+      onExit: (exitCode) => this.finishRun(run, exitCode, authorization)
+    });
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+
+    run.terminalId = result.terminalId;
+    run.scrollback = this.terminalManager.terminals.get(result.terminalId)?.scrollback || null;
+    this.runs.set(taskId, run);
+    this.sendToRenderer('tasks:status', this.describeRun(run));
+    console.log(`▶️ Task ${taskId} running in ${run.terminalId}`);
+    return { success: true, run: this.describeRun(run) };
+  }
+
+  finishRun(run, exitCode, authorization) {
+    run.status = exitCode === 0 ? 'succeeded' : 'failed';
+    run.exitCode = exitCode;
+    run.finishedAt = new Date().toISOString();
+    run.resolveDone();
+    console.log(`🏁 Task ${run.taskId} exited with code ${exitCode}`);
+
+    this.sendToRenderer('tasks:status', this.describeRun(run));
+    this.commandPolicy.audit({
+      command: run.command,
+      cwd: this.tasks.get(run.taskId)?.cwd,
+      root: this.root,
+      source: run.source,
+      decision: authorization.decision,
+      decidedBy: authorization.decidedBy,
+      executed: true,
+      exitCode,
+      durationMs: Date.parse(run.finishedAt) - Date.parse(run.startedAt)
+    }).catch(error => console.warn('⚠️ Could not audit task run:', error.message));
+  }
+
+  stop(taskId) {
+    const run = this.runs.get(taskId);
+    if (!run || run.status !== 'running') {
+      return { success: false, error: 'Task is not running' };
+    }
+    return this.terminalManager.killTerminal(run.terminalId);
+  }
+
+  /**
+   * Wait for a task to exit, at most timeoutMs; long-running tasks (servers)
+   * come back as still running with their output so far
+   */
+  async wait(taskId, timeoutMs = DEFAULT_TASK_WAIT_MS, maxChars = 6000) {
+    const run = this.runs.get(taskId);
+    if (!run) {
+      return { success: false, error: 'Task has not been run' };
+    }
+
+    let timer;
+    await Promise.race([
+      run.done,
+      new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); })
+    ]);
+    clearTimeout(timer);
+
+    const output = run.scrollback ? run.scrollback.getOutput({ maxChars }) : { output: '', truncated: false };
+    return { success: true, run: this.describeRun(run), ...output };
+  }
+
+  describeRun(run) {
+    const { taskId, name, command, terminalId, status, exitCode, startedAt, finishedAt } = run;
+    return { taskId, name, command, terminalId, status, exitCode, startedAt, finishedAt };
+  }
+
+  getRuns() {
+    return Array.from(this.runs.values()).map(run => this.describeRun(run));
+  }
+}
+
+module.exports = TaskRunner;
@@ -0,0 +1,156 @@
+/**
+ * Mithril AI IDE - Terminal Scrollback
+ * Bounded output buffer for one terminal, kept in the main process so the AI
+ * can read what a terminal printed. Commands are tracked from start to finish
+ * with their output range and exit code.
+ */
+
+const MAX_SCROLLBACK_CHARS = 200000;
+const MAX_TRACKED_COMMANDS = 50;
+
+/**
+ * Terminal output as plain text: ANSI escapes removed and carriage-return
+ * redraws (progress bars, spinners) collapsed to what the line ended up showing
+ */
+function toPlainText(data) {
+  return data
+    .replace(/\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g, '') // OSC (titles, hyperlinks)
+    .replace(/\x1b\[[0-?]*[ -/]*[@-~]/g, '') // CSI (colors, cursor movement)
+    .replace(/\x1b[@-Z\\-_]/g, '')
+    .split('\n')
+    .map(line => {
+      const parts = line.replace(/\r$/, '').split('\r');
+      return parts[parts.length - 1];
+    })
+    .join('\n')
+    .replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '');
+}
+
+class TerminalScrollback {
+  constructor(maxChars = MAX_SCROLLBACK_CHARS) {
+    this.maxChars = maxChars;
+    this.text = '';
+    this.dropped = 0; // chars cut from the front; offsets below stay absolute
+    this.commands = []; // { command, start, end, exitCode, startedAt, finishedAt }
+    this.lastActivity = null;
+  }
+
+  // Absolute offset just past the newest output
+  get end() {
+    return this.dropped + this.text.length;
+  }
+
+  get running() {
+    const last = this.commands[this.commands.length - 1];
+    return last && last.end === null ? last : null;
+  }
+
+  append(data) {
+    if (!data) return;
+    this.text += data;
+    this.lastActivity = Date.now();
+    if (this.text.length > this.maxChars) {
+      const cut = this.text.length - this.maxChars;
+      this.text = this.text.substring(cut);
+      this.dropped += cut;
+    }
+  }
+
+  // Does nothing while a command is still running (keys typed into a running program)
+  startCommand(command) {
+    if (this.running) return null;
+    const entry = {
+      command: String(command || '').trim(),
+      start: this.end,
+      end: null,
+      exitCode: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    this.commands.push(entry);
+    if (this.commands.length > MAX_TRACKED_COMMANDS) {
+      this.commands.shift();
+    }
+    this.lastActivity = Date.now();
+    return entry;
+  }
+
+  // exitCode null means it is not known (no shell integration)
+  finishCommand(exitCode) {
+    const entry = this.running;
+    if (!entry) return null;
+    entry.end = this.end;
+    entry.exitCode = exitCode === undefined ? null : exitCode;
+    entry.finishedAt = new Date().toISOString();
+    this.lastActivity = Date.now();
+    return entry;
+  }
+
+  // Plain text between two absolute offsets; the part already cut off is lost
+  slice(start, end = this.end, maxChars = 8000) {
+    const from = Math.max(start, this.dropped) - this.dropped;
+    const to = Math.max(from, end - this.dropped);
+    let text = toPlainText(this.text.substring(from, to));
+    let truncated = start < this.dropped;
+    if (text.length > maxChars) {
+      text = text.substring(text.length - maxChars);
+      truncated = true;
+    }
+    return { text: text.replace(/^\s*\n/, '').replace(/\s+$/, ''), truncated };
+  }
+
+  /**
+   * The newest output as plain text
+   * @param {Object} options - { maxChars, lines }
+   */
+  getOutput({ maxChars = 8000, lines } = {}) {
+    let { text, truncated } = this.slice(this.dropped, this.end, maxChars);
+    if (lines) {
+      const all = text.split('\n');
+      if (all.length > lines) {
+        text = all.slice(-lines).join('\n');
+        truncated = true;
+      }
+    }
+    return { output: text, truncated };
+  }
+
+  /**
+   * The newest command that printed something or failed, with its output
+   * @returns {Object|null} { command, output, exitCode, running, startedAt, finishedAt, truncated }
+   */
+  getLastCommand({ maxChars = 8000 } = {}) {
+    for (let i = this.commands.length - 1; i >= 0; i--) {
+      const entry = this.commands[i];
+      const { text, truncated } = this.slice(entry.start, entry.end === null ? this.end : entry.end, maxChars);
+      const running = entry.end === null;
+      if (running || text || (entry.exitCode !== null && entry.exitCode !== 0)) {
+        return {
+          command: entry.command,
+          output: text,
+          exitCode: entry.exitCode,
+          running,
+          startedAt: entry.startedAt,
+          finishedAt: entry.finishedAt,
+          truncated
+        };
+      }
+    }
+    return null;
+  }
+
+  // Current (unfinished) line as plain text, e.g. the prompt plus what was typed
+  currentLine() {
+    const plain = toPlainText(this.text.substring(Math.max(0, this.text.length - 2000)));
+    return plain.substring(plain.lastIndexOf('\n') + 1);
+  }
+
+  clear() {
+    this.dropped = this.end;
+    this.text = '';
+  }
+}
+
+TerminalScrollback.toPlainText = toPlainText;
+
+module.exports = TerminalScrollback;
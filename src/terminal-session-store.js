@@ -0,0 +1,71 @@
+/**
+ * Mithril AI IDE - Terminal Session Store
+ * Remembers the terminal tabs of each workspace under the app data directory
+ * (title, cwd, shell, environment overrides, task command and a tail of the
+ * scrollback) so they can be recreated when the workspace is opened again
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const GLOBAL_TERMINAL_WORKSPACE = 'global';
+const SESSION_FILE_VERSION = 1;
+
+class TerminalSessionStore {
+  constructor(storageDir) {
+    this.storageDir = storageDir;
+    console.log('🗄️ Terminal session store initialized at', storageDir);
+  }
+
+  // Same keying as the memory store: one file per workspace root
+  workspaceKey(root) {
+    if (!root) return GLOBAL_TERMINAL_WORKSPACE;
+    return crypto.createHash('sha1').update(path.resolve(root)).digest('hex').substring(0, 16);
+  }
+
+  sessionFile(root) {
+    return path.join(this.storageDir, `${this.workspaceKey(root)}.json`);
+  }
+
+  /**
+   * Saved terminals of a workspace, oldest tab first
+   * @returns {Object} { terminals: [...], activeIndex }
+   */
+  load(root) {
+    const filePath = this.sessionFile(root);
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return {
+        terminals: Array.isArray(saved.terminals) ? saved.terminals : [],
+        activeIndex: Number.isInteger(saved.activeIndex) ? saved.activeIndex : 0
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('⚠️ Could not read terminal sessions:', filePath, error.message);
+      }
+      return { terminals: [], activeIndex: 0 };
+    }
+  }
+
+  // Synchronous because it also runs while the app is quitting
+  save(root, { terminals = [], activeIndex = 0 } = {}) {
+    const filePath = this.sessionFile(root);
+    try {
+      fs.mkdirSync(this.storageDir, { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify({
+        version: SESSION_FILE_VERSION,
+        root: root || null,
+        savedAt: new Date().toISOString(),
+        activeIndex,
+        terminals
+      }), 'utf8');
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to save terminal sessions:', error);
+      return false;
+    }
+  }
+}
+
+module.exports = TerminalSessionStore;
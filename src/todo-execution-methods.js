@@ -25,6 +25,9 @@ if (typeof MithrilAIIDE !== 'undefined') {
         case 'chat_response':
           return await this.chatResponse(this.getCurrentContext(), todoMessage);
           
+        case 'run_command':
+          return await this.runTodoCommand(intent, todoMessage);
+          
         default:
           // Fallback to regular execution
           return await this.executeIDEAction({tool: intent.tool}, todoMessage);
@@ -35,6 +38,52 @@ if (typeof MithrilAIIDE !== 'undefined') {
     }
   };
 
+  /**
+   * Run a command step and wait for its exit code so the step can be verified.
+   * Dev servers never exit, so they are started in the terminal as before.
+   */
+  MithrilAIIDE.prototype.runTodoCommand = async function(intent, todoMessage) {
+    const stepText = intent.stepContent || todoMessage;
+    let command = await this.commandExecutor?.extractCommand(stepText);
+
+    // On a retry, let the model correct the command from the failure output
+    if (intent.verificationFailure) {
+      const systemPrompt = `You fix shell commands for an IDE. Reply with ONE corrected shell command only: no explanation, no code fences.`;
+      const fixed = await this.generateWithModel(
+        this.models.tool || this.models.intent,
+        `STEP: ${stepText}\nPREVIOUS COMMAND: ${intent.previousCommand || command || '(none)'}\nFAILURE: ${intent.verificationFailure.reason}\nOUTPUT:\n${(intent.verificationFailure.output || '').slice(-2000)}`,
+        systemPrompt,
+        { role: 'coder' }
+      );
+      const line = (fixed || '').replace(/```\w*/g, '').split('\n').map(l => l.trim()).find(Boolean);
+      if (line) {
+        command = line.replace(/^\$\s*/, '');
+      }
+    }
+
+    if (!command) {
+      return 'Could not determine the specific command to run. Please specify the exact command.';
+    }
+    intent.previousCommand = command;
+
+    if (/\b(npm|yarn|pnpm)\s+(start|run\s+(dev|serve|start)|dev)\b|\b(serve|http-server|nodemon|uvicorn|gunicorn|flask\s+run)\b|runserver/.test(command)) {
+      return await this.commandExecutor.runCommand(command, intent);
+    }
+
+    const result = await ipcRenderer.invoke('bash:execute', command, {
+      cwd: this.currentFolder,
+      source: 'todo',
+      timeoutMs: 300000
+    });
+    if (result.denied) {
+      return `🛡️ Command not approved: ${command}`;
+    }
+
+    const output = [result.output, result.error].filter(Boolean).join('\n');
+    this.addChatMessage('ai', `${result.code === 0 ? '✅' : '❌'} \`${command}\` exited with code ${result.code}${output ? `\n\n${output.slice(-1500)}` : ''}`);
+    return `exit code: ${result.code}\n${output || '(no output)'}`;
+  };
+
   /**
    * Create project structure for apps
    */
@@ -1,8 +1,16 @@
 /**
  * Mithril AI IDE - Todo List Manager
- * Handles complex task breakdown and step-by-step execution tracking
+ * Handles complex task breakdown and step-by-step execution tracking.
+ * New plans open for review: steps can be edited, re-ordered, inserted,
+ * deleted or skipped before the run is started, and the run can be paused
+ * and resumed. The plan is kept in localStorage so it survives a restart.
  */
 
+// Tools a todo step can use
+const TODO_TOOLS = IDEStructuredOutput.planTools;
+
+const TODO_PLAN_STORAGE_KEY = 'todo-plan';
+
 class TodoListManager {
   constructor(ideCore) {
     this.ideCore = ideCore;
@@ -12,6 +20,11 @@ class TodoListManager {
     this.lastGeneratedMessage = null; // Store for memory
     this.isProcessingTodos = false;
     this.todoContainer = null;
+    this.planState = 'idle'; // idle | review | running | paused | completed
+    this.planFolder = null; // Workspace the plan was made for
+    this.reviewPlans = localStorage.getItem('todo-review-plans') !== 'false';
+    this.stepCounter = 0;
+    this.verifier = new TodoStepVerifier(ideCore);
     
     // Task complexity patterns for detection
     this.complexityPatterns = {
@@ -49,6 +62,7 @@ class TodoListManager {
   init() {
     this.createTodoUI();
     this.initEventListeners();
+    this.loadPlan();
     console.log('🗂️ TodoListManager initialized');
   }
 
@@ -60,23 +74,17 @@ class TodoListManager {
     console.log('🗂️ Analyzing task complexity (LLM) for:', userMessage);
 
     try {
-      const systemPrompt = `You are a planning classifier for an IDE. Decide if the user's request requires
-creating a TODO list of multiple steps, versus a single direct action.
-
-Return strict JSON only:
-{ "needs_todo": true|false, "reason": "short reason", "estimated_steps": number }`;
-
-      const raw = await this.ideCore.generateWithModel(
-        this.ideCore.models.intent,
-        userMessage,
-        systemPrompt
-      );
-      const clean = (raw || '').replace(/```json|```/g, '').trim();
-      const parsed = JSON.parse(clean);
-      if (typeof parsed?.needs_todo === 'boolean') {
-        console.log('🗂️ LLM classification:', parsed);
-        return parsed.needs_todo;
-      }
+      const systemPrompt = IDEStructuredOutput.todoClassifierPrompt();
+
+      const parsed = await this.ideCore.structuredOutput.generate('todo-classifier', {
+        model: this.ideCore.models.planner || this.ideCore.models.intent,
+        prompt: userMessage,
+        systemPrompt,
+        schema: IDEStructuredOutput.todoClassifierSchema(),
+        role: 'planner'
+      });
+      console.log('🗂️ LLM classification:', parsed);
+      return parsed.needs_todo;
     } catch (err) {
       console.warn('🗂️ LLM todo classification failed, falling back to heuristics:', err?.message);
     }
@@ -141,6 +149,7 @@ Return strict JSON only:
     this.lastGeneratedIntent = intent;
     this.lastGeneratedMessage = userMessage;
     this.currentSessionId = 'todo_' + Date.now();
+    this.planFolder = this.ideCore.currentFolder || null;
 
     // Try LLM-driven planning first
     try {
@@ -148,29 +157,17 @@ Return strict JSON only:
         ? this.ideCore.getRecentConversationContext()
         : [];
 
-      const systemPrompt = `You are a senior software engineer planning concrete execution steps for an IDE.
-Create a minimal set of steps to fully accomplish the user's request. Use as many steps as
-necessary, and as few as possible. Use a separate step for EACH file to create and EACH
-shell command to run.
-
-Allowed tools (tool MUST be EXACTLY one of these literals, never combined, no pipes or slashes):
-create_file, edit_file, run_command, create_folder, chat_response, analyze_code, explain_code, fix_issues, optimize_code.
-
-For create_file steps: the content must clearly state the exact file path and a brief description of what content will be generated (the IDE will generate the content later with full context).
-
-Respond with STRICT JSON only in the following format (no extra keys, no comments). The tool field must be one exact literal as listed above:
-{ "todos": [ { "tool": "create_file|edit_file|run_command|create_folder|chat_response|analyze_code|explain_code|fix_issues|optimize_code", "content": "short imperative instruction" } ] }`;
+      const systemPrompt = IDEStructuredOutput.plannerPrompt(TODO_TOOLS);
 
       const planningMessage = `${userMessage}\n\nRECENT_CONTEXT:${JSON.stringify(recentContext).slice(0, 2000)}`;
-      const raw = await this.ideCore.generateWithModel(
-        this.ideCore.models.intent,
-        planningMessage,
-        systemPrompt
-      );
-      const clean = (raw || '').replace(/```json|```/g, '').trim();
-      const parsed = JSON.parse(clean);
-      let todos = Array.isArray(parsed) ? parsed : parsed?.todos;
-      if (!Array.isArray(todos)) throw new Error('Planner did not return a todos array');
+      const parsed = await this.ideCore.structuredOutput.generate('planner', {
+        model: this.ideCore.models.planner || this.ideCore.models.intent,
+        prompt: planningMessage,
+        systemPrompt,
+        schema: IDEStructuredOutput.todoListSchema(TODO_TOOLS),
+        role: 'planner'
+      });
+      const todos = parsed.todos;
 
       // Normalize into internal structure
       const normalized = todos.map((t, idx) => ({
@@ -181,23 +178,224 @@ Respond with STRICT JSON only in the following format (no extra keys, no comment
       })).filter(x => x.content.length > 0);
 
       if (normalized.length > 0) {
-        normalized[0].status = 'in_progress';
-        this.currentTodos = normalized;
-        this.updateTodoUI();
-        return normalized;
+        return this.setPlan(normalized);
       }
     } catch (err) {
       console.warn('🗂️ LLM planning failed, falling back to generic todo generation:', err?.message);
     }
 
     // Fallback to generic heuristic-based generation
-    const fallbackTodos = this.generateGenericTodos(userMessage, intent);
-    if (fallbackTodos.length > 0) {
-      fallbackTodos[0].status = 'in_progress';
+    return this.setPlan(this.generateGenericTodos(userMessage, intent));
+  }
+
+  /**
+   * Install a freshly generated plan. Nothing runs until presentPlan() or start().
+   */
+  setPlan(todos) {
+    this.currentTodos = todos;
+    this.stepCounter = todos.length;
+    this.planState = todos.length > 0 ? 'review' : 'idle';
+    this.savePlan();
+    this.updateTodoUI();
+    return todos;
+  }
+
+  /**
+   * Open the plan for review, or run it straight away when plan review is off
+   */
+  presentPlan() {
+    if (!this.reviewPlans) {
+      this.start();
+      return;
+    }
+
+    this.showTodoList();
+    this.ideCore.addChatMessage?.('ai', `🗂️ I've drafted a ${this.currentTodos.length}-step plan. Edit, re-order or skip steps above, then press Start.`);
+  }
+
+  setReviewPlans(enabled) {
+    this.reviewPlans = !!enabled;
+    localStorage.setItem('todo-review-plans', String(this.reviewPlans));
+  }
+
+  // Steps can only be changed while nothing is executing
+  isEditable() {
+    return this.planState === 'review' || this.planState === 'paused';
+  }
+
+  isWorkspaceMismatch() {
+    return this.planFolder && this.ideCore.currentFolder && this.planFolder !== this.ideCore.currentFolder;
+  }
+
+  /**
+   * Start running a reviewed plan
+   */
+  async start() {
+    if (this.planState !== 'review' || !this.canRun()) return;
+
+    await this.ideCore.checkpoints?.create(`Before todo run: ${this.lastGeneratedMessage}`, 'todo');
+    this.planState = 'running';
+    this.savePlan();
+    this.updateTodoUI();
+    this.executeNextTodo();
+  }
+
+  /**
+   * Stop after the step that is executing now
+   */
+  pause() {
+    if (this.planState !== 'running') return;
+    this.planState = 'paused';
+    this.savePlan();
+    this.updateTodoUI();
+  }
+
+  async resume() {
+    if (this.planState !== 'paused' || !this.canRun()) return;
+
+    await this.ideCore.checkpoints?.create(`Before resuming todo run: ${this.lastGeneratedMessage}`, 'todo');
+    this.planState = 'running';
+    this.savePlan();
+    this.updateTodoUI();
+    this.executeNextTodo();
+  }
+
+  canRun() {
+    if (this.isWorkspaceMismatch()) {
+      this.ideCore.ideAIManager?.showNotification(`This plan was made for ${this.planFolder}. Open that folder to run it.`, 'warning');
+      return false;
     }
-    this.currentTodos = fallbackTodos;
+    if (!this.currentTodos.some(todo => this.isRunnable(todo))) {
+      this.ideCore.ideAIManager?.showNotification('No steps left to run', 'info');
+      return false;
+    }
+    return true;
+  }
+
+  // Failed steps are retried when the plan is resumed
+  isRunnable(todo) {
+    return todo.status === 'pending' || todo.status === 'in_progress' || todo.status === 'failed';
+  }
+
+  /**
+   * Toggle a step between skipped and pending
+   */
+  skipStep(index) {
+    const todo = this.currentTodos[index];
+    if (!todo || todo.status === 'completed') return;
+    // The executing step can't be skipped; pause first
+    if (todo.status === 'in_progress' && this.planState === 'running') return;
+
+    todo.status = todo.status === 'skipped' ? 'pending' : 'skipped';
+    this.savePlan();
     this.updateTodoUI();
-    return fallbackTodos;
+    if ((this.planState === 'running' || this.planState === 'paused') && this.areAllTodosCompleted()) {
+      this.onAllTodosCompleted();
+    }
+  }
+
+  updateStep(index, changes) {
+    const todo = this.currentTodos[index];
+    if (!todo || !this.isEditable() || todo.status === 'completed') return;
+
+    if (typeof changes.content === 'string' && changes.content.trim()) {
+      todo.content = changes.content.trim();
+    }
+    if (changes.tool) {
+      todo.tool = this.normalizeTool(changes.tool);
+    }
+    this.savePlan();
+  }
+
+  moveStep(index, offset) {
+    const target = index + offset;
+    if (!this.isEditable() || target < 0 || target >= this.currentTodos.length) return;
+    // Completed steps stay where they ran
+    if (this.currentTodos[index].status === 'completed' || this.currentTodos[target].status === 'completed') return;
+
+    const [todo] = this.currentTodos.splice(index, 1);
+    this.currentTodos.splice(target, 0, todo);
+    this.savePlan();
+    this.updateTodoUI();
+  }
+
+  deleteStep(index) {
+    const todo = this.currentTodos[index];
+    if (!todo || !this.isEditable() || todo.status === 'completed') return;
+
+    this.currentTodos.splice(index, 1);
+    if (this.currentTodos.length === 0) {
+      this.clearTodos();
+      return;
+    }
+    this.savePlan();
+    this.updateTodoUI();
+  }
+
+  /**
+   * Insert a blank step after the given index (-1 inserts at the top)
+   */
+  insertStep(index) {
+    if (!this.isEditable()) return;
+
+    this.stepCounter++;
+    this.currentTodos.splice(index + 1, 0, {
+      id: `step-${this.stepCounter}-${Date.now()}`,
+      content: 'New step',
+      tool: 'chat_response',
+      status: 'pending'
+    });
+    this.savePlan();
+    this.updateTodoUI();
+
+    // Focus the new step so it can be typed straight away
+    const input = this.todoContainer?.querySelector(`.todo-item[data-index="${index + 1}"] .todo-edit-text`);
+    input?.focus();
+    input?.select();
+  }
+
+  savePlan() {
+    if (this.currentTodos.length === 0 || this.planState === 'idle' || this.planState === 'completed') {
+      localStorage.removeItem(TODO_PLAN_STORAGE_KEY);
+      return;
+    }
+
+    localStorage.setItem(TODO_PLAN_STORAGE_KEY, JSON.stringify({
+      sessionId: this.currentSessionId,
+      message: this.lastGeneratedMessage,
+      intent: this.lastGeneratedIntent,
+      folder: this.planFolder,
+      state: this.planState,
+      stepCounter: this.stepCounter,
+      todos: this.currentTodos
+    }));
+  }
+
+  /**
+   * Restore the plan saved before the last restart. A run that was cut off
+   * comes back paused, with the interrupted step ready to run again.
+   */
+  loadPlan() {
+    let saved;
+    try {
+      saved = JSON.parse(localStorage.getItem(TODO_PLAN_STORAGE_KEY) || 'null');
+    } catch (error) {
+      console.warn('🗂️ Could not read saved plan:', error.message);
+    }
+    if (!saved || !Array.isArray(saved.todos) || saved.todos.length === 0) return;
+
+    this.currentSessionId = saved.sessionId;
+    this.lastGeneratedMessage = saved.message;
+    this.lastGeneratedIntent = saved.intent;
+    this.planFolder = saved.folder || null;
+    this.stepCounter = saved.stepCounter || saved.todos.length;
+    this.currentTodos = saved.todos.map(todo => ({
+      ...todo,
+      status: todo.status === 'in_progress' ? 'pending' : todo.status
+    }));
+    this.planState = saved.state === 'review' ? 'review' : 'paused';
+    this.updateTodoUI();
+    console.log(`🗂️ Restored ${this.planState} plan with ${this.currentTodos.length} steps`);
   }
 
   // Removed hardcoded calendar app todos - now using dynamic generation
@@ -272,9 +470,8 @@ Respond with STRICT JSON only in the following format (no extra keys, no comment
     const lowered = (tool || '').toLowerCase().trim();
     // If the model returned combined tools like "create_file|edit_file", prefer the first valid token
     const candidates = lowered.split(/[^a-z_]+/g).filter(Boolean);
-    const allowed = new Set(['create_file','edit_file','run_command','create_folder','chat_response','analyze_code','explain_code','fix_issues','optimize_code']);
     for (const c of candidates) {
-      if (allowed.has(c)) return c;
+      if (TODO_TOOLS.includes(c)) return c;
     }
     return 'chat_response';
   }
@@ -302,82 +499,117 @@ Respond with STRICT JSON only in the following format (no extra keys, no comment
    * Mark current todo as completed and move to next
    */
   markCurrentCompleted() {
-    const currentIndex = this.currentTodos.findIndex(todo => todo.status === 'in_progress');
-    
-    if (currentIndex !== -1) {
-      // Mark current as completed
-      this.currentTodos[currentIndex].status = 'completed';
-      
-      // Start next todo
-      if (currentIndex + 1 < this.currentTodos.length) {
-        this.currentTodos[currentIndex + 1].status = 'in_progress';
-      }
-      
-      this.updateTodoUI();
-      
-      // Check if all todos are completed
+    const currentTodo = this.getCurrentTodo();
+    if (!currentTodo) return;
+
+    currentTodo.status = 'completed';
+    this.savePlan();
+    this.updateTodoUI();
+
+    if (this.areAllTodosCompleted()) {
+      this.onAllTodosCompleted();
+    } else if (this.planState === 'running') {
+      setTimeout(() => {
+        this.executeNextTodo();
+      }, 1000); // Small delay to allow UI updates
+    }
+  }
+
+  /**
+   * Execute the next runnable todo, then keep going until the plan is
+   * finished, paused, or a step fails
+   */
+  async executeNextTodo() {
+    if (this.planState !== 'running' || this.isProcessingTodos || !this.ideCore) return;
+
+    const nextTodo = this.currentTodos.find(todo => this.isRunnable(todo));
+    if (!nextTodo) {
       if (this.areAllTodosCompleted()) {
         this.onAllTodosCompleted();
-      } else {
-        // Automatically execute the next todo
-        setTimeout(() => {
-          this.executeNextTodo();
-        }, 1000); // Small delay to allow UI updates
       }
+      return;
+    }
+
+    console.log('🗂️ Auto-executing next todo:', nextTodo.content);
+    nextTodo.status = 'in_progress';
+    this.isProcessingTodos = true;
+    this.savePlan();
+    this.updateTodoUI();
+
+    try {
+      // Create intent for the next todo
+      const intent = {
+        tool: nextTodo.tool,
+        target: 'current-todo',
+        confidence: 0.95,
+        originalUserRequest: this.lastGeneratedMessage,  // PRESERVE ORIGINAL USER REQUEST
+        stepContent: nextTodo.content
+      };
+
+      // Execute the todo step with full context
+      const todoMessageWithContext = `${nextTodo.content} for the following user request: ${this.lastGeneratedMessage}`;
+      const verification = await this.executeWithRetries(nextTodo, intent, todoMessageWithContext);
+      if (!verification.passed) {
+        throw new Error(`${verification.reason} (after ${nextTodo.attempts} attempt${nextTodo.attempts === 1 ? '' : 's'})${verification.output ? `\n${verification.output.slice(-800)}` : ''}`);
+      }
+      nextTodo.status = 'completed';
+    } catch (error) {
+      console.error('🗂️ Error in auto-execution:', error);
+      // Pause so the step can be edited, retried or skipped
+      nextTodo.status = 'failed';
+      if (this.planState === 'running') {
+        this.planState = 'paused';
+      }
+      this.ideCore.addChatMessage?.('ai', `⚠️ Step failed: ${nextTodo.content}\n${error.message}\n\nThe plan is paused. Edit or skip the step, then press Resume.`);
+    } finally {
+      this.isProcessingTodos = false;
+    }
+
+    this.savePlan();
+    this.updateTodoUI();
+
+    if (this.areAllTodosCompleted()) {
+      this.onAllTodosCompleted();
+    } else if (this.planState === 'running') {
+      setTimeout(() => {
+        this.executeNextTodo();
+      }, 1500);
     }
   }
 
   /**
-   * Execute the next pending todo automatically
+   * Run a step, verify it, and retry with the failure fed back to the model
+   * until it passes or the retry budget is used up
+   * @returns {Promise<Object>} the last verification result
    */
-  async executeNextTodo() {
-    const nextTodo = this.getCurrentTodo();
-    
-    if (nextTodo && this.ideCore) {
-      console.log('🗂️ Auto-executing next todo:', nextTodo.content);
-      
+  async executeWithRetries(todo, intent, message) {
+    let verification = null;
+    todo.verification = null;
+
+    for (let attempt = 1; attempt <= this.verifier.maxRetries + 1; attempt++) {
+      todo.attempts = attempt;
+      let stepMessage = message;
+      if (verification) {
+        console.log(`🗂️ Retrying step (attempt ${attempt}):`, verification.reason);
+        intent.verificationFailure = verification;
+        stepMessage = this.verifier.buildRetryMessage(message, verification, attempt - 1);
+        this.updateTodoUI();
+      }
+
+      let result;
       try {
-        // Create intent for the next todo
-        const intent = {
-          tool: nextTodo.tool,
-          target: 'current-todo',
-          confidence: 0.95,
-          originalUserRequest: this.lastGeneratedMessage  // PRESERVE ORIGINAL USER REQUEST
-        };
-        
-        // Execute the todo step with full context
-        const todoMessageWithContext = `${nextTodo.content} for the following user request: ${this.lastGeneratedMessage}`;
-        const result = await this.ideCore.executeTodoStep(intent, todoMessageWithContext);
-        console.log('🗂️ Auto-execution result:', result);
-        
-        // Mark this todo as completed and continue (but prevent infinite recursion)
-        const currentIndex = this.currentTodos.findIndex(todo => todo.status === 'in_progress');
-        if (currentIndex !== -1) {
-          this.currentTodos[currentIndex].status = 'completed';
-          
-          // Start next todo
-          if (currentIndex + 1 < this.currentTodos.length) {
-            this.currentTodos[currentIndex + 1].status = 'in_progress';
-            this.updateTodoUI();
-            
-            // Continue recursively
-            setTimeout(() => {
-              this.executeNextTodo();
-            }, 1500);
-          } else {
-            // All completed
-            this.updateTodoUI();
-            this.onAllTodosCompleted();
-          }
-        }
-        
+        result = await this.ideCore.executeTodoStep(intent, stepMessage);
       } catch (error) {
-        console.error('🗂️ Error in auto-execution:', error);
-        // Mark as failed but continue
-        nextTodo.status = 'failed';
-        this.updateTodoUI();
+        result = `Error executing step: ${error.message}`;
       }
+      console.log('🗂️ Auto-execution result:', result);
+
+      verification = await this.verifier.verify(todo, result);
+      todo.verification = verification.passed ? verification.checks.join(', ') : verification.reason;
+      if (verification.passed || this.planState === 'idle') break;
     }
+
+    return verification;
   }
 
   /**
@@ -385,14 +617,18 @@ Respond with STRICT JSON only in the following format (no extra keys, no comment
    */
   areAllTodosCompleted() {
     return this.currentTodos.length > 0 && 
-           this.currentTodos.every(todo => todo.status === 'completed');
+           this.currentTodos.every(todo => todo.status === 'completed' || todo.status === 'skipped');
   }
 
   /**
    * Handle completion of all todos
    */
   onAllTodosCompleted() {
+    if (this.planState === 'completed') return;
     console.log('🎉 All todos completed!');
+    this.planState = 'completed';
+    this.savePlan();
+    this.updateTodoUI();
     
     // Save completed tasks to memory
     if (this.ideCore && this.ideCore.memoryManager && this.currentTodos.length > 0) {
@@ -464,6 +700,9 @@ Respond with STRICT JSON only in the following format (no extra keys, no comment
   clearTodos() {
     this.currentTodos = [];
     this.currentSessionId = null;
+    this.planState = 'idle';
+    this.planFolder = null;
+    this.savePlan();
     this.updateTodoUI();
   }
 
@@ -482,6 +721,41 @@ Respond with STRICT JSON only in the following format (no extra keys, no comment
     if (chatInterface && chatInterface.parentNode) {
       chatInterface.parentNode.insertBefore(this.todoContainer, chatInterface);
     }
+
+    // Delegated handlers survive the re-render on every update
+    this.todoContainer.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+      const index = parseInt(button.closest('.todo-item')?.dataset.index, 10);
+
+      switch (button.dataset.action) {
+        case 'start': this.start(); break;
+        case 'pause': this.pause(); break;
+        case 'resume': this.resume(); break;
+        case 'clear': this.clearTodos(); break;
+        case 'add': this.insertStep(this.currentTodos.length - 1); break;
+        case 'skip': this.skipStep(index); break;
+        case 'up': this.moveStep(index, -1); break;
+        case 'down': this.moveStep(index, 1); break;
+        case 'delete': this.deleteStep(index); break;
+        case 'insert': this.insertStep(index); break;
+      }
+    });
+
+    this.todoContainer.addEventListener('change', (e) => {
+      const index = parseInt(e.target.closest('.todo-item')?.dataset.index, 10);
+      if (e.target.classList.contains('todo-edit-text')) {
+        this.updateStep(index, { content: e.target.value });
+      } else if (e.target.classList.contains('todo-edit-tool')) {
+        this.updateStep(index, { tool: e.target.value });
+      }
+    });
+
+    this.todoContainer.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.classList.contains('todo-edit-text')) {
+        e.target.blur();
+      }
+    });
     
     console.log('🗂️ Todo UI component created');
   }
@@ -499,20 +773,31 @@ Respond with STRICT JSON only in the following format (no extra keys, no comment
     
     this.todoContainer.style.display = 'block';
     
+    const titles = {
+      review: 'Review Plan',
+      running: 'Task Progress',
+      paused: 'Task Progress (paused)',
+      completed: 'Task Progress'
+    };
+    
     const html = `
       <div class="todo-header">
         <div class="todo-title">
           <i data-lucide="list-checks"></i>
-          <span>Task Progress</span>
+          <span>${titles[this.planState] || 'Task Progress'}</span>
         </div>
         <div class="todo-controls">
-          <button class="todo-clear-btn" onclick="window.mithrilIDE?.todoManager?.clearTodos()">
-            <i data-lucide="x"></i>
-          </button>
+          ${this.renderPlanControls()}
         </div>
       </div>
       <div class="todo-list">
         ${this.currentTodos.map((todo, index) => this.renderTodoItem(todo, index)).join('')}
+        ${this.isEditable() ? `
+          <button class="todo-add-step" data-action="add">
+            <i data-lucide="plus"></i>
+            <span>Add step</span>
+          </button>
+        ` : ''}
       </div>
       <div class="todo-progress">
         <div class="progress-bar">
@@ -536,20 +821,74 @@ Respond with STRICT JSON only in the following format (no extra keys, no comment
   renderTodoItem(todo, index) {
     const statusIcon = this.getStatusIcon(todo.status);
     const statusClass = `todo-item-${todo.status}`;
+    const escape = (text) => this.ideCore.escapeHtml(String(text || ''));
+    const editable = this.isEditable() && todo.status !== 'completed';
+    const canSkip = todo.status !== 'completed' && !(todo.status === 'in_progress' && this.planState === 'running');
+    
+    const content = editable ? `
+          <input type="text" class="todo-edit-text" value="${escape(todo.content).replace(/"/g, '&quot;')}">
+          <select class="todo-edit-tool">
+            ${TODO_TOOLS.map(tool => `<option value="${tool}" ${tool === todo.tool ? 'selected' : ''}>${tool}</option>`).join('')}
+          </select>
+    ` : `
+          <span class="todo-text" title="${escape(todo.content).replace(/"/g, '&quot;')}">${escape(todo.content)}</span>
+          <span class="todo-tool">${escape(todo.tool)}${todo.attempts > 1 ? ` · attempt ${todo.attempts}` : ''}</span>
+          ${todo.verification ? `<span class="todo-verification" title="${escape(todo.verification).replace(/"/g, '&quot;')}">${escape(todo.verification)}</span>` : ''}
+    `;
     
     return `
-      <div class="todo-item ${statusClass}">
+      <div class="todo-item ${statusClass}" data-index="${index}">
         <div class="todo-status">
           ${statusIcon}
         </div>
         <div class="todo-content">
-          <span class="todo-text">${todo.content}</span>
-          <span class="todo-tool">${todo.tool}</span>
+          ${content}
+        </div>
+        <div class="todo-item-actions">
+          ${editable ? `
+            <button data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}><i data-lucide="chevron-up"></i></button>
+            <button data-action="down" title="Move down" ${index === this.currentTodos.length - 1 ? 'disabled' : ''}><i data-lucide="chevron-down"></i></button>
+            <button data-action="insert" title="Insert step below"><i data-lucide="plus"></i></button>
+            <button data-action="delete" title="Delete step"><i data-lucide="trash-2"></i></button>
+          ` : ''}
+          ${canSkip ? `
+            <button data-action="skip" title="${todo.status === 'skipped' ? 'Include step' : 'Skip step'}">
+              <i data-lucide="${todo.status === 'skipped' ? 'rotate-ccw' : 'skip-forward'}"></i>
+            </button>
+          ` : ''}
         </div>
       </div>
     `;
   }
 
+  /**
+   * Start / pause / resume buttons for the current plan state
+   */
+  renderPlanControls() {
+    const button = (action, icon, title) => `
+      <button class="todo-control-btn" data-action="${action}" title="${title}">
+        <i data-lucide="${icon}"></i>
+        <span>${title}</span>
+      </button>
+    `;
+    const clear = `
+      <button class="todo-clear-btn" data-action="clear" title="Discard plan">
+        <i data-lucide="x"></i>
+      </button>
+    `;
+
+    switch (this.planState) {
+      case 'review':
+        return button('start', 'play', 'Start') + clear;
+      case 'running':
+        return button('pause', 'pause', 'Pause');
+      case 'paused':
+        return button('resume', 'play', 'Resume') + clear;
+      default:
+        return clear;
+    }
+  }
+
   /**
    * Get status icon for todo item
    */
@@ -563,6 +902,8 @@ Respond with STRICT JSON only in the following format (no extra keys, no comment
         return '<i data-lucide="circle" class="status-pending"></i>';
       case 'failed':
         return '<i data-lucide="x-circle" class="status-failed"></i>';
+      case 'skipped':
+        return '<i data-lucide="skip-forward" class="status-skipped"></i>';
       default:
         return '<i data-lucide="circle" class="status-pending"></i>';
     }
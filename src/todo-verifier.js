@@ -0,0 +1,210 @@
+/**
+ * Mithril AI IDE - Todo Step Verifier
+ * Checks that a todo step actually did its job before the plan moves on:
+ * the step didn't report an error, the files it names exist and parse,
+ * commands exited with code 0, and the optional test command passes
+ */
+
+// ipcRenderer is already imported in ide-core.js which loads before this file
+
+// Results the IDE actions return when they did not do the work
+const STEP_FAILURE_PATTERNS = [
+  /^Error executing step:/i,
+  /^Error:/i,
+  /^❌/,
+  /^🛡️ Command (blocked|not approved)/,
+  /^Could not determine/i,
+  /^Please (select|open|specify)/i
+];
+
+// Tools whose steps change workspace files
+const FILE_CHANGING_TOOLS = ['create_file', 'edit_file', 'fix_issues', 'optimize_code'];
+
+const MAX_FEEDBACK_LENGTH = 2000;
+
+class TodoStepVerifier {
+  constructor(ideCore) {
+    this.ideCore = ideCore;
+    this.maxRetries = this.parseRetries(localStorage.getItem('todo-step-retries'));
+    this.testCommand = localStorage.getItem('todo-test-command') || '';
+    this.testTimeoutMs = 120000;
+  }
+
+  parseRetries(value) {
+    const retries = parseInt(value, 10);
+    return Number.isNaN(retries) ? 2 : Math.min(Math.max(retries, 0), 5);
+  }
+
+  setMaxRetries(value) {
+    this.maxRetries = this.parseRetries(value);
+    localStorage.setItem('todo-step-retries', String(this.maxRetries));
+  }
+
+  setTestCommand(command) {
+    this.testCommand = String(command || '').trim();
+    localStorage.setItem('todo-test-command', this.testCommand);
+  }
+
+  /**
+   * Verify one executed step
+   * @param {Object} todo - The step ({ tool, content })
+   * @param {*} result - Whatever executeTodoStep returned
+   * @returns {Promise<Object>} { passed, reason, output, checks }
+   */
+  async verify(todo, result) {
+    const checks = [];
+    const text = typeof result === 'string' ? result.trim() : '';
+
+    if (STEP_FAILURE_PATTERNS.some(pattern => pattern.test(text))) {
+      return { passed: false, reason: 'The step reported an error', output: text, checks };
+    }
+
+    if (todo.tool === 'run_command') {
+      const exit = text.match(/^exit code: (-?\d+|null)/);
+      if (exit) {
+        if (exit[1] !== '0') {
+          return { passed: false, reason: `Command exited with code ${exit[1]}`, output: text, checks };
+        }
+        checks.push('exit code 0');
+      }
+    }
+
+    if (FILE_CHANGING_TOOLS.includes(todo.tool)) {
+      const fileCheck = await this.checkFiles(todo);
+      if (fileCheck.failure) {
+        return { passed: false, ...fileCheck.failure, checks };
+      }
+      checks.push(...fileCheck.checks);
+    }
+
+    if (this.testCommand && (FILE_CHANGING_TOOLS.includes(todo.tool) || todo.tool === 'run_command')) {
+      const test = await this.runTestCommand();
+      if (!test.passed) {
+        return { passed: false, reason: test.reason, output: test.output, checks };
+      }
+      checks.push(`${this.testCommand} passed`);
+    }
+
+    return { passed: true, reason: null, output: '', checks };
+  }
+
+  // Paths like "src/app.js" or "index.html" mentioned in the step text
+  extractPaths(content) {
+    const matches = String(content || '').match(/(?:[\w@.-]+\/)*[\w@-][\w@.-]*\.[a-zA-Z][a-zA-Z0-9]{0,7}\b/g) || [];
+    return [...new Set(matches)]
+      .map(match => match.replace(/^\.\//, ''))
+      .filter(match => !/^(e\.g|i\.e)$/i.test(match));
+  }
+
+  /**
+   * Files named by a create step must exist; every named file that exists
+   * must pass the built-in parser for its type
+   */
+  async checkFiles(todo) {
+    const root = this.ideCore.currentFolder;
+    const candidates = this.extractPaths(todo.content);
+    if (!root || candidates.length === 0) {
+      return { checks: [] };
+    }
+
+    const nodePath = require('path');
+    const existing = [];
+    for (const candidate of candidates) {
+      const filePath = nodePath.isAbsolute(candidate) ? candidate : pathUtils.join(root, candidate);
+      const stat = await ipcRenderer.invoke('fs:exists', filePath);
+      if (stat.exists) {
+        existing.push(filePath);
+      }
+    }
+
+    if (todo.tool === 'create_file' && existing.length === 0) {
+      return { failure: { reason: `Expected file was not created: ${candidates.join(', ')}`, output: '' } };
+    }
+
+    const checks = [];
+    for (const filePath of existing) {
+      const read = await ipcRenderer.invoke('fs:readFile', filePath);
+      if (!read.success) continue;
+
+      const errors = this.lintFile(filePath, read.content);
+      const relPath = nodePath.relative(root, filePath);
+      if (errors === null) {
+        checks.push(`${relPath} exists`);
+        continue;
+      }
+      if (errors.length > 0) {
+        return {
+          failure: {
+            reason: `${relPath} has ${errors.length} error${errors.length === 1 ? '' : 's'}`,
+            output: errors.map(error => `${relPath}:${error.from.line + 1}: ${error.message}`).join('\n')
+          }
+        };
+      }
+      checks.push(`${relPath} lints clean`);
+    }
+    return { checks };
+  }
+
+  /**
+   * Errors from the built-in linters whose checks are real parsers (JSON and
+   * classic scripts). Returns null when the file type isn't checked.
+   */
+  lintFile(filePath, content) {
+    const linting = this.ideCore.ideAIManager?.lintingManager;
+    if (!linting) return null;
+
+    const ext = require('path').extname(filePath).toLowerCase();
+    let linter = null;
+    if (ext === '.json') {
+      linter = linting.linters.get('json');
+    } else if ((ext === '.js' || ext === '.cjs') && !/^\s*(import|export)\b/m.test(content) && !content.startsWith('#!')) {
+      // new Function() can't parse ES modules or shebang lines
+      linter = linting.linters.get('javascript');
+    }
+    if (!linter) return null;
+
+    return linter.lint(content).filter(error => error.severity === 'error');
+  }
+
+  async runTestCommand() {
+    const result = await ipcRenderer.invoke('bash:execute', this.testCommand, {
+      cwd: this.ideCore.currentFolder,
+      source: 'todo-verify',
+      timeoutMs: this.testTimeoutMs
+    });
+    if (result.code === 0) {
+      return { passed: true };
+    }
+
+    const output = [result.output, result.error].filter(Boolean).join('\n');
+    return {
+      passed: false,
+      reason: result.denied
+        ? `Test command was not allowed: ${result.error}`
+        : `Test command \`${this.testCommand}\` ${result.code === null ? 'timed out' : `exited with code ${result.code}`}`,
+      output
+    };
+  }
+
+  /**
+   * The step instruction again, with the failed check appended so the model
+   * can correct itself on the next attempt
+   */
+  buildRetryMessage(message, verification, attempt) {
+    const output = verification.output && verification.output.length > MAX_FEEDBACK_LENGTH
+      ? `...${verification.output.slice(-MAX_FEEDBACK_LENGTH)}`
+      : verification.output;
+
+    return `${message}
+
+PREVIOUS ATTEMPT ${attempt} FAILED VERIFICATION: ${verification.reason}${output ? `\nOUTPUT:\n${output}` : ''}
+Fix the cause of this failure while completing the step.`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TodoStepVerifier;
+} else {
+  window.TodoStepVerifier = TodoStepVerifier;
+}
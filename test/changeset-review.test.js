@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ChangesetService = require('../src/changeset-service');
+
+// The renderer globals, answered the way src/main.js answers them
+const service = new ChangesetService();
+global.pathUtils = path;
+global.ipcRenderer = {
+  invoke: async (channel, ...args) => {
+    switch (channel) {
+      case 'fs:readFile':
+        try {
+          return { success: true, content: fs.readFileSync(args[0], 'utf8') };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      case 'changeset:snapshot':
+        return { success: true, hashes: await service.snapshot(...args) };
+      case 'changeset:apply':
+        try {
+          return { success: true, ...(await service.apply(...args)) };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      default:
+        throw new Error(`Unexpected channel ${channel}`);
+    }
+  }
+};
+
+const IDEChangesetReview = require('../src/changeset-review');
+
+test.mock.method(console, 'log', () => {});
+
+const BINARY = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0xfe, 0x80, 0x0a]);
+
+function reviewer() {
+  const messages = [];
+  const history = [];
+  const ideCore = {
+    addChatMessage: (role, text) => { messages.push(text); return null; },
+    ideAIManager: {
+      addToHistory: (type, data) => { history.push(data); return { id: history.length, ...data }; },
+      hasOpenFile: () => false,
+      reloadOpenFile: () => {}
+    }
+  };
+  return { review: new IDEChangesetReview(ideCore), messages, history };
+}
+
+test('renames and deletes binary files reviewed through the renderer', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'changeset-review-'));
+  try {
+    fs.writeFileSync(path.join(root, 'logo.png'), BINARY);
+    fs.writeFileSync(path.join(root, 'icon.png'), BINARY);
+    const { review, messages, history } = reviewer();
+
+    const changes = await review.resolveChanges(root, [
+      { action: 'rename', path: 'logo.png', newPath: 'assets/logo.png' },
+      { action: 'delete', path: 'icon.png' }
+    ]);
+    const outcome = await review.apply(root, 'Move the images', changes);
+
+    assert.match(outcome, /^Applied changeset/, messages.join('\n'));
+    assert.deepStrictEqual(fs.readFileSync(path.join(root, 'assets/logo.png')), BINARY);
+    assert.strictEqual(fs.existsSync(path.join(root, 'icon.png')), false);
+
+    assert.strictEqual(await review.revert(history[0]), true);
+    assert.deepStrictEqual(fs.readFileSync(path.join(root, 'logo.png')), BINARY);
+    assert.deepStrictEqual(fs.readFileSync(path.join(root, 'icon.png')), BINARY);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('refuses a reviewed file that changed on disk before it was applied', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'changeset-review-'));
+  try {
+    fs.writeFileSync(path.join(root, 'logo.png'), BINARY);
+    const { review, messages } = reviewer();
+
+    const changes = await review.resolveChanges(root, [{ action: 'delete', path: 'logo.png' }]);
+    fs.writeFileSync(path.join(root, 'logo.png'), Buffer.concat([BINARY, BINARY]));
+    const outcome = await review.apply(root, 'Remove the logo', changes);
+
+    assert.match(outcome, /changed since the changeset was reviewed/);
+    assert.match(messages.at(-1), /not applied/);
+    assert.strictEqual(fs.existsSync(path.join(root, 'logo.png')), true);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
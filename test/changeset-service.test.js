@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ChangesetService = require('../src/changeset-service');
+
+const service = new ChangesetService();
+// Bytes that don't survive a round trip through a UTF-8 string
+const BINARY = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0xfe, 0x80, 0x0a]);
+
+function workspace() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'changeset-'));
+  fs.writeFileSync(path.join(root, 'logo.png'), BINARY);
+  fs.writeFileSync(path.join(root, 'run.sh'), '#!/bin/sh\necho hi\n', { mode: 0o755 });
+  fs.chmodSync(path.join(root, 'run.sh'), 0o755);
+  return root;
+}
+
+const modeOf = (filePath) => fs.statSync(filePath).mode & 0o777;
+
+test('a rename without new content moves the file as it is', async () => {
+  const root = workspace();
+  try {
+    const result = await service.apply(root, [
+      { action: 'rename', path: 'logo.png', newPath: 'img/logo.png' },
+      { action: 'rename', path: 'run.sh', newPath: 'bin/run.sh' }
+    ]);
+    assert.deepStrictEqual(fs.readFileSync(path.join(root, 'img/logo.png')), BINARY);
+    assert.strictEqual(modeOf(path.join(root, 'bin/run.sh')), 0o755);
+
+    await service.apply(root, result.inverse);
+    assert.deepStrictEqual(fs.readFileSync(path.join(root, 'logo.png')), BINARY);
+    assert.strictEqual(modeOf(path.join(root, 'run.sh')), 0o755);
+    assert.strictEqual(fs.existsSync(path.join(root, 'img')), false);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('undoing a delete restores the exact bytes and mode', async () => {
+  const root = workspace();
+  try {
+    const result = await service.apply(root, [
+      { action: 'delete', path: 'logo.png' },
+      { action: 'delete', path: 'run.sh' }
+    ]);
+    assert.strictEqual(fs.existsSync(path.join(root, 'logo.png')), false);
+
+    await service.apply(root, result.inverse);
+    assert.deepStrictEqual(fs.readFileSync(path.join(root, 'logo.png')), BINARY);
+    assert.strictEqual(modeOf(path.join(root, 'run.sh')), 0o755);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('a failed changeset rolls back to the exact bytes', async () => {
+  const root = workspace();
+  try {
+    await assert.rejects(service.apply(root, [
+      { action: 'modify', path: 'logo.png', content: 'text now' },
+      { action: 'delete', path: 'run.sh' },
+      // notes becomes a file, so the folder for the next entry can't be made
+      { action: 'create', path: 'notes', content: 'x' },
+      { action: 'create', path: 'notes/today.txt', content: 'y' }
+    ]), /rolled back/);
+    assert.deepStrictEqual(fs.readFileSync(path.join(root, 'logo.png')), BINARY);
+    assert.strictEqual(modeOf(path.join(root, 'run.sh')), 0o755);
+    assert.strictEqual(fs.existsSync(path.join(root, 'notes')), false);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('refuses a change to a file that differs from what was reviewed', async () => {
+  const root = workspace();
+  try {
+    await assert.rejects(service.apply(root, [
+      { action: 'modify', path: 'run.sh', content: 'new', expected: '#!/bin/sh\necho bye\n' }
+    ]), /changed since the changeset was reviewed/);
+    const result = await service.apply(root, [
+      { action: 'modify', path: 'run.sh', content: 'new', expected: '#!/bin/sh\necho hi\n' }
+    ]);
+    assert.strictEqual(result.applied.length, 1);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CheckpointStore = require('../src/checkpoint-store');
+
+test.mock.method(console, 'log', () => {});
+
+async function withWorkspace(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoints-'));
+  const root = path.join(dir, 'workspace');
+  fs.mkdirSync(root);
+  try {
+    await run(root, new CheckpointStore(path.join(dir, 'store')));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const write = (root, relPath, content) => {
+  fs.mkdirSync(path.dirname(path.join(root, relPath)), { recursive: true });
+  fs.writeFileSync(path.join(root, relPath), content);
+};
+const read = (root, relPath) => fs.readFileSync(path.join(root, relPath), 'utf8');
+const exists = (root, relPath) => fs.existsSync(path.join(root, relPath));
+
+test('restores modified, deleted and created files', async () => {
+  await withWorkspace(async (root, store) => {
+    write(root, 'src/app.js', 'v1');
+    write(root, 'README.md', 'readme');
+    write(root, 'node_modules/dep/index.js', 'ignored');
+    const checkpoint = await store.create(root, { label: 'Before edit' });
+    assert.strictEqual(checkpoint.fileCount, 2);
+    assert.strictEqual(checkpoint.truncated, false);
+
+    write(root, 'src/app.js', 'v2');
+    fs.rmSync(path.join(root, 'README.md'));
+    write(root, 'src/new.js', 'new');
+    assert.deepStrictEqual(await store.diff(root, checkpoint.id), [
+      { path: 'README.md', status: 'deleted' },
+      { path: 'src/app.js', status: 'modified' },
+      { path: 'src/new.js', status: 'added' }
+    ]);
+
+    const { restored, backup } = await store.restore(root, checkpoint.id);
+    assert.strictEqual(restored.length, 3);
+    assert.strictEqual(read(root, 'src/app.js'), 'v1');
+    assert.strictEqual(read(root, 'README.md'), 'readme');
+    assert.strictEqual(exists(root, 'src/new.js'), false);
+    assert.deepStrictEqual(await store.diff(root, checkpoint.id), []);
+
+    // The restore can itself be undone
+    await store.restore(root, backup.id);
+    assert.strictEqual(read(root, 'src/app.js'), 'v2');
+    assert.strictEqual(read(root, 'src/new.js'), 'new');
+  });
+});
+
+test('restores only the files asked for', async () => {
+  await withWorkspace(async (root, store) => {
+    write(root, 'a.txt', 'a1');
+    write(root, 'b.txt', 'b1');
+    const checkpoint = await store.create(root);
+    write(root, 'a.txt', 'a2');
+    write(root, 'b.txt', 'b2');
+
+    const { restored } = await store.restore(root, checkpoint.id, { paths: ['a.txt'] });
+    assert.deepStrictEqual(restored, [{ path: 'a.txt', status: 'modified' }]);
+    assert.strictEqual(read(root, 'a.txt'), 'a1');
+    assert.strictEqual(read(root, 'b.txt'), 'b2');
+  });
+});
+
+test('leaves alone a file that was too large to capture', async () => {
+  await withWorkspace(async (root, store) => {
+    write(root, 'data.bin', Buffer.alloc(2 * 1024 * 1024 + 1, 1));
+    write(root, 'small.txt', 'one');
+    const checkpoint = await store.create(root);
+    assert.strictEqual(checkpoint.skippedCount, 1);
+
+    write(root, 'data.bin', 'small now');
+    write(root, 'small.txt', 'two');
+    assert.deepStrictEqual(await store.diff(root, checkpoint.id), [
+      { path: 'data.bin', status: 'untracked' },
+      { path: 'small.txt', status: 'modified' }
+    ]);
+
+    await store.restore(root, checkpoint.id);
+    assert.strictEqual(read(root, 'data.bin'), 'small now');
+    assert.strictEqual(read(root, 'small.txt'), 'one');
+  });
+});
+
+test('never deletes files a truncated checkpoint did not reach', async () => {
+  await withWorkspace(async (root, store) => {
+    for (let i = 0; i < 5005; i++) {
+      write(root, `files/f${String(i).padStart(4, '0')}.txt`, `file ${i}`);
+    }
+    const checkpoint = await store.create(root);
+    assert.strictEqual(checkpoint.truncated, true);
+    assert.strictEqual(checkpoint.fileCount, 5000);
+    const captured = Object.keys((await store.get(root, checkpoint.id)).files);
+
+    // Deleting captured files brings uncaptured ones inside the scan limit
+    const deleted = captured.slice(0, 10);
+    deleted.forEach(relPath => fs.rmSync(path.join(root, relPath)));
+    const changes = await store.diff(root, checkpoint.id);
+    assert.deepStrictEqual(changes.filter(change => change.status === 'deleted').map(change => change.path), deleted);
+    assert.strictEqual(changes.filter(change => change.status === 'untracked').length, 5);
+    assert.strictEqual(changes.some(change => change.status === 'added'), false);
+
+    await store.restore(root, checkpoint.id);
+    assert.strictEqual(fs.readdirSync(path.join(root, 'files')).length, 5005);
+  });
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+
+const CommandPolicy = require('../src/command-policy');
+
+const policy = new CommandPolicy(path.join(os.tmpdir(), 'command-policy-test'));
+const decide = (command) => policy.evaluate(command, { root: os.tmpdir() }).decision;
+
+test('allows read-only commands and chains of them', () => {
+  assert.strictEqual(decide('ls -la'), 'allow');
+  assert.strictEqual(decide('git status && git diff'), 'allow');
+  assert.strictEqual(decide('npm test 2>&1'), 'allow');
+  assert.strictEqual(decide('ls missing 2>/dev/null'), 'allow');
+});
+
+test('judges a chain by its worst segment', () => {
+  assert.strictEqual(decide('ls && rm -rf ~'), 'deny');
+  assert.strictEqual(decide('ls; rm notes.txt'), 'ask');
+});
+
+test('treats a lone & as a command separator', () => {
+  assert.strictEqual(decide('ls & rm -rf ~'), 'deny');
+  assert.strictEqual(decide('ls &rm -rf ~'), 'deny');
+});
+
+test('judges the commands inside substitutions', () => {
+  assert.strictEqual(decide('echo $(rm -rf ~)'), 'deny');
+  assert.strictEqual(decide('echo `rm -rf ~`'), 'deny');
+  assert.strictEqual(decide('cat <(rm -rf ~)'), 'deny');
+});
+
+test('asks before substitutions and redirections', () => {
+  assert.strictEqual(decide('echo $(pwd)'), 'ask');
+  assert.strictEqual(decide('echo `pwd`'), 'ask');
+  assert.strictEqual(decide('cat <(ls)'), 'ask');
+  assert.strictEqual(decide('echo pwn>~/.bashrc'), 'ask');
+  assert.strictEqual(decide('echo pwn >> ~/.bashrc'), 'ask');
+  assert.strictEqual(decide('cat < /tmp/input'), 'ask');
+  assert.strictEqual(decide('ls &> listing.txt'), 'ask');
+});
+
+test('denies an empty command', () => {
+  assert.strictEqual(decide('  '), 'deny');
+});
+
+test('asks before environment overrides and a cwd outside the workspace', () => {
+  const root = os.tmpdir();
+  const evaluate = (options) => policy.evaluate('echo hi', { root, ...options });
+  assert.strictEqual(evaluate({}).decision, 'allow');
+  assert.strictEqual(evaluate({ cwd: path.join(root, 'sub') }).decision, 'allow');
+
+  const withEnv = evaluate({ env: { BASH_ENV: './payload.sh' } });
+  assert.strictEqual(withEnv.decision, 'ask');
+  assert.ok(withEnv.reasons.some(reason => reason.segment === 'BASH_ENV=./payload.sh'));
+  assert.strictEqual(evaluate({ cwd: path.dirname(root) }).decision, 'ask');
+  assert.strictEqual(policy.evaluate('rm -rf ~', { root, env: { A: '1' } }).decision, 'deny');
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ContentLengthReader = require('../src/content-length-reader');
+
+function collect() {
+  const messages = [];
+  return { messages, reader: new ContentLengthReader(message => messages.push(message), 'test') };
+}
+
+test('reads messages split across chunks, including inside a multi-byte character', () => {
+  const { messages, reader } = collect();
+  const bytes = Buffer.from(ContentLengthReader.frame({ text: 'héllo ✓' }) + ContentLengthReader.frame({ id: 2 }));
+  for (let i = 0; i < bytes.length; i += 3) {
+    reader.push(bytes.slice(i, i + 3));
+  }
+  assert.deepStrictEqual(messages, [{ text: 'héllo ✓' }, { id: 2 }]);
+});
+
+test('skips unframed output and bodies that are not JSON', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const { messages, reader } = collect();
+  reader.push(Buffer.from('Debugger attached\r\n\r\nContent-Length: 3\r\n\r\nnot' + ContentLengthReader.frame({ ok: true })));
+  assert.deepStrictEqual(messages, [{ ok: true }]);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const IDEDiffReview = require('../src/diff-review');
+
+const diffReview = new IDEDiffReview(null);
+
+// Write `before`, apply the diff with git and return what the file became (null if deleted)
+function applyWithGit(before, after) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-review-'));
+  try {
+    const file = path.join(dir, 'file.txt');
+    if (before !== null) fs.writeFileSync(file, before);
+    fs.writeFileSync(path.join(dir, 'change.patch'), diffReview.formatUnifiedDiff('file.txt', before, after) + '\n');
+    execFileSync('git', ['apply', 'change.patch'], { cwd: dir, stdio: 'pipe' });
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const cases = [
+  ['adds lines after a last line without newline', 'hello', 'hello\nworld'],
+  ['adds a newline at end of file', 'hello', 'hello\n'],
+  ['removes the newline at end of file', 'hello\n', 'hello'],
+  ['changes a middle line before a last line without newline', 'a\nb\nc', 'a\nB\nc'],
+  ['changes the last line without newline', 'a\nb\nc', 'a\nb\nC'],
+  ['appends lines to a file ending in newline', 'a\nb\n', 'a\nb\nc\nd\n'],
+  ['removes lines up to a last line without newline', 'a\nb\nc\nd', 'a\nb'],
+  ['edits two far apart places', Array.from({ length: 20 }, (_, i) => `line ${i}`).join('\n') + '\n',
+    Array.from({ length: 20 }, (_, i) => (i === 2 || i === 17 ? `changed ${i}` : `line ${i}`)).join('\n')],
+  ['creates a file', null, 'new\nfile'],
+  ['deletes a file', 'old\nfile\n', null]
+];
+
+for (const [name, before, after] of cases) {
+  test(`git apply round trip: ${name}`, () => {
+    assert.strictEqual(applyWithGit(before, after), after);
+  });
+}
+
+test('marks an EOL change on the last old line as -line / +line', () => {
+  const diff = diffReview.formatUnifiedDiff('file.txt', 'hello', 'hello\nworld');
+  assert.deepStrictEqual(diff.split('\n').slice(2), [
+    '@@ -1,1 +1,2 @@',
+    '-hello',
+    '\\ No newline at end of file',
+    '+hello',
+    '+world',
+    '\\ No newline at end of file'
+  ]);
+});
+
+test('changedRange gives the line range an accepted edit replaces', () => {
+  // Apply a range the way CodeMirror's replaceRange over whole lines does
+  const replace = (before, { startLine, endLine, text }) => {
+    const lines = before.split('\n');
+    return [...lines.slice(0, startLine), text, ...lines.slice(endLine + 1)].join('\n');
+  };
+  const cases = [
+    ['a\nb\nc\nd', 'a\nB\nc\nd'],
+    ['a\nb\nc', 'a\nb\nx\ny\nc'],
+    ['a\nb\nc', 'a\nc'],
+    ['a\nb', 'x\na\nb'],
+    ['a\nb', 'a\nb\nc'],
+    ['a\nb\nc', 'c'],
+    ['a', 'b']
+  ];
+  for (const [before, after] of cases) {
+    const range = diffReview.changedRange(before, after);
+    assert.ok(range.startLine <= range.endLine, `${before} -> ${after}`);
+    assert.strictEqual(replace(before, range), after, `${before} -> ${after}`);
+  }
+  assert.deepStrictEqual(diffReview.changedRange('a\nb\nc\nd', 'a\nB\nc\nd'), { startLine: 1, endLine: 1, text: 'B' });
+});
+
+test('diffs large files in linear space and falls back to one hunk past the edit limit', () => {
+  const a = Array.from({ length: 6000 }, (_, i) => `line ${i}`);
+  const b = a.map((line, i) => (i % 3 === 0 ? `changed ${i}` : line));
+  const before = process.memoryUsage().heapUsed;
+  const ops = diffReview.diffLines(a, b);
+  assert.ok(process.memoryUsage().heapUsed - before < 64 * 1024 * 1024);
+  assert.deepStrictEqual(ops.filter(op => op.type !== 'insert').map(op => op.line), a);
+  assert.deepStrictEqual(ops.filter(op => op.type !== 'delete').map(op => op.line), b);
+  assert.strictEqual(ops.filter(op => op.type === 'delete').length, 2000);
+  assert.strictEqual(diffReview.buildHunks(a, b).length, 2000);
+
+  const rewritten = a.map((line, i) => `other ${i}`);
+  const hunks = diffReview.buildHunks(a, rewritten);
+  assert.strictEqual(hunks.length, 1);
+  assert.strictEqual(hunks[0].removed.length, 6000);
+  assert.strictEqual(hunks[0].added.length, 6000);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HeadlessAgent = require('../src/headless-agent');
+const CommandPolicy = require('../src/command-policy');
+const modelProviders = require('../src/model-providers');
+
+// The shared modules log progress with console.log, which garbles the test runner's output
+test.mock.method(console, 'log', () => {});
+
+function createAgent(options = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'headless-agent-'));
+  const agent = new HeadlessAgent({ root, model: 'test-model', commands: 'approve', onEvent: () => {}, ...options });
+  agent.commandPolicy = new CommandPolicy(root);
+  agent.commandPolicy.setWorkspace(root);
+  return { agent, root };
+}
+
+test('run_command reports the exit code and the whole output', async () => {
+  const { agent, root } = createAgent();
+  try {
+    const result = await agent.invoke('bash:execute', 'echo a b && echo two; exit 3');
+    assert.strictEqual(result.code, 3);
+    assert.strictEqual(result.output, 'a b\ntwo');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('run_command refuses what the policy would ask about unless approved', async () => {
+  const { agent, root } = createAgent({ commands: 'policy' });
+  try {
+    const result = await agent.invoke('bash:execute', 'rm notes.txt');
+    assert.strictEqual(result.denied, true);
+    assert.match(result.error, /^Command not allowed \(ask/);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('runs a request through the IDE intent schema, classifier and tool loop', async (t) => {
+  const { root } = createAgent();
+  const agent = new HeadlessAgent({ root, model: 'test-model', commands: 'approve', onEvent: () => {} });
+  const replies = [
+    { intent: 'Create a greeting file', tool: 'create_file', target: 'chat', confidence: 0.9 },
+    { needs_todo: false, reason: 'One file' },
+    { thought: 'write it', tool: 'edit_file', args: { path: 'hello.txt', content: 'hello\n' } },
+    { thought: 'check it', tool: 'run_command', args: { command: 'cat hello.txt' } },
+    { tool: 'finish', args: { answer: 'Created hello.txt' } }
+  ];
+  const requests = [];
+  t.mock.method(modelProviders, 'generate', async (request) => {
+    requests.push(request);
+    return { response: JSON.stringify(replies.shift()) };
+  });
+
+  try {
+    await agent.init();
+    const result = await agent.run('create hello.txt saying hello');
+
+    assert.strictEqual(result.intent.tool, 'create_file');
+    assert.strictEqual(result.intent.needsPlan, false);
+    assert.strictEqual(result.answer, 'Created hello.txt');
+    assert.strictEqual(result.completed, true);
+    assert.deepStrictEqual(result.changes, [{ path: 'hello.txt', status: 'created' }]);
+    assert.strictEqual(fs.readFileSync(path.join(root, 'hello.txt'), 'utf8'), 'hello\n');
+
+    // Structured calls carry their schema; the tool loop saw the command's real output
+    assert.deepStrictEqual(requests[0].format.required, ['intent', 'tool', 'target', 'confidence']);
+    const observation = result.transcript.find(entry => entry.type === 'observation' && entry.tool === 'run_command');
+    assert.strictEqual(observation.text, 'exit code: 0\nhello');
+  } finally {
+    await agent.dispose();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LanguageServerManager = require('../src/language-servers');
+
+// A workspace-local "server" that stops reading its input and then exits
+function workspaceWithServer(t, script) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'mithril-lsp-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const bin = path.join(root, 'node_modules', '.bin');
+  fs.mkdirSync(bin, { recursive: true });
+  fs.writeFileSync(path.join(bin, 'typescript-language-server'), `#!/bin/sh\n${script}\n`, { mode: 0o755 });
+  return root;
+}
+
+test('a server that dies mid-request fails its requests instead of crashing', { skip: process.platform === 'win32' }, async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const root = workspaceWithServer(t, 'exec 0<&-\nsleep 0.3\nexit 3');
+  const manager = new LanguageServerManager();
+  await manager.setWorkspace(root);
+
+  const started = Date.now();
+  const pendingServer = manager.getServer('typescript', path.join(root, 'index.ts'));
+  const server = manager.servers.get(`typescript:${root}`);
+  // Keeps writing after the server closed its input; each write fails with EPIPE
+  server.connection.notify('initialized', {});
+
+  assert.strictEqual(await pendingServer, null);
+  assert.ok(Date.now() - started < 10000, 'initialize should fail on exit, not at its timeout');
+  assert.strictEqual(server.state, 'failed');
+  assert.match(server.error, /typescript-language-server exited/);
+
+  await assert.rejects(server.connection.request('textDocument/hover', {}), /the server has exited/);
+});
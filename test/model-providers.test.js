@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const modelProviders = require('../src/model-providers');
+
+test('falls back to the built-in Ollama provider when none are usable', () => {
+  for (const providers of [[], [{ id: 'x', type: 'unknown' }], [null], undefined]) {
+    const config = modelProviders.normalizeConfig({ providers, defaultProvider: 'x' });
+    assert.deepStrictEqual(config.providers.map(p => p.id), ['ollama']);
+    assert.strictEqual(config.defaultProvider, 'ollama');
+  }
+});
+
+test('keeps a default provider only if it is still configured', () => {
+  const providers = [
+    { id: 'local', type: 'ollama' },
+    { id: 'lab', type: 'ollama', baseUrl: 'http://lab:11434' }
+  ];
+  assert.strictEqual(modelProviders.normalizeConfig({ providers, defaultProvider: 'lab' }).defaultProvider, 'lab');
+  assert.strictEqual(modelProviders.normalizeConfig({ providers, defaultProvider: 'gone' }).defaultProvider, 'local');
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const OllamaFixtures = require('../src/ollama-fixtures');
+const createMockServer = require('../scripts/mock-ollama');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'ollama');
+
+test.mock.method(console, 'log', () => {});
+
+function generate(fetcher, body) {
+  return fetcher('http://localhost:11434/api/generate', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+test('replays a recorded response whatever folder the workspace is in', async () => {
+  for (const root of ['/home/ana/project', '/srv/checkout']) {
+    const fixtures = new OllamaFixtures(FIXTURES);
+    fixtures.setWorkspace(root);
+    const response = await generate((url, init) => fixtures.fetch(url, init), {
+      options: { temperature: 0 },
+      stream: false,
+      prompt: `Explain ${root}/src/app.js`,
+      model: 'fixture-coder'
+    });
+    assert.strictEqual((await response.json()).response, 'app.js starts the HTTP server.');
+  }
+});
+
+test('replays a recorded stream chunk by chunk', async () => {
+  const fixtures = new OllamaFixtures(FIXTURES);
+  const response = await generate((url, init) => fixtures.fetch(url, init), {
+    model: 'fixture-coder', prompt: 'function add(a, b) {', stream: true
+  });
+  const lines = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+  assert.strictEqual(lines.map(line => line.response).join(''), '\n  return a + b;\n}');
+  assert.strictEqual(lines.at(-1).done, true);
+});
+
+test('falls back to hand-written fixtures and refuses unknown requests', async () => {
+  const fixtures = new OllamaFixtures(FIXTURES);
+  const fetcher = (url, init) => fixtures.fetch(url, init);
+  const response = await generate(fetcher, { model: 'fixture-intent', prompt: 'Classify the INTENT of: hi' });
+  assert.strictEqual(JSON.parse((await response.json()).response).tool, 'chat_response');
+
+  await assert.rejects(generate(fetcher, { model: 'fixture-coder', prompt: 'unrecorded' }), /No recorded response/);
+});
+
+test('answers /api/tags from the fixtures in-process and over HTTP', async () => {
+  const fixtures = new OllamaFixtures(FIXTURES);
+  const inProcess = await (await fixtures.fetch('http://localhost:11434/api/tags')).json();
+  assert.deepStrictEqual(inProcess.models.map(model => model.name), ['fixture-coder', 'fixture-intent']);
+
+  const server = createMockServer({ fixtures: FIXTURES });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    assert.deepStrictEqual(await (await fetch(`${base}/api/tags`)).json(), inProcess);
+
+    const response = await generate((url, init) => fetch(url.replace('http://localhost:11434', base), init), {
+      model: 'fixture-coder', prompt: 'function add(a, b) {', stream: true
+    });
+    assert.match(await response.text(), /a \+ b;/);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+
+const platformUtils = require('../src/platform-utils');
+
+test('runCommand reports the exit code of the command', async () => {
+  const result = await platformUtils.runCommand('exit 3', { shell: 'bash' });
+  assert.strictEqual(result.code, 3);
+  assert.strictEqual(result.success, false);
+});
+
+test('runCommand passes the whole command line to the shell', async () => {
+  const result = await platformUtils.runCommand('echo a b && echo two', { shell: 'bash' });
+  assert.strictEqual(result.output, 'a b\ntwo');
+  assert.strictEqual(result.code, 0);
+});
+
+test('runCommand runs in the given cwd', async () => {
+  const result = await platformUtils.runCommand('pwd', { shell: 'bash', cwd: os.tmpdir() });
+  assert.strictEqual(result.output, require('fs').realpathSync(os.tmpdir()));
+});
+
+test('runCommand with stdin ignored gives a prompt end of input', async () => {
+  const result = await platformUtils.runCommand('cat; read -p "Ok to proceed? " answer; echo "got [$answer]"', { shell: 'bash', stdin: 'ignore', timeout: 5000 });
+  assert.strictEqual(result.timedOut, undefined);
+  assert.strictEqual(result.output, 'got []');
+});
+
+test('runCommand stops a command and what it started at the timeout', async () => {
+  const started = Date.now();
+  // The background sleep keeps stdout open after the shell itself is gone
+  const result = await platformUtils.runCommand('echo starting; sleep 30 & sleep 30', { shell: 'bash', stdin: 'ignore', timeout: 300 });
+  assert.ok(Date.now() - started < 5000);
+  assert.strictEqual(result.timedOut, true);
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.output, 'starting');
+  assert.match(result.error, /Timed out after 0s/);
+});
@@ -0,0 +1,221 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const ProblemMatchers = require('../src/problem-matchers');
+
+const cwd = path.resolve('/work/app');
+const builtin = (name) => ProblemMatchers.builtins.filter(matcher => matcher.name === name);
+const brief = (problems) => problems.map(({ file, line, column, severity, code, message }) =>
+  `${path.relative(cwd, file)}:${line}:${column} ${severity}${code ? ` ${code}` : ''} ${message}`);
+
+test('tsc: both the plain and the --pretty formats, with colors', () => {
+  const output = [
+    "src/app.ts(12,5): error TS2322: Type 'string' is not assignable to type 'number'.",
+    "\x1b[96msrc/util.ts\x1b[0m:\x1b[93m3\x1b[0m:\x1b[93m10\x1b[0m - \x1b[91merror\x1b[0m\x1b[90m TS2304: \x1b[0mCannot find name 'foo'.",
+    '',
+    '\x1b[7m3\x1b[0m   return foo;',
+    '\x1b[7m \x1b[0m \x1b[91m         ~~~\x1b[0m',
+    '',
+    '',
+    'Found 2 errors in 2 files.',
+    ''
+  ].join('\n');
+
+  assert.deepStrictEqual(brief(ProblemMatchers.match(output, builtin('tsc'), { cwd })), [
+    "src/app.ts:12:5 error TS2322 Type 'string' is not assignable to type 'number'.",
+    "src/util.ts:3:10 error TS2304 Cannot find name 'foo'."
+  ]);
+});
+
+test('eslint stylish: the file line, then every problem line under it', () => {
+  const output = [
+    '',
+    '/work/app/src/index.js',
+    "   1:10  error    'fs' is defined but never used  no-unused-vars",
+    '  12:3   warning  Unexpected console statement    no-console',
+    '',
+    '/work/app/src/util.js',
+    '  4:1  error  Parsing error: Unexpected token }',
+    '',
+    '/work/app/README.md',
+    '',
+    '✖ 3 problems (2 errors, 1 warning)',
+    '  1 error and 0 warnings potentially fixable with the `--fix` option.',
+    ''
+  ].join('\n');
+
+  assert.deepStrictEqual(brief(ProblemMatchers.match(output, builtin('eslint'), { cwd })), [
+    "src/index.js:1:10 error no-unused-vars 'fs' is defined but never used",
+    'src/index.js:12:3 warning no-console Unexpected console statement',
+    'src/util.js:4:1 error Parsing error: Unexpected token }'
+  ]);
+});
+
+test('eslint compact format', () => {
+  const output = "/work/app/src/index.js: line 1, col 10, Error - 'fs' is defined but never used (no-unused-vars)\n\n1 problem";
+  assert.deepStrictEqual(brief(ProblemMatchers.match(output, builtin('eslint'), { cwd })), [
+    "src/index.js:1:10 error no-unused-vars 'fs' is defined but never used"
+  ]);
+});
+
+test('gcc: errors, warnings and notes, skipping source excerpts', () => {
+  const output = [
+    "main.c: In function 'main':",
+    "main.c:5:12: error: 'x' undeclared (first use in this function)",
+    '    5 |     return x;',
+    '      |            ^',
+    'main.c:5:12: note: each undeclared identifier is reported only once for each function it appears in',
+    "main.c:3:9: warning: unused variable 'y' [-Wunused-variable]",
+    '    3 |     int y;',
+    '      |         ^',
+    'lib/io.h:1:10: fatal error: stdio2.h: No such file or directory',
+    'compilation terminated.'
+  ].join('\n');
+
+  assert.deepStrictEqual(brief(ProblemMatchers.match(output, builtin('gcc'), { cwd })), [
+    "main.c:5:12 error 'x' undeclared (first use in this function)",
+    'main.c:5:12 info each undeclared identifier is reported only once for each function it appears in',
+    "main.c:3:9 warning unused variable 'y' [-Wunused-variable]",
+    'lib/io.h:1:10 error stdio2.h: No such file or directory'
+  ]);
+});
+
+test('pytest: the line each failure ends on, not the frames above it', () => {
+  const output = [
+    '============================= test session starts ==============================',
+    'collected 3 items',
+    '',
+    'tests/test_app.py F.F                                                    [100%]',
+    '',
+    '=================================== FAILURES ===================================',
+    '___________________________________ test_add ___________________________________',
+    '',
+    '    def test_add():',
+    '>       assert add(1, 2) == 4',
+    'E       assert 3 == 4',
+    'E        +  where 3 = add(1, 2)',
+    '',
+    'tests/test_app.py:6: AssertionError',
+    '__________________________________ test_load ___________________________________',
+    '',
+    '    def test_load():',
+    '>       load("missing.json")',
+    '',
+    'tests/test_app.py:14: ',
+    '_ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _ _',
+    '',
+    '>       with open(name) as handle:',
+    "E       FileNotFoundError: [Errno 2] No such file or directory: 'missing.json'",
+    '',
+    'src/app.py:9: FileNotFoundError',
+    '=========================== short test summary info ============================',
+    'FAILED tests/test_app.py::test_add - assert 3 == 4',
+    "FAILED tests/test_app.py::test_load - FileNotFoundError: [Errno 2] No such file or directory: 'missing.json'",
+    '========================= 2 failed, 1 passed in 0.05s =========================='
+  ].join('\n');
+
+  assert.deepStrictEqual(brief(ProblemMatchers.match(output, builtin('pytest'), { cwd })), [
+    'tests/test_app.py:6:1 error AssertionError',
+    'src/app.py:9:1 error FileNotFoundError'
+  ]);
+});
+
+test('go: build errors with columns and test failures without', () => {
+  const output = [
+    '# example.com/app',
+    './main.go:8:2: undefined: foo',
+    './main.go:12:6: declared and not used: x',
+    '--- FAIL: TestAdd (0.00s)',
+    '    main_test.go:10: got 3, want 4',
+    'FAIL',
+    'FAIL\texample.com/app\t0.002s'
+  ].join('\n');
+
+  assert.deepStrictEqual(brief(ProblemMatchers.match(output, builtin('go'), { cwd })), [
+    'main.go:8:2 error undefined: foo',
+    'main.go:12:6 error declared and not used: x',
+    'main_test.go:10:1 error got 3, want 4'
+  ]);
+});
+
+test('rustc: the message line and the --> line that follows it, without the build summary', () => {
+  const output = [
+    '   Compiling app v0.1.0 (/work/app)',
+    'warning: unused variable: `x`',
+    ' --> src/main.rs:2:9',
+    '  |',
+    '2 |     let x = 5;',
+    '  |         ^ help: if this is intentional, prefix it with an underscore: `_x`',
+    '  |',
+    '  = note: `#[warn(unused_variables)]` on by default',
+    '',
+    'error[E0308]: mismatched types',
+    ' --> src/main.rs:3:18',
+    '  |',
+    '3 |     let y: i32 = "a";',
+    '  |            ---   ^^^ expected `i32`, found `&str`',
+    '  |            |',
+    '  |            expected due to this',
+    '',
+    'error: expected one of `;` or `}`, found `let`',
+    '',
+    'For more information about this error, try `rustc --explain E0308`.',
+    'warning: `app` (bin "app") generated 1 warning',
+    'error: could not compile `app` (bin "app") due to 1 previous error; 1 warning emitted'
+  ].join('\n');
+
+  assert.deepStrictEqual(brief(ProblemMatchers.match(output, builtin('rustc'), { cwd })), [
+    'src/main.rs:2:9 warning unused variable: `x`',
+    'src/main.rs:3:18 error E0308 mismatched types'
+  ]);
+});
+
+test('summary messages are dropped even when a matcher picks them up', () => {
+  const matcher = ProblemMatchers.normalize({ name: 'clang-log', regexp: '^(.+?):(\\d+): (.*)$', file: 1, line: 2, message: 3 });
+  const output = [
+    'build.log:40: 2 warnings generated.',
+    'build.log:41: aborting due to 2 previous errors',
+    'build.log:42: could not compile `app`',
+    'build.log:43: linker command failed'
+  ].join('\n');
+
+  assert.deepStrictEqual(brief(ProblemMatchers.match(output, [matcher], { cwd })), [
+    'build.log:43:1 error linker command failed'
+  ]);
+});
+
+test('file names resolve against cwd unless they are absolute or file URLs', () => {
+  const output = [
+    'src/a.c:1:1: error: relative',
+    '/usr/include/b.h:2:1: error: absolute',
+    'file:///opt/lib/c.h:3:1: error: file url',
+    '../shared/d.c:4:1: error: parent'
+  ].join('\n');
+
+  const problems = ProblemMatchers.match(output, builtin('gcc'), { cwd });
+  assert.deepStrictEqual(problems.map(problem => problem.file), [
+    path.join(cwd, 'src', 'a.c'),
+    path.normalize('/usr/include/b.h'),
+    path.normalize('/opt/lib/c.h'),
+    path.resolve(cwd, '..', 'shared', 'd.c')
+  ]);
+  assert.deepStrictEqual(problems.map(problem => problem.source), ['gcc', 'gcc', 'gcc', 'gcc']);
+
+  // Without a cwd, relative names are kept as written
+  assert.strictEqual(ProblemMatchers.match('src/a.c:1:1: error: relative', builtin('gcc'))[0].file, path.normalize('src/a.c'));
+});
+
+test('several matchers over mixed output report each problem once, under its own tool', () => {
+  const output = [
+    "src/app.ts(12,5): error TS2322: Type 'string' is not assignable to type 'number'.",
+    'main.c:3:9: warning: unused variable [-Wunused-variable]',
+    'main.c:3:9: warning: unused variable [-Wunused-variable]'
+  ].join('\n');
+
+  const problems = ProblemMatchers.match(output, ProblemMatchers.builtins.filter(matcher => ['tsc', 'gcc'].includes(matcher.name)), { cwd });
+  assert.deepStrictEqual(problems.map(problem => `${problem.source} ${path.relative(cwd, problem.file)}:${problem.line}`), [
+    'tsc src/app.ts:12',
+    'gcc main.c:3'
+  ]);
+});
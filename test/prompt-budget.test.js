@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// No token controls or usage label outside the renderer
+global.document = { getElementById: () => null };
+
+const PromptBudget = require('../src/prompt-budget');
+
+function budgetFor(memoryManager = null) {
+  return new PromptBudget({ memoryManager, getRoleOptions: () => ({}) });
+}
+
+test('fit leaves sections alone when they are within the budget', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const sections = { system: 'Be brief.', memory: 'Session goals: add tests', retrieved: 'src/a.js: ...', file: 'const a = 1;', user: 'Hi' };
+  const fitted = await budgetFor().fit(sections, { budget: 1000 });
+
+  assert.deepStrictEqual(fitted.sections, sections);
+  assert.deepStrictEqual(fitted.trimmed, []);
+  assert.strictEqual(fitted.summarized, false);
+  assert.strictEqual(fitted.report.file, 4);
+});
+
+test('fit trims retrieved snippets before memory, history, chunks and the open file', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const fitted = await budgetFor().fit({
+    system: 'Be brief.',
+    memory: 'm'.repeat(1400),
+    retrieved: 'r'.repeat(3500),
+    file: 'f'.repeat(1400),
+    user: 'Explain'
+  }, { budget: 1000 });
+
+  assert.deepStrictEqual(fitted.trimmed, ['retrieved']);
+  assert.ok(fitted.total <= 1000);
+  assert.strictEqual(fitted.sections.memory, 'm'.repeat(1400));
+  assert.strictEqual(fitted.sections.file, 'f'.repeat(1400));
+  assert.match(fitted.sections.retrieved, /tokens omitted to fit the context window/);
+  assert.ok(fitted.sections.retrieved.startsWith('rrr') && fitted.sections.retrieved.endsWith('rrr'));
+});
+
+test('fit shortens the open file only after everything else is gone', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const fitted = await budgetFor().fit({
+    system: 'Be brief.',
+    memory: 'm'.repeat(700),
+    retrieved: 'r'.repeat(700),
+    chunks: 'c'.repeat(700),
+    file: 'f'.repeat(7000),
+    user: 'Explain'
+  }, { budget: 1000 });
+
+  assert.deepStrictEqual(fitted.trimmed, ['retrieved', 'memory', 'chunks', 'file']);
+  assert.strictEqual(fitted.sections.retrieved, '');
+  assert.strictEqual(fitted.sections.memory, '');
+  assert.strictEqual(fitted.sections.chunks, '');
+  assert.ok(fitted.sections.file.length > 2000);
+  assert.strictEqual(fitted.sections.user, 'Explain');
+  assert.ok(fitted.total <= 1000);
+});
+
+test('fit folds older turns into the summary before trimming anything', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  let history = 'h'.repeat(3500);
+  const calls = [];
+  const memoryManager = {
+    summarizeOlderTurns: async (options) => {
+      calls.push(options);
+      history = 'Summary of earlier conversation: short';
+      return true;
+    }
+  };
+
+  const fitted = await budgetFor(memoryManager).fit({
+    system: 'Be brief.',
+    history,
+    retrieved: 'r'.repeat(700),
+    user: 'Next?'
+  }, { budget: 1000, rebuildHistory: () => history });
+
+  assert.strictEqual(calls.length, 1);
+  assert.ok(calls[0].targetTokens < 1000);
+  assert.strictEqual(fitted.summarized, true);
+  assert.strictEqual(fitted.sections.history, 'Summary of earlier conversation: short');
+  assert.strictEqual(fitted.sections.retrieved, 'r'.repeat(700));
+  assert.deepStrictEqual(fitted.trimmed, []);
+});
+
+test('fit does not summarize without a way to rebuild the history', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const memoryManager = { summarizeOlderTurns: async () => assert.fail('should not summarize') };
+  const fitted = await budgetFor(memoryManager).fit({ history: 'h'.repeat(7000), user: 'Next?' }, { budget: 1000 });
+
+  assert.strictEqual(fitted.summarized, false);
+  assert.deepStrictEqual(fitted.trimmed, ['history']);
+  assert.ok(fitted.total <= 1000);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const IDEStructuredOutput = require('../src/structured-output');
+
+const intentSchema = IDEStructuredOutput.intentSchema(['chat_response', 'edit_file']);
+const todoListSchema = IDEStructuredOutput.todoListSchema(['create_file', 'run_command']);
+
+// Answers generateWithModel with the given replies in order and records the prompts
+function fakeCore(replies) {
+  const prompts = [];
+  return {
+    prompts,
+    generateWithModel: async (model, prompt, systemPrompt, options) => {
+      prompts.push({ prompt, format: options.format });
+      return replies.shift();
+    }
+  };
+}
+
+test('parse reads a bare object, a fenced one and one with text around it', () => {
+  const intent = { intent: 'explain', tool: 'chat_response', target: 'chat', confidence: 0.8 };
+
+  assert.deepStrictEqual(IDEStructuredOutput.parse(JSON.stringify(intent)), { value: intent });
+  assert.deepStrictEqual(IDEStructuredOutput.parse(`\`\`\`json\n${JSON.stringify(intent, null, 2)}\n\`\`\``), { value: intent });
+  assert.deepStrictEqual(
+    IDEStructuredOutput.parse(`Sure! Here is the JSON:\n${JSON.stringify(intent)}\nLet me know if you need {anything} else.`),
+    { value: intent }
+  );
+});
+
+test('parse keeps braces and quotes inside strings when it has to cut the object out', () => {
+  const reply = 'Plan: {"todos": [{"tool": "create_file", "content": "write \\"a}b\\" to {x}.txt"}]} done';
+  assert.deepStrictEqual(IDEStructuredOutput.parse(reply).value, {
+    todos: [{ tool: 'create_file', content: 'write "a}b" to {x}.txt' }]
+  });
+});
+
+test('parse reports empty replies and replies without JSON', () => {
+  assert.deepStrictEqual(IDEStructuredOutput.parse(''), { error: 'Reply was empty' });
+  assert.deepStrictEqual(IDEStructuredOutput.parse('```json\n```'), { error: 'Reply was empty' });
+  assert.match(IDEStructuredOutput.parse('I would use edit_file here.').error, /^Reply is not valid JSON/);
+  assert.match(IDEStructuredOutput.parse('{"tool": "edit_file",').error, /^Reply is not valid JSON/);
+});
+
+test('validate accepts a reply that matches the schema', () => {
+  assert.deepStrictEqual(IDEStructuredOutput.validate({ intent: 'edit', tool: 'edit_file', target: 'file', confidence: 1 }, intentSchema), []);
+  assert.deepStrictEqual(IDEStructuredOutput.validate({ todos: [{ tool: 'run_command', content: 'npm test' }] }, todoListSchema), []);
+});
+
+test('validate names every schema violation by path', () => {
+  assert.deepStrictEqual(IDEStructuredOutput.validate({ intent: 'edit', tool: 'edit_file|create_file', target: 'file', confidence: 0.9 }, intentSchema), [
+    '$.tool: must be one of "chat_response", "edit_file", got "edit_file|create_file"'
+  ]);
+  assert.deepStrictEqual(IDEStructuredOutput.validate({ intent: 'edit', tool: 'edit_file', confidence: 0.9 }, intentSchema), [
+    '$.target: is required'
+  ]);
+  assert.deepStrictEqual(IDEStructuredOutput.validate({ intent: 'edit', tool: 'edit_file', target: 'file', confidence: 0.9, reasoning: 'because' }, intentSchema), [
+    '$.reasoning: is not allowed'
+  ]);
+  assert.deepStrictEqual(IDEStructuredOutput.validate({ intent: 'edit', tool: 'edit_file', target: 'file', confidence: '0.9' }, intentSchema), [
+    '$.confidence: expected number, got string'
+  ]);
+  assert.deepStrictEqual(IDEStructuredOutput.validate({ intent: 'edit', tool: 'edit_file', target: 'file', confidence: 2 }, intentSchema), [
+    '$.confidence: must be at most 1'
+  ]);
+});
+
+test('validate checks array items, lengths and integers', () => {
+  assert.deepStrictEqual(IDEStructuredOutput.validate({ todos: [] }, todoListSchema), ['$.todos: needs at least 1 item']);
+  assert.deepStrictEqual(IDEStructuredOutput.validate({ todos: [{ tool: 'run_command', content: '  ' }, { tool: 'create_file', content: 'a.txt', file: 'a.txt' }] }, todoListSchema), [
+    '$.todos[0].content: must not be empty',
+    '$.todos[1].file: is not allowed'
+  ]);
+  assert.deepStrictEqual(IDEStructuredOutput.validate({ needs_todo: true, reason: 'two files', estimated_steps: 2.5 }, IDEStructuredOutput.todoClassifierSchema()), [
+    '$.estimated_steps: expected integer, got number'
+  ]);
+  assert.deepStrictEqual(IDEStructuredOutput.validate([], intentSchema), ['$: expected object, got array']);
+});
+
+test('repairPrompt lists the problems, the reply and the schema', () => {
+  const prompt = IDEStructuredOutput.repairPrompt('{"tool": "edit"}', ['$.tool: must be one of "edit_file"', '$.target: is required'], intentSchema);
+  assert.match(prompt, /PROBLEMS:\n- \$\.tool: must be one of "edit_file"\n- \$\.target: is required\n/);
+  assert.match(prompt, /PREVIOUS REPLY:\n\{"tool": "edit"\}\n/);
+  assert.ok(prompt.includes(JSON.stringify(intentSchema)));
+  assert.match(prompt, /Reply with the corrected JSON object only\.$/);
+
+  assert.match(IDEStructuredOutput.repairPrompt('', ['Reply was empty'], intentSchema), /PREVIOUS REPLY:\n\(empty\)\n/);
+  const long = IDEStructuredOutput.repairPrompt('x'.repeat(5000), ['Reply is not valid JSON'], intentSchema);
+  assert.ok(long.includes(`${'x'.repeat(2000)}...`) && !long.includes('x'.repeat(2001)));
+});
+
+test('generate returns a valid first reply without repairing', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const core = fakeCore(['{"needs_todo": false, "reason": "one edit"}']);
+  const output = new IDEStructuredOutput(core);
+
+  const value = await output.generate('todo-classifier', { model: 'm', prompt: 'Rename a variable', systemPrompt: 's', schema: IDEStructuredOutput.todoClassifierSchema() });
+  assert.deepStrictEqual(value, { needs_todo: false, reason: 'one edit' });
+  assert.strictEqual(core.prompts.length, 1);
+  assert.deepStrictEqual(core.prompts[0].format, IDEStructuredOutput.todoClassifierSchema());
+  assert.deepStrictEqual(output.stats['todo-classifier'], { calls: 1, parseFailures: 0, schemaFailures: 0, repaired: 0, failed: 0 });
+});
+
+test('generate retries once with the repair prompt and counts the repair', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const bad = '```json\n{"intent": "edit", "tool": "modify_file", "target": "file", "confidence": 0.9}\n```';
+  const core = fakeCore([bad, 'Fixed: {"intent": "edit", "tool": "edit_file", "target": "file", "confidence": 0.9}']);
+  const output = new IDEStructuredOutput(core);
+
+  const value = await output.generate('intent', { model: 'm', prompt: 'Make it red', systemPrompt: 's', schema: intentSchema });
+  assert.deepStrictEqual(value, { intent: 'edit', tool: 'edit_file', target: 'file', confidence: 0.9 });
+  assert.strictEqual(core.prompts.length, 2);
+  assert.ok(core.prompts[1].prompt.startsWith('Make it red\n\nYOUR PREVIOUS REPLY DID NOT MATCH'));
+  assert.ok(core.prompts[1].prompt.includes('- $.tool: must be one of "chat_response", "edit_file", got "modify_file"'));
+  assert.ok(core.prompts[1].prompt.includes(bad));
+  assert.deepStrictEqual(output.stats.intent, { calls: 1, parseFailures: 0, schemaFailures: 1, repaired: 1, failed: 0 });
+  assert.strictEqual(output.failures[0].kind, 'schema');
+  assert.strictEqual(output.failures[0].repaired, true);
+});
+
+test('generate throws when the repaired reply still fails', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const core = fakeCore(['I think you should edit the file.', '{"intent": "edit"}']);
+  const output = new IDEStructuredOutput(core);
+
+  await assert.rejects(
+    output.generate('intent', { model: 'm', prompt: 'Make it red', systemPrompt: 's', schema: intentSchema }),
+    /^Error: intent reply failed schema check: \$\.tool: is required; \$\.target: is required; \$\.confidence: is required$/
+  );
+  assert.strictEqual(core.prompts.length, 2);
+  assert.match(core.prompts[1].prompt, /- Reply is not valid JSON/);
+  assert.deepStrictEqual(output.stats.intent, { calls: 1, parseFailures: 1, schemaFailures: 0, repaired: 0, failed: 1 });
+});
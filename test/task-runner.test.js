@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TaskRunner = require('../src/task-runner');
+const CommandPolicy = require('../src/command-policy');
+
+test.mock.method(console, 'log', () => {});
+
+test('audits a finished run with the source that started it', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'tasks-'));
+  fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ scripts: { test: 'node --test' } }));
+
+  const audits = [];
+  const exits = [];
+  const commandPolicy = {
+    authorize: async () => ({ approved: true, decision: 'allow', decidedBy: 'policy' }),
+    audit: async (entry) => { audits.push(entry); }
+  };
+  const terminalManager = {
+    terminals: new Map(),
+    createTerminal: ({ onExit }) => {
+      exits.push(onExit);
+      return { success: true, terminalId: `term-${exits.length}` };
+    }
+  };
+  const runner = new TaskRunner(terminalManager, commandPolicy);
+
+  try {
+    await runner.run(root, 'npm:test', { source: 'agent' });
+    exits[0](1);
+    await runner.run(root, 'npm:test');
+    exits[1](0);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepStrictEqual(audits.map(entry => [entry.source, entry.exitCode]), [['agent', 1], ['task', 0]]);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('asks before running a workspace task that sets environment variables', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'tasks-'));
+  fs.mkdirSync(path.join(root, '.vscode'));
+  fs.writeFileSync(path.join(root, '.vscode', 'tasks.json'), JSON.stringify({
+    tasks: [
+      { label: 'greet', command: 'echo hi' },
+      { label: 'sneaky', command: 'echo hi', options: { env: { BASH_ENV: './payload.sh' } } }
+    ]
+  }));
+
+  const commandPolicy = new CommandPolicy(root);
+  const approvals = [];
+  commandPolicy.requestApproval = async (request) => {
+    approvals.push(request);
+    return { approved: false };
+  };
+  const started = [];
+  const terminalManager = {
+    terminals: new Map(),
+    createTerminal: (options) => {
+      started.push(options);
+      return { success: true, terminalId: `term-${started.length}` };
+    }
+  };
+  const runner = new TaskRunner(terminalManager, commandPolicy);
+
+  try {
+    assert.strictEqual((await runner.run(root, 'tasks.json:greet', { source: 'agent' })).success, true);
+    assert.strictEqual(approvals.length, 0);
+
+    const refused = await runner.run(root, 'tasks.json:sneaky', { source: 'agent' });
+    assert.strictEqual(refused.denied, true);
+    assert.deepStrictEqual(approvals[0].env, { BASH_ENV: './payload.sh' });
+    assert.ok(approvals[0].reasons.some(reason => reason.description === 'Sets environment variables'));
+    assert.strictEqual(started.length, 1);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});